@@ -0,0 +1,143 @@
+#!/usr/bin/env node
+
+/**
+ * Classifier Evaluation Script
+ *
+ * Runs the email classifier over a labelled JSONL dataset and reports
+ * per-category precision, recall, F1 and a confusion matrix, then compares
+ * the scores with a saved baseline. Emails are redacted and prompted exactly
+ * as in production; only the model behind them is swapped via --adapter.
+ *
+ * The default "stub" adapter is a deterministic keyword model that needs no
+ * network access, so this can run in CI. "gemini" leaves the production model
+ * call in place and uses the live API with GEMINI_API_KEY.
+ *
+ * Usage:
+ *   node scripts/evalClassifier.js [--adapter stub|gemini] [--dataset file.jsonl]
+ *     [--baseline file.json] [--update-baseline] [--tolerance 0.01] [--output file.json]
+ *
+ * Exits with code 1 when any score drops below the baseline by more than the tolerance.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import dotenv from 'dotenv';
+import { parseArgs } from 'util';
+import { fileURLToPath } from 'url';
+import { classifyEmails } from '../src/features/emails/emailsService.js';
+import { redactEmailForPrompt } from '../src/features/emails/redactionUtils.js';
+import { createStubAdapter } from '../src/features/emails/classifierEvalAdapters.js';
+import {
+  compareWithBaseline,
+  computeClassificationMetrics,
+  formatEvalReport,
+  getPredictedLabel,
+  parseEvalDataset
+} from '../src/features/emails/classifierEvalUtils.js';
+import {
+  CLASSIFIER_CONFIG,
+  DEFAULT_EMAIL_CATEGORIES,
+  DEFAULT_REDACTION_POLICY
+} from '../src/features/emails/emailsConstants.js';
+
+const NODE_ENV = process.env.NODE_ENV || 'development';
+dotenv.config({ path: `.env.${NODE_ENV}`, quiet: true });
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const EVAL_DIR = path.join(__dirname, '../tests/fixtures/classifierEval');
+
+const { values: args } = parseArgs({
+  options: {
+    adapter: { type: 'string', default: 'stub' },
+    dataset: { type: 'string', default: path.join(EVAL_DIR, 'dataset.jsonl') },
+    baseline: { type: 'string' },
+    'update-baseline': { type: 'boolean', default: false },
+    tolerance: { type: 'string', default: '0.01' },
+    output: { type: 'string' }
+  }
+});
+
+const ADAPTERS = ['stub', 'gemini'];
+
+const fail = (message) => {
+  console.error(message);
+  process.exit(1);
+};
+
+const main = async () => {
+  if (!ADAPTERS.includes(args.adapter)) {
+    fail(`Unknown adapter "${args.adapter}". Use one of: ${ADAPTERS.join(', ')}`);
+  }
+  if (args.adapter === 'gemini' && !process.env.GEMINI_API_KEY) {
+    fail('GEMINI_API_KEY is required for the gemini adapter');
+  }
+
+  const categoryNames = DEFAULT_EMAIL_CATEGORIES.map((c) => c.name);
+  const examples = parseEvalDataset(fs.readFileSync(args.dataset, 'utf8'));
+  const unknown = examples.filter((example) => !categoryNames.includes(example.label));
+  if (unknown.length) {
+    fail(`Unknown labels for: ${unknown.map((example) => example.id).join(', ')}`);
+  }
+
+  const emails = examples.map(
+    (example) => redactEmailForPrompt(example, DEFAULT_REDACTION_POLICY).email
+  );
+  const results = await classifyEmails(
+    emails,
+    process.env.GEMINI_API_KEY,
+    DEFAULT_EMAIL_CATEGORIES,
+    args.adapter === 'stub' ? { generate: createStubAdapter() } : {}
+  );
+
+  const metrics = computeClassificationMetrics(
+    examples.map((example) => example.label),
+    results.map(getPredictedLabel),
+    categoryNames
+  );
+  const errors = results.filter((result) => result.error).length;
+
+  const baselinePath = args.baseline || path.join(EVAL_DIR, `baseline.${args.adapter}.json`);
+  const summary = {
+    adapter: args.adapter,
+    model: args.adapter === 'gemini' ? CLASSIFIER_CONFIG.MODEL : args.adapter,
+    promptVersion: CLASSIFIER_CONFIG.PROMPT_VERSION,
+    dataset: path.basename(args.dataset),
+    ...metrics
+  };
+
+  if (args.output) {
+    fs.writeFileSync(args.output, `${JSON.stringify({ ...summary, results }, null, 2)}\n`);
+  }
+
+  if (args['update-baseline']) {
+    const { confusionMatrix: _confusionMatrix, ...baseline } = summary;
+    fs.writeFileSync(baselinePath, `${JSON.stringify(baseline, null, 2)}\n`);
+    console.log(formatEvalReport(metrics));
+    console.log(`\nBaseline written to ${baselinePath}`);
+    return;
+  }
+
+  let comparison;
+  if (fs.existsSync(baselinePath)) {
+    const baseline = JSON.parse(fs.readFileSync(baselinePath, 'utf8'));
+    comparison = compareWithBaseline(metrics, baseline, Number(args.tolerance));
+    if (baseline.promptVersion !== summary.promptVersion) {
+      console.warn(
+        `Baseline was recorded with prompt ${baseline.promptVersion}, now ${summary.promptVersion}`
+      );
+    }
+  } else {
+    console.warn(`No baseline at ${baselinePath}; run with --update-baseline to save one`);
+  }
+
+  console.log(formatEvalReport(metrics, comparison));
+  if (errors) {
+    console.warn(`\n${errors} emails fell back to the default category after model errors`);
+  }
+
+  if (comparison?.regressions.length) {
+    fail(`\n${comparison.regressions.length} scores regressed beyond the tolerance`);
+  }
+};
+
+main().catch((error) => fail(error.message));
@@ -0,0 +1,89 @@
+#!/usr/bin/env node
+
+/**
+ * Local Gmail Push Publisher
+ *
+ * Stands in for Google Pub/Sub when developing push notifications: posts the
+ * envelope a push subscription would deliver for a Gmail mailbox change to
+ * the push endpoint, with a bearer token signed by GMAIL_PUSH_LOCAL_SECRET for
+ * GMAIL_PUSH_AUDIENCE. The service accepts these tokens only while
+ * GMAIL_PUSH_LOCAL_SECRET is set, so never set it in production.
+ *
+ * The mailbox must have been synced once, so its address is known. The
+ * historyId defaults to the current time, which is always past the stored
+ * cursor and so always starts a sync.
+ *
+ * Usage:
+ *   node scripts/fakeGmailPush.js --email someone@gmail.com [--history-id 123456]
+ *     [--url http://localhost:8000/api/v1/emails/push/gmail] [--count 1]
+ *
+ * Exits with code 1 when the endpoint does not accept a notification.
+ */
+
+import dotenv from 'dotenv';
+import { randomUUID } from 'crypto';
+import { parseArgs } from 'util';
+import { createPushEnvelope, signPushToken } from '../src/features/emails/pushUtils.js';
+
+const NODE_ENV = process.env.NODE_ENV || 'development';
+dotenv.config({ path: `.env.${NODE_ENV}`, quiet: true });
+
+const { GMAIL_PUSH_LOCAL_SECRET, GMAIL_PUSH_AUDIENCE } = process.env;
+
+const { values: args } = parseArgs({
+  options: {
+    email: { type: 'string' },
+    'history-id': { type: 'string' },
+    url: { type: 'string', default: GMAIL_PUSH_AUDIENCE },
+    count: { type: 'string', default: '1' }
+  }
+});
+
+const fail = (message) => {
+  console.error(message);
+  process.exit(1);
+};
+
+if (!args.email) {
+  fail('--email is required');
+}
+if (!GMAIL_PUSH_LOCAL_SECRET || !GMAIL_PUSH_AUDIENCE) {
+  fail('Set GMAIL_PUSH_LOCAL_SECRET and GMAIL_PUSH_AUDIENCE for both this script and the service');
+}
+if (!args.url) {
+  fail('--url is required');
+}
+
+const publish = async (index) => {
+  const historyId = args['history-id'] || String(Date.now());
+  const now = Math.floor(Date.now() / 1000);
+  const token = signPushToken(
+    { iss: 'fake-gmail-push', aud: GMAIL_PUSH_AUDIENCE, iat: now, exp: now + 300 },
+    GMAIL_PUSH_LOCAL_SECRET
+  );
+  const envelope = createPushEnvelope(
+    { emailAddress: args.email, historyId },
+    { messageId: randomUUID(), subscription: 'projects/local/subscriptions/gmail-push' }
+  );
+
+  const response = await fetch(args.url, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', Authorization: `Bearer ${token}` },
+    body: JSON.stringify(envelope)
+  });
+
+  console.log(`#${index + 1} historyId ${historyId}: ${response.status} ${response.statusText}`);
+  return response.ok;
+};
+
+const count = Math.max(1, parseInt(args.count, 10) || 1);
+let accepted = 0;
+for (let i = 0; i < count; i++) {
+  if (await publish(i)) {
+    accepted++;
+  }
+}
+
+if (accepted < count) {
+  fail(`${count - accepted} of ${count} notifications were not accepted`);
+}
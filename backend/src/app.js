@@ -28,6 +28,7 @@ import s3Routes from './features/storage/s3Routes.js';
 import geminiRoutes from './features/gemini/geminiRoutes.js';
 import auditRoutes from './features/audit/auditRoutes.js';
 import emailsRoutes from './features/emails/emailsRoutes.js';
+import secretsRoutes from './features/secrets/secretsRoutes.js';
 import { logger } from './utils/logger.js';
 
 const app = express();
@@ -129,6 +130,7 @@ app.use('/api/v1/upload', s3Routes);
 app.use('/api/v1/gemini', geminiRoutes);
 app.use('/api/v1/recommendations', recommendationsRoutes);
 app.use('/api/v1/emails', emailsRoutes);
+app.use('/api/v1/secrets', secretsRoutes);
 
 // 4) CATCHES ALL ROUTES THAT ARE NOT DEFINED
 app.all('*', (req, res, next) => {
@@ -3,8 +3,9 @@ import {
   INDEX_NAMES,
   FIELD_NAMES,
   ANALYZER_NAMES,
-  SIMILARITY_METRICS
-} from '../constants/searchConstants.js';
+  SIMILARITY_METRICS,
+  EMAIL_INDEX_CONFIG
+} from '../features/search/searchConstants.js';
 
 // N-gram analyzer configuration for partial matching
 export const ngramAnalyzer = {
@@ -354,6 +355,50 @@ export const logMapping = {
   }
 };
 
+// Email index mapping for inbox search. Documents are per user, so a mailbox
+// linked by two users is indexed twice. `content` only feeds the embedding.
+export const emailMapping = {
+  dynamic: false,
+  properties: {
+    [FIELD_NAMES.USER_ID]: { type: 'keyword' },
+    account_id: { type: 'keyword' },
+    gmail_id: { type: 'keyword' },
+    thread_id: { type: 'keyword' },
+    subject: {
+      type: 'text',
+      fields: {
+        keyword: { type: 'keyword', ignore_above: 256 }
+      }
+    },
+    from: {
+      type: 'text',
+      fields: {
+        keyword: { type: 'keyword', ignore_above: 256 }
+      }
+    },
+    to: { type: 'text' },
+    snippet: { type: 'text' },
+    [FIELD_NAMES.CONTENT]: { type: 'text', index: false },
+    label_ids: { type: 'keyword' },
+    list_id: { type: 'keyword' },
+    date: {
+      type: 'date',
+      format: 'strict_date_optional_time||epoch_millis'
+    },
+    [FIELD_NAMES.EMBEDDING]: {
+      properties: {
+        predicted_value: {
+          type: 'dense_vector',
+          dims: EMAIL_INDEX_CONFIG.EMBEDDING_DIMENSIONS,
+          index: true,
+          similarity: SIMILARITY_METRICS.COSINE
+        },
+        model_id: { type: 'keyword' }
+      }
+    }
+  }
+};
+
 // Index configurations combining mappings and settings
 export const indexConfigurations = {
   [INDEX_NAMES.DOCUMENTS]: {
@@ -383,6 +428,15 @@ export const indexConfigurations = {
       'index.lifecycle.name': 'logs_policy',
       'index.lifecycle.rollover_alias': 'logs'
     }
+  },
+  [INDEX_NAMES.EMAILS]: {
+    mappings: emailMapping,
+    settings: {
+      number_of_shards: 1,
+      number_of_replicas: 0,
+      // Every indexed email is embedded, including bulk writes
+      'index.default_pipeline': EMAIL_INDEX_CONFIG.PIPELINE
+    }
   }
 };
 
@@ -2,7 +2,8 @@ import { CredentialsMethod, OpenFgaClient } from '@openfga/sdk';
 
 let connection = null;
 
-const getFgaClient = () => {
+// Created on first use, so modules that only reference permissions load without OpenFGA settings
+export const getFgaClient = () => {
   if (connection) {
     return connection;
   }
@@ -25,5 +26,3 @@ const getFgaClient = () => {
   connection = new OpenFgaClient(config);
   return connection;
 };
-
-export const fgaClient = getFgaClient();
@@ -72,6 +72,9 @@ export const createConnection = async () => {
   return retryWithBackoff(connect, MAX_RETRY_ATTEMPTS, RETRY_INTERVAL);
 };
 
+// Shared connection used by the messaging producers and consumers
+export const getConnection = () => createConnection();
+
 export const closeConnection = asyncHandler(async () => {
   if (!connection) {
     logger.info('No active RabbitMQ connection to close');
@@ -779,5 +779,9 @@ router.post('/sign-out', betterAuthHandler);
 router.get('/get-session', betterAuthHandler);
 router.post('/get-session', betterAuthHandler);
 router.get('/error', betterAuthHandler);
+// Link another Google account to the signed-in user. Unlinking goes through
+// DELETE /emails/accounts/:accountId so the account's stored mail is removed too
+router.post('/link-social', betterAuthHandler);
+router.get('/list-accounts', betterAuthHandler);
 
 export default router;
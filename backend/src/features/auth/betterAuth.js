@@ -1,6 +1,7 @@
 import { betterAuth } from 'better-auth';
 import { mongodbAdapter } from 'better-auth/adapters/mongodb';
 import mongoose from 'mongoose';
+import { GMAIL_COMPOSE_SCOPE, GMAIL_MODIFY_SCOPE } from '../../helpers/gmail.js';
 
 export const auth = betterAuth({
   database: mongodbAdapter(mongoose.connection),
@@ -12,7 +13,17 @@ export const auth = betterAuth({
       clientId: process.env.GOOGLE_CLIENT_ID,
       clientSecret: process.env.GOOGLE_CLIENT_SECRET,
       redirectURI: `${process.env.SERVER_URL}/api/v1/auth/callback/google`,
-      scope: ['openid', 'email', 'profile', 'https://www.googleapis.com/auth/gmail.readonly']
+      // gmail.modify includes read access and allows applying category labels;
+      // gmail.compose allows creating reply drafts
+      scope: ['openid', 'email', 'profile', GMAIL_MODIFY_SCOPE, GMAIL_COMPOSE_SCOPE]
+    }
+  },
+  account: {
+    // Further Google accounts (e.g. work and personal Gmail) can be linked to one user
+    accountLinking: {
+      enabled: true,
+      trustedProviders: ['google'],
+      allowDifferentEmails: true
     }
   },
   baseURL: process.env.SERVER_URL,
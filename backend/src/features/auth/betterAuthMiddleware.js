@@ -1,5 +1,5 @@
-import mongoose from 'mongoose';
 import { logger } from '../../utils/logger.js';
+import { findGoogleAccounts } from '../../helpers/gmail.js';
 import { auth } from './betterAuth.js';
 
 export const betterAuthProtect = async (req, res, next) => {
@@ -27,12 +27,8 @@ export const betterAuthProtect = async (req, res, next) => {
       return res.status(401).json({ success: false, message: 'Unauthorized' });
     }
 
-    const { db } = mongoose.connection;
-    const accountsCollection = db.collection('account');
-    const googleAccount = await accountsCollection.findOne({
-      userId: new mongoose.Types.ObjectId(session.user.id),
-      providerId: 'google'
-    });
+    // Every linked Google account; the first linked one is the primary account
+    const googleAccounts = await findGoogleAccounts(session.user.id);
     // logger.debug('Google account found', {
     //   meta: {
     //     googleAccount
@@ -40,7 +36,8 @@ export const betterAuthProtect = async (req, res, next) => {
     // });
     req.user = session.user;
     req.session = session;
-    req.googleAccount = googleAccount;
+    req.googleAccounts = googleAccounts;
+    req.googleAccount = googleAccounts[0] ?? null;
     next();
   } catch (error) {
     logger.error('Error in betterAuthProtect', { meta: { error } });
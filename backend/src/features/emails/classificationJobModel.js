@@ -0,0 +1,67 @@
+import mongoose from 'mongoose';
+import { BATCH_STATUS, JOB_STATUS } from './emailsConstants.js';
+
+const batchSchema = new mongoose.Schema(
+  {
+    index: { type: Number, required: true },
+    // Linked Google account the batch's emails belong to
+    accountId: String,
+    emailIds: [String],
+    status: {
+      type: String,
+      enum: Object.values(BATCH_STATUS),
+      default: BATCH_STATUS.QUEUED
+    },
+    attempts: { type: Number, default: 0 },
+    error: String,
+    completedAt: Date
+  },
+  { _id: false }
+);
+
+const classificationJobSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'user',
+      required: true,
+      index: true
+    },
+    status: {
+      type: String,
+      enum: Object.values(JOB_STATUS),
+      default: JOB_STATUS.QUEUED,
+      index: true
+    },
+    totalEmails: { type: Number, required: true },
+    totalBatches: { type: Number, required: true },
+    completedBatches: { type: Number, default: 0 },
+    failedBatches: { type: Number, default: 0 },
+    batches: [batchSchema],
+    // Partial results, appended as each batch completes
+    results: [
+      {
+        _id: false,
+        gmailId: String,
+        category: String,
+        confidence: Number,
+        // True when the default category was used because the model gave no valid answer
+        error: Boolean
+      }
+    ],
+    failures: [
+      {
+        _id: false,
+        gmailId: String,
+        error: String
+      }
+    ],
+    startedAt: Date,
+    completedAt: Date
+  },
+  {
+    timestamps: true
+  }
+);
+
+export const ClassificationJob = mongoose.model('ClassificationJob', classificationJobSchema);
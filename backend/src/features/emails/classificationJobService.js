@@ -0,0 +1,311 @@
+import asyncHandler from 'express-async-handler';
+import { logger } from '../../utils/logger.js';
+import { findGoogleAccount } from '../../helpers/gmail.js';
+import {
+  createProducer,
+  ExchangeTypes
+} from '../../helpers/messaging/producers/rabbitMQProducer.js';
+import {
+  bindQueue,
+  consumeQueue,
+  createConsumerState,
+  setupRetryQueue
+} from '../../helpers/messaging/consumers/rabbitMQConsumer.js';
+import * as emailsRepository from './emailsRepository.js';
+import { applyCategoryLabels } from './gmailLabelsService.js';
+import { groupEmailIdsByAccount } from './emailAccountsService.js';
+import { resolveGeminiApiKey } from '../secrets/secretsService.js';
+import { chunk } from './emailsUtils.js';
+import { getFinishedJobStatus, getJobProgress } from './classificationJobUtils.js';
+import {
+  classifyAndStoreEmails,
+  getEmailsByIds,
+  getPendingClassifications
+} from './emailsService.js';
+import {
+  BATCH_STATUS,
+  CLASSIFICATION_QUEUE,
+  EMAIL_MESSAGES,
+  MAILBOX_PROVIDERS
+} from './emailsConstants.js';
+
+// Retry schedule for failed batches; a batch is marked failed once these run out
+const RETRY_CONFIG = {
+  enabled: true,
+  maxRetries: 3,
+  delays: [5000, 30000, 120000]
+};
+
+let producerPromise = null;
+
+// Lazily create a single producer; this also asserts the exchange
+const getProducer = () => {
+  if (!process.env.RABBITMQ_URL) {
+    return Promise.reject(new Error(EMAIL_MESSAGES.CLASSIFICATION_QUEUE_UNAVAILABLE));
+  }
+  if (!producerPromise) {
+    producerPromise = createProducer(CLASSIFICATION_QUEUE.EXCHANGE, ExchangeTypes.DIRECT).catch(
+      (error) => {
+        producerPromise = null;
+        throw error;
+      }
+    );
+  }
+  return producerPromise;
+};
+
+// Close the job once every batch has either completed or exhausted its retries
+const finishJobIfDone = async (job, repository = emailsRepository) => {
+  const status = job && getFinishedJobStatus(job);
+  if (!status) {
+    return;
+  }
+
+  await repository.finishClassificationJob(job._id, status);
+
+  logger.info('Classification job finished', {
+    meta: { jobId: job._id, status, failedBatches: job.failedBatches }
+  });
+};
+
+/**
+ * Create a classification job and queue one message per batch of emails.
+ * Batches never mix mailboxes, so each is classified and labelled in its own
+ * mailbox. Each batch resolves the user's Gemini API key when it runs, so no
+ * key travels through the queue. Returns null without creating a job when the
+ * broker is not configured or cannot be reached. When publishing fails part
+ * way, the batches that were not queued are marked failed before the error is
+ * rethrown, so the job still finishes.
+ */
+export const createClassificationJob = asyncHandler(async (userId, mailboxes, emailIds) => {
+  let producer;
+  try {
+    producer = await getProducer();
+  } catch (error) {
+    logger.error('Classification queue unavailable', { meta: { userId, error: error.message } });
+    return null;
+  }
+
+  const groups = await groupEmailIdsByAccount(userId, mailboxes, [...new Set(emailIds)]);
+  const batches = groups.flatMap(({ account, gmailIds }) =>
+    chunk(gmailIds, CLASSIFICATION_QUEUE.BATCH_SIZE).map((ids) => ({
+      accountId: account.accountId,
+      emailIds: ids
+    }))
+  );
+
+  const job = await emailsRepository.createClassificationJob({
+    userId,
+    totalEmails: batches.reduce((sum, batch) => sum + batch.emailIds.length, 0),
+    totalBatches: batches.length,
+    batches: batches.map((batch, index) => ({ index, ...batch }))
+  });
+
+  let published = 0;
+  try {
+    for (const batch of job.batches) {
+      await producer.publishWithRetry(
+        {
+          jobId: job._id.toString(),
+          userId,
+          batchIndex: batch.index
+        },
+        CLASSIFICATION_QUEUE.ROUTING_KEY
+      );
+      published++;
+    }
+  } catch (error) {
+    const unpublished = job.batches.slice(published);
+    logger.error('Failed to queue classification batches', {
+      meta: { jobId: job._id, userId, unpublished: unpublished.length, error: error.message }
+    });
+
+    const updatedJob = await emailsRepository.failBatches(
+      job._id,
+      unpublished.map((batch) => batch.index),
+      error.message,
+      unpublished.flatMap((batch) =>
+        batch.emailIds.map((gmailId) => ({ gmailId, error: error.message }))
+      )
+    );
+    await finishJobIfDone(updatedJob);
+    throw error;
+  }
+
+  logger.info('Classification job queued', {
+    meta: { jobId: job._id, userId, totalEmails: job.totalEmails, batches: job.totalBatches }
+  });
+
+  return {
+    id: job._id,
+    status: job.status,
+    totalEmails: job.totalEmails,
+    progress: getJobProgress(job)
+  };
+});
+
+export const getClassificationJob = asyncHandler(async (userId, jobId) => {
+  const job = await emailsRepository.findClassificationJob(userId, jobId);
+
+  if (!job) {
+    return null;
+  }
+
+  return {
+    id: job._id,
+    status: job.status,
+    totalEmails: job.totalEmails,
+    progress: getJobProgress(job),
+    batches: job.batches,
+    results: job.results,
+    failures: job.failures,
+    startedAt: job.startedAt,
+    completedAt: job.completedAt,
+    createdAt: job.createdAt
+  };
+});
+
+// Batches queued before accounts were tracked have no accountId and use the primary account
+const findBatchMailbox = async (userId, accountId) => {
+  const googleAccount = await findGoogleAccount(userId, accountId);
+  if (googleAccount || !accountId) {
+    return googleAccount;
+  }
+  return await emailsRepository.findMailboxAccount(userId, accountId);
+};
+
+/**
+ * Classify emails of one mailbox, reusing stored classifications, and label
+ * them in Gmail for Google accounts. Throws when a Gemini key is needed but
+ * missing or the daily limit of the organization or deployment key is used up.
+ * Returns the classifications.
+ */
+export const classifyMailboxEmails = asyncHandler(async (userId, mailbox, emailIds) => {
+  const stored = await getEmailsByIds(userId, emailIds, mailbox);
+  const emails = stored.map((email) => ({
+    id: email.gmailId,
+    from: email.from,
+    subject: email.subject,
+    snippet: email.snippet,
+    labelIds: email.labelIds
+  }));
+
+  const { classified, pending } = await getPendingClassifications(userId, emails);
+
+  let geminiKey = null;
+  if (pending.length > 0) {
+    geminiKey = await resolveGeminiApiKey(userId, pending.length);
+
+    if (!geminiKey) {
+      throw new Error(EMAIL_MESSAGES.GEMINI_API_KEY_REQUIRED);
+    }
+    if (geminiKey.limitReached) {
+      throw new Error(EMAIL_MESSAGES.GEMINI_KEY_ALLOWANCE_REACHED);
+    }
+  }
+
+  const classifications = await classifyAndStoreEmails(userId, pending, geminiKey?.apiKey);
+  for (const classification of classifications) {
+    classified.set(classification.gmailId, classification);
+  }
+
+  // Category labels are only written back to Gmail
+  if (mailbox.providerId === MAILBOX_PROVIDERS.GMAIL) {
+    await applyCategoryLabels(userId, [mailbox], [...classified.values()]);
+  }
+
+  return [...classified.values()];
+});
+
+/**
+ * Queue handler for a single batch. Throwing hands the message back to the
+ * consumer's retry queue; on the last attempt the batch is marked failed instead.
+ * The repository, mailbox lookup and classifier can be swapped for tests.
+ */
+export const processClassificationBatch = async (
+  message,
+  msg,
+  {
+    repository = emailsRepository,
+    findMailbox = findBatchMailbox,
+    classify = classifyMailboxEmails
+  } = {}
+) => {
+  const { jobId, userId, batchIndex } = message;
+  const attempt = (msg?.properties?.headers?.['x-retry-count'] || 0) + 1;
+
+  const job = await repository.findClassificationJobById(jobId);
+  const batch = job?.batches.find((b) => b.index === batchIndex);
+
+  // Unknown job or a redelivery of a batch that already finished
+  if (!batch || [BATCH_STATUS.COMPLETED, BATCH_STATUS.FAILED].includes(batch.status)) {
+    return;
+  }
+
+  await repository.markBatchRunning(jobId, batchIndex, attempt);
+
+  try {
+    const mailbox = await findMailbox(userId, batch.accountId);
+    const google = mailbox?.providerId === MAILBOX_PROVIDERS.GMAIL;
+    if (!mailbox || (google && !mailbox.accessToken)) {
+      throw new Error(EMAIL_MESSAGES.MAILBOX_NOT_CONNECTED);
+    }
+
+    const classified = await classify(userId, mailbox, batch.emailIds);
+
+    const results = classified.map(({ gmailId, category, confidence, error }) => ({
+      gmailId,
+      category,
+      confidence,
+      error: Boolean(error)
+    }));
+
+    const updatedJob = await repository.completeBatch(jobId, batchIndex, results);
+    await finishJobIfDone(updatedJob, repository);
+  } catch (error) {
+    if (attempt <= RETRY_CONFIG.maxRetries) {
+      await repository.recordBatchError(jobId, batchIndex, error.message);
+      throw error;
+    }
+
+    logger.error('Classification batch failed after retries', {
+      meta: { jobId, batchIndex, attempts: attempt, error: error.message }
+    });
+
+    const failures = batch.emailIds.map((gmailId) => ({ gmailId, error: error.message }));
+    const updatedJob = await repository.failBatch(jobId, batchIndex, error.message, failures);
+    await finishJobIfDone(updatedJob, repository);
+  }
+};
+
+/**
+ * Start consuming classification batches. Requires RABBITMQ_URL.
+ */
+export const startClassificationWorker = asyncHandler(async () => {
+  // Asserts the exchange before the queue is bound to it
+  await getProducer();
+
+  const consumerState = {
+    ...createConsumerState(CLASSIFICATION_QUEUE.QUEUE, {
+      deadLetterExchange: `${CLASSIFICATION_QUEUE.QUEUE}.dlx`
+    }),
+    retryConfig: RETRY_CONFIG
+  };
+
+  let state = await bindQueue(
+    consumerState,
+    CLASSIFICATION_QUEUE.EXCHANGE,
+    CLASSIFICATION_QUEUE.ROUTING_KEY
+  );
+  state = await setupRetryQueue(state);
+  state = await consumeQueue(state, processClassificationBatch, {
+    prefetch: 1,
+    setupRetryQueue: false
+  });
+
+  logger.info('Classification worker started', {
+    meta: { queueName: state.queueName, consumerTag: state.consumerTag }
+  });
+
+  return state;
+});
@@ -0,0 +1,24 @@
+import { JOB_STATUS } from './emailsConstants.js';
+
+// Batch counts of a job and the share of batches that are done either way
+export const getJobProgress = (job) => ({
+  totalBatches: job.totalBatches,
+  completedBatches: job.completedBatches,
+  failedBatches: job.failedBatches,
+  percent: Math.round(((job.completedBatches + job.failedBatches) / job.totalBatches) * 100)
+});
+
+/**
+ * The final status of a job whose batches have all completed or failed:
+ * failed when none succeeded, completed with errors when some failed.
+ * Returns null while batches are still outstanding.
+ */
+export const getFinishedJobStatus = (job) => {
+  if (job.completedBatches + job.failedBatches < job.totalBatches) {
+    return null;
+  }
+  if (job.failedBatches === job.totalBatches) {
+    return JOB_STATUS.FAILED;
+  }
+  return job.failedBatches > 0 ? JOB_STATUS.COMPLETED_WITH_ERRORS : JOB_STATUS.COMPLETED;
+};
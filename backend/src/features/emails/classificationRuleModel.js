@@ -0,0 +1,47 @@
+import mongoose from 'mongoose';
+import { RULE_ORIGIN, RULE_TYPES } from './emailsConstants.js';
+
+const classificationRuleSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'user',
+      required: true,
+      index: true
+    },
+    type: {
+      type: String,
+      enum: Object.values(RULE_TYPES),
+      required: true
+    },
+    // Address, domain, regular expression source or Gmail label id, depending on type
+    pattern: {
+      type: String,
+      required: true
+    },
+    category: {
+      type: String,
+      required: true
+    },
+    // Lower values are checked first
+    priority: {
+      type: Number,
+      default: 0
+    },
+    enabled: {
+      type: Boolean,
+      default: true
+    },
+    // Rules learned from corrections can be re-pointed by later corrections
+    origin: {
+      type: String,
+      enum: Object.values(RULE_ORIGIN),
+      default: RULE_ORIGIN.USER
+    }
+  },
+  {
+    timestamps: true
+  }
+);
+
+export const ClassificationRule = mongoose.model('ClassificationRule', classificationRuleSchema);
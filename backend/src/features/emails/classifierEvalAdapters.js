@@ -0,0 +1,52 @@
+import { DEFAULT_CATEGORY } from './emailsConstants.js';
+
+// Checked in order; the first category whose pattern matches wins
+const STUB_KEYWORDS = [
+  [
+    'spam',
+    /\b(lottery|winner|prize|claim now|wire transfer|bitcoin|crypto giveaway|inheritance)\b/i
+  ],
+  [
+    'social',
+    /\b(linkedin|facebook|instagram|twitter|mentioned you|friend request|new follower|tagged you|connection request)\b/i
+  ],
+  ['promotions', /\b(\d+% off|sale|discount|coupon|promo code|deal|free shipping|offer)\b/i],
+  ['marketing', /\b(newsletter|digest|webinar|product update|what's new|unsubscribe)\b/i],
+  [
+    'important',
+    /\b(invoice|meeting|deadline|due|contract|interview|urgent|action required|payment)\b/i
+  ]
+];
+
+// Read the email back out of the fenced prompt, as a real model would see it
+const getFencedContent = (prompt, systemInstruction) => {
+  const boundary = systemInstruction?.match(/<<<EMAIL (\w+)>>>/)?.[1];
+  if (!boundary) {
+    return prompt;
+  }
+  const start = prompt.indexOf(`<<<EMAIL ${boundary}>>>`);
+  const end = prompt.indexOf(`<<<END EMAIL ${boundary}>>>`);
+  return start === -1 || end === -1 ? prompt : prompt.slice(start, end);
+};
+
+/**
+ * Deterministic keyword model with the same call signature as generateJson.
+ * It makes no network calls, so evaluation runs offline and in CI; its
+ * scores only say whether the pipeline around the model still works.
+ */
+export const createStubAdapter =
+  () =>
+  async (prompt, schema, opts = {}) => {
+    const content = getFencedContent(prompt, opts.config?.systemInstruction);
+    const allowed = schema.properties.category.enum;
+    const match = STUB_KEYWORDS.find(
+      ([category, pattern]) => allowed.includes(category) && pattern.test(content)
+    );
+
+    return {
+      category: match?.[0] ?? (allowed.includes(DEFAULT_CATEGORY) ? DEFAULT_CATEGORY : allowed[0]),
+      confidence: match ? 0.9 : 0.5,
+      reason: match ? `Matched ${match[0]} keywords` : 'No keywords matched',
+      possible_injection: false
+    };
+  };
@@ -0,0 +1,172 @@
+import { DEFAULT_CATEGORY } from './emailsConstants.js';
+
+const round = (value) => Math.round(value * 10000) / 10000;
+
+const safeDivide = (numerator, denominator) => (denominator ? numerator / denominator : 0);
+
+/**
+ * Parse a labelled JSONL dataset. Each non-empty line is one email with
+ * `id`, `from`, `subject`, `snippet` and the expected `label`. Throws with
+ * the line number on the first malformed line.
+ */
+export const parseEvalDataset = (text) => {
+  const examples = [];
+  const seen = new Set();
+
+  text.split('\n').forEach((line, index) => {
+    if (!line.trim()) {
+      return;
+    }
+
+    let example;
+    try {
+      example = JSON.parse(line);
+    } catch (error) {
+      throw new Error(`Line ${index + 1}: invalid JSON (${error.message})`);
+    }
+
+    if (!example.id || !example.label) {
+      throw new Error(`Line ${index + 1}: "id" and "label" are required`);
+    }
+    if (seen.has(example.id)) {
+      throw new Error(`Line ${index + 1}: duplicate id "${example.id}"`);
+    }
+
+    seen.add(example.id);
+    examples.push(example);
+  });
+
+  return examples;
+};
+
+/**
+ * Count predictions per expected label. Rows are expected labels and columns
+ * predicted labels, both in `categories` order.
+ */
+export const buildConfusionMatrix = (expected, predicted, categories) => {
+  const matrix = Object.fromEntries(
+    categories.map((row) => [row, Object.fromEntries(categories.map((col) => [col, 0]))])
+  );
+
+  expected.forEach((label, index) => {
+    const prediction = predicted[index];
+    if (matrix[label] && prediction in matrix[label]) {
+      matrix[label][prediction]++;
+    }
+  });
+
+  return matrix;
+};
+
+/**
+ * Per-category precision, recall and F1 plus accuracy and macro averages
+ * over the categories that appear in the dataset.
+ */
+export const computeClassificationMetrics = (expected, predicted, categories) => {
+  const confusionMatrix = buildConfusionMatrix(expected, predicted, categories);
+  const perCategory = {};
+
+  for (const category of categories) {
+    const truePositives = confusionMatrix[category][category];
+    const support = categories.reduce((sum, col) => sum + confusionMatrix[category][col], 0);
+    const predictedCount = categories.reduce((sum, row) => sum + confusionMatrix[row][category], 0);
+
+    const precision = safeDivide(truePositives, predictedCount);
+    const recall = safeDivide(truePositives, support);
+
+    perCategory[category] = {
+      precision: round(precision),
+      recall: round(recall),
+      f1: round(safeDivide(2 * precision * recall, precision + recall)),
+      support
+    };
+  }
+
+  const present = categories.filter((category) => perCategory[category].support > 0);
+  const average = (metric) =>
+    round(
+      safeDivide(
+        present.reduce((sum, c) => sum + perCategory[c][metric], 0),
+        present.length
+      )
+    );
+  const correct = expected.filter((label, index) => label === predicted[index]).length;
+
+  return {
+    total: expected.length,
+    accuracy: round(safeDivide(correct, expected.length)),
+    macro: { precision: average('precision'), recall: average('recall'), f1: average('f1') },
+    perCategory,
+    confusionMatrix
+  };
+};
+
+/**
+ * Compare metrics with a saved baseline. Any F1 (macro or per category) or
+ * accuracy that dropped by more than `tolerance` is a regression.
+ */
+export const compareWithBaseline = (metrics, baseline, tolerance = 0) => {
+  const deltas = [];
+  const track = (name, current, previous) => {
+    if (previous === undefined) {
+      return;
+    }
+    const delta = round(current - previous);
+    deltas.push({ name, current, baseline: previous, delta, regression: delta < -tolerance });
+  };
+
+  track('accuracy', metrics.accuracy, baseline.accuracy);
+  track('macro.f1', metrics.macro.f1, baseline.macro?.f1);
+  for (const [category, { f1 }] of Object.entries(metrics.perCategory)) {
+    track(`${category}.f1`, f1, baseline.perCategory?.[category]?.f1);
+  }
+
+  return { deltas, regressions: deltas.filter((delta) => delta.regression) };
+};
+
+const pad = (value, width) => String(value).padEnd(width);
+const percent = (value) => `${(value * 100).toFixed(1)}%`;
+
+/**
+ * Plain text report: the metrics table, the confusion matrix and, when a
+ * comparison is given, the changes against the baseline.
+ */
+export const formatEvalReport = (metrics, comparison) => {
+  const categories = Object.keys(metrics.perCategory);
+  const width = Math.max(12, ...categories.map((c) => c.length + 2));
+  const lines = [
+    `Emails: ${metrics.total}  Accuracy: ${percent(metrics.accuracy)}  Macro F1: ${percent(metrics.macro.f1)}`,
+    '',
+    `${pad('category', width)}${pad('precision', 11)}${pad('recall', 11)}${pad('f1', 11)}support`
+  ];
+
+  for (const [category, m] of Object.entries(metrics.perCategory)) {
+    lines.push(
+      `${pad(category, width)}${pad(percent(m.precision), 11)}${pad(percent(m.recall), 11)}${pad(percent(m.f1), 11)}${m.support}`
+    );
+  }
+
+  lines.push('', 'Confusion matrix (rows: expected, columns: predicted)');
+  lines.push(pad('', width) + categories.map((c) => pad(c, width)).join(''));
+  for (const row of categories) {
+    lines.push(
+      pad(row, width) +
+        categories.map((col) => pad(metrics.confusionMatrix[row][col], width)).join('')
+    );
+  }
+
+  if (comparison) {
+    lines.push('', 'Against baseline');
+    for (const { name, current, baseline, delta, regression } of comparison.deltas) {
+      const sign = delta > 0 ? '+' : '';
+      lines.push(
+        `${pad(name, width + 6)}${pad(percent(baseline), 9)}-> ${pad(percent(current), 9)}${sign}${percent(delta)}${regression ? '  REGRESSION' : ''}`
+      );
+    }
+  }
+
+  return lines.join('\n');
+};
+
+// Predictions the classifier could not make still count, as the default category
+export const getPredictedLabel = (result) => result?.category ?? DEFAULT_CATEGORY;
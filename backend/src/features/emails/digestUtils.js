@@ -0,0 +1,172 @@
+import { DIGEST_CONFIG, DIGEST_SKIP_REASONS } from './emailsConstants.js';
+
+const MINUTE_MS = 60 * 1000;
+
+// Saved digest settings merged over the defaults
+export const getDigestSettings = (settings) => ({
+  enabled: settings?.digest?.enabled ?? false,
+  time: settings?.digest?.time ?? DIGEST_CONFIG.DEFAULT_TIME,
+  timezone: settings?.digest?.timezone ?? DIGEST_CONFIG.DEFAULT_TIMEZONE,
+  channel: settings?.digest?.channel ?? DIGEST_CONFIG.DEFAULT_CHANNEL,
+  nextRunAt: settings?.digest?.nextRunAt ?? null,
+  lastSentAt: settings?.digest?.lastSentAt ?? null
+});
+
+export const isValidTimezone = (timezone) => {
+  try {
+    Intl.DateTimeFormat(undefined, { timeZone: timezone });
+    return true;
+  } catch {
+    return false;
+  }
+};
+
+const parseTime = (time) => time.split(':').map(Number);
+
+// Wall clock date and time of an instant in a timezone
+const getZonedParts = (date, timezone) => {
+  const parts = Object.fromEntries(
+    new Intl.DateTimeFormat('en-US', {
+      timeZone: timezone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: 'numeric',
+      day: 'numeric',
+      hour: 'numeric',
+      minute: 'numeric'
+    })
+      .formatToParts(date)
+      .map(({ type, value }) => [type, Number(value)])
+  );
+  return { ...parts, month: parts.month - 1 };
+};
+
+const getOffset = (date, timezone) => {
+  const { year, month, day, hour, minute } = getZonedParts(date, timezone);
+  return (
+    Date.UTC(year, month, day, hour, minute) - Math.floor(date.getTime() / MINUTE_MS) * MINUTE_MS
+  );
+};
+
+/**
+ * The instant a wall clock time occurs in a timezone. Times skipped by a DST
+ * change resolve to the same time after the shift.
+ */
+export const zonedTimeToUtc = ({ year, month, day, hour, minute }, timezone) => {
+  const guess = Date.UTC(year, month, day, hour, minute);
+  const first = new Date(guess - getOffset(new Date(guess), timezone));
+  const second = new Date(guess - getOffset(first, timezone));
+
+  // Inside a DST gap the second guess lands before the shift; the first is after it
+  const local = getZonedParts(second, timezone);
+  return local.hour === hour && local.minute === minute ? second : first;
+};
+
+/**
+ * Next time the digest is due after `after`: today at `time` in the
+ * timezone, or tomorrow when that has passed.
+ */
+export const getNextDigestRun = (time, timezone, after = new Date()) => {
+  const [hour, minute] = parseTime(time);
+  const today = getZonedParts(after, timezone);
+
+  const candidate = zonedTimeToUtc({ ...today, hour, minute }, timezone);
+  if (candidate > after) {
+    return candidate;
+  }
+
+  // Date.UTC rolls the day over into the next month or year
+  const tomorrow = new Date(Date.UTC(today.year, today.month, today.day + 1));
+  return zonedTimeToUtc(
+    {
+      year: tomorrow.getUTCFullYear(),
+      month: tomorrow.getUTCMonth(),
+      day: tomorrow.getUTCDate(),
+      hour,
+      minute
+    },
+    timezone
+  );
+};
+
+// Whether a local HH:MM time falls between start and end; windows may cross midnight
+export const isTimeInWindow = (time, start, end) => {
+  if (!start || !end) {
+    return false;
+  }
+  return start <= end ? time >= start && time < end : time >= start || time < end;
+};
+
+const formatLocalTime = (date, timezone) => {
+  const { hour, minute } = getZonedParts(date, timezone);
+  return `${String(hour).padStart(2, '0')}:${String(minute).padStart(2, '0')}`;
+};
+
+// YYYY-MM-DD of an instant in a timezone
+export const formatLocalDate = (date, timezone) => {
+  const { year, month, day } = getZonedParts(date, timezone);
+  return `${year}-${String(month + 1).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+};
+
+/**
+ * Why notification preferences stop the digest on a channel right now, or
+ * null when it may be sent. A disabled channel blocks the digest when the
+ * setting covers every workflow (empty list) or names the digest workflow;
+ * do-not-disturb and quiet hours apply in the preferences' timezone.
+ */
+export const getDigestBlockReason = (preferences, channel, now = new Date()) => {
+  const channelPrefs = preferences?.channels?.[channel];
+  const workflows = channelPrefs?.workflows || [];
+
+  if (
+    channelPrefs?.enabled === false &&
+    (workflows.length === 0 || workflows.includes(DIGEST_CONFIG.WORKFLOW_ID))
+  ) {
+    return DIGEST_SKIP_REASONS.CHANNEL_DISABLED;
+  }
+
+  const { doNotDisturb, quietHours, timezone } = preferences?.globalSettings || {};
+  const localTime = formatLocalTime(now, isValidTimezone(timezone) ? timezone : 'UTC');
+
+  for (const period of [doNotDisturb, quietHours]) {
+    if (period?.enabled && isTimeInWindow(localTime, period.startTime, period.endTime)) {
+      return DIGEST_SKIP_REASONS.DO_NOT_DISTURB;
+    }
+  }
+
+  return null;
+};
+
+export const isDigestEmpty = (digest) => digest.total === 0 && digest.actionItems.length === 0;
+
+// Plain text version of a digest, shown by the preview
+export const renderDigestText = (digest) => {
+  const lines = [`Your inbox digest for ${digest.date}`, ''];
+
+  lines.push(
+    digest.total === 0
+      ? 'No new emails in the last day.'
+      : `${digest.total} new emails: ${digest.categories
+          .map((c) => `${c.count} ${c.category}`)
+          .join(', ')}`
+  );
+
+  if (digest.importantEmails.length > 0) {
+    lines.push('', 'Important');
+    for (const email of digest.importantEmails) {
+      lines.push(`- ${email.subject} (${email.from})`);
+      if (email.summary) {
+        lines.push(`  ${email.summary}`);
+      }
+    }
+  }
+
+  if (digest.actionItems.length > 0) {
+    lines.push('', 'Action items');
+    for (const item of digest.actionItems) {
+      lines.push(`- ${item.description}${item.dueDate ? ` (due ${item.dueDate})` : ''}`);
+    }
+  }
+
+  return lines.join('\n');
+};
@@ -0,0 +1,128 @@
+import asyncHandler from 'express-async-handler';
+import mongoose from 'mongoose';
+import { logger } from '../../utils/logger.js';
+import { encryptSecret } from '../../helpers/encryption.js';
+import { GMAIL_COMPOSE_SCOPE, GMAIL_MODIFY_SCOPE, hasGmailScope } from '../../helpers/gmail.js';
+import * as emailsRepository from './emailsRepository.js';
+import { connectImap, getImapSecretContext } from './imapMailboxProvider.js';
+import { groupByAccount, pickAccount } from './emailsUtils.js';
+import { MAILBOX_PROVIDERS } from './emailsConstants.js';
+
+/**
+ * Every mailbox of the user: the linked Google accounts, the primary (first
+ * linked) one first, followed by IMAP and imported mailboxes
+ */
+export const listMailboxes = asyncHandler(async (userId, googleAccounts) => [
+  ...googleAccounts,
+  ...(await emailsRepository.findMailboxAccounts(userId))
+]);
+
+/**
+ * Mailboxes with the address and sync state of each. The address of a Google
+ * account is known once the mailbox has been synced.
+ */
+export const listAccounts = asyncHandler(async (userId, mailboxes) => {
+  const syncStates = await emailsRepository.findSyncStates(userId);
+  const syncStatesByAccount = new Map(syncStates.map((s) => [s.accountId, s]));
+
+  return mailboxes.map((mailbox, index) => {
+    const syncState = syncStatesByAccount.get(mailbox.accountId);
+    const google = mailbox.providerId === MAILBOX_PROVIDERS.GMAIL;
+
+    return {
+      accountId: mailbox.accountId,
+      provider: mailbox.providerId,
+      name: mailbox.name ?? null,
+      emailAddress: syncState?.emailAddress ?? mailbox.emailAddress ?? null,
+      primary: google && index === 0,
+      linkedAt: mailbox.createdAt ?? null,
+      gmailModifyGranted: google && hasGmailScope(mailbox, GMAIL_MODIFY_SCOPE),
+      gmailComposeGranted: google && hasGmailScope(mailbox, GMAIL_COMPOSE_SCOPE),
+      syncStatus: syncState?.status ?? null,
+      lastSyncedAt: syncState?.lastSyncedAt ?? null
+    };
+  });
+});
+
+// The mailbox a stored message belongs to, the primary account for untracked ones
+export const getEmailAccount = asyncHandler(async (userId, mailboxes, gmailId) => {
+  const [email] = await emailsRepository.findEmailsByGmailIds(userId, [gmailId]);
+  return pickAccount(mailboxes, email?.accountId);
+});
+
+// The mailbox a stored thread belongs to, the primary account for untracked ones
+export const getThreadAccount = asyncHandler(async (userId, mailboxes, threadId) => {
+  const email = await emailsRepository.findEmailByThreadId(userId, threadId);
+  return pickAccount(mailboxes, email?.accountId);
+});
+
+/**
+ * Split message ids by the mailbox they belong to, so changes can be made in
+ * the right one. Returns [{ account, gmailIds }].
+ */
+export const groupEmailIdsByAccount = asyncHandler(async (userId, mailboxes, gmailIds) => {
+  const stored = await emailsRepository.findEmailsByGmailIds(userId, gmailIds);
+  const accountIdsByGmailId = new Map(stored.map((e) => [e.gmailId, e.accountId]));
+
+  return groupByAccount(gmailIds, accountIdsByGmailId, mailboxes);
+});
+
+/**
+ * Add an IMAP mailbox. The login is tried before anything is stored, so
+ * wrong settings are reported straight away; the password is kept encrypted.
+ */
+export const connectImapAccount = asyncHandler(async (userId, settings) => {
+  const { name, emailAddress, password, mailbox, ...server } = settings;
+
+  const client = await connectImap({ ...server, password });
+  await client.logout();
+
+  // The id is part of the encryption context, so it is chosen up front
+  const accountId = new mongoose.Types.ObjectId().toString();
+  const account = await emailsRepository.createMailboxAccount(userId, {
+    accountId,
+    providerId: MAILBOX_PROVIDERS.IMAP,
+    name: name || emailAddress || server.username,
+    emailAddress: emailAddress || null,
+    imap: {
+      ...server,
+      mailbox,
+      password: encryptSecret(password, getImapSecretContext(userId, accountId))
+    }
+  });
+
+  logger.info('IMAP mailbox connected', {
+    meta: { userId, accountId, host: server.host }
+  });
+
+  return account;
+});
+
+/**
+ * Remove everything stored for one mailbox: its emails with their
+ * classifications, corrections and summaries, imported sources, sync state
+ * and, for mailboxes other than Google accounts, the mailbox itself. Pending
+ * subscription cleanups leave its messages out.
+ */
+export const deleteAccountData = asyncHandler(async (userId, accountId) => {
+  const emails = await emailsRepository.findAccountEmailIds(userId, accountId);
+  const gmailIds = emails.map((e) => e.gmailId);
+  const threadIds = [...new Set(emails.map((e) => e.threadId).filter(Boolean))];
+
+  await emailsRepository.deleteClassificationsByGmailIds(userId, gmailIds);
+  await emailsRepository.deleteCorrectionsByGmailIds(userId, gmailIds);
+  await emailsRepository.deleteSummariesByTargets(userId, [...gmailIds, ...threadIds]);
+  await emailsRepository.deleteReceiptsByAccount(userId, accountId);
+  await emailsRepository.deleteEventsByAccount(userId, accountId);
+  await emailsRepository.removeFromPendingCleanupJobs(userId, gmailIds);
+  await emailsRepository.deleteEmailsByAccount(userId, accountId);
+  await emailsRepository.deleteSyncState(userId, accountId);
+  await emailsRepository.deleteImportedMessages(userId, accountId);
+  await emailsRepository.deleteMailboxAccount(userId, accountId);
+
+  logger.info('Mailbox data deleted', {
+    meta: { userId, accountId, emails: gmailIds.length }
+  });
+
+  return { deletedEmails: gmailIds.length };
+});
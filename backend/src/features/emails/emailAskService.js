@@ -0,0 +1,194 @@
+import asyncHandler from 'express-async-handler';
+import { randomBytes } from 'crypto';
+import { logger } from '../../utils/logger.js';
+import { generateJson } from '../../helpers/gemini.js';
+import { mapWithConcurrency } from '../../helpers/generalHelper.js';
+import * as searchRepository from '../search/searchRepository.js';
+import { INDEX_NAMES } from '../search/searchConstants.js';
+import * as emailsRepository from './emailsRepository.js';
+import { getEmailDetail, getStoredEmails } from './emailsService.js';
+import { buildEmailSearchQuery, getSearchHits } from './emailSearchUtils.js';
+import { detectPromptInjection, pickAccount } from './emailsUtils.js';
+import { getRedactionPolicy, redactText } from './redactionUtils.js';
+import {
+  buildAskInput,
+  buildAskInstruction,
+  buildAskPrompt,
+  buildAskSchema,
+  buildRetrievalText,
+  getCandidateIds,
+  getConversationTitle,
+  normalizeAnswer,
+  serializeConversation
+} from './askUtils.js';
+import {
+  ASK_CONFIG,
+  CLASSIFICATION_FLAGS,
+  CONVERSATION_ROLES,
+  SEARCH_MODES
+} from './emailsConstants.js';
+
+// Nearest emails to the text by embedding, only among the user's documents
+const retrieveEmailIds = async (userId, text) => {
+  const response = await searchRepository.executeKNNSearch(
+    buildEmailSearchQuery(userId, {
+      q: text,
+      mode: SEARCH_MODES.SEMANTIC,
+      limit: ASK_CONFIG.CANDIDATES
+    }),
+    INDEX_NAMES.EMAILS
+  );
+  return getSearchHits(response).emailIds;
+};
+
+// Candidates with their bodies from the mailbox; as stored when the mailbox has no body
+const loadEmails = async (userId, mailboxes, emailIds) => {
+  const stored = await getStoredEmails(userId, emailIds);
+
+  return await mapWithConcurrency(stored, ASK_CONFIG.FETCH_CONCURRENCY, async (email) => {
+    const mailbox = pickAccount(mailboxes, email.accountId);
+    try {
+      return (mailbox && (await getEmailDetail(userId, mailbox, email.id))) || email;
+    } catch (error) {
+      logger.warn('Email body unavailable for a question, using the snippet', {
+        meta: { userId, emailId: email.id, error: error.message }
+      });
+      return email;
+    }
+  });
+};
+
+// The stored conversation with its turns, or null when the user has no such conversation
+export const findConversation = asyncHandler(
+  async (userId, conversationId) => await emailsRepository.findConversation(userId, conversationId)
+);
+
+export const getConversation = asyncHandler(async (userId, conversationId) => {
+  const conversation = await emailsRepository.findConversation(userId, conversationId);
+  return conversation && serializeConversation(conversation);
+});
+
+export const listConversations = asyncHandler(async (userId) => {
+  const conversations = await emailsRepository.findConversations(
+    userId,
+    ASK_CONFIG.CONVERSATIONS_LIMIT
+  );
+  return conversations.map(serializeConversation);
+});
+
+export const deleteConversation = asyncHandler(async (userId, conversationId) => {
+  const { deletedCount } = await emailsRepository.deleteConversation(userId, conversationId);
+  return deletedCount > 0;
+});
+
+/**
+ * Retrieve the emails a question is about and build the redacted prompt text
+ * for them. Follow-ups also search with the previous question and reuse the
+ * emails the last answer cited. `emails` is empty when nothing matched.
+ */
+export const getAnswerContext = asyncHandler(async (userId, mailboxes, question, turns) => {
+  const retrievedIds = await retrieveEmailIds(userId, buildRetrievalText(question, turns));
+  const emails = await loadEmails(userId, mailboxes, getCandidateIds(retrievedIds, turns));
+
+  const input = buildAskInput(emails);
+  const policy = getRedactionPolicy(await emailsRepository.getEmailSettings(userId));
+  const text = policy.enabled ? redactText(input.text, policy.types).text : input.text;
+  const signals = detectPromptInjection({ snippet: text });
+
+  const includedIds = new Set(input.refs.values());
+  return {
+    emails: emails.filter((email) => includedIds.has(email.id)),
+    refs: input.refs,
+    text,
+    flags: signals.length > 0 ? [CLASSIFICATION_FLAGS.POSSIBLE_INJECTION] : []
+  };
+});
+
+/**
+ * Answer a question from the context with the model, retrying until the
+ * answer validates, and add both turns to the conversation, which is started
+ * when `conversation` is null. Without candidate emails the model is not
+ * asked. Returns null when no attempt gave a usable answer. `generate`
+ * defaults to Gemini.
+ */
+export const answerQuestion = async (
+  userId,
+  { conversation, question, context, apiKey },
+  { generate = generateJson } = {}
+) => {
+  const turns = conversation?.turns || [];
+  let result = { answer: ASK_CONFIG.NO_MATCH_ANSWER, found: false, citations: [] };
+
+  if (context.refs.size > 0) {
+    result = null;
+    const schema = buildAskSchema();
+    const today = new Date().toISOString().slice(0, 10);
+
+    for (let attempt = 1; attempt <= ASK_CONFIG.MAX_ATTEMPTS && !result; attempt++) {
+      const boundary = randomBytes(8).toString('hex');
+
+      try {
+        const prompt = buildAskPrompt({
+          question,
+          history: turns.slice(-ASK_CONFIG.HISTORY_TURNS),
+          text: context.text,
+          boundary
+        });
+        const output = await generate(prompt, schema, {
+          model: ASK_CONFIG.MODEL,
+          apiKey,
+          config: { systemInstruction: buildAskInstruction(boundary, today) }
+        });
+        result = normalizeAnswer(output, context.refs);
+      } catch (error) {
+        logger.warn('Answer call failed', { meta: { userId, attempt, error: error.message } });
+      }
+    }
+
+    if (!result) {
+      return null;
+    }
+  }
+
+  const conversationId =
+    conversation?._id ??
+    (await emailsRepository.createConversation(userId, getConversationTitle(question)))._id;
+  await emailsRepository.appendConversationTurns(userId, conversationId, [
+    { role: CONVERSATION_ROLES.USER, text: question },
+    {
+      role: CONVERSATION_ROLES.ASSISTANT,
+      text: result.answer,
+      citations: result.citations,
+      flags: context.flags
+    }
+  ]);
+
+  logger.info('Inbox question answered', {
+    meta: {
+      userId,
+      conversationId,
+      candidates: context.refs.size,
+      found: result.found,
+      citations: result.citations.length
+    }
+  });
+
+  const emailsById = new Map(context.emails.map((email) => [email.id, email]));
+  return {
+    conversationId: String(conversationId),
+    answer: result.answer,
+    found: result.found,
+    flags: context.flags,
+    citations: result.citations.map(({ emailId, quote }) => {
+      const email = emailsById.get(emailId);
+      return {
+        emailId,
+        threadId: email.threadId,
+        subject: email.subject,
+        from: email.from,
+        date: email.date,
+        quote
+      };
+    })
+  };
+};
@@ -0,0 +1,42 @@
+import asyncHandler from 'express-async-handler';
+import * as emailsRepository from './emailsRepository.js';
+import { getCategoryConfigHash } from './emailsUtils.js';
+import { DEFAULT_EMAIL_CATEGORIES } from './emailsConstants.js';
+
+/**
+ * Categories for a user, seeding the defaults the first time they are needed
+ */
+export const getCategories = asyncHandler(async (userId) => {
+  const categories = await emailsRepository.findCategories(userId);
+
+  if (categories.length > 0) {
+    return categories;
+  }
+
+  await emailsRepository.seedCategories(userId, DEFAULT_EMAIL_CATEGORIES);
+  return await emailsRepository.findCategories(userId);
+});
+
+/**
+ * Everything the classifier needs for a user: categories for the prompt,
+ * enabled pre-rules in priority order and the hash stored on model results
+ */
+export const getClassifierConfig = asyncHandler(async (userId) => {
+  const [categories, rules] = await Promise.all([
+    getCategories(userId),
+    emailsRepository.findRules(userId, { enabledOnly: true })
+  ]);
+
+  return { categories, rules, configHash: getCategoryConfigHash(categories) };
+});
+
+/**
+ * Delete a category together with the rules and corrections that point at it.
+ * Stored classifications are left alone; they are redone because the config
+ * hash changes.
+ */
+export const deleteCategory = asyncHandler(async (userId, category) => {
+  await emailsRepository.deleteRulesByCategory(userId, category.name);
+  await emailsRepository.deleteCorrectionsByCategory(userId, category.name);
+  await emailsRepository.deleteCategory(userId, category._id);
+});
@@ -0,0 +1,40 @@
+import mongoose from 'mongoose';
+
+const emailCategorySchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'user',
+      required: true
+    },
+    // Lowercase identifier stored on classifications; fixed once created
+    name: {
+      type: String,
+      required: true,
+      trim: true,
+      lowercase: true
+    },
+    description: {
+      type: String,
+      default: ''
+    },
+    color: {
+      type: String,
+      required: true
+    },
+    // Senders the model should treat as typical for this category
+    exampleSenders: [String],
+    // Remove from the inbox when Gmail labels are applied for this category
+    archiveOnClassify: {
+      type: Boolean,
+      default: false
+    }
+  },
+  {
+    timestamps: true
+  }
+);
+
+emailCategorySchema.index({ userId: 1, name: 1 }, { unique: true });
+
+export const EmailCategory = mongoose.model('EmailCategory', emailCategorySchema);
@@ -0,0 +1,91 @@
+import mongoose from 'mongoose';
+import {
+  CLASSIFICATION_FLAGS,
+  CLASSIFICATION_SOURCE,
+  REDACTED_FIELDS,
+  REDACTION_TYPES
+} from './emailsConstants.js';
+
+const emailClassificationSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'user',
+      required: true
+    },
+    gmailId: {
+      type: String,
+      required: true
+    },
+    category: {
+      type: String,
+      required: true,
+      index: true
+    },
+    // Model confidence between 0 and 1; rules and corrections are always 1
+    confidence: Number,
+    reason: String,
+    // Set when the model gave no valid answer and the default category was used
+    error: String,
+    source: {
+      type: String,
+      enum: Object.values(CLASSIFICATION_SOURCE),
+      default: CLASSIFICATION_SOURCE.MODEL
+    },
+    // Set when a pre-rule decided the category instead of the model
+    ruleId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'ClassificationRule'
+    },
+    model: {
+      type: String,
+      required: true
+    },
+    promptVersion: {
+      type: String,
+      required: true
+    },
+    // Hash of the user's category configuration the prompt was built from
+    configHash: String,
+    // Hash of the fields sent to the model, used to detect changed messages
+    contentHash: {
+      type: String,
+      required: true
+    },
+    classifiedAt: {
+      type: Date,
+      default: Date.now
+    },
+    // Markers such as possible_injection; flagged emails are never auto-archived
+    flags: [{ type: String, enum: Object.values(CLASSIFICATION_FLAGS) }],
+    // Heuristic signals behind a possible_injection flag
+    injectionSignals: [String],
+    // What was masked out of the prompt for this classification
+    redactions: [
+      {
+        _id: false,
+        field: { type: String, enum: REDACTED_FIELDS },
+        type: { type: String, enum: Object.values(REDACTION_TYPES) },
+        count: Number
+      }
+    ],
+    // Category the model or a rule chose before the user corrected it
+    correctedFrom: String,
+    correctedAt: Date,
+    // Gmail label we applied, kept so the change can be undone
+    gmailLabelId: String,
+    labeledCategory: String,
+    archived: {
+      type: Boolean,
+      default: false
+    },
+    labelsAppliedAt: Date
+  },
+  {
+    timestamps: true
+  }
+);
+
+emailClassificationSchema.index({ userId: 1, gmailId: 1 }, { unique: true });
+
+export const EmailClassification = mongoose.model('EmailClassification', emailClassificationSchema);
@@ -0,0 +1,53 @@
+import mongoose from 'mongoose';
+import { CLASSIFICATION_FLAGS, CONVERSATION_ROLES } from './emailsConstants.js';
+
+// Questions a user asked about their inbox and the answers, so follow-ups keep their context
+const emailConversationSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'user',
+      required: true
+    },
+    // The first question, shortened
+    title: {
+      type: String,
+      required: true
+    },
+    turns: [
+      {
+        _id: false,
+        role: {
+          type: String,
+          enum: Object.values(CONVERSATION_ROLES),
+          required: true
+        },
+        text: {
+          type: String,
+          required: true
+        },
+        // Emails an answer is based on, with the passage that supports it
+        citations: [
+          {
+            _id: false,
+            emailId: String,
+            quote: String
+          }
+        ],
+        // Set when the emails an answer was drawn from looked like prompt injection
+        flags: [{ type: String, enum: Object.values(CLASSIFICATION_FLAGS) }],
+        createdAt: {
+          type: Date,
+          default: Date.now
+        }
+      }
+    ]
+  },
+  {
+    timestamps: true
+  }
+);
+
+emailConversationSchema.index({ userId: 1, updatedAt: -1 });
+
+export const EmailConversation = mongoose.model('EmailConversation', emailConversationSchema);
@@ -0,0 +1,49 @@
+import mongoose from 'mongoose';
+import { CLASSIFICATION_SOURCE } from './emailsConstants.js';
+
+// One document per corrected email; correcting it again replaces the previous entry
+const emailCorrectionSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'user',
+      required: true
+    },
+    gmailId: {
+      type: String,
+      required: true
+    },
+    // Lowercase sender address and domain, used to learn rules
+    sender: {
+      type: String,
+      required: true
+    },
+    senderDomain: String,
+    // Redacted copies, shown to the classifier as few-shot examples
+    from: String,
+    subject: String,
+    // What the classifier said and what the user chose instead
+    previousCategory: {
+      type: String,
+      required: true
+    },
+    previousSource: {
+      type: String,
+      enum: Object.values(CLASSIFICATION_SOURCE)
+    },
+    category: {
+      type: String,
+      required: true
+    }
+  },
+  {
+    timestamps: true
+  }
+);
+
+emailCorrectionSchema.index({ userId: 1, gmailId: 1 }, { unique: true });
+emailCorrectionSchema.index({ userId: 1, updatedAt: -1 });
+emailCorrectionSchema.index({ userId: 1, sender: 1, category: 1 });
+emailCorrectionSchema.index({ userId: 1, senderDomain: 1, category: 1 });
+
+export const EmailCorrection = mongoose.model('EmailCorrection', emailCorrectionSchema);
@@ -0,0 +1,199 @@
+import asyncHandler from 'express-async-handler';
+import { logger } from '../../utils/logger.js';
+import * as emailsRepository from './emailsRepository.js';
+import { getSenderAddress, getSenderDomain } from './emailsUtils.js';
+import { getRedactionPolicy, redactEmailForPrompt } from './redactionUtils.js';
+import {
+  CLASSIFICATION_SOURCE,
+  CORRECTION_CONFIG,
+  FREEMAIL_DOMAINS,
+  RULE_ORIGIN,
+  RULE_TYPES
+} from './emailsConstants.js';
+
+const getCorrectionRate = (corrected, classified) =>
+  classified ? Math.round((corrected / classified) * 10000) / 10000 : 0;
+
+/**
+ * Sender and domain rules a correction could lead to. Domains of shared
+ * mailbox providers are left out, and a domain needs corrections from
+ * several senders before it stands for all of them.
+ */
+const getRuleCandidates = (sender, senderDomain) => {
+  const candidates = [
+    {
+      type: RULE_TYPES.SENDER,
+      pattern: sender,
+      priority: CORRECTION_CONFIG.SENDER_RULE_PRIORITY,
+      isReady: async (userId, category) =>
+        (await emailsRepository.countCorrections(userId, { sender, category })) >=
+        CORRECTION_CONFIG.SENDER_RULE_THRESHOLD
+    }
+  ];
+
+  if (senderDomain && !FREEMAIL_DOMAINS.includes(senderDomain)) {
+    candidates.push({
+      type: RULE_TYPES.SENDER_DOMAIN,
+      pattern: senderDomain,
+      priority: CORRECTION_CONFIG.DOMAIN_RULE_PRIORITY,
+      isReady: async (userId, category) =>
+        (await emailsRepository.findCorrectionSenders(userId, { senderDomain, category })).length >=
+        CORRECTION_CONFIG.DOMAIN_RULE_THRESHOLD
+    });
+  }
+
+  return candidates;
+};
+
+/**
+ * Create or re-point learned rules once enough corrections agree. Rules the
+ * user wrote are never changed; a learned rule follows the latest category
+ * that reaches the threshold.
+ */
+const learnRulesFromCorrection = async (userId, { sender, senderDomain, category }) => {
+  const learned = [];
+
+  for (const candidate of getRuleCandidates(sender, senderDomain)) {
+    if (!(await candidate.isReady(userId, category))) {
+      continue;
+    }
+
+    const existing = await emailsRepository.findRuleByPattern(
+      userId,
+      candidate.type,
+      candidate.pattern
+    );
+
+    if (!existing) {
+      learned.push(
+        await emailsRepository.createRule(userId, {
+          type: candidate.type,
+          pattern: candidate.pattern,
+          category,
+          priority: candidate.priority,
+          origin: RULE_ORIGIN.CORRECTIONS
+        })
+      );
+    } else if (existing.origin === RULE_ORIGIN.CORRECTIONS && existing.category !== category) {
+      learned.push(await emailsRepository.updateRule(userId, existing._id, { category }));
+    }
+  }
+
+  if (learned.length > 0) {
+    logger.info('Classification rules learned from corrections', {
+      meta: { userId, rules: learned.map((r) => `${r.type}:${r.pattern}->${r.category}`) }
+    });
+  }
+
+  return learned;
+};
+
+/**
+ * Move a classified email to the category the user chose. The first assigned
+ * category is kept as `correctedFrom`, the correction is recorded for rule
+ * learning and few-shot examples, and correcting an email back to its first
+ * category withdraws the correction. Returns null when the email has not
+ * been classified yet.
+ */
+export const correctEmailCategory = asyncHandler(async (userId, email, category) => {
+  const [classification] = await emailsRepository.findClassifications(userId, [email.gmailId]);
+
+  if (!classification) {
+    return null;
+  }
+  if (classification.category === category) {
+    return { classification, learnedRules: [] };
+  }
+
+  const correctedFrom = classification.correctedFrom ?? classification.category;
+  const updated = await emailsRepository.updateClassification(userId, email.gmailId, {
+    category,
+    confidence: 1,
+    reason: 'Corrected by user',
+    error: null,
+    source: CLASSIFICATION_SOURCE.USER,
+    ruleId: null,
+    correctedFrom,
+    correctedAt: new Date()
+  });
+
+  if (category === correctedFrom) {
+    await emailsRepository.deleteCorrection(userId, email.gmailId);
+    return { classification: updated, learnedRules: [] };
+  }
+
+  // Examples go back into prompts, so they are stored under the user's redaction policy
+  const settings = await emailsRepository.getEmailSettings(userId);
+  const { email: redacted } = redactEmailForPrompt(
+    { from: email.from, subject: email.subject },
+    getRedactionPolicy(settings)
+  );
+
+  const correction = {
+    gmailId: email.gmailId,
+    sender: getSenderAddress(email.from),
+    senderDomain: getSenderDomain(email.from),
+    from: redacted.from,
+    subject: redacted.subject,
+    previousCategory: correctedFrom,
+    category
+  };
+  await emailsRepository.saveCorrection(userId, correction);
+
+  logger.info('Email category corrected', {
+    meta: { userId, gmailId: email.gmailId, from: correctedFrom, to: category }
+  });
+
+  const learnedRules = correction.sender ? await learnRulesFromCorrection(userId, correction) : [];
+
+  return { classification: updated, learnedRules };
+});
+
+/**
+ * Recent corrections to categories that still exist, newest first, for the
+ * classifier prompt
+ */
+export const getCorrectionExamples = asyncHandler(async (userId, categories) => {
+  const names = new Set(categories.map((c) => c.name));
+  const corrections = await emailsRepository.findRecentCorrections(
+    userId,
+    CORRECTION_CONFIG.FEW_SHOT_EXAMPLES * 2
+  );
+
+  return corrections
+    .filter((c) => names.has(c.category))
+    .slice(0, CORRECTION_CONFIG.FEW_SHOT_EXAMPLES);
+});
+
+/**
+ * How often each assigned category was corrected, and where corrected
+ * emails were moved to
+ */
+export const getCorrectionStats = asyncHandler(async (userId) => {
+  const [counts, flows, learnedRules] = await Promise.all([
+    emailsRepository.getCorrectionCountsByCategory(userId),
+    emailsRepository.getCorrectionFlows(userId),
+    emailsRepository.countLearnedRules(userId)
+  ]);
+
+  const categories = counts.map(({ _id: category, classified, corrected }) => ({
+    category,
+    classified,
+    corrected,
+    correctionRate: getCorrectionRate(corrected, classified),
+    correctedTo: flows
+      .filter((flow) => flow._id.from === category)
+      .map((flow) => ({ category: flow._id.to, count: flow.count }))
+  }));
+
+  const totalClassified = categories.reduce((sum, c) => sum + c.classified, 0);
+  const totalCorrected = categories.reduce((sum, c) => sum + c.corrected, 0);
+
+  return {
+    classified: totalClassified,
+    corrected: totalCorrected,
+    correctionRate: getCorrectionRate(totalCorrected, totalClassified),
+    learnedRules,
+    categories
+  };
+});
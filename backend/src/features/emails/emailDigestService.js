@@ -0,0 +1,210 @@
+import asyncHandler from 'express-async-handler';
+import cron from 'node-cron';
+import { logger } from '../../utils/logger.js';
+import * as notificationService from '../notifications/notificationService.js';
+import * as emailsRepository from './emailsRepository.js';
+import {
+  formatLocalDate,
+  getDigestBlockReason,
+  getDigestSettings,
+  getNextDigestRun,
+  isDigestEmpty,
+  renderDigestText
+} from './digestUtils.js';
+import { DIGEST_CONFIG, DIGEST_SKIP_REASONS, SUMMARY_KINDS } from './emailsConstants.js';
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+const countByCategory = (emails, classifications) => {
+  const counts = new Map();
+  for (const email of emails) {
+    const category = classifications.get(email.gmailId)?.category ?? 'unclassified';
+    counts.set(category, (counts.get(category) || 0) + 1);
+  }
+
+  return [...counts]
+    .map(([category, count]) => ({ category, count }))
+    .sort((a, b) => b.count - a.count);
+};
+
+// Open action items, soonest due first; items without a date come last
+const collectActionItems = (summaries, today) =>
+  summaries
+    .flatMap((summary) =>
+      summary.actionItems.map((item) => ({
+        description: item.description,
+        dueDate: item.dueDate ?? null,
+        kind: summary.kind,
+        targetId: summary.targetId
+      }))
+    )
+    .filter((item) => !item.dueDate || item.dueDate >= today)
+    .sort((a, b) => (a.dueDate ?? '9999-12-31').localeCompare(b.dueDate ?? '9999-12-31'))
+    .slice(0, DIGEST_CONFIG.MAX_ACTION_ITEMS);
+
+/**
+ * Digest of the last day for a user: email counts per category, the newest
+ * important emails with their cached summaries, and open action items from
+ * recent summaries. Summaries are not generated here, so emails nobody
+ * summarised are listed with their snippet.
+ */
+export const buildDigest = asyncHandler(async (userId, timezone, now) => {
+  const since = new Date(now.getTime() - DIGEST_CONFIG.WINDOW_HOURS * HOUR_MS);
+  const emails = await emailsRepository.findEmailsSince(userId, since);
+  const classifications = new Map(
+    (
+      await emailsRepository.findClassifications(
+        userId,
+        emails.map((e) => e.gmailId)
+      )
+    ).map((c) => [c.gmailId, c])
+  );
+
+  const important = emails
+    .filter((e) => classifications.get(e.gmailId)?.category === DIGEST_CONFIG.IMPORTANT_CATEGORY)
+    .slice(0, DIGEST_CONFIG.TOP_EMAILS);
+
+  const [messageSummaries, threadSummaries, recentSummaries] = await Promise.all([
+    emailsRepository.findSummariesByTargets(
+      userId,
+      SUMMARY_KINDS.MESSAGE,
+      important.map((e) => e.gmailId)
+    ),
+    emailsRepository.findSummariesByTargets(
+      userId,
+      SUMMARY_KINDS.THREAD,
+      important.map((e) => e.threadId).filter(Boolean)
+    ),
+    emailsRepository.findSummariesWithActionItems(
+      userId,
+      new Date(now.getTime() - DIGEST_CONFIG.ACTION_ITEM_DAYS * DAY_MS)
+    )
+  ]);
+  const summaries = new Map(
+    [...threadSummaries, ...messageSummaries].map((s) => [s.targetId, s.summary])
+  );
+  const today = formatLocalDate(now, timezone);
+
+  return {
+    date: today,
+    total: emails.length,
+    categories: countByCategory(emails, classifications),
+    importantEmails: important.map((email) => ({
+      id: email.gmailId,
+      subject: email.subject,
+      from: email.from,
+      summary: summaries.get(email.gmailId) ?? summaries.get(email.threadId) ?? email.snippet
+    })),
+    actionItems: collectActionItems(recentSummaries, today)
+  };
+});
+
+/**
+ * Render the digest as it would be sent now, without sending it.
+ * `skipReason` tells why a run at this moment would be skipped.
+ */
+export const getDigestPreview = asyncHandler(async (userId, now = new Date()) => {
+  const settings = getDigestSettings(await emailsRepository.getEmailSettings(userId));
+  const [digest, preferences] = await Promise.all([
+    buildDigest(userId, settings.timezone, now),
+    notificationService.getPreferences(userId)
+  ]);
+
+  const blockReason = getDigestBlockReason(preferences, settings.channel, now);
+
+  return {
+    digest,
+    text: renderDigestText(digest),
+    channel: settings.channel,
+    skipReason: blockReason ?? (isDigestEmpty(digest) ? DIGEST_SKIP_REASONS.EMPTY : null),
+    nextRunAt: settings.enabled ? settings.nextRunAt : null
+  };
+});
+
+/**
+ * Send one user's digest through the notification system, unless their
+ * notification preferences block the channel at this time or there is
+ * nothing to report.
+ */
+export const deliverDigest = asyncHandler(async (userId, settings, now) => {
+  const preferences = await notificationService.getPreferences(userId);
+  const blockReason = getDigestBlockReason(preferences, settings.channel, now);
+
+  const digest = blockReason ? null : await buildDigest(userId, settings.timezone, now);
+  const skipReason = blockReason ?? (isDigestEmpty(digest) ? DIGEST_SKIP_REASONS.EMPTY : null);
+
+  if (skipReason) {
+    logger.info('Email digest skipped', { meta: { userId, reason: skipReason } });
+    return { sent: false, reason: skipReason };
+  }
+
+  const result = await notificationService.sendNotification({
+    userId,
+    workflowId: DIGEST_CONFIG.WORKFLOW_ID,
+    payload: digest,
+    channels: [settings.channel],
+    priority: 'low',
+    metadata: { source: 'email_digest', tags: ['digest'] }
+  });
+  await emailsRepository.markDigestSent(userId, now);
+
+  logger.info('Email digest sent', {
+    meta: { userId, channel: settings.channel, transactionId: result.transactionId }
+  });
+
+  return { sent: true, transactionId: result.transactionId };
+});
+
+/**
+ * Send every digest that is due. Each run is claimed by moving it to the
+ * next day first, so a failing send is not retried until then.
+ */
+export const runDueDigests = asyncHandler(async (now) => {
+  const due = await emailsRepository.findDueDigests(now, DIGEST_CONFIG.BATCH_SIZE);
+  let sent = 0;
+
+  for (const { _id, userId, digest } of due) {
+    const settings = getDigestSettings({ digest });
+    const nextRunAt = getNextDigestRun(settings.time, settings.timezone, now);
+
+    if (!(await emailsRepository.claimDigestRun(_id, digest.nextRunAt, nextRunAt))) {
+      continue;
+    }
+
+    try {
+      const result = await deliverDigest(String(userId), settings, now);
+      sent += result.sent ? 1 : 0;
+    } catch (error) {
+      logger.error('Email digest failed', { meta: { userId, error: error.message } });
+    }
+  }
+
+  return { due: due.length, sent };
+});
+
+/**
+ * Check for due digests every minute. A check still running when the next
+ * one starts is left to finish.
+ */
+export const startDigestScheduler = () => {
+  let running = false;
+
+  const task = cron.schedule(DIGEST_CONFIG.SCHEDULE, async () => {
+    if (running) {
+      return;
+    }
+    running = true;
+
+    try {
+      await runDueDigests(new Date());
+    } catch (error) {
+      logger.error('Email digest run failed', { meta: { error: error.message } });
+    } finally {
+      running = false;
+    }
+  });
+
+  logger.info('Email digest scheduler started', { meta: { schedule: DIGEST_CONFIG.SCHEDULE } });
+  return task;
+};
@@ -0,0 +1,90 @@
+import mongoose from 'mongoose';
+import {
+  CLASSIFICATION_FLAGS,
+  EVENT_KINDS,
+  EVENT_SOURCES,
+  EVENT_STATUS
+} from './emailsConstants.js';
+
+// An event found in an email, proposed to the user and published in their calendar feed
+const emailEventSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'user',
+      required: true
+    },
+    // iCalendar UID: the invitation's own, so updates replace the event, or one made up for text
+    uid: {
+      type: String,
+      required: true
+    },
+    // The email the event was last read from
+    gmailId: {
+      type: String,
+      required: true
+    },
+    accountId: String,
+    threadId: String,
+    subject: String,
+    from: String,
+    source: {
+      type: String,
+      enum: Object.values(EVENT_SOURCES),
+      required: true
+    },
+    kind: {
+      type: String,
+      enum: Object.values(EVENT_KINDS),
+      default: EVENT_KINDS.OTHER
+    },
+    status: {
+      type: String,
+      enum: Object.values(EVENT_STATUS),
+      default: EVENT_STATUS.PROPOSED
+    },
+    title: {
+      type: String,
+      required: true
+    },
+    description: String,
+    location: String,
+    organizer: String,
+    start: {
+      type: Date,
+      required: true
+    },
+    end: {
+      type: Date,
+      required: true
+    },
+    // All-day events start and end at midnight UTC on their dates; the end date is excluded
+    allDay: {
+      type: Boolean,
+      default: false
+    },
+    // RRULE of a recurring invitation, published as is
+    recurrence: String,
+    // Set when the organizer cancelled the invitation
+    cancelled: {
+      type: Boolean,
+      default: false
+    },
+    // Invitation revision; an older revision never replaces a newer one
+    sequence: {
+      type: Number,
+      default: 0
+    },
+    // Set when the scanned content looked like prompt injection
+    flags: [{ type: String, enum: Object.values(CLASSIFICATION_FLAGS) }]
+  },
+  {
+    timestamps: true
+  }
+);
+
+emailEventSchema.index({ userId: 1, uid: 1 }, { unique: true });
+emailEventSchema.index({ userId: 1, start: 1 });
+emailEventSchema.index({ userId: 1, gmailId: 1 });
+
+export const EmailEvent = mongoose.model('EmailEvent', emailEventSchema);
@@ -0,0 +1,35 @@
+import mongoose from 'mongoose';
+
+// Emails already scanned for events, with or without finding any, so they are not scanned again
+const emailEventScanSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'user',
+      required: true
+    },
+    gmailId: {
+      type: String,
+      required: true
+    },
+    accountId: String,
+    events: {
+      type: Number,
+      default: 0
+    },
+    // Model and prompt used, or null when an invitation was parsed without the model
+    model: String,
+    promptVersion: String,
+    scannedAt: {
+      type: Date,
+      default: Date.now
+    }
+  },
+  {
+    timestamps: true
+  }
+);
+
+emailEventScanSchema.index({ userId: 1, gmailId: 1 }, { unique: true });
+
+export const EmailEventScan = mongoose.model('EmailEventScan', emailEventScanSchema);
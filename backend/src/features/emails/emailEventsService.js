@@ -0,0 +1,333 @@
+import asyncHandler from 'express-async-handler';
+import { createHash, randomBytes } from 'crypto';
+import { logger } from '../../utils/logger.js';
+import { generateJson } from '../../helpers/gemini.js';
+import { mapWithConcurrency } from '../../helpers/generalHelper.js';
+import * as emailsRepository from './emailsRepository.js';
+import { getEmailDetail, getStoredEmails } from './emailsService.js';
+import { withMailboxProvider } from './mailboxProvider.js';
+import { detectPromptInjection, pickAccount, serializeEmail } from './emailsUtils.js';
+import { getRedactionPolicy, redactText } from './redactionUtils.js';
+import { getDigestSettings } from './digestUtils.js';
+import { buildIcsCalendar, parseIcsEvents } from './icsUtils.js';
+import {
+  buildEventInput,
+  buildEventInstruction,
+  buildEventPrompt,
+  buildEventSchema,
+  findIcsAttachment,
+  getTextEventUid,
+  looksLikeEvent,
+  normalizeEvents,
+  serializeEvent
+} from './eventUtils.js';
+import {
+  CALENDAR_CONFIG,
+  CLASSIFICATION_FLAGS,
+  EVENT_KINDS,
+  EVENT_SOURCES
+} from './emailsConstants.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const getReferenceDate = (email) =>
+  (email.internalDate ? new Date(email.internalDate) : new Date()).toISOString().slice(0, 10);
+
+const hashFeedToken = (token) => createHash('sha256').update(token).digest('hex');
+
+/**
+ * Emails to scan: the given ones, or the recent ones that look like they
+ * mention an event. Emails already scanned are skipped: invitations for good,
+ * text only while the model and prompt are current. At most SCAN_LIMIT are
+ * returned; `remaining` counts the ones left over.
+ */
+export const getScanCandidates = asyncHandler(async (userId, { emailIds, days }) => {
+  const emails = emailIds
+    ? await getStoredEmails(userId, emailIds)
+    : (await emailsRepository.findEmailsSince(userId, new Date(Date.now() - days * DAY_MS)))
+        .filter(looksLikeEvent)
+        .map((email) => serializeEmail(email));
+
+  const scans = await emailsRepository.findEventScans(
+    userId,
+    emails.map((email) => email.id)
+  );
+  const scannedIds = new Set(
+    scans
+      .filter(
+        (scan) =>
+          !scan.model ||
+          (scan.model === CALENDAR_CONFIG.MODEL &&
+            scan.promptVersion === CALENDAR_CONFIG.PROMPT_VERSION)
+      )
+      .map((scan) => scan.gmailId)
+  );
+  const pending = emails.filter((email) => !scannedIds.has(email.id));
+
+  return {
+    emails: pending.slice(0, CALENDAR_CONFIG.SCAN_LIMIT),
+    skipped: emails.length - pending.length,
+    remaining: Math.max(0, pending.length - CALENDAR_CONFIG.SCAN_LIMIT)
+  };
+});
+
+// The invitation of an email: its inline text/calendar part, or an attached .ics file
+const loadInvitation = async (userId, mailbox, email) => {
+  if (email.body?.calendar) {
+    return email.body.calendar;
+  }
+
+  const attachment = findIcsAttachment(email.attachments);
+  if (!attachment) {
+    return null;
+  }
+
+  try {
+    const data = await withMailboxProvider(mailbox, async (provider) =>
+      provider.getAttachment(email.id, attachment.attachmentId)
+    );
+    return data && data.length <= CALENDAR_CONFIG.MAX_ICS_BYTES ? data.toString('utf8') : null;
+  } catch (error) {
+    logger.warn('Invitation attachment download failed', {
+      meta: { userId, emailId: email.id, error: error.message }
+    });
+    return null;
+  }
+};
+
+/**
+ * Ask the model for the events mentioned in the text of an email, redacted
+ * under the user's policy. Returns null when no attempt gave a usable answer.
+ */
+const extractTextEvents = async (userId, email, { policy, timezone, apiKey, generate }) => {
+  const input = buildEventInput(email);
+  const text = policy.enabled ? redactText(input, policy.types).text : input;
+  const schema = buildEventSchema();
+  const referenceDate = getReferenceDate(email);
+
+  for (let attempt = 1; attempt <= CALENDAR_CONFIG.MAX_ATTEMPTS; attempt++) {
+    const boundary = randomBytes(8).toString('hex');
+
+    try {
+      const output = await generate(buildEventPrompt(text, boundary), schema, {
+        model: CALENDAR_CONFIG.MODEL,
+        apiKey,
+        config: { systemInstruction: buildEventInstruction(boundary, referenceDate, timezone) }
+      });
+
+      const events = normalizeEvents(output, { timezone });
+      if (events) {
+        return {
+          events: events.map((event) => ({
+            ...event,
+            uid: getTextEventUid(email.id, event.start),
+            source: EVENT_SOURCES.TEXT
+          })),
+          flags:
+            detectPromptInjection({ snippet: text }).length > 0
+              ? [CLASSIFICATION_FLAGS.POSSIBLE_INJECTION]
+              : []
+        };
+      }
+    } catch (error) {
+      logger.warn('Event extraction call failed', {
+        meta: { userId, emailId: email.id, attempt, error: error.message }
+      });
+    }
+  }
+
+  return null;
+};
+
+/**
+ * Store the events found in an email. An invitation revision older than the
+ * stored one is ignored, and events the email no longer yields are removed.
+ */
+const saveEmailEvents = async (userId, email, source, events, flags) => {
+  const stored = await emailsRepository.findEventsByUids(
+    userId,
+    events.map((event) => event.uid)
+  );
+  const sequences = new Map(stored.map((event) => [event.uid, event.sequence ?? 0]));
+  const current = events.filter(
+    (event) => (sequences.get(event.uid) ?? 0) <= (event.sequence ?? 0)
+  );
+
+  await emailsRepository.deleteStaleEvents(
+    userId,
+    email.id,
+    source,
+    events.map((event) => event.uid)
+  );
+
+  return await emailsRepository.saveEvents(
+    userId,
+    current.map((event) => ({
+      ...event,
+      gmailId: email.id,
+      accountId: email.accountId,
+      threadId: email.threadId,
+      subject: email.subject,
+      from: email.from,
+      flags
+    }))
+  );
+};
+
+/**
+ * Find the events of one email and record the scan. Invitations are parsed
+ * without the model, and their UIDs are kept so updates and cancellations
+ * replace the event. Returns the stored events, or null when the email is
+ * gone or the model gave no usable answer.
+ */
+const scanEmail = async (userId, mailbox, email, options) => {
+  const detail = await getEmailDetail(userId, mailbox, email.id);
+  if (!detail) {
+    return null;
+  }
+
+  const invitation = await loadInvitation(userId, mailbox, detail);
+  const invitationEvents = invitation
+    ? parseIcsEvents(invitation, { timezone: options.timezone })
+        .filter((event) => event.uid)
+        .map((event) => ({ ...event, source: EVENT_SOURCES.INVITE, kind: EVENT_KINDS.MEETING }))
+    : [];
+
+  let found;
+  if (invitationEvents.length > 0) {
+    found = { source: EVENT_SOURCES.INVITE, events: invitationEvents, flags: [], model: null };
+  } else {
+    const extracted = await extractTextEvents(userId, detail, options);
+    if (!extracted) {
+      return null;
+    }
+    found = { source: EVENT_SOURCES.TEXT, ...extracted, model: CALENDAR_CONFIG.MODEL };
+  }
+
+  const events = await saveEmailEvents(userId, detail, found.source, found.events, found.flags);
+  await emailsRepository.saveEventScan(userId, {
+    gmailId: detail.id,
+    accountId: detail.accountId,
+    events: found.events.length,
+    model: found.model,
+    promptVersion: found.model && CALENDAR_CONFIG.PROMPT_VERSION,
+    scannedAt: new Date()
+  });
+
+  return events;
+};
+
+/**
+ * Scan the emails for events, a few at a time. Every email that was read is
+ * recorded, so it is not scanned again. `generate` defaults to Gemini.
+ */
+export const scanEmails = async (
+  userId,
+  mailboxes,
+  emails,
+  apiKey,
+  { generate = generateJson } = {}
+) => {
+  const settings = await emailsRepository.getEmailSettings(userId);
+  const options = {
+    policy: getRedactionPolicy(settings),
+    timezone: getDigestSettings(settings).timezone,
+    apiKey,
+    generate
+  };
+
+  const results = await mapWithConcurrency(
+    emails,
+    CALENDAR_CONFIG.FETCH_CONCURRENCY,
+    async (email) => {
+      const mailbox = pickAccount(mailboxes, email.accountId);
+      try {
+        return mailbox ? await scanEmail(userId, mailbox, email, options) : null;
+      } catch (error) {
+        logger.warn('Email unavailable for event scan', {
+          meta: { userId, emailId: email.id, error: error.message }
+        });
+        return null;
+      }
+    }
+  );
+
+  const events = results.filter(Boolean).flat().map(serializeEvent);
+  const failed = results.filter((result) => !result).length;
+
+  logger.info('Emails scanned for events', {
+    meta: { userId, scanned: emails.length - failed, events: events.length, failed }
+  });
+
+  return { scanned: emails.length - failed, failed, events };
+};
+
+// Events overlapping the range, upcoming ones by default
+export const listEvents = asyncHandler(async (userId, options) => {
+  const { limit, offset, ...filters } = options;
+  const range = { ...filters, from: filters.from ?? (filters.to ? undefined : new Date()) };
+  const [events, total] = await Promise.all([
+    emailsRepository.findEvents(userId, { ...range, limit, offset }),
+    emailsRepository.countEvents(userId, range)
+  ]);
+
+  return { events: events.map(serializeEvent), total };
+});
+
+// Accept or dismiss an event; returns null when it does not exist
+export const updateEventStatus = asyncHandler(async (userId, eventId, status) => {
+  const event = await emailsRepository.updateEventStatus(userId, eventId, status);
+  return event && serializeEvent(event);
+});
+
+export const getCalendarFeed = asyncHandler(async (userId) => {
+  const settings = await emailsRepository.getEmailSettings(userId);
+  return {
+    enabled: Boolean(settings?.calendarFeed?.tokenHash),
+    createdAt: settings?.calendarFeed?.createdAt ?? null
+  };
+});
+
+/**
+ * Create the secret feed URL, replacing any earlier one. Only a hash of the
+ * token is stored, so the URL is shown this once.
+ */
+export const createCalendarFeed = asyncHandler(async (userId) => {
+  const token = randomBytes(32).toString('base64url');
+  const createdAt = new Date();
+
+  await emailsRepository.saveEmailSettings(userId, {
+    calendarFeed: { tokenHash: hashFeedToken(token), createdAt }
+  });
+  logger.info('Calendar feed created', { meta: { userId } });
+
+  return {
+    url: `${process.env.SERVER_URL}/api/v1/emails/events.ics?token=${token}`,
+    createdAt
+  };
+});
+
+export const revokeCalendarFeed = asyncHandler(async (userId) => {
+  const result = await emailsRepository.clearCalendarFeed(userId);
+  logger.info('Calendar feed revoked', { meta: { userId } });
+  return result.modifiedCount > 0;
+});
+
+/**
+ * The iCalendar feed a secret token opens, or null for an unknown token.
+ * It holds the events that are not dismissed and ended recently or later.
+ */
+export const getFeedCalendar = asyncHandler(async (token) => {
+  const settings = await emailsRepository.findSettingsByFeedToken(hashFeedToken(token));
+  if (!settings) {
+    return null;
+  }
+
+  const events = await emailsRepository.findFeedEvents(
+    settings.userId,
+    new Date(Date.now() - CALENDAR_CONFIG.FEED_PAST_DAYS * DAY_MS),
+    CALENDAR_CONFIG.FEED_LIMIT
+  );
+
+  return buildIcsCalendar(events);
+});
@@ -0,0 +1,51 @@
+import mongoose from 'mongoose';
+
+const emailSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'user',
+      required: true
+    },
+    // Google account id (better-auth accountId) or mailbox account id the message is in
+    accountId: String,
+    // Gmail message id; IMAP and imported messages get a hex id of the same form
+    gmailId: {
+      type: String,
+      required: true
+    },
+    threadId: {
+      type: String,
+      index: true
+    },
+    labelIds: [String],
+    subject: {
+      type: String,
+      default: 'No Subject'
+    },
+    from: {
+      type: String,
+      default: 'Unknown'
+    },
+    to: String,
+    date: String,
+    snippet: String,
+    internalDate: Date,
+    historyId: String,
+    sizeEstimate: Number,
+    // Mailing list headers, used to group newsletters and bulk senders
+    listId: String,
+    listUnsubscribe: String,
+    listUnsubscribePost: String
+  },
+  {
+    timestamps: true
+  }
+);
+
+emailSchema.index({ userId: 1, gmailId: 1 }, { unique: true });
+// Matches the list sort; gmailId breaks ties between messages with the same date
+emailSchema.index({ userId: 1, internalDate: -1, gmailId: -1 });
+emailSchema.index({ userId: 1, accountId: 1, internalDate: -1, gmailId: -1 });
+
+export const Email = mongoose.model('Email', emailSchema);
@@ -0,0 +1,80 @@
+import mongoose from 'mongoose';
+import {
+  CLASSIFICATION_FLAGS,
+  RECEIPT_SOURCES,
+  RECEIPT_TYPES,
+  SPEND_CATEGORIES
+} from './emailsConstants.js';
+
+/**
+ * What the receipt extractor found in one email. Emails that turned out not
+ * to be receipts are kept too (isReceipt false) so they are not scanned again.
+ */
+const emailReceiptSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'user',
+      required: true
+    },
+    gmailId: {
+      type: String,
+      required: true
+    },
+    accountId: String,
+    threadId: String,
+    // Shown with the receipt and in exports
+    subject: String,
+    from: String,
+    isReceipt: {
+      type: Boolean,
+      required: true
+    },
+    documentType: {
+      type: String,
+      enum: Object.values(RECEIPT_TYPES)
+    },
+    source: {
+      type: String,
+      enum: Object.values(RECEIPT_SOURCES)
+    },
+    // The PDF the figures came from, when source is attachment
+    attachmentName: String,
+    merchant: String,
+    // Total charged, tax included
+    amount: Number,
+    // ISO 4217 code, or null when the email does not say
+    currency: String,
+    // YYYY-MM-DD purchase or invoice date; the email date when none is given
+    date: String,
+    tax: Number,
+    orderNumber: String,
+    category: {
+      type: String,
+      enum: Object.values(SPEND_CATEGORIES)
+    },
+    // Set when the scanned content looked like prompt injection
+    flags: [{ type: String, enum: Object.values(CLASSIFICATION_FLAGS) }],
+    model: {
+      type: String,
+      required: true
+    },
+    promptVersion: {
+      type: String,
+      required: true
+    },
+    extractedAt: {
+      type: Date,
+      default: Date.now
+    }
+  },
+  {
+    timestamps: true
+  }
+);
+
+emailReceiptSchema.index({ userId: 1, gmailId: 1 }, { unique: true });
+// Matches the list sort and the date range of exports and summaries
+emailReceiptSchema.index({ userId: 1, isReceipt: 1, date: -1 });
+
+export const EmailReceipt = mongoose.model('EmailReceipt', emailReceiptSchema);
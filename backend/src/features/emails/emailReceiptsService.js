@@ -0,0 +1,241 @@
+import asyncHandler from 'express-async-handler';
+import { randomBytes } from 'crypto';
+import { logger } from '../../utils/logger.js';
+import { generateMultimodal } from '../../helpers/gemini.js';
+import { mapWithConcurrency } from '../../helpers/generalHelper.js';
+import * as emailsRepository from './emailsRepository.js';
+import { getEmailDetail, getStoredEmails } from './emailsService.js';
+import { withMailboxProvider } from './mailboxProvider.js';
+import { detectPromptInjection, pickAccount, serializeEmail } from './emailsUtils.js';
+import { getRedactionPolicy, redactText } from './redactionUtils.js';
+import {
+  buildReceiptInput,
+  buildReceiptInstruction,
+  buildReceiptPrompt,
+  buildReceiptSchema,
+  buildReceiptsCsv,
+  buildSpendSummary,
+  getPdfAttachments,
+  getSummaryMonths,
+  looksLikeReceipt,
+  normalizeReceipt,
+  serializeReceipt
+} from './receiptUtils.js';
+import { CLASSIFICATION_FLAGS, RECEIPT_CONFIG, RECEIPT_EXPORT_FORMATS } from './emailsConstants.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const getReferenceDate = (email) =>
+  (email.internalDate ? new Date(email.internalDate) : new Date()).toISOString().slice(0, 10);
+
+/**
+ * Emails to scan: the given ones, or the recent ones that look like receipts.
+ * Emails already scanned with the current model and prompt are skipped, and
+ * at most SCAN_LIMIT are returned; `remaining` counts the ones left over.
+ */
+export const getScanCandidates = asyncHandler(async (userId, { emailIds, days }) => {
+  const emails = emailIds
+    ? await getStoredEmails(userId, emailIds)
+    : (await emailsRepository.findEmailsSince(userId, new Date(Date.now() - days * DAY_MS)))
+        .filter(looksLikeReceipt)
+        .map((email) => serializeEmail(email));
+
+  const scans = await emailsRepository.findReceiptScans(
+    userId,
+    emails.map((email) => email.id)
+  );
+  const scannedIds = new Set(
+    scans
+      .filter(
+        (scan) =>
+          scan.model === RECEIPT_CONFIG.MODEL &&
+          scan.promptVersion === RECEIPT_CONFIG.PROMPT_VERSION
+      )
+      .map((scan) => scan.gmailId)
+  );
+  const pending = emails.filter((email) => !scannedIds.has(email.id));
+
+  return {
+    emails: pending.slice(0, RECEIPT_CONFIG.SCAN_LIMIT),
+    skipped: emails.length - pending.length,
+    remaining: Math.max(0, pending.length - RECEIPT_CONFIG.SCAN_LIMIT)
+  };
+});
+
+// PDF attachments as model parts; attachments that fail to download are left out
+const loadPdfParts = async (userId, mailbox, email) => {
+  const attachments = getPdfAttachments(email.attachments);
+  if (attachments.length === 0) {
+    return { parts: [], names: [] };
+  }
+
+  return await withMailboxProvider(mailbox, async (provider) => {
+    const parts = [];
+    const names = [];
+
+    for (const attachment of attachments) {
+      try {
+        const data = await provider.getAttachment(email.id, attachment.attachmentId);
+        if (data && data.length <= RECEIPT_CONFIG.MAX_ATTACHMENT_BYTES) {
+          parts.push({
+            inlineData: { mimeType: 'application/pdf', data: data.toString('base64') }
+          });
+          names.push(attachment.filename);
+        }
+      } catch (error) {
+        logger.warn('Receipt attachment download failed', {
+          meta: { userId, emailId: email.id, error: error.message }
+        });
+      }
+    }
+
+    return { parts, names };
+  });
+};
+
+/**
+ * Read one email, with its PDF attachments, and store what the model finds.
+ * The body is redacted under the user's policy; attachments cannot be, so
+ * they are only sent while redaction is off. Returns the stored record, or
+ * null when the email is gone or no attempt gave a usable answer.
+ */
+const extractReceipt = async (userId, mailbox, email, { policy, apiKey, generate }) => {
+  const detail = await getEmailDetail(userId, mailbox, email.id);
+  if (!detail) {
+    return null;
+  }
+
+  const input = buildReceiptInput(detail);
+  const text = policy.enabled ? redactText(input, policy.types).text : input;
+  const signals = detectPromptInjection({ snippet: text });
+  const pdfs = policy.enabled
+    ? { parts: [], names: [] }
+    : await loadPdfParts(userId, mailbox, detail);
+
+  const schema = buildReceiptSchema();
+  const referenceDate = getReferenceDate(detail);
+
+  for (let attempt = 1; attempt <= RECEIPT_CONFIG.MAX_ATTEMPTS; attempt++) {
+    const boundary = randomBytes(8).toString('hex');
+
+    try {
+      const response = await generate(
+        [...pdfs.parts, { text: buildReceiptPrompt(text, boundary) }],
+        {
+          model: RECEIPT_CONFIG.MODEL,
+          apiKey,
+          config: {
+            systemInstruction: buildReceiptInstruction(boundary, referenceDate, pdfs.names),
+            responseMimeType: 'application/json',
+            responseSchema: schema
+          }
+        }
+      );
+
+      const result = normalizeReceipt(JSON.parse(response.text), {
+        attachmentNames: pdfs.names,
+        fallbackDate: referenceDate
+      });
+      if (result) {
+        return await emailsRepository.saveReceipt(userId, {
+          ...result,
+          gmailId: detail.id,
+          accountId: detail.accountId,
+          threadId: detail.threadId,
+          subject: detail.subject,
+          from: detail.from,
+          flags: signals.length > 0 ? [CLASSIFICATION_FLAGS.POSSIBLE_INJECTION] : [],
+          model: RECEIPT_CONFIG.MODEL,
+          promptVersion: RECEIPT_CONFIG.PROMPT_VERSION,
+          extractedAt: new Date()
+        });
+      }
+    } catch (error) {
+      logger.warn('Receipt extraction call failed', {
+        meta: { userId, emailId: email.id, attempt, error: error.message }
+      });
+    }
+  }
+
+  return null;
+};
+
+/**
+ * Scan the emails for receipts and invoices, a few at a time. Every email
+ * that was read is stored, so it is not scanned again; only receipts are
+ * returned. `generate` defaults to Gemini.
+ */
+export const scanEmails = async (
+  userId,
+  mailboxes,
+  emails,
+  apiKey,
+  { generate = generateMultimodal } = {}
+) => {
+  const policy = getRedactionPolicy(await emailsRepository.getEmailSettings(userId));
+
+  const results = await mapWithConcurrency(
+    emails,
+    RECEIPT_CONFIG.FETCH_CONCURRENCY,
+    async (email) => {
+      const mailbox = pickAccount(mailboxes, email.accountId);
+      try {
+        return (
+          mailbox && (await extractReceipt(userId, mailbox, email, { policy, apiKey, generate }))
+        );
+      } catch (error) {
+        logger.warn('Email unavailable for receipt scan', {
+          meta: { userId, emailId: email.id, error: error.message }
+        });
+        return null;
+      }
+    }
+  );
+
+  const receipts = results.filter((record) => record?.isReceipt).map(serializeReceipt);
+  const failed = results.filter((record) => !record).length;
+
+  logger.info('Emails scanned for receipts', {
+    meta: { userId, scanned: emails.length - failed, receipts: receipts.length, failed }
+  });
+
+  return { scanned: emails.length - failed, failed, receipts };
+};
+
+export const listReceipts = asyncHandler(async (userId, options) => {
+  const { limit, offset, ...filters } = options;
+  const [receipts, total] = await Promise.all([
+    emailsRepository.findReceipts(userId, { ...filters, limit, offset }),
+    emailsRepository.countReceipts(userId, filters)
+  ]);
+
+  return { receipts: receipts.map(serializeReceipt), total };
+});
+
+/**
+ * Receipts matching the filters as a file: CSV for spreadsheets or JSON.
+ * Returns the content with its MIME type.
+ */
+export const exportReceipts = asyncHandler(async (userId, { format, ...filters }) => {
+  const receipts = (
+    await emailsRepository.findReceipts(userId, { ...filters, limit: RECEIPT_CONFIG.EXPORT_LIMIT })
+  ).map(serializeReceipt);
+
+  return format === RECEIPT_EXPORT_FORMATS.CSV
+    ? { content: buildReceiptsCsv(receipts), contentType: 'text/csv; charset=utf-8' }
+    : {
+        content: JSON.stringify({ receipts }, null, 2),
+        contentType: 'application/json; charset=utf-8'
+      };
+});
+
+// Spend per month between two YYYY-MM months, both included
+export const getSpendSummary = asyncHandler(async (userId, range) => {
+  const { from, to } = getSummaryMonths(range);
+  const rows = await emailsRepository.getSpendByMonth(userId, {
+    from: `${from}-01`,
+    to: `${to}-31`
+  });
+
+  return { from, to, months: buildSpendSummary(rows) };
+});
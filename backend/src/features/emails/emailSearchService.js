@@ -0,0 +1,162 @@
+import asyncHandler from 'express-async-handler';
+import { logger } from '../../utils/logger.js';
+import { indexConfigurations } from '../../config/searchConfig.js';
+import * as searchRepository from '../search/searchRepository.js';
+import * as pipelineService from '../search/pipelineService.js';
+import { EMAIL_INDEX_CONFIG, INDEX_NAMES } from '../search/searchConstants.js';
+import * as emailsRepository from './emailsRepository.js';
+import { getStoredEmails } from './emailsService.js';
+import { chunk } from './emailsUtils.js';
+import {
+  buildEmailSearchQuery,
+  buildUserFilter,
+  getSearchDocumentId,
+  getSearchHits,
+  toSearchDocument
+} from './emailSearchUtils.js';
+import { EMAIL_SEARCH_CONFIG } from './emailsConstants.js';
+
+const INDEX = INDEX_NAMES.EMAILS;
+
+const indexEmails = async (userId, emails) => {
+  for (const batch of chunk(emails, EMAIL_SEARCH_CONFIG.INDEX_BATCH_SIZE)) {
+    await searchRepository.bulkIndex(
+      batch.map((email) => ({
+        _id: getSearchDocumentId(userId, email.gmailId),
+        _source: toSearchDocument(userId, email)
+      })),
+      INDEX
+    );
+  }
+};
+
+/**
+ * Create the embedding pipeline and the emails index unless they exist. The
+ * embedding model has to be deployed in Elasticsearch beforehand.
+ */
+export const setupEmailSearch = asyncHandler(async () => {
+  try {
+    await pipelineService.getPipeline(EMAIL_INDEX_CONFIG.PIPELINE);
+  } catch (error) {
+    if (error.meta?.statusCode !== 404) {
+      throw error;
+    }
+    await pipelineService.createEmbeddingPipeline(EMAIL_INDEX_CONFIG.PIPELINE, {
+      textField: 'content',
+      embeddingField: 'embedding',
+      modelId: EMAIL_INDEX_CONFIG.EMBEDDING_MODEL,
+      addMetadata: false
+    });
+  }
+
+  if (!(await searchRepository.indexExists(INDEX))) {
+    const { mappings, settings } = indexConfigurations[INDEX];
+    await searchRepository.createIndex(INDEX, mappings, settings);
+  }
+
+  logger.info('Email search index ready', {
+    meta: { index: INDEX, pipeline: EMAIL_INDEX_CONFIG.PIPELINE }
+  });
+});
+
+/**
+ * Mirror a change of the local store in the search index: drop a removed
+ * account's documents, index stored emails, update labels and drop deleted
+ * emails. Best effort, so a sync never fails on the index; a reindex repairs
+ * what was missed. Does nothing unless inbox search is enabled.
+ */
+export const updateSearchIndex = asyncHandler(
+  async (
+    userId,
+    { removedAccountId, includeUnassigned, upserted = [], labelChanges = [], deletedIds = [] }
+  ) => {
+    if (!EMAIL_SEARCH_CONFIG.ENABLED) {
+      return false;
+    }
+
+    try {
+      if (removedAccountId) {
+        await searchRepository.deleteByQuery(
+          buildUserFilter(userId, { accountId: removedAccountId, includeUnassigned }),
+          INDEX
+        );
+      }
+
+      await indexEmails(userId, upserted);
+
+      for (const batch of chunk(labelChanges, EMAIL_SEARCH_CONFIG.INDEX_BATCH_SIZE)) {
+        await searchRepository.bulkUpdate(
+          batch.map(({ gmailId, labelIds }) => ({
+            id: getSearchDocumentId(userId, gmailId),
+            doc: { label_ids: labelIds }
+          })),
+          INDEX
+        );
+      }
+
+      if (deletedIds.length > 0) {
+        const query = buildUserFilter(userId);
+        query.bool.filter.push({ terms: { gmail_id: deletedIds } });
+        await searchRepository.deleteByQuery(query, INDEX);
+      }
+
+      return true;
+    } catch (error) {
+      logger.error('Email search index update failed', {
+        meta: {
+          userId,
+          removedAccountId,
+          upserted: upserted.length,
+          labelsChanged: labelChanges.length,
+          deleted: deletedIds.length,
+          error: error.message
+        }
+      });
+      return false;
+    }
+  }
+);
+
+/**
+ * Search the user's indexed emails. Returns the stored emails in rank order;
+ * hits whose email left the store since are dropped.
+ */
+export const searchEmails = asyncHandler(async (userId, options) => {
+  const response = await searchRepository.executeSearch(
+    buildEmailSearchQuery(userId, options),
+    INDEX
+  );
+  const { emailIds, total } = getSearchHits(response);
+
+  return {
+    emails: await getStoredEmails(userId, emailIds),
+    total,
+    mode: options.mode
+  };
+});
+
+/**
+ * Rebuild the user's part of the index from the local store, e.g. after
+ * enabling search or changing the embedding model
+ */
+export const reindexUserEmails = asyncHandler(async (userId) => {
+  await searchRepository.deleteByQuery(buildUserFilter(userId), INDEX);
+
+  let indexed = 0;
+  let cursor;
+  let emails;
+  do {
+    emails = await emailsRepository.findEmailsByUser(userId, {
+      limit: EMAIL_SEARCH_CONFIG.INDEX_BATCH_SIZE,
+      cursor
+    });
+    await indexEmails(userId, emails);
+    indexed += emails.length;
+
+    const last = emails[emails.length - 1];
+    cursor = last && { internalDate: last.internalDate, gmailId: last.gmailId };
+  } while (emails.length === EMAIL_SEARCH_CONFIG.INDEX_BATCH_SIZE);
+
+  logger.info('Emails reindexed for search', { meta: { userId, indexed } });
+  return { indexed };
+});
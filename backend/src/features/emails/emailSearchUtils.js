@@ -0,0 +1,111 @@
+import { EMAIL_INDEX_CONFIG } from '../search/searchConstants.js';
+import { SEARCH_MODES } from './emailsConstants.js';
+
+const KEYWORD_FIELDS = ['subject^3', 'from^2', 'to', 'snippet'];
+
+// Search documents are per user, as two users can link the same mailbox
+export const getSearchDocumentId = (userId, gmailId) => `${userId}:${gmailId}`;
+
+/**
+ * Search document of a stored email. `content` is what the ingest pipeline
+ * embeds for semantic search.
+ */
+export const toSearchDocument = (userId, email) => {
+  const subject = email.subject || '';
+  const snippet = email.snippet || '';
+
+  return {
+    user_id: String(userId),
+    account_id: email.accountId || null,
+    gmail_id: email.gmailId,
+    thread_id: email.threadId || null,
+    subject,
+    from: email.from || '',
+    to: email.to || '',
+    snippet,
+    content: [subject, snippet, email.from].filter(Boolean).join('\n'),
+    label_ids: email.labelIds || [],
+    list_id: email.listId || null,
+    date: email.internalDate ? new Date(email.internalDate).toISOString() : null
+  };
+};
+
+/**
+ * Query for a user's documents, limited to one account when given. With
+ * `includeUnassigned` documents of emails stored before accounts were tracked
+ * match too.
+ */
+export const buildUserFilter = (userId, { accountId, accountIds, includeUnassigned } = {}) => {
+  const filter = [{ term: { user_id: String(userId) } }];
+  const ids = accountId ? [accountId] : accountIds;
+
+  if (ids?.length > 0) {
+    const accountMatch = { terms: { account_id: ids } };
+    filter.push(
+      includeUnassigned
+        ? {
+            bool: {
+              should: [accountMatch, { bool: { must_not: { exists: { field: 'account_id' } } } }],
+              minimum_should_match: 1
+            }
+          }
+        : accountMatch
+    );
+  }
+
+  return { bool: { filter } };
+};
+
+/**
+ * Request body for an inbox search. Keyword and fuzzy searches are ranked by
+ * relevance, newest first on ties; semantic searches by how close an email's
+ * embedding is to the query's, which the embedding model in Elasticsearch
+ * computes so both come from the same model.
+ */
+export const buildEmailSearchQuery = (userId, { q, mode, accountIds, limit, offset = 0 }) => {
+  const filter = buildUserFilter(userId, { accountIds });
+  const request = { from: offset, size: limit, _source: ['gmail_id'] };
+
+  if (mode === SEARCH_MODES.SEMANTIC) {
+    const k = offset + limit;
+    return {
+      ...request,
+      knn: {
+        field: EMAIL_INDEX_CONFIG.EMBEDDING_FIELD,
+        k,
+        num_candidates: Math.min(Math.max(k * 10, 100), 10000),
+        query_vector_builder: {
+          text_embedding: { model_id: EMAIL_INDEX_CONFIG.EMBEDDING_MODEL, model_text: q }
+        },
+        filter
+      }
+    };
+  }
+
+  const match =
+    mode === SEARCH_MODES.FUZZY
+      ? { type: 'best_fields', fuzziness: 'AUTO', prefix_length: 1 }
+      : { type: 'cross_fields', operator: 'and' };
+
+  return {
+    ...request,
+    query: {
+      bool: {
+        must: { multi_match: { query: q, fields: KEYWORD_FIELDS, ...match } },
+        filter: filter.bool.filter
+      }
+    },
+    sort: ['_score', { date: { order: 'desc', missing: '_last' } }]
+  };
+};
+
+// Matched email ids in rank order, with the total the engine reports
+export const getSearchHits = (response) => {
+  const hits = response?.hits?.hits || [];
+  const total = response?.hits?.total;
+
+  return {
+    emailIds: hits.map((hit) => hit._source?.gmail_id).filter(Boolean),
+    total: typeof total === 'number' ? total : (total?.value ?? hits.length)
+  };
+};
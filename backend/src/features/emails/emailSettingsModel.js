@@ -0,0 +1,90 @@
+import mongoose from 'mongoose';
+import { NOTIFICATION_CHANNELS } from '../notifications/notificationConstants.js';
+import {
+  DEFAULT_REDACTION_POLICY,
+  DIGEST_CONFIG,
+  REDACTION_TYPES,
+  REPLY_DRAFT_CONFIG,
+  REPLY_TONES
+} from './emailsConstants.js';
+
+const emailSettingsSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'user',
+      required: true,
+      unique: true
+    },
+    // Opt-in: write categories back to Gmail as AI/<Category> labels
+    applyGmailLabels: {
+      type: Boolean,
+      default: false
+    },
+    // PII masking applied to email content before it is sent to the model
+    redaction: {
+      enabled: {
+        type: Boolean,
+        default: DEFAULT_REDACTION_POLICY.enabled
+      },
+      types: {
+        type: [{ type: String, enum: Object.values(REDACTION_TYPES) }],
+        default: () => [...DEFAULT_REDACTION_POLICY.types]
+      },
+      keepSenderDomain: {
+        type: Boolean,
+        default: DEFAULT_REDACTION_POLICY.keepSenderDomain
+      }
+    },
+    // Drafted replies: signature appended to every draft and the preselected tone
+    reply: {
+      signature: {
+        type: String,
+        default: '',
+        maxlength: REPLY_DRAFT_CONFIG.MAX_SIGNATURE_LENGTH
+      },
+      defaultTone: {
+        type: String,
+        enum: Object.values(REPLY_TONES),
+        default: REPLY_DRAFT_CONFIG.DEFAULT_TONE
+      }
+    },
+    // Daily digest sent through the notification system at a local time
+    digest: {
+      enabled: {
+        type: Boolean,
+        default: false
+      },
+      // HH:MM in the digest timezone
+      time: {
+        type: String,
+        default: DIGEST_CONFIG.DEFAULT_TIME
+      },
+      timezone: {
+        type: String,
+        default: DIGEST_CONFIG.DEFAULT_TIMEZONE
+      },
+      channel: {
+        type: String,
+        enum: Object.values(NOTIFICATION_CHANNELS),
+        default: DIGEST_CONFIG.DEFAULT_CHANNEL
+      },
+      // Next due run in UTC, recomputed whenever the schedule changes or a run is claimed
+      nextRunAt: Date,
+      lastSentAt: Date
+    },
+    // Secret .ics feed of detected events; only a hash of the token in the feed URL is kept
+    calendarFeed: {
+      tokenHash: String,
+      createdAt: Date
+    }
+  },
+  {
+    timestamps: true
+  }
+);
+
+emailSettingsSchema.index({ 'digest.enabled': 1, 'digest.nextRunAt': 1 });
+emailSettingsSchema.index({ 'calendarFeed.tokenHash': 1 }, { unique: true, sparse: true });
+
+export const EmailSettings = mongoose.model('EmailSettings', emailSettingsSchema);
@@ -0,0 +1,33 @@
+import mongoose from 'mongoose';
+import { UNSUBSCRIBE_METHODS } from './emailsConstants.js';
+
+// Unsubscribe requests per mailing list or bulk sender; the subscriptions themselves are grouped from the email store
+const emailSubscriptionSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'user',
+      required: true
+    },
+    // "list:<List-Id>" or "sender:<address>"
+    key: {
+      type: String,
+      required: true
+    },
+    method: {
+      type: String,
+      enum: Object.values(UNSUBSCRIBE_METHODS),
+      required: true
+    },
+    // Set when a one-click request was accepted or a mailto draft was created
+    unsubscribedAt: Date,
+    draftId: String
+  },
+  {
+    timestamps: true
+  }
+);
+
+emailSubscriptionSchema.index({ userId: 1, key: 1 }, { unique: true });
+
+export const EmailSubscription = mongoose.model('EmailSubscription', emailSubscriptionSchema);
@@ -0,0 +1,129 @@
+import asyncHandler from 'express-async-handler';
+import { createHash, randomBytes } from 'crypto';
+import { logger } from '../../utils/logger.js';
+import { generateJson } from '../../helpers/gemini.js';
+import * as emailsRepository from './emailsRepository.js';
+import { getEmailDetail, getEmailThread } from './emailsService.js';
+import { detectPromptInjection } from './emailsUtils.js';
+import { getRedactionPolicy, redactText } from './redactionUtils.js';
+import {
+  buildSummaryInput,
+  buildSummaryInstruction,
+  buildSummaryPrompt,
+  buildSummarySchema,
+  normalizeSummary,
+  serializeSummary
+} from './summaryUtils.js';
+import { CLASSIFICATION_FLAGS, SUMMARY_CONFIG, SUMMARY_KINDS } from './emailsConstants.js';
+
+const getReferenceDate = (message) =>
+  (message.internalDate ? new Date(message.internalDate) : new Date()).toISOString().slice(0, 10);
+
+/**
+ * Everything needed to summarise a message or thread: the redacted prompt
+ * text, its hash for the cache and the date relative deadlines resolve
+ * against. Returns null when the message or thread does not exist.
+ */
+export const getSummaryContext = asyncHandler(async (userId, mailbox, kind, targetId) => {
+  let messages;
+  if (kind === SUMMARY_KINDS.THREAD) {
+    messages = (await getEmailThread(userId, mailbox, targetId))?.messages;
+  } else {
+    const email = await getEmailDetail(userId, mailbox, targetId);
+    messages = email && [email];
+  }
+
+  if (!messages?.length) {
+    return null;
+  }
+
+  const input = buildSummaryInput(messages);
+  const policy = getRedactionPolicy(await emailsRepository.getEmailSettings(userId));
+  const text = policy.enabled ? redactText(input.text, policy.types).text : input.text;
+  const signals = detectPromptInjection({ snippet: text });
+
+  return {
+    kind,
+    targetId,
+    text,
+    omittedMessages: input.omitted,
+    inputHash: createHash('sha256').update(text).digest('hex'),
+    referenceDate: getReferenceDate(messages[messages.length - 1]),
+    flags: signals.length > 0 ? [CLASSIFICATION_FLAGS.POSSIBLE_INJECTION] : []
+  };
+});
+
+// The stored summary, whether or not it still matches the message
+export const getCachedSummary = asyncHandler(async (userId, kind, targetId) =>
+  serializeSummary(await emailsRepository.findSummary(userId, kind, targetId))
+);
+
+/**
+ * The stored summary if it was made from the same content with the current
+ * model and prompt, otherwise null
+ */
+export const findCurrentSummary = asyncHandler(async (userId, context) => {
+  const stored = await emailsRepository.findSummary(userId, context.kind, context.targetId);
+
+  const isCurrent =
+    stored &&
+    stored.inputHash === context.inputHash &&
+    stored.model === SUMMARY_CONFIG.MODEL &&
+    stored.promptVersion === SUMMARY_CONFIG.PROMPT_VERSION;
+
+  return isCurrent ? serializeSummary(stored) : null;
+});
+
+/**
+ * Summarise the context with the model and store the result, retrying until
+ * the answer validates. Returns null when no attempt gave a usable summary.
+ * `generate` defaults to Gemini.
+ */
+export const generateSummary = async (
+  userId,
+  context,
+  apiKey,
+  { generate = generateJson } = {}
+) => {
+  const schema = buildSummarySchema();
+
+  for (let attempt = 1; attempt <= SUMMARY_CONFIG.MAX_ATTEMPTS; attempt++) {
+    const boundary = randomBytes(8).toString('hex');
+
+    try {
+      const output = await generate(buildSummaryPrompt(context.text, boundary), schema, {
+        model: SUMMARY_CONFIG.MODEL,
+        apiKey,
+        config: {
+          systemInstruction: buildSummaryInstruction(context.kind, boundary, context.referenceDate)
+        }
+      });
+
+      const result = normalizeSummary(output);
+      if (result) {
+        const saved = await emailsRepository.saveSummary(userId, {
+          ...result,
+          kind: context.kind,
+          targetId: context.targetId,
+          flags: context.flags,
+          omittedMessages: context.omittedMessages,
+          model: SUMMARY_CONFIG.MODEL,
+          promptVersion: SUMMARY_CONFIG.PROMPT_VERSION,
+          inputHash: context.inputHash,
+          generatedAt: new Date()
+        });
+
+        logger.info('Email summary generated', {
+          meta: { userId, kind: context.kind, targetId: context.targetId, attempt }
+        });
+        return serializeSummary(saved);
+      }
+    } catch (error) {
+      logger.warn('Summary call failed', {
+        meta: { attempt, kind: context.kind, targetId: context.targetId, error: error.message }
+      });
+    }
+  }
+
+  return null;
+};
@@ -0,0 +1,81 @@
+import mongoose from 'mongoose';
+import { CLASSIFICATION_FLAGS, SUMMARY_KINDS } from './emailsConstants.js';
+
+// Cached summary of one message or thread; replaced when its content or the prompt changes
+const emailSummarySchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'user',
+      required: true
+    },
+    kind: {
+      type: String,
+      enum: Object.values(SUMMARY_KINDS),
+      required: true
+    },
+    // Gmail message id or thread id, depending on kind
+    targetId: {
+      type: String,
+      required: true
+    },
+    summary: {
+      type: String,
+      required: true
+    },
+    actionItems: [
+      {
+        _id: false,
+        description: String,
+        // YYYY-MM-DD, or null when the email gives no date
+        dueDate: String
+      }
+    ],
+    amounts: [
+      {
+        _id: false,
+        description: String,
+        amount: Number,
+        currency: String
+      }
+    ],
+    deadlines: [
+      {
+        _id: false,
+        description: String,
+        date: String
+      }
+    ],
+    // Set when the summarised content looked like prompt injection
+    flags: [{ type: String, enum: Object.values(CLASSIFICATION_FLAGS) }],
+    // Thread messages left out because the conversation was too long
+    omittedMessages: {
+      type: Number,
+      default: 0
+    },
+    model: {
+      type: String,
+      required: true
+    },
+    promptVersion: {
+      type: String,
+      required: true
+    },
+    // Hash of the (redacted) text that was summarised
+    inputHash: {
+      type: String,
+      required: true
+    },
+    generatedAt: {
+      type: Date,
+      default: Date.now
+    }
+  },
+  {
+    timestamps: true
+  }
+);
+
+emailSummarySchema.index({ userId: 1, kind: 1, targetId: 1 }, { unique: true });
+
+export const EmailSummary = mongoose.model('EmailSummary', emailSummarySchema);
@@ -0,0 +1,135 @@
+import asyncHandler from 'express-async-handler';
+import { logger } from '../../utils/logger.js';
+import * as emailsRepository from './emailsRepository.js';
+import { updateSearchIndex } from './emailSearchService.js';
+import { isCursorExpiredError } from './mailboxUtils.js';
+import { SYNC_CONFIG, SYNC_STATUS } from './emailsConstants.js';
+
+/**
+ * Replace the mailbox's part of the local store with its newest messages and
+ * record the provider's sync cursor so later syncs can be incremental
+ */
+export const fullSync = asyncHandler(async (provider, userId) => {
+  const { accountId } = provider;
+  // Read the cursor before listing so nothing that lands mid-sync is missed
+  const profile = await provider.getProfile();
+
+  const messageIds = await provider.listRecentIds(SYNC_CONFIG.INITIAL_SYNC_LIMIT);
+  const messages = await provider.getMessages(messageIds);
+
+  // Emails stored before accounts were tracked are replaced as well
+  await emailsRepository.deleteEmailsByAccount(userId, accountId, { includeUnassigned: true });
+  await emailsRepository.upsertEmails(userId, messages);
+  await updateSearchIndex(userId, {
+    removedAccountId: accountId,
+    includeUnassigned: true,
+    upserted: messages
+  });
+
+  const now = new Date();
+  await emailsRepository.saveSyncState(userId, accountId, {
+    emailAddress: profile.emailAddress,
+    cursor: profile.cursor,
+    status: SYNC_STATUS.IDLE,
+    lastSyncedAt: now,
+    lastFullSyncAt: now,
+    lastError: null
+  });
+
+  logger.info('Mailbox full sync completed', {
+    meta: {
+      userId,
+      accountId,
+      provider: provider.providerId,
+      messages: messages.length,
+      cursor: profile.cursor
+    }
+  });
+
+  return {
+    type: 'full',
+    added: messages.length,
+    deleted: 0,
+    labelsChanged: 0,
+    addedIds: messages.map((m) => m.gmailId)
+  };
+});
+
+/**
+ * Apply everything that changed since `startCursor` to the local store
+ */
+export const incrementalSync = asyncHandler(async (provider, userId, startCursor) => {
+  const { accountId } = provider;
+  const { addedIds, deletedIds, labelChanges, cursor } = await provider.getChanges(startCursor);
+
+  const addedMessages = await provider.getMessages(addedIds);
+
+  await emailsRepository.upsertEmails(userId, addedMessages);
+  await emailsRepository.updateEmailLabels(userId, labelChanges);
+  await emailsRepository.deleteEmailsByGmailIds(userId, deletedIds);
+  await emailsRepository.deleteClassificationsByGmailIds(userId, deletedIds);
+  await updateSearchIndex(userId, { upserted: addedMessages, labelChanges, deletedIds });
+
+  await emailsRepository.saveSyncState(userId, accountId, {
+    cursor,
+    status: SYNC_STATUS.IDLE,
+    lastSyncedAt: new Date(),
+    lastError: null
+  });
+
+  logger.info('Mailbox incremental sync completed', {
+    meta: {
+      userId,
+      accountId,
+      provider: provider.providerId,
+      startCursor,
+      cursor,
+      added: addedMessages.length,
+      deleted: deletedIds.length,
+      labelsChanged: labelChanges.length
+    }
+  });
+
+  return {
+    type: 'incremental',
+    added: addedMessages.length,
+    deleted: deletedIds.length,
+    labelsChanged: labelChanges.length,
+    addedIds: addedMessages.map((m) => m.gmailId)
+  };
+});
+
+/**
+ * Bring the local store up to date with one mailbox. Falls back to a full
+ * sync when there is no stored cursor or the provider can no longer resume
+ * from it. Returns the change counts and the ids of newly stored messages.
+ */
+export const syncMailbox = asyncHandler(async (provider, userId, options = {}) => {
+  const { accountId } = provider;
+  const syncState = await emailsRepository.getSyncState(userId, accountId);
+
+  try {
+    if (!syncState?.cursor || options.full) {
+      return await fullSync(provider, userId);
+    }
+
+    try {
+      return await incrementalSync(provider, userId, syncState.cursor);
+    } catch (error) {
+      if (!isCursorExpiredError(error)) {
+        throw error;
+      }
+
+      logger.warn('Stored sync cursor expired, falling back to full sync', {
+        meta: { userId, accountId, cursor: syncState.cursor }
+      });
+      return await fullSync(provider, userId);
+    }
+  } catch (error) {
+    await emailsRepository.saveSyncState(userId, accountId, {
+      status: SYNC_STATUS.FAILED,
+      lastError: error.message
+    });
+    throw error;
+  }
+});
@@ -0,0 +1,616 @@
+export const EMAIL_MESSAGES = {
+  EMAILS_FETCHED_SUCCESS: 'Emails fetched successfully',
+  EMAIL_RETRIEVED_SUCCESS: 'Email retrieved successfully',
+  THREAD_RETRIEVED_SUCCESS: 'Thread retrieved successfully',
+  EMAILS_CLASSIFIED_SUCCESS: 'Emails classified successfully',
+  MAILBOX_SYNCED_SUCCESS: 'Mailbox synced successfully',
+  CLASSIFICATION_JOB_QUEUED_SUCCESS: 'Classification job queued',
+  CLASSIFICATION_JOB_RETRIEVED_SUCCESS: 'Classification job retrieved successfully',
+  CATEGORIES_RETRIEVED_SUCCESS: 'Categories retrieved successfully',
+  CATEGORY_CREATED_SUCCESS: 'Category created successfully',
+  CATEGORY_UPDATED_SUCCESS: 'Category updated successfully',
+  CATEGORY_DELETED_SUCCESS: 'Category deleted successfully',
+  RULES_RETRIEVED_SUCCESS: 'Classification rules retrieved successfully',
+  RULE_CREATED_SUCCESS: 'Classification rule created successfully',
+  RULE_UPDATED_SUCCESS: 'Classification rule updated successfully',
+  RULE_DELETED_SUCCESS: 'Classification rule deleted successfully',
+  SETTINGS_RETRIEVED_SUCCESS: 'Email settings retrieved successfully',
+  SETTINGS_UPDATED_SUCCESS: 'Email settings updated successfully',
+  GMAIL_LABELS_REMOVED_SUCCESS: 'Gmail labels removed successfully',
+  CATEGORY_CORRECTED_SUCCESS: 'Email category corrected successfully',
+  SUMMARY_GENERATED_SUCCESS: 'Summary generated successfully',
+  SUMMARY_RETRIEVED_SUCCESS: 'Summary retrieved successfully',
+  CORRECTION_STATS_RETRIEVED_SUCCESS: 'Correction stats retrieved successfully',
+  REPLY_DRAFTED_SUCCESS: 'Reply drafted successfully',
+  GMAIL_DRAFT_CREATED_SUCCESS: 'Gmail draft created successfully',
+  DIGEST_PREVIEW_RETRIEVED_SUCCESS: 'Digest preview retrieved successfully',
+  TIMEZONES_RETRIEVED_SUCCESS: 'Timezones retrieved successfully',
+  SUBSCRIPTIONS_RETRIEVED_SUCCESS: 'Subscriptions retrieved successfully',
+  UNSUBSCRIBE_SUCCESS: 'Unsubscribe request handled successfully',
+  CLEANUP_JOB_QUEUED_SUCCESS: 'Cleanup job queued',
+  CLEANUP_JOB_RETRIEVED_SUCCESS: 'Cleanup job retrieved successfully',
+  CLEANUP_JOB_UNDONE_SUCCESS: 'Cleanup job cancelled',
+  ACCOUNTS_RETRIEVED_SUCCESS: 'Mail accounts retrieved successfully',
+  ACCOUNT_UNLINKED_SUCCESS: 'Mail account removed successfully',
+  IMAP_ACCOUNT_CONNECTED_SUCCESS: 'IMAP mailbox connected successfully',
+  MAILBOX_IMPORTED_SUCCESS: 'Mail archive imported successfully',
+  EMAIL_SEARCH_SUCCESS: 'Email search completed successfully',
+  EMAIL_SEARCH_REINDEXED_SUCCESS: 'Emails reindexed for search successfully',
+  QUESTION_ANSWERED_SUCCESS: 'Question answered successfully',
+  CONVERSATIONS_RETRIEVED_SUCCESS: 'Conversations retrieved successfully',
+  CONVERSATION_RETRIEVED_SUCCESS: 'Conversation retrieved successfully',
+  CONVERSATION_DELETED_SUCCESS: 'Conversation deleted successfully',
+  RECEIPTS_SCANNED_SUCCESS: 'Emails scanned for receipts successfully',
+  RECEIPTS_RETRIEVED_SUCCESS: 'Receipts retrieved successfully',
+  SPEND_SUMMARY_RETRIEVED_SUCCESS: 'Spend summary retrieved successfully',
+  EVENTS_SCANNED_SUCCESS: 'Emails scanned for events successfully',
+  EVENTS_RETRIEVED_SUCCESS: 'Events retrieved successfully',
+  EVENT_UPDATED_SUCCESS: 'Event updated successfully',
+  CALENDAR_FEED_RETRIEVED_SUCCESS: 'Calendar feed retrieved successfully',
+  CALENDAR_FEED_CREATED_SUCCESS: 'Calendar feed created successfully',
+  CALENDAR_FEED_REVOKED_SUCCESS: 'Calendar feed revoked successfully',
+
+  GOOGLE_ACCOUNT_NOT_CONNECTED: 'Google account not connected',
+  MAILBOX_NOT_CONNECTED: 'Connect a Google account or another mailbox first',
+  GEMINI_API_KEY_REQUIRED: 'Gemini API key is required',
+  GEMINI_KEY_ALLOWANCE_REACHED: 'Daily limit of the shared Gemini API key reached',
+  EMAIL_NOT_FOUND: 'Email not found',
+  EMAIL_NOT_CLASSIFIED: 'Email has not been classified yet',
+  SUMMARY_FAILED: 'The model gave no valid summary, please try again',
+  REPLY_DRAFT_FAILED: 'The model gave no usable reply, please try again',
+  THREAD_NOT_FOUND: 'Thread not found',
+  MAILBOX_SYNC_FAILED: 'Failed to sync mailbox',
+  CLASSIFICATION_JOB_NOT_FOUND: 'Classification job not found',
+  CLASSIFICATION_QUEUE_UNAVAILABLE: 'Background classification is not available right now',
+  CATEGORY_NOT_FOUND: 'Category not found',
+  CATEGORY_ALREADY_EXISTS: 'A category with this name already exists',
+  DEFAULT_CATEGORY_REQUIRED: 'The default category cannot be deleted',
+  RULE_NOT_FOUND: 'Classification rule not found',
+  INVALID_RULE_PATTERN: 'Rule pattern is not a valid or safe regular expression',
+  INVALID_PAGE_TOKEN: 'Invalid page token',
+  GMAIL_MODIFY_SCOPE_REQUIRED: 'Reconnect your Google account to allow label changes',
+  GMAIL_MODIFY_SCOPE_REQUIRED_FOR: (accounts) =>
+    `Reconnect these Google accounts to allow label changes: ${accounts.join(', ')}`,
+  GMAIL_COMPOSE_SCOPE_REQUIRED: 'Reconnect your Google account to allow creating drafts',
+  SUBSCRIPTION_NOT_FOUND: 'Subscription not found',
+  UNSUBSCRIBE_NOT_AVAILABLE: 'This sender offers no way to unsubscribe',
+  UNSUBSCRIBE_FAILED: 'The sender did not accept the unsubscribe request',
+  NOTHING_TO_CLEAN_UP: 'No emails from this sender left to archive or delete',
+  CLEANUP_JOB_NOT_FOUND: 'Cleanup job not found',
+  CLEANUP_UNDO_EXPIRED: 'The undo window for this job has passed',
+  GOOGLE_ACCOUNT_NOT_FOUND: 'Google account not linked to this user',
+  LAST_GOOGLE_ACCOUNT: 'Link another Google account before unlinking this one',
+  MAILBOX_NOT_FOUND: 'Mailbox not found',
+  GMAIL_ACCOUNT_REQUIRED: 'Only available for messages in a Gmail account',
+  SEARCH_NOT_SUPPORTED: 'Search is only available in Gmail accounts',
+  IMAP_CONNECTION_FAILED: 'Could not sign in to the IMAP server',
+  IMAP_HOST_NOT_ALLOWED: 'The IMAP server must have a public address',
+  IMPORT_ARCHIVE_EMPTY: 'No messages found in the uploaded archive',
+  PUSH_UNAUTHORIZED: 'Push notification is not signed by the configured publisher',
+  INVALID_PUSH_MESSAGE: 'Push notification does not carry a Gmail mailbox change',
+  PUSH_ACCEPTED: 'Push notification accepted',
+  EMAIL_SEARCH_DISABLED: 'Inbox search is not enabled on this server',
+  CONVERSATION_NOT_FOUND: 'Conversation not found',
+  CONVERSATION_FULL: 'This conversation is too long, please start a new one',
+  ANSWER_FAILED: 'The model gave no usable answer, please try again',
+  INVALID_MONTH_RANGE: 'The start month must not be after the end month',
+  EVENT_NOT_FOUND: 'Event not found',
+  CALENDAR_FEED_NOT_FOUND: 'Calendar feed not found'
+};
+
+// Mailbox sync status types
+export const SYNC_STATUS = {
+  IDLE: 'idle',
+  SYNCING: 'syncing',
+  FAILED: 'failed'
+};
+
+// Classification job status types
+export const JOB_STATUS = {
+  QUEUED: 'queued',
+  RUNNING: 'running',
+  COMPLETED: 'completed',
+  COMPLETED_WITH_ERRORS: 'completed_with_errors',
+  FAILED: 'failed'
+};
+
+export const BATCH_STATUS = {
+  QUEUED: 'queued',
+  RUNNING: 'running',
+  COMPLETED: 'completed',
+  FAILED: 'failed'
+};
+
+export const CLASSIFICATION_QUEUE = {
+  EXCHANGE: 'emails.classification',
+  QUEUE: 'emails.classification.batches',
+  ROUTING_KEY: 'classify.batch',
+  // Emails sent to the model per queued message
+  BATCH_SIZE: parseInt(process.env.CLASSIFICATION_BATCH_SIZE, 10) || 20
+};
+
+// Gmail history record types we apply to the local store
+export const GMAIL_HISTORY_TYPES = ['messageAdded', 'messageDeleted', 'labelAdded', 'labelRemoved'];
+
+// Headers kept when a message is fetched with format: 'metadata'
+export const GMAIL_METADATA_HEADERS = [
+  'Subject',
+  'From',
+  'To',
+  'Date',
+  'List-Id',
+  'List-Unsubscribe',
+  'List-Unsubscribe-Post'
+];
+
+// Categories every user starts with; they can be edited or removed afterwards
+export const DEFAULT_EMAIL_CATEGORIES = [
+  {
+    name: 'important',
+    description: 'Personal or work messages that need attention',
+    color: '#16a34a'
+  },
+  {
+    name: 'promotions',
+    description: 'Deals, offers and discounts',
+    color: '#9333ea'
+  },
+  {
+    name: 'social',
+    description: 'Notifications from social networks and communities',
+    color: '#2563eb'
+  },
+  {
+    name: 'marketing',
+    description: 'Newsletters and marketing campaigns',
+    color: '#ea580c'
+  },
+  {
+    name: 'spam',
+    description: 'Unsolicited or suspicious messages',
+    color: '#dc2626'
+  },
+  {
+    name: 'general',
+    description: 'Anything that fits no other category',
+    color: '#4b5563'
+  }
+];
+
+// Fallback for unmatched model output; cannot be deleted
+export const DEFAULT_CATEGORY = 'general';
+
+// Deterministic rules applied before the model
+export const RULE_TYPES = {
+  SENDER: 'sender',
+  SENDER_DOMAIN: 'sender_domain',
+  SUBJECT_REGEX: 'subject_regex',
+  GMAIL_LABEL: 'gmail_label'
+};
+
+// PII masked out of email content before it reaches the model
+export const REDACTION_TYPES = {
+  EMAIL: 'email',
+  PHONE: 'phone',
+  CARD: 'card',
+  IBAN: 'iban',
+  OTP: 'otp',
+  ADDRESS: 'address'
+};
+
+// Email fields that go into the classification prompt
+export const REDACTED_FIELDS = ['from', 'subject', 'snippet'];
+
+// Applies to users who have not saved a policy; sender domains stay visible
+// because they are one of the strongest classification signals
+export const DEFAULT_REDACTION_POLICY = {
+  enabled: true,
+  types: Object.values(REDACTION_TYPES),
+  keepSenderDomain: true
+};
+
+// Who created a rule: the user, or the classifier learning from corrections
+export const RULE_ORIGIN = {
+  USER: 'user',
+  CORRECTIONS: 'corrections'
+};
+
+export const CLASSIFICATION_SOURCE = {
+  RULE: 'rule',
+  MODEL: 'model',
+  USER: 'user'
+};
+
+export const CLASSIFIER_CONFIG = {
+  MODEL: 'gemini-2.0-flash-exp',
+  // Bump whenever the prompt changes so stored classifications are redone
+  PROMPT_VERSION: 'v5',
+  // Model calls per email before falling back to the default category
+  MAX_ATTEMPTS: 3,
+  // Emails are classified one per call so one message cannot steer another
+  CONCURRENCY: 5,
+  MAX_REASON_LENGTH: 200,
+  // Confidence ceiling for emails flagged as possible prompt injection
+  INJECTION_CONFIDENCE_CAP: 0.5
+};
+
+// What a summary covers: one message or a whole conversation
+export const SUMMARY_KINDS = {
+  MESSAGE: 'message',
+  THREAD: 'thread'
+};
+
+export const SUMMARY_CONFIG = {
+  MODEL: 'gemini-2.5-flash',
+  // Bump whenever the prompt changes so cached summaries are redone
+  PROMPT_VERSION: 's1',
+  MAX_ATTEMPTS: 2,
+  // Per message, then for the whole prompt; the oldest thread messages are dropped first
+  MAX_MESSAGE_CHARS: 4000,
+  MAX_INPUT_CHARS: 16000,
+  MAX_SUMMARY_LENGTH: 600,
+  MAX_ITEMS: 10,
+  MAX_ITEM_LENGTH: 200
+};
+
+// Tone presets for drafted replies; the text is added to the drafting instruction
+export const REPLY_TONES = {
+  NEUTRAL: 'neutral',
+  FRIENDLY: 'friendly',
+  FORMAL: 'formal',
+  CONCISE: 'concise'
+};
+
+export const REPLY_TONE_INSTRUCTIONS = {
+  [REPLY_TONES.NEUTRAL]: 'Write in a clear, polite and neutral tone.',
+  [REPLY_TONES.FRIENDLY]: 'Write in a warm, friendly and informal tone.',
+  [REPLY_TONES.FORMAL]: 'Write in a formal, professional tone.',
+  [REPLY_TONES.CONCISE]: 'Be as brief as possible: a few short sentences at most.'
+};
+
+export const REPLY_DRAFT_CONFIG = {
+  MODEL: 'gemini-2.5-flash',
+  DEFAULT_TONE: REPLY_TONES.NEUTRAL,
+  // Thread context sent with the message being answered
+  MAX_CONTEXT_CHARS: 12000,
+  MAX_INSTRUCTION_LENGTH: 500,
+  MAX_SIGNATURE_LENGTH: 1000,
+  MAX_BODY_LENGTH: 20000
+};
+
+export const DIGEST_CONFIG = {
+  WORKFLOW_ID: process.env.NOVU_DIGEST_WORKFLOW_ID || 'email-digest',
+  DEFAULT_TIME: '08:00',
+  DEFAULT_TIMEZONE: 'UTC',
+  DEFAULT_CHANNEL: 'email',
+  // Emails received this long before the digest are included
+  WINDOW_HOURS: 24,
+  // Category whose newest emails are listed with their summaries
+  IMPORTANT_CATEGORY: 'important',
+  TOP_EMAILS: 5,
+  // Action items come from summaries generated this many days back
+  ACTION_ITEM_DAYS: 14,
+  MAX_ACTION_ITEMS: 10,
+  // The scheduler checks for due digests every minute
+  SCHEDULE: '* * * * *',
+  BATCH_SIZE: 50
+};
+
+// Why a due digest was not sent
+export const DIGEST_SKIP_REASONS = {
+  CHANNEL_DISABLED: 'channel_disabled',
+  DO_NOT_DISTURB: 'do_not_disturb',
+  EMPTY: 'empty'
+};
+
+export const CORRECTION_CONFIG = {
+  // Corrections of one sender, or corrected senders of one domain, that agree
+  // on a category before a rule is learned
+  SENDER_RULE_THRESHOLD: 3,
+  DOMAIN_RULE_THRESHOLD: 3,
+  // Learned sender rules are checked before learned domain rules
+  SENDER_RULE_PRIORITY: 10,
+  DOMAIN_RULE_PRIORITY: 20,
+  // Most recent corrections shown to the classifier as examples
+  FEW_SHOT_EXAMPLES: 5,
+  MAX_EXAMPLE_LENGTH: 120
+};
+
+// Shared mailbox providers; a domain rule here would cover unrelated senders
+export const FREEMAIL_DOMAINS = [
+  'gmail.com',
+  'googlemail.com',
+  'outlook.com',
+  'hotmail.com',
+  'live.com',
+  'msn.com',
+  'yahoo.com',
+  'icloud.com',
+  'me.com',
+  'aol.com',
+  'proton.me',
+  'protonmail.com',
+  'gmx.com',
+  'yandex.com'
+];
+
+export const CLASSIFICATION_FLAGS = {
+  POSSIBLE_INJECTION: 'possible_injection'
+};
+
+export const GMAIL_LABELS = {
+  // Category labels are created as nested labels, e.g. AI/Promotions
+  PREFIX: 'AI',
+  INBOX: 'INBOX',
+  UNREAD: 'UNREAD',
+  TRASH: 'TRASH',
+  STARRED: 'STARRED',
+  // users.messages.batchModify accepts at most 1000 ids per call
+  BATCH_MODIFY_LIMIT: 1000
+};
+
+export const LIST_CONFIG = {
+  DEFAULT_LIMIT: 15,
+  MAX_LIMIT: 100
+};
+
+// accountId value that selects every mailbox (the unified inbox)
+export const ALL_ACCOUNTS = 'all';
+
+// Where a mailbox lives; Google matches the better-auth providerId of linked accounts
+export const MAILBOX_PROVIDERS = {
+  GMAIL: 'google',
+  IMAP: 'imap',
+  // Messages uploaded from mbox or EML files, kept only in this service
+  IMPORT: 'import'
+};
+
+export const SYNC_CONFIG = {
+  // Number of newest messages pulled on the first (or a forced full) sync
+  INITIAL_SYNC_LIMIT: parseInt(process.env.GMAIL_INITIAL_SYNC_LIMIT, 10) || 100,
+  HISTORY_PAGE_SIZE: 500
+};
+
+// Error code providers throw when a stored sync cursor can no longer be resumed
+export const SYNC_CURSOR_EXPIRED = 'SYNC_CURSOR_EXPIRED';
+
+export const IMAP_CONFIG = {
+  DEFAULT_PORT: 993,
+  DEFAULT_MAILBOX: 'INBOX',
+  // Used when the server advertises no \Archive or \Trash special-use folder
+  ARCHIVE_MAILBOX: 'Archive',
+  TRASH_MAILBOX: 'Trash',
+  CONNECTION_TIMEOUT_MS: 15000,
+  // Only the start of each message is downloaded for the stored headers and snippet
+  PREVIEW_BYTES: 64 * 1024,
+  // Servers on private or loopback addresses (such as a local test server) are refused unless set
+  ALLOW_PRIVATE_HOSTS: process.env.IMAP_ALLOW_PRIVATE_HOSTS === 'true'
+};
+
+export const IMPORT_CONFIG = {
+  // Request body limit for an uploaded archive, in express.raw notation
+  MAX_ARCHIVE_SIZE: process.env.MAIL_IMPORT_MAX_SIZE || '50mb',
+  // Larger messages are skipped; the raw source is stored in a single document
+  MAX_MESSAGE_BYTES: 10 * 1024 * 1024,
+  CONTENT_TYPES: ['application/mbox', 'message/rfc822', 'application/octet-stream'],
+  DEFAULT_NAME: 'Imported mail',
+  // Messages parsed and stored per write
+  BATCH_SIZE: 100
+};
+
+export const PUSH_CONFIG = {
+  // Pub/Sub topic Gmail publishes mailbox changes to (projects/<project>/topics/<topic>);
+  // without it no watches are registered
+  TOPIC: process.env.GMAIL_PUSH_TOPIC,
+  // Audience of the tokens on push requests, normally the push endpoint URL
+  AUDIENCE: process.env.GMAIL_PUSH_AUDIENCE,
+  // Service account the Pub/Sub subscription signs its OIDC tokens as
+  SERVICE_ACCOUNT: process.env.GMAIL_PUSH_SERVICE_ACCOUNT,
+  // Shared secret of the local stand-in publisher (scripts/fakeGmailPush.js); never set in production
+  LOCAL_SECRET: process.env.GMAIL_PUSH_LOCAL_SECRET,
+  // Only changes to these labels are published
+  LABEL_IDS: ['INBOX'],
+  // Watches last 7 days; they are renewed once less than a day is left
+  RENEW_BEFORE_MS: 24 * 60 * 60 * 1000,
+  RENEW_SCHEDULE: '15 * * * *',
+  // Locally signed tokens older than this are refused
+  MAX_TOKEN_AGE_SECONDS: 5 * 60
+};
+
+export const MAILBOX_EVENTS = {
+  // Fanout exchange that carries events to every instance holding an event stream
+  EXCHANGE: 'emails.mailbox-events',
+  SYNCED: 'mailbox.synced',
+  CLASSIFIED: 'emails.classified',
+  // Comment lines keep idle streams open through proxies with a 30 second read timeout
+  HEARTBEAT_MS: 20000,
+  // Reconnect delay EventSource clients are told to use
+  RETRY_MS: 5000
+};
+
+// Inbox search in Elasticsearch; the index and its embedding pipeline are in config/searchConfig.js
+export const EMAIL_SEARCH_CONFIG = {
+  // Synced emails are only indexed, and /emails/search only answers, when enabled
+  ENABLED: process.env.EMAIL_SEARCH_ENABLED === 'true',
+  DEFAULT_LIMIT: 20,
+  MAX_LIMIT: 50,
+  // Deep pages get expensive for kNN, which has to rank offset + limit candidates
+  MAX_OFFSET: 500,
+  INDEX_BATCH_SIZE: 200
+};
+
+export const SEARCH_MODES = {
+  // All words must match, in any of subject, sender, recipients or snippet
+  KEYWORD: 'keyword',
+  // Like keyword, tolerating typos
+  FUZZY: 'fuzzy',
+  // Nearest neighbours of the query's embedding
+  SEMANTIC: 'semantic'
+};
+
+// Questions answered from the user's emails, retrieved through the search index
+export const ASK_CONFIG = {
+  MODEL: 'gemini-2.5-flash',
+  MAX_ATTEMPTS: 2,
+  // Emails retrieved per question; the emails cited in the last answer are added
+  CANDIDATES: 8,
+  MAX_EMAIL_CHARS: 2500,
+  MAX_CONTEXT_CHARS: 20000,
+  // Earlier turns sent with a follow-up question
+  HISTORY_TURNS: 6,
+  // Turns (questions and answers) one conversation can hold
+  MAX_TURNS: 40,
+  MAX_QUESTION_LENGTH: 500,
+  MAX_ANSWER_LENGTH: 2000,
+  MAX_QUOTE_LENGTH: 300,
+  CONVERSATIONS_LIMIT: 20,
+  FETCH_CONCURRENCY: 4,
+  // Answer given without asking the model when no email matched
+  NO_MATCH_ANSWER: 'No emails about this were found.'
+};
+
+export const CONVERSATION_ROLES = {
+  USER: 'user',
+  ASSISTANT: 'assistant'
+};
+
+// Receipts and invoices extracted from emails and their PDF attachments
+export const RECEIPT_CONFIG = {
+  MODEL: 'gemini-2.5-flash',
+  // Bump whenever the prompt changes; emails scanned with an older prompt are scanned again
+  PROMPT_VERSION: 'r1',
+  MAX_ATTEMPTS: 2,
+  // Emails sent to the model per scan request, one call each
+  SCAN_LIMIT: 25,
+  DEFAULT_SCAN_DAYS: 30,
+  MAX_SCAN_DAYS: 365,
+  MAX_TEXT_CHARS: 8000,
+  // PDF attachments sent along with the body; larger files are left out
+  MAX_ATTACHMENTS: 2,
+  MAX_ATTACHMENT_BYTES: 5 * 1024 * 1024,
+  MAX_FIELD_LENGTH: 120,
+  FETCH_CONCURRENCY: 3,
+  DEFAULT_LIMIT: 50,
+  MAX_LIMIT: 200,
+  EXPORT_LIMIT: 5000,
+  // Months in the spend summary when no range is given, including the current one
+  DEFAULT_SUMMARY_MONTHS: 12
+};
+
+export const RECEIPT_TYPES = {
+  RECEIPT: 'receipt',
+  INVOICE: 'invoice'
+};
+
+// Where the extracted figures were found
+export const RECEIPT_SOURCES = {
+  BODY: 'body',
+  ATTACHMENT: 'attachment'
+};
+
+export const SPEND_CATEGORIES = {
+  SHOPPING: 'shopping',
+  FOOD: 'food',
+  TRAVEL: 'travel',
+  TRANSPORT: 'transport',
+  UTILITIES: 'utilities',
+  SUBSCRIPTIONS: 'subscriptions',
+  SERVICES: 'services',
+  OTHER: 'other'
+};
+
+export const RECEIPT_EXPORT_FORMATS = {
+  CSV: 'csv',
+  JSON: 'json'
+};
+
+// Events found in invitations and in the text of emails, published as an .ics feed
+export const CALENDAR_CONFIG = {
+  MODEL: 'gemini-2.5-flash',
+  // Bump whenever the prompt changes; emails scanned with an older prompt are scanned again
+  PROMPT_VERSION: 'c1',
+  MAX_ATTEMPTS: 2,
+  // Emails scanned per request; invitations are parsed without a model call
+  SCAN_LIMIT: 25,
+  DEFAULT_SCAN_DAYS: 30,
+  MAX_SCAN_DAYS: 365,
+  MAX_TEXT_CHARS: 8000,
+  MAX_EVENTS_PER_EMAIL: 5,
+  MAX_TITLE_LENGTH: 200,
+  MAX_LOCATION_LENGTH: 300,
+  MAX_DESCRIPTION_LENGTH: 1000,
+  // .ics attachments read when an invitation is not sent inline
+  MAX_ICS_BYTES: 256 * 1024,
+  // Timed events found in text without an end last this long
+  DEFAULT_DURATION_MINUTES: 60,
+  FETCH_CONCURRENCY: 3,
+  DEFAULT_LIMIT: 50,
+  MAX_LIMIT: 200,
+  // The feed leaves out events that ended longer ago than this
+  FEED_PAST_DAYS: 90,
+  FEED_LIMIT: 2000,
+  FEED_NAME: 'Email events',
+  // Identifies events the server made up an id for, and the feed's producer
+  UID_DOMAIN: 'email-events.local',
+  PRODUCT_ID: '-//Monolith//Email Events//EN'
+};
+
+// Where an event was found
+export const EVENT_SOURCES = {
+  // A text/calendar part, such as a meeting invitation
+  INVITE: 'invite',
+  // Dates the model found in the text
+  TEXT: 'text'
+};
+
+export const EVENT_KINDS = {
+  MEETING: 'meeting',
+  BOOKING: 'booking',
+  DEADLINE: 'deadline',
+  OTHER: 'other'
+};
+
+// Detected events are proposed until the user accepts or dismisses them; dismissed ones leave the feed
+export const EVENT_STATUS = {
+  PROPOSED: 'proposed',
+  ACCEPTED: 'accepted',
+  DISMISSED: 'dismissed'
+};
+
+// Stored snippets are cut to about the length Gmail uses
+export const SNIPPET_LENGTH = 200;
+
+// How a subscription can be ended, best first
+export const UNSUBSCRIBE_METHODS = {
+  // RFC 8058 POST to the List-Unsubscribe https URL, sent by the server
+  ONE_CLICK: 'one_click',
+  // A Gmail draft to the List-Unsubscribe mailto address, for the user to send
+  MAILTO: 'mailto',
+  // A web page the user has to open themselves
+  LINK: 'link'
+};
+
+export const CLEANUP_ACTIONS = {
+  ARCHIVE: 'archive',
+  // Moved to the Gmail trash, never deleted permanently
+  TRASH: 'trash'
+};
+
+export const CLEANUP_JOB_STATUS = {
+  PENDING: 'pending',
+  RUNNING: 'running',
+  COMPLETED: 'completed',
+  FAILED: 'failed',
+  CANCELLED: 'cancelled'
+};
+
+export const SUBSCRIPTION_CONFIG = {
+  // Cleanup jobs wait this long before touching Gmail and can be undone until then
+  UNDO_WINDOW_SECONDS: 30,
+  // The scheduler checks for due cleanup jobs every 10 seconds
+  CLEANUP_SCHEDULE: '*/10 * * * * *',
+  CLEANUP_BATCH_SIZE: 20,
+  UNSUBSCRIBE_TIMEOUT_MS: 10000,
+  // Used when the mailto link names no subject or body
+  MAILTO_DEFAULT_TEXT: 'unsubscribe'
+};
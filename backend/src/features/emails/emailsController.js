@@ -1,138 +1,1740 @@
-import { google } from 'googleapis';
-import mongoose from 'mongoose';
 import { httpResponse } from '../../utils/httpResponse.js';
 import { httpError } from '../../utils/httpError.js';
-import { classifyEmails as classifyEmailsService } from './emailsService.js';
+import { logger } from '../../utils/logger.js';
+import { countryTimezone, validateJoiSchema } from '../../helpers/generalHelper.js';
+import { GMAIL_COMPOSE_SCOPE, GMAIL_MODIFY_SCOPE, hasGmailScope } from '../../helpers/gmail.js';
+import {
+  classifyAndStoreEmails,
+  getEmailDetail,
+  getEmailsByIds,
+  getEmailThread,
+  getPendingClassifications,
+  listEmails
+} from './emailsService.js';
+import { syncMailbox } from './emailSyncService.js';
+import { withMailboxProvider } from './mailboxProvider.js';
+import { resolveGeminiApiKey } from '../secrets/secretsService.js';
+import { auth } from '../auth/betterAuth.js';
+import * as classificationJobService from './classificationJobService.js';
+import * as emailAccountsService from './emailAccountsService.js';
+import * as emailCategoriesService from './emailCategoriesService.js';
+import * as emailCorrectionsService from './emailCorrectionsService.js';
+import * as emailAskService from './emailAskService.js';
+import * as emailDigestService from './emailDigestService.js';
+import * as emailEventsService from './emailEventsService.js';
+import * as emailReceiptsService from './emailReceiptsService.js';
+import * as emailSearchService from './emailSearchService.js';
+import * as emailSummariesService from './emailSummariesService.js';
+import * as gmailPushService from './gmailPushService.js';
+import * as mailboxImportService from './mailboxImportService.js';
+import * as replyDraftsService from './replyDraftsService.js';
+import * as subscriptionsService from './subscriptionsService.js';
+import { applyCategoryLabels, removeCategoryLabels } from './gmailLabelsService.js';
+import * as emailsRepository from './emailsRepository.js';
+import { getDigestSettings, getNextDigestRun } from './digestUtils.js';
+import {
+  decodeCursor,
+  decodeSearchToken,
+  isValidRulePattern,
+  pickAccount,
+  serializeEmail
+} from './emailsUtils.js';
+import { subscribeMailboxEvents } from './mailboxEvents.js';
+import { decodePushEnvelope, formatServerSentEvent } from './pushUtils.js';
+import { getRedactionPolicy } from './redactionUtils.js';
+import { getReplySettings } from './replyDraftUtils.js';
+import { getUnsubscribeMethod, serializeCleanupJob } from './subscriptionUtils.js';
+import {
+  ALL_ACCOUNTS,
+  ASK_CONFIG,
+  DEFAULT_CATEGORY,
+  EMAIL_MESSAGES,
+  EMAIL_SEARCH_CONFIG,
+  MAILBOX_EVENTS,
+  MAILBOX_PROVIDERS,
+  SUMMARY_KINDS,
+  UNSUBSCRIBE_METHODS
+} from './emailsConstants.js';
+import {
+  accountParamsSchema,
+  askInboxSchema,
+  calendarFeedSchema,
+  categoryParamsSchema,
+  classificationJobParamsSchema,
+  classifyEmailsSchema,
+  cleanupJobParamsSchema,
+  cleanupSubscriptionSchema,
+  connectImapAccountSchema,
+  conversationParamsSchema,
+  correctEmailCategorySchema,
+  createCategorySchema,
+  createClassificationJobSchema,
+  createReplyDraftSchema,
+  createRuleSchema,
+  digestTimezonesSchema,
+  draftReplySchema,
+  emailParamsSchema,
+  eventParamsSchema,
+  exportReceiptsSchema,
+  gmailPushSchema,
+  importMailboxSchema,
+  listEmailsSchema,
+  listEventsSchema,
+  listReceiptsSchema,
+  ruleParamsSchema,
+  scanEventsSchema,
+  scanReceiptsSchema,
+  searchEmailsSchema,
+  spendSummarySchema,
+  subscriptionParamsSchema,
+  summarizeEmailSchema,
+  syncEmailsSchema,
+  threadParamsSchema,
+  undoGmailLabelsSchema,
+  updateCategorySchema,
+  updateEmailSettingsSchema,
+  updateEventSchema,
+  updateRuleSchema
+} from './emailsValidation.js';
+
+// Linked Google accounts followed by IMAP and imported mailboxes
+const getMailboxes = (req) => emailAccountsService.listMailboxes(req.user.id, req.googleAccounts);
+
+// The mailboxes an accountId query selects: one of them, or all for the unified inbox
+const selectAccounts = (mailboxes, accountId) =>
+  accountId === ALL_ACCOUNTS
+    ? mailboxes
+    : mailboxes.filter((account) => account.accountId === accountId);
+
+// Push notifications for a synced Google account start with its first sync
+const watchAccount = async (userId, account) => {
+  try {
+    await gmailPushService.ensureMailboxWatch(userId, account);
+  } catch (watchError) {
+    logger.warn('Gmail watch registration failed', {
+      meta: { userId, accountId: account.accountId, error: watchError.message }
+    });
+  }
+};
+
+// Sync one mailbox and return its change counts, or null when it has no server to sync from
+const syncAccount = async (userId, account, options) => {
+  const result = await withMailboxProvider(account, async (provider) =>
+    provider.syncable ? await syncMailbox(provider, userId, options) : null
+  );
+  if (!result) {
+    return null;
+  }
+
+  if (account.providerId === MAILBOX_PROVIDERS.GMAIL) {
+    await watchAccount(userId, account);
+  }
+  return {
+    type: result.type,
+    added: result.added,
+    deleted: result.deleted,
+    labelsChanged: result.labelsChanged
+  };
+};
+
+// Sync one mailbox ahead of a listing, serving the last synced state if that fails
+const syncBeforeListing = async (userId, account) => {
+  try {
+    await syncAccount(userId, account);
+  } catch (syncError) {
+    const syncState = await emailsRepository.getSyncState(userId, account.accountId);
+    if (!syncState?.lastSyncedAt) {
+      throw syncError;
+    }
+    logger.warn('Mailbox sync failed, serving local store', {
+      meta: { userId, accountId: account.accountId, error: syncError.message }
+    });
+  }
+};
 
 export const getEmails = async (req, res, next) => {
   try {
-    const limit = parseInt(req.query.limit, 10) || 15;
-    const { googleAccount } = req;
-    // logger.debug('getEmail', { meta: { googleAccount, session, user } });
+    const { error, value } = validateJoiSchema(listEmailsSchema, req.query);
 
-    if (!googleAccount?.accessToken) {
-      return httpError(next, new Error('Google account not connected'), req, 401);
+    if (error) {
+      return httpError(next, error, req, 422);
     }
 
-    const oauth2Client = new google.auth.OAuth2(
-      process.env.GOOGLE_CLIENT_ID,
-      process.env.GOOGLE_CLIENT_SECRET
-    );
+    const { user } = req;
+    const mailboxes = await getMailboxes(req);
+
+    if (mailboxes.length === 0) {
+      return httpError(next, new Error(EMAIL_MESSAGES.MAILBOX_NOT_CONNECTED), req, 401);
+    }
+
+    const accounts = selectAccounts(mailboxes, value.accountId);
+    if (accounts.length === 0) {
+      return httpError(next, new Error(EMAIL_MESSAGES.MAILBOX_NOT_FOUND), req, 404);
+    }
 
-    oauth2Client.setCredentials({
-      access_token: googleAccount.accessToken,
-      refresh_token: googleAccount.refreshToken,
-      expiry_date: googleAccount.expiresAt
+    // Only Gmail accounts can be searched
+    const searchable = accounts.filter((a) => a.providerId === MAILBOX_PROVIDERS.GMAIL);
+    if (value.q && searchable.length === 0) {
+      return httpError(next, new Error(EMAIL_MESSAGES.SEARCH_NOT_SUPPORTED), req, 422);
+    }
+
+    // Search mode passes Gmail's token through (one per account when merging
+    // several); the local store uses our cursor
+    const cursor = value.pageToken && !value.q ? decodeCursor(value.pageToken) : null;
+    const invalidSearchToken =
+      value.q && value.pageToken && searchable.length > 1 && !decodeSearchToken(value.pageToken);
+    if ((value.pageToken && !value.q && !cursor) || invalidSearchToken) {
+      return httpError(next, new Error(EMAIL_MESSAGES.INVALID_PAGE_TOKEN), req, 422);
+    }
+
+    // Sync once per listing, not for every following page
+    if (!value.pageToken) {
+      for (const account of accounts) {
+        await syncBeforeListing(user.id, account);
+      }
+    }
+
+    const result = await listEmails(user.id, accounts, {
+      ...value,
+      cursor,
+      accountId: value.accountId === ALL_ACCOUNTS ? undefined : value.accountId
     });
 
-    oauth2Client.on('tokens', async (tokens) => {
-      if (tokens.access_token) {
-        const { db } = mongoose.connection;
-        await db.collection('account').updateOne(
-          { _id: googleAccount._id },
-          {
-            $set: {
-              accessToken: tokens.access_token,
-              expiresAt: tokens.expiry_date
-            }
-          }
-        );
+    httpResponse(req, res, 200, EMAIL_MESSAGES.EMAILS_FETCHED_SUCCESS, result);
+  } catch (error) {
+    httpError(next, error, req, 500);
+  }
+};
+
+export const syncEmails = async (req, res, next) => {
+  try {
+    const { error, value } = validateJoiSchema(syncEmailsSchema, req.query);
+
+    if (error) {
+      return httpError(next, error, req, 422);
+    }
+
+    const { user } = req;
+    const mailboxes = await getMailboxes(req);
+
+    if (mailboxes.length === 0) {
+      return httpError(next, new Error(EMAIL_MESSAGES.MAILBOX_NOT_CONNECTED), req, 401);
+    }
+
+    const accounts = selectAccounts(mailboxes, value.accountId);
+    if (accounts.length === 0) {
+      return httpError(next, new Error(EMAIL_MESSAGES.MAILBOX_NOT_FOUND), req, 404);
+    }
+
+    // Imported mailboxes have nothing to sync and are left out
+    const results = [];
+    for (const account of accounts) {
+      const result = await syncAccount(user.id, account, { full: value.full });
+      if (result) {
+        results.push({ accountId: account.accountId, ...result });
+      }
+    }
+
+    httpResponse(req, res, 200, EMAIL_MESSAGES.MAILBOX_SYNCED_SUCCESS, { accounts: results });
+  } catch (error) {
+    httpError(next, error, req, 500);
+  }
+};
+
+export const searchInbox = async (req, res, next) => {
+  try {
+    const { error, value } = validateJoiSchema(searchEmailsSchema, req.query);
+
+    if (error) {
+      return httpError(next, error, req, 422);
+    }
+
+    if (!EMAIL_SEARCH_CONFIG.ENABLED) {
+      return httpError(next, new Error(EMAIL_MESSAGES.EMAIL_SEARCH_DISABLED), req, 503);
+    }
+
+    const { user } = req;
+    const mailboxes = await getMailboxes(req);
+
+    if (mailboxes.length === 0) {
+      return httpError(next, new Error(EMAIL_MESSAGES.MAILBOX_NOT_CONNECTED), req, 401);
+    }
+
+    if (selectAccounts(mailboxes, value.accountId).length === 0) {
+      return httpError(next, new Error(EMAIL_MESSAGES.MAILBOX_NOT_FOUND), req, 404);
+    }
+
+    const { accountId, ...options } = value;
+    const result = await emailSearchService.searchEmails(user.id, {
+      ...options,
+      accountIds: accountId === ALL_ACCOUNTS ? undefined : [accountId]
+    });
+
+    httpResponse(req, res, 200, EMAIL_MESSAGES.EMAIL_SEARCH_SUCCESS, {
+      ...result,
+      limit: value.limit,
+      offset: value.offset
+    });
+  } catch (error) {
+    httpError(next, error, req, 500);
+  }
+};
+
+export const reindexSearch = async (req, res, next) => {
+  try {
+    if (!EMAIL_SEARCH_CONFIG.ENABLED) {
+      return httpError(next, new Error(EMAIL_MESSAGES.EMAIL_SEARCH_DISABLED), req, 503);
+    }
+
+    const result = await emailSearchService.reindexUserEmails(req.user.id);
+
+    httpResponse(req, res, 200, EMAIL_MESSAGES.EMAIL_SEARCH_REINDEXED_SUCCESS, result);
+  } catch (error) {
+    httpError(next, error, req, 500);
+  }
+};
+
+export const askInbox = async (req, res, next) => {
+  try {
+    const { error, value } = validateJoiSchema(askInboxSchema, req.body);
+
+    if (error) {
+      return httpError(next, error, req, 422);
+    }
+
+    if (!EMAIL_SEARCH_CONFIG.ENABLED) {
+      return httpError(next, new Error(EMAIL_MESSAGES.EMAIL_SEARCH_DISABLED), req, 503);
+    }
+
+    const { user } = req;
+    const mailboxes = await getMailboxes(req);
+
+    if (mailboxes.length === 0) {
+      return httpError(next, new Error(EMAIL_MESSAGES.MAILBOX_NOT_CONNECTED), req, 401);
+    }
+
+    const conversation = value.conversationId
+      ? await emailAskService.findConversation(user.id, value.conversationId)
+      : null;
+
+    if (value.conversationId && !conversation) {
+      return httpError(next, new Error(EMAIL_MESSAGES.CONVERSATION_NOT_FOUND), req, 404);
+    }
+    if (conversation && conversation.turns.length + 2 > ASK_CONFIG.MAX_TURNS) {
+      return httpError(next, new Error(EMAIL_MESSAGES.CONVERSATION_FULL), req, 409);
+    }
+
+    const context = await emailAskService.getAnswerContext(
+      user.id,
+      mailboxes,
+      value.question,
+      conversation?.turns || []
+    );
+
+    // The model is only asked, and a key only used, when some email matched
+    let apiKey;
+    if (context.refs.size > 0) {
+      const geminiKey = await resolveGeminiApiKey(user.id, 1);
+
+      if (!geminiKey) {
+        return httpError(next, new Error(EMAIL_MESSAGES.GEMINI_API_KEY_REQUIRED), req, 400);
       }
+      if (geminiKey.limitReached) {
+        return httpError(next, new Error(EMAIL_MESSAGES.GEMINI_KEY_ALLOWANCE_REACHED), req, 429);
+      }
+      ({ apiKey } = geminiKey);
+    }
+
+    const result = await emailAskService.answerQuestion(user.id, {
+      conversation,
+      question: value.question,
+      context,
+      apiKey
     });
 
-    const gmail = google.gmail({ version: 'v1', auth: oauth2Client });
+    if (!result) {
+      return httpError(next, new Error(EMAIL_MESSAGES.ANSWER_FAILED), req, 502);
+    }
+
+    httpResponse(req, res, 200, EMAIL_MESSAGES.QUESTION_ANSWERED_SUCCESS, result);
+  } catch (error) {
+    httpError(next, error, req, 500);
+  }
+};
+
+export const getConversations = async (req, res, next) => {
+  try {
+    const conversations = await emailAskService.listConversations(req.user.id);
 
-    const response = await gmail.users.messages.list({
-      userId: 'me',
-      maxResults: limit
+    httpResponse(req, res, 200, EMAIL_MESSAGES.CONVERSATIONS_RETRIEVED_SUCCESS, {
+      conversations
     });
+  } catch (error) {
+    httpError(next, error, req, 500);
+  }
+};
 
-    const messages = response.data.messages || [];
-    const emails = [];
+export const getConversation = async (req, res, next) => {
+  try {
+    const { error, value } = validateJoiSchema(conversationParamsSchema, req.params);
 
-    for (const message of messages) {
-      const email = await gmail.users.messages.get({
-        userId: 'me',
-        id: message.id,
-        format: 'full'
-      });
+    if (error) {
+      return httpError(next, error, req, 422);
+    }
 
-      const { headers } = email.data.payload;
-      const subject = headers.find((h) => h.name === 'Subject')?.value || 'No Subject';
-      const from = headers.find((h) => h.name === 'From')?.value || 'Unknown';
-      const date = headers.find((h) => h.name === 'Date')?.value || '';
-
-      emails.push({
-        id: email.data.id,
-        subject,
-        from,
-        date,
-        snippet: email.data.snippet
-      });
+    const conversation = await emailAskService.getConversation(req.user.id, value.id);
+
+    if (!conversation) {
+      return httpError(next, new Error(EMAIL_MESSAGES.CONVERSATION_NOT_FOUND), req, 404);
     }
 
-    httpResponse(req, res, 200, 'Emails fetched successfully', { emails });
+    httpResponse(req, res, 200, EMAIL_MESSAGES.CONVERSATION_RETRIEVED_SUCCESS, { conversation });
   } catch (error) {
     httpError(next, error, req, 500);
   }
 };
 
-export const classifyEmails = async (req, res, next) => {
+export const deleteConversation = async (req, res, next) => {
   try {
-    const { emailIds, geminiApiKey } = req.body;
-    const { googleAccount } = req;
+    const { error, value } = validateJoiSchema(conversationParamsSchema, req.params);
 
-    if (!geminiApiKey) {
-      return httpError(next, new Error('Gemini API key is required'), req, 400);
+    if (error) {
+      return httpError(next, error, req, 422);
     }
 
-    if (!googleAccount?.accessToken) {
-      return httpError(next, new Error('Google account not connected'), req, 401);
+    const deleted = await emailAskService.deleteConversation(req.user.id, value.id);
+
+    if (!deleted) {
+      return httpError(next, new Error(EMAIL_MESSAGES.CONVERSATION_NOT_FOUND), req, 404);
+    }
+
+    httpResponse(req, res, 200, EMAIL_MESSAGES.CONVERSATION_DELETED_SUCCESS, { id: value.id });
+  } catch (error) {
+    httpError(next, error, req, 500);
+  }
+};
+
+export const scanReceipts = async (req, res, next) => {
+  try {
+    const { error, value } = validateJoiSchema(scanReceiptsSchema, req.body || {});
+
+    if (error) {
+      return httpError(next, error, req, 422);
+    }
+
+    const { user } = req;
+    const mailboxes = await getMailboxes(req);
+
+    if (mailboxes.length === 0) {
+      return httpError(next, new Error(EMAIL_MESSAGES.MAILBOX_NOT_CONNECTED), req, 401);
+    }
+
+    const { emails, skipped, remaining } = await emailReceiptsService.getScanCandidates(
+      user.id,
+      value
+    );
+
+    let geminiKey = null;
+    if (emails.length > 0) {
+      geminiKey = await resolveGeminiApiKey(user.id, emails.length);
+
+      if (!geminiKey) {
+        return httpError(next, new Error(EMAIL_MESSAGES.GEMINI_API_KEY_REQUIRED), req, 400);
+      }
+      if (geminiKey.limitReached) {
+        return httpError(next, new Error(EMAIL_MESSAGES.GEMINI_KEY_ALLOWANCE_REACHED), req, 429);
+      }
     }
 
-    const oauth2Client = new google.auth.OAuth2(
-      process.env.GOOGLE_CLIENT_ID,
-      process.env.GOOGLE_CLIENT_SECRET
+    const result = await emailReceiptsService.scanEmails(
+      user.id,
+      mailboxes,
+      emails,
+      geminiKey?.apiKey
     );
 
-    oauth2Client.setCredentials({
-      access_token: googleAccount.accessToken,
-      refresh_token: googleAccount.refreshToken,
-      expiry_date: googleAccount.expiresAt
+    httpResponse(req, res, 200, EMAIL_MESSAGES.RECEIPTS_SCANNED_SUCCESS, {
+      ...result,
+      skipped,
+      remaining
+    });
+  } catch (error) {
+    httpError(next, error, req, 500);
+  }
+};
+
+export const getReceipts = async (req, res, next) => {
+  try {
+    const { error, value } = validateJoiSchema(listReceiptsSchema, req.query);
+
+    if (error) {
+      return httpError(next, error, req, 422);
+    }
+
+    const result = await emailReceiptsService.listReceipts(req.user.id, value);
+
+    httpResponse(req, res, 200, EMAIL_MESSAGES.RECEIPTS_RETRIEVED_SUCCESS, {
+      ...result,
+      limit: value.limit,
+      offset: value.offset
     });
+  } catch (error) {
+    httpError(next, error, req, 500);
+  }
+};
+
+export const exportReceipts = async (req, res, next) => {
+  try {
+    const { error, value } = validateJoiSchema(exportReceiptsSchema, req.query);
 
-    const gmail = google.gmail({ version: 'v1', auth: oauth2Client });
-    const emails = [];
+    if (error) {
+      return httpError(next, error, req, 422);
+    }
 
-    for (const id of emailIds) {
-      const email = await gmail.users.messages.get({
-        userId: 'me',
-        id,
-        format: 'full'
-      });
+    const { content, contentType } = await emailReceiptsService.exportReceipts(req.user.id, value);
 
-      const { headers } = email.data.payload;
-      const subject = headers.find((h) => h.name === 'Subject')?.value || 'No Subject';
-      const from = headers.find((h) => h.name === 'From')?.value || 'Unknown';
-      const date = headers.find((h) => h.name === 'Date')?.value || '';
-
-      emails.push({
-        id: email.data.id,
-        subject,
-        from,
-        date,
-        snippet: email.data.snippet
-      });
+    res.set({
+      'Content-Type': contentType,
+      'Content-Disposition': `attachment; filename="receipts.${value.format}"`,
+      'Cache-Control': 'no-store'
+    });
+    res.status(200).send(content);
+  } catch (error) {
+    httpError(next, error, req, 500);
+  }
+};
+
+export const getSpendSummary = async (req, res, next) => {
+  try {
+    const { error, value } = validateJoiSchema(spendSummarySchema, req.query);
+
+    if (error) {
+      return httpError(next, error, req, 422);
+    }
+    if (value.from && value.to && value.from > value.to) {
+      return httpError(next, new Error(EMAIL_MESSAGES.INVALID_MONTH_RANGE), req, 422);
+    }
+
+    const summary = await emailReceiptsService.getSpendSummary(req.user.id, value);
+
+    httpResponse(req, res, 200, EMAIL_MESSAGES.SPEND_SUMMARY_RETRIEVED_SUCCESS, summary);
+  } catch (error) {
+    httpError(next, error, req, 500);
+  }
+};
+
+export const scanEvents = async (req, res, next) => {
+  try {
+    const { error, value } = validateJoiSchema(scanEventsSchema, req.body || {});
+
+    if (error) {
+      return httpError(next, error, req, 422);
+    }
+
+    const { user } = req;
+    const mailboxes = await getMailboxes(req);
+
+    if (mailboxes.length === 0) {
+      return httpError(next, new Error(EMAIL_MESSAGES.MAILBOX_NOT_CONNECTED), req, 401);
+    }
+
+    const { emails, skipped, remaining } = await emailEventsService.getScanCandidates(
+      user.id,
+      value
+    );
+
+    // Invitations are parsed without the model, but which emails carry one is only known once read
+    let geminiKey = null;
+    if (emails.length > 0) {
+      geminiKey = await resolveGeminiApiKey(user.id, emails.length);
+
+      if (!geminiKey) {
+        return httpError(next, new Error(EMAIL_MESSAGES.GEMINI_API_KEY_REQUIRED), req, 400);
+      }
+      if (geminiKey.limitReached) {
+        return httpError(next, new Error(EMAIL_MESSAGES.GEMINI_KEY_ALLOWANCE_REACHED), req, 429);
+      }
+    }
+
+    const result = await emailEventsService.scanEmails(
+      user.id,
+      mailboxes,
+      emails,
+      geminiKey?.apiKey
+    );
+
+    httpResponse(req, res, 200, EMAIL_MESSAGES.EVENTS_SCANNED_SUCCESS, {
+      ...result,
+      skipped,
+      remaining
+    });
+  } catch (error) {
+    httpError(next, error, req, 500);
+  }
+};
+
+export const getEvents = async (req, res, next) => {
+  try {
+    const { error, value } = validateJoiSchema(listEventsSchema, req.query);
+
+    if (error) {
+      return httpError(next, error, req, 422);
     }
 
-    const classifications = await classifyEmailsService(emails, geminiApiKey);
-    const classifiedEmails = emails.map((email) => {
-      const classification = classifications.find((c) => c.id === email.id);
-      return { ...email, category: classification?.category || 'general' };
+    const result = await emailEventsService.listEvents(req.user.id, value);
+
+    httpResponse(req, res, 200, EMAIL_MESSAGES.EVENTS_RETRIEVED_SUCCESS, {
+      ...result,
+      limit: value.limit,
+      offset: value.offset
     });
+  } catch (error) {
+    httpError(next, error, req, 500);
+  }
+};
+
+export const updateEvent = async (req, res, next) => {
+  try {
+    const params = validateJoiSchema(eventParamsSchema, req.params);
+    const body = validateJoiSchema(updateEventSchema, req.body);
+
+    if (params.error || body.error) {
+      return httpError(next, params.error || body.error, req, 422);
+    }
+
+    const event = await emailEventsService.updateEventStatus(
+      req.user.id,
+      params.value.id,
+      body.value.status
+    );
+
+    if (!event) {
+      return httpError(next, new Error(EMAIL_MESSAGES.EVENT_NOT_FOUND), req, 404);
+    }
+
+    httpResponse(req, res, 200, EMAIL_MESSAGES.EVENT_UPDATED_SUCCESS, event);
+  } catch (error) {
+    httpError(next, error, req, 500);
+  }
+};
+
+export const getCalendarFeed = async (req, res, next) => {
+  try {
+    const feed = await emailEventsService.getCalendarFeed(req.user.id);
+
+    httpResponse(req, res, 200, EMAIL_MESSAGES.CALENDAR_FEED_RETRIEVED_SUCCESS, feed);
+  } catch (error) {
+    httpError(next, error, req, 500);
+  }
+};
+
+export const createCalendarFeed = async (req, res, next) => {
+  try {
+    const feed = await emailEventsService.createCalendarFeed(req.user.id);
+
+    httpResponse(req, res, 201, EMAIL_MESSAGES.CALENDAR_FEED_CREATED_SUCCESS, feed);
+  } catch (error) {
+    httpError(next, error, req, 500);
+  }
+};
+
+export const revokeCalendarFeed = async (req, res, next) => {
+  try {
+    const revoked = await emailEventsService.revokeCalendarFeed(req.user.id);
+
+    if (!revoked) {
+      return httpError(next, new Error(EMAIL_MESSAGES.CALENDAR_FEED_NOT_FOUND), req, 404);
+    }
+
+    httpResponse(req, res, 200, EMAIL_MESSAGES.CALENDAR_FEED_REVOKED_SUCCESS, { enabled: false });
+  } catch (error) {
+    httpError(next, error, req, 500);
+  }
+};
+
+// Calendar apps cannot sign in, so the secret token in the URL is the credential
+export const getCalendarFeedIcs = async (req, res, next) => {
+  try {
+    const { error, value } = validateJoiSchema(calendarFeedSchema, req.query);
+
+    if (error) {
+      return httpError(next, new Error(EMAIL_MESSAGES.CALENDAR_FEED_NOT_FOUND), req, 404);
+    }
+
+    const calendar = await emailEventsService.getFeedCalendar(value.token);
+
+    if (!calendar) {
+      return httpError(next, new Error(EMAIL_MESSAGES.CALENDAR_FEED_NOT_FOUND), req, 404);
+    }
 
-    httpResponse(req, res, 200, 'Emails classified successfully', { emails: classifiedEmails });
+    res.set({
+      'Content-Type': 'text/calendar; charset=utf-8',
+      'Content-Disposition': 'inline; filename="events.ics"',
+      'Cache-Control': 'private, no-store'
+    });
+    res.status(200).send(calendar);
   } catch (error) {
     httpError(next, error, req, 500);
   }
 };
+
+export const classifyEmails = async (req, res, next) => {
+  try {
+    const { error, value } = validateJoiSchema(classifyEmailsSchema, req.body || {});
+
+    if (error) {
+      return httpError(next, error, req, 422);
+    }
+
+    const { googleAccount, user } = req;
+    const mailboxes = await getMailboxes(req);
+
+    if (mailboxes.length === 0) {
+      return httpError(next, new Error(EMAIL_MESSAGES.MAILBOX_NOT_CONNECTED), req, 401);
+    }
+
+    // Emails that are not stored yet can only be looked up in the primary Google account
+    const stored = await getEmailsByIds(user.id, value.emailIds, googleAccount);
+    const emails = stored.map((email) => serializeEmail(email));
+
+    const { classified, pending } = await getPendingClassifications(user.id, emails);
+
+    let geminiKey = null;
+    if (pending.length > 0) {
+      geminiKey = await resolveGeminiApiKey(user.id, pending.length);
+
+      if (!geminiKey) {
+        return httpError(next, new Error(EMAIL_MESSAGES.GEMINI_API_KEY_REQUIRED), req, 400);
+      }
+      if (geminiKey.limitReached) {
+        return httpError(next, new Error(EMAIL_MESSAGES.GEMINI_KEY_ALLOWANCE_REACHED), req, 429);
+      }
+    }
+
+    const classifications = await classifyAndStoreEmails(user.id, pending, geminiKey?.apiKey);
+    for (const classification of classifications) {
+      classified.set(classification.gmailId, classification);
+    }
+
+    const labels = await applyCategoryLabels(user.id, req.googleAccounts, [...classified.values()]);
+
+    const classifiedEmails = stored.map((email) =>
+      serializeEmail(email, classified.get(email.gmailId))
+    );
+
+    httpResponse(req, res, 200, EMAIL_MESSAGES.EMAILS_CLASSIFIED_SUCCESS, {
+      emails: classifiedEmails,
+      reused: emails.length - pending.length,
+      classified: pending.length,
+      failed: classifications.filter((c) => c.error).length,
+      labels
+    });
+  } catch (error) {
+    httpError(next, error, req, 500);
+  }
+};
+
+export const createClassificationJob = async (req, res, next) => {
+  try {
+    const { error, value } = validateJoiSchema(createClassificationJobSchema, req.body);
+
+    if (error) {
+      return httpError(next, error, req, 422);
+    }
+
+    const mailboxes = await getMailboxes(req);
+
+    if (mailboxes.length === 0) {
+      return httpError(next, new Error(EMAIL_MESSAGES.MAILBOX_NOT_CONNECTED), req, 401);
+    }
+
+    const job = await classificationJobService.createClassificationJob(
+      req.user.id,
+      mailboxes,
+      value.emailIds
+    );
+
+    if (!job) {
+      return httpError(next, new Error(EMAIL_MESSAGES.CLASSIFICATION_QUEUE_UNAVAILABLE), req, 503);
+    }
+
+    httpResponse(req, res, 202, EMAIL_MESSAGES.CLASSIFICATION_JOB_QUEUED_SUCCESS, job);
+  } catch (error) {
+    httpError(next, error, req, 500);
+  }
+};
+
+export const getClassificationJob = async (req, res, next) => {
+  try {
+    const { error, value } = validateJoiSchema(classificationJobParamsSchema, req.params);
+
+    if (error) {
+      return httpError(next, error, req, 422);
+    }
+
+    const job = await classificationJobService.getClassificationJob(req.user.id, value.id);
+
+    if (!job) {
+      return httpError(next, new Error(EMAIL_MESSAGES.CLASSIFICATION_JOB_NOT_FOUND), req, 404);
+    }
+
+    httpResponse(req, res, 200, EMAIL_MESSAGES.CLASSIFICATION_JOB_RETRIEVED_SUCCESS, job);
+  } catch (error) {
+    httpError(next, error, req, 500);
+  }
+};
+
+export const getCategories = async (req, res, next) => {
+  try {
+    const categories = await emailCategoriesService.getCategories(req.user.id);
+
+    httpResponse(req, res, 200, EMAIL_MESSAGES.CATEGORIES_RETRIEVED_SUCCESS, { categories });
+  } catch (error) {
+    httpError(next, error, req, 500);
+  }
+};
+
+export const createCategory = async (req, res, next) => {
+  try {
+    const { error, value } = validateJoiSchema(createCategorySchema, req.body);
+
+    if (error) {
+      return httpError(next, error, req, 422);
+    }
+
+    const categories = await emailCategoriesService.getCategories(req.user.id);
+
+    if (categories.some((c) => c.name === value.name)) {
+      return httpError(next, new Error(EMAIL_MESSAGES.CATEGORY_ALREADY_EXISTS), req, 409);
+    }
+
+    const category = await emailsRepository.createCategory(req.user.id, value);
+
+    httpResponse(req, res, 201, EMAIL_MESSAGES.CATEGORY_CREATED_SUCCESS, category);
+  } catch (error) {
+    httpError(next, error, req, 500);
+  }
+};
+
+export const updateCategory = async (req, res, next) => {
+  try {
+    const params = validateJoiSchema(categoryParamsSchema, req.params);
+    const body = validateJoiSchema(updateCategorySchema, req.body);
+
+    if (params.error || body.error) {
+      return httpError(next, params.error || body.error, req, 422);
+    }
+
+    const category = await emailsRepository.updateCategory(
+      req.user.id,
+      params.value.id,
+      body.value
+    );
+
+    if (!category) {
+      return httpError(next, new Error(EMAIL_MESSAGES.CATEGORY_NOT_FOUND), req, 404);
+    }
+
+    httpResponse(req, res, 200, EMAIL_MESSAGES.CATEGORY_UPDATED_SUCCESS, category);
+  } catch (error) {
+    httpError(next, error, req, 500);
+  }
+};
+
+export const deleteCategory = async (req, res, next) => {
+  try {
+    const { error, value } = validateJoiSchema(categoryParamsSchema, req.params);
+
+    if (error) {
+      return httpError(next, error, req, 422);
+    }
+
+    const category = await emailsRepository.findCategoryById(req.user.id, value.id);
+
+    if (!category) {
+      return httpError(next, new Error(EMAIL_MESSAGES.CATEGORY_NOT_FOUND), req, 404);
+    }
+
+    if (category.name === DEFAULT_CATEGORY) {
+      return httpError(next, new Error(EMAIL_MESSAGES.DEFAULT_CATEGORY_REQUIRED), req, 400);
+    }
+
+    await emailCategoriesService.deleteCategory(req.user.id, category);
+
+    httpResponse(req, res, 200, EMAIL_MESSAGES.CATEGORY_DELETED_SUCCESS, { id: category._id });
+  } catch (error) {
+    httpError(next, error, req, 500);
+  }
+};
+
+export const getRules = async (req, res, next) => {
+  try {
+    const rules = await emailsRepository.findRules(req.user.id);
+
+    httpResponse(req, res, 200, EMAIL_MESSAGES.RULES_RETRIEVED_SUCCESS, { rules });
+  } catch (error) {
+    httpError(next, error, req, 500);
+  }
+};
+
+// Shared checks for a rule after create/update fields are merged
+const validateRule = async (userId, rule) => {
+  if (!isValidRulePattern(rule.type, rule.pattern)) {
+    return { status: 422, message: EMAIL_MESSAGES.INVALID_RULE_PATTERN };
+  }
+
+  const categories = await emailCategoriesService.getCategories(userId);
+  if (!categories.some((c) => c.name === rule.category)) {
+    return { status: 400, message: EMAIL_MESSAGES.CATEGORY_NOT_FOUND };
+  }
+
+  return null;
+};
+
+export const createRule = async (req, res, next) => {
+  try {
+    const { error, value } = validateJoiSchema(createRuleSchema, req.body);
+
+    if (error) {
+      return httpError(next, error, req, 422);
+    }
+
+    const invalid = await validateRule(req.user.id, value);
+    if (invalid) {
+      return httpError(next, new Error(invalid.message), req, invalid.status);
+    }
+
+    const rule = await emailsRepository.createRule(req.user.id, value);
+
+    httpResponse(req, res, 201, EMAIL_MESSAGES.RULE_CREATED_SUCCESS, rule);
+  } catch (error) {
+    httpError(next, error, req, 500);
+  }
+};
+
+export const updateRule = async (req, res, next) => {
+  try {
+    const params = validateJoiSchema(ruleParamsSchema, req.params);
+    const body = validateJoiSchema(updateRuleSchema, req.body);
+
+    if (params.error || body.error) {
+      return httpError(next, params.error || body.error, req, 422);
+    }
+
+    const existing = await emailsRepository.findRuleById(req.user.id, params.value.id);
+
+    if (!existing) {
+      return httpError(next, new Error(EMAIL_MESSAGES.RULE_NOT_FOUND), req, 404);
+    }
+
+    const invalid = await validateRule(req.user.id, { ...existing, ...body.value });
+    if (invalid) {
+      return httpError(next, new Error(invalid.message), req, invalid.status);
+    }
+
+    const rule = await emailsRepository.updateRule(req.user.id, params.value.id, body.value);
+
+    httpResponse(req, res, 200, EMAIL_MESSAGES.RULE_UPDATED_SUCCESS, rule);
+  } catch (error) {
+    httpError(next, error, req, 500);
+  }
+};
+
+export const deleteRule = async (req, res, next) => {
+  try {
+    const { error, value } = validateJoiSchema(ruleParamsSchema, req.params);
+
+    if (error) {
+      return httpError(next, error, req, 422);
+    }
+
+    const result = await emailsRepository.deleteRule(req.user.id, value.id);
+
+    if (result.deletedCount === 0) {
+      return httpError(next, new Error(EMAIL_MESSAGES.RULE_NOT_FOUND), req, 404);
+    }
+
+    httpResponse(req, res, 200, EMAIL_MESSAGES.RULE_DELETED_SUCCESS, { id: value.id });
+  } catch (error) {
+    httpError(next, error, req, 500);
+  }
+};
+
+export const getEmailSettings = async (req, res, next) => {
+  try {
+    const settings = await emailsRepository.getEmailSettings(req.user.id);
+
+    httpResponse(req, res, 200, EMAIL_MESSAGES.SETTINGS_RETRIEVED_SUCCESS, {
+      applyGmailLabels: settings?.applyGmailLabels ?? false,
+      gmailModifyGranted: hasGmailScope(req.googleAccount, GMAIL_MODIFY_SCOPE),
+      gmailComposeGranted: hasGmailScope(req.googleAccount, GMAIL_COMPOSE_SCOPE),
+      redaction: getRedactionPolicy(settings),
+      reply: getReplySettings(settings),
+      digest: getDigestSettings(settings)
+    });
+  } catch (error) {
+    httpError(next, error, req, 500);
+  }
+};
+
+export const updateEmailSettings = async (req, res, next) => {
+  try {
+    const { error, value } = validateJoiSchema(updateEmailSettingsSchema, req.body);
+
+    if (error) {
+      return httpError(next, error, req, 422);
+    }
+
+    // Labels go to every linked Google account; ones linked before the scope change can only read
+    if (value.applyGmailLabels) {
+      if (req.googleAccounts.length === 0) {
+        return httpError(next, new Error(EMAIL_MESSAGES.GMAIL_MODIFY_SCOPE_REQUIRED), req, 403);
+      }
+
+      const accounts = await emailAccountsService.listAccounts(req.user.id, req.googleAccounts);
+      const unscoped = accounts.filter((account) => !account.gmailModifyGranted);
+
+      if (unscoped.length > 0) {
+        const names = unscoped.map((account) => account.emailAddress ?? account.accountId);
+        return httpError(
+          next,
+          new Error(EMAIL_MESSAGES.GMAIL_MODIFY_SCOPE_REQUIRED_FOR(names)),
+          req,
+          403
+        );
+      }
+    }
+
+    // Update nested fields one by one so a partial policy keeps the rest
+    const { redaction, reply, digest, ...updates } = value;
+    for (const [key, fieldValue] of Object.entries(redaction || {})) {
+      updates[`redaction.${key}`] = fieldValue;
+    }
+    for (const [key, fieldValue] of Object.entries(reply || {})) {
+      updates[`reply.${key}`] = fieldValue;
+    }
+
+    // Any digest change reschedules the next run from the merged settings
+    if (digest) {
+      const current = getDigestSettings(await emailsRepository.getEmailSettings(req.user.id));
+      const merged = { ...current, ...digest };
+
+      for (const [key, fieldValue] of Object.entries(digest)) {
+        updates[`digest.${key}`] = fieldValue;
+      }
+      updates['digest.nextRunAt'] = merged.enabled
+        ? getNextDigestRun(merged.time, merged.timezone)
+        : null;
+    }
+
+    const settings = await emailsRepository.saveEmailSettings(req.user.id, updates);
+
+    httpResponse(req, res, 200, EMAIL_MESSAGES.SETTINGS_UPDATED_SUCCESS, {
+      applyGmailLabels: settings.applyGmailLabels,
+      gmailModifyGranted: hasGmailScope(req.googleAccount, GMAIL_MODIFY_SCOPE),
+      gmailComposeGranted: hasGmailScope(req.googleAccount, GMAIL_COMPOSE_SCOPE),
+      redaction: getRedactionPolicy(settings),
+      reply: getReplySettings(settings),
+      digest: getDigestSettings(settings)
+    });
+  } catch (error) {
+    httpError(next, error, req, 500);
+  }
+};
+
+export const getDigestPreview = async (req, res, next) => {
+  try {
+    const preview = await emailDigestService.getDigestPreview(req.user.id);
+
+    httpResponse(req, res, 200, EMAIL_MESSAGES.DIGEST_PREVIEW_RETRIEVED_SUCCESS, preview);
+  } catch (error) {
+    httpError(next, error, req, 500);
+  }
+};
+
+export const getDigestTimezones = async (req, res, next) => {
+  try {
+    const { error, value } = validateJoiSchema(digestTimezonesSchema, req.query);
+
+    if (error) {
+      return httpError(next, error, req, 422);
+    }
+
+    const timezones = (countryTimezone(value.country) || []).map((timezone) => ({
+      name: timezone.name,
+      utcOffset: timezone.utcOffsetStr
+    }));
+
+    httpResponse(req, res, 200, EMAIL_MESSAGES.TIMEZONES_RETRIEVED_SUCCESS, {
+      country: value.country,
+      timezones
+    });
+  } catch (error) {
+    httpError(next, error, req, 500);
+  }
+};
+
+export const undoGmailLabels = async (req, res, next) => {
+  try {
+    const { error, value } = validateJoiSchema(undoGmailLabelsSchema, req.body || {});
+
+    if (error) {
+      return httpError(next, error, req, 422);
+    }
+
+    const { googleAccount, user } = req;
+
+    if (!googleAccount?.accessToken) {
+      return httpError(next, new Error(EMAIL_MESSAGES.GOOGLE_ACCOUNT_NOT_CONNECTED), req, 401);
+    }
+
+    // Labels were only applied in accounts that granted the modify scope
+    if (!req.googleAccounts.some((account) => hasGmailScope(account, GMAIL_MODIFY_SCOPE))) {
+      return httpError(next, new Error(EMAIL_MESSAGES.GMAIL_MODIFY_SCOPE_REQUIRED), req, 403);
+    }
+
+    const result = await removeCategoryLabels(user.id, req.googleAccounts, value.emailIds);
+
+    httpResponse(req, res, 200, EMAIL_MESSAGES.GMAIL_LABELS_REMOVED_SUCCESS, result);
+  } catch (error) {
+    httpError(next, error, req, 500);
+  }
+};
+
+export const getEmail = async (req, res, next) => {
+  try {
+    const { error, value } = validateJoiSchema(emailParamsSchema, req.params);
+
+    if (error) {
+      return httpError(next, error, req, 422);
+    }
+
+    const mailboxes = await getMailboxes(req);
+
+    if (mailboxes.length === 0) {
+      return httpError(next, new Error(EMAIL_MESSAGES.MAILBOX_NOT_CONNECTED), req, 401);
+    }
+
+    const account = await emailAccountsService.getEmailAccount(req.user.id, mailboxes, value.id);
+    const email = account && (await getEmailDetail(req.user.id, account, value.id));
+
+    if (!email) {
+      return httpError(next, new Error(EMAIL_MESSAGES.EMAIL_NOT_FOUND), req, 404);
+    }
+
+    const summary = await emailSummariesService.getCachedSummary(
+      req.user.id,
+      SUMMARY_KINDS.MESSAGE,
+      email.id
+    );
+
+    httpResponse(req, res, 200, EMAIL_MESSAGES.EMAIL_RETRIEVED_SUCCESS, { ...email, summary });
+  } catch (error) {
+    httpError(next, error, req, 500);
+  }
+};
+
+export const getThread = async (req, res, next) => {
+  try {
+    const { error, value } = validateJoiSchema(threadParamsSchema, req.params);
+
+    if (error) {
+      return httpError(next, error, req, 422);
+    }
+
+    const mailboxes = await getMailboxes(req);
+
+    if (mailboxes.length === 0) {
+      return httpError(next, new Error(EMAIL_MESSAGES.MAILBOX_NOT_CONNECTED), req, 401);
+    }
+
+    const account = await emailAccountsService.getThreadAccount(
+      req.user.id,
+      mailboxes,
+      value.threadId
+    );
+    const thread = account && (await getEmailThread(req.user.id, account, value.threadId));
+
+    if (!thread) {
+      return httpError(next, new Error(EMAIL_MESSAGES.THREAD_NOT_FOUND), req, 404);
+    }
+
+    const summary = await emailSummariesService.getCachedSummary(
+      req.user.id,
+      SUMMARY_KINDS.THREAD,
+      thread.id
+    );
+
+    httpResponse(req, res, 200, EMAIL_MESSAGES.THREAD_RETRIEVED_SUCCESS, { ...thread, summary });
+  } catch (error) {
+    httpError(next, error, req, 500);
+  }
+};
+
+/**
+ * Shared by the message and thread summary endpoints: serve the cached
+ * summary while the content is unchanged, otherwise ask the model.
+ */
+const summarize = async (req, res, next, { kind, paramsSchema, paramName, notFoundMessage }) => {
+  const params = validateJoiSchema(paramsSchema, req.params);
+  const body = validateJoiSchema(summarizeEmailSchema, req.body || {});
+
+  if (params.error || body.error) {
+    return httpError(next, params.error || body.error, req, 422);
+  }
+
+  const { user } = req;
+  const mailboxes = await getMailboxes(req);
+
+  if (mailboxes.length === 0) {
+    return httpError(next, new Error(EMAIL_MESSAGES.MAILBOX_NOT_CONNECTED), req, 401);
+  }
+
+  const targetId = params.value[paramName];
+  const account =
+    kind === SUMMARY_KINDS.THREAD
+      ? await emailAccountsService.getThreadAccount(user.id, mailboxes, targetId)
+      : await emailAccountsService.getEmailAccount(user.id, mailboxes, targetId);
+
+  const context =
+    account && (await emailSummariesService.getSummaryContext(user.id, account, kind, targetId));
+
+  if (!context) {
+    return httpError(next, new Error(notFoundMessage), req, 404);
+  }
+
+  const cached = body.value.refresh
+    ? null
+    : await emailSummariesService.findCurrentSummary(user.id, context);
+
+  if (cached) {
+    return httpResponse(req, res, 200, EMAIL_MESSAGES.SUMMARY_RETRIEVED_SUCCESS, {
+      summary: cached,
+      cached: true
+    });
+  }
+
+  const geminiKey = await resolveGeminiApiKey(user.id, 1);
+
+  if (!geminiKey) {
+    return httpError(next, new Error(EMAIL_MESSAGES.GEMINI_API_KEY_REQUIRED), req, 400);
+  }
+  if (geminiKey.limitReached) {
+    return httpError(next, new Error(EMAIL_MESSAGES.GEMINI_KEY_ALLOWANCE_REACHED), req, 429);
+  }
+
+  const summary = await emailSummariesService.generateSummary(user.id, context, geminiKey.apiKey);
+
+  if (!summary) {
+    return httpError(next, new Error(EMAIL_MESSAGES.SUMMARY_FAILED), req, 502);
+  }
+
+  httpResponse(req, res, 200, EMAIL_MESSAGES.SUMMARY_GENERATED_SUCCESS, { summary, cached: false });
+};
+
+export const summarizeEmail = async (req, res, next) => {
+  try {
+    await summarize(req, res, next, {
+      kind: SUMMARY_KINDS.MESSAGE,
+      paramsSchema: emailParamsSchema,
+      paramName: 'id',
+      notFoundMessage: EMAIL_MESSAGES.EMAIL_NOT_FOUND
+    });
+  } catch (error) {
+    httpError(next, error, req, 500);
+  }
+};
+
+export const summarizeThread = async (req, res, next) => {
+  try {
+    await summarize(req, res, next, {
+      kind: SUMMARY_KINDS.THREAD,
+      paramsSchema: threadParamsSchema,
+      paramName: 'threadId',
+      notFoundMessage: EMAIL_MESSAGES.THREAD_NOT_FOUND
+    });
+  } catch (error) {
+    httpError(next, error, req, 500);
+  }
+};
+
+export const draftReply = async (req, res, next) => {
+  try {
+    const params = validateJoiSchema(emailParamsSchema, req.params);
+    const body = validateJoiSchema(draftReplySchema, req.body || {});
+
+    if (params.error || body.error) {
+      return httpError(next, params.error || body.error, req, 422);
+    }
+
+    const { user } = req;
+    const mailboxes = await getMailboxes(req);
+
+    if (mailboxes.length === 0) {
+      return httpError(next, new Error(EMAIL_MESSAGES.MAILBOX_NOT_CONNECTED), req, 401);
+    }
+
+    const account = await emailAccountsService.getEmailAccount(user.id, mailboxes, params.value.id);
+    const context =
+      account && (await replyDraftsService.getReplyContext(user.id, account, params.value.id));
+
+    if (!context) {
+      return httpError(next, new Error(EMAIL_MESSAGES.EMAIL_NOT_FOUND), req, 404);
+    }
+
+    // Resolved only once the email is found, so a 404 spends no key allowance
+    const geminiKey = await resolveGeminiApiKey(user.id, 1);
+
+    if (!geminiKey) {
+      return httpError(next, new Error(EMAIL_MESSAGES.GEMINI_API_KEY_REQUIRED), req, 400);
+    }
+    if (geminiKey.limitReached) {
+      return httpError(next, new Error(EMAIL_MESSAGES.GEMINI_KEY_ALLOWANCE_REACHED), req, 429);
+    }
+
+    const draft = await replyDraftsService.draftReply(user.id, context, {
+      ...body.value,
+      apiKey: geminiKey.apiKey
+    });
+
+    if (!draft.body) {
+      return httpError(next, new Error(EMAIL_MESSAGES.REPLY_DRAFT_FAILED), req, 502);
+    }
+
+    httpResponse(req, res, 200, EMAIL_MESSAGES.REPLY_DRAFTED_SUCCESS, draft);
+  } catch (error) {
+    httpError(next, error, req, 500);
+  }
+};
+
+export const createReplyDraft = async (req, res, next) => {
+  try {
+    const params = validateJoiSchema(emailParamsSchema, req.params);
+    const body = validateJoiSchema(createReplyDraftSchema, req.body);
+
+    if (params.error || body.error) {
+      return httpError(next, params.error || body.error, req, 422);
+    }
+
+    const { googleAccount, user } = req;
+
+    if (!googleAccount?.accessToken) {
+      return httpError(next, new Error(EMAIL_MESSAGES.GOOGLE_ACCOUNT_NOT_CONNECTED), req, 401);
+    }
+
+    // The draft goes to the mailbox the message is in
+    const account = await emailAccountsService.getEmailAccount(
+      user.id,
+      await getMailboxes(req),
+      params.value.id
+    );
+
+    if (!account) {
+      return httpError(next, new Error(EMAIL_MESSAGES.EMAIL_NOT_FOUND), req, 404);
+    }
+    if (account.providerId !== MAILBOX_PROVIDERS.GMAIL) {
+      return httpError(next, new Error(EMAIL_MESSAGES.GMAIL_ACCOUNT_REQUIRED), req, 422);
+    }
+
+    // Accounts linked before the scope change cannot create drafts
+    if (!hasGmailScope(account, GMAIL_COMPOSE_SCOPE)) {
+      return httpError(next, new Error(EMAIL_MESSAGES.GMAIL_COMPOSE_SCOPE_REQUIRED), req, 403);
+    }
+
+    const syncState = await emailsRepository.getSyncState(user.id, account.accountId);
+    const draft = await replyDraftsService.createReplyDraft(
+      user.id,
+      account,
+      params.value.id,
+      body.value,
+      syncState?.emailAddress ?? user.email
+    );
+
+    if (!draft) {
+      return httpError(next, new Error(EMAIL_MESSAGES.EMAIL_NOT_FOUND), req, 404);
+    }
+
+    httpResponse(req, res, 201, EMAIL_MESSAGES.GMAIL_DRAFT_CREATED_SUCCESS, draft);
+  } catch (error) {
+    httpError(next, error, req, 500);
+  }
+};
+
+export const correctEmailCategory = async (req, res, next) => {
+  try {
+    const params = validateJoiSchema(emailParamsSchema, req.params);
+    const body = validateJoiSchema(correctEmailCategorySchema, req.body);
+
+    if (params.error || body.error) {
+      return httpError(next, params.error || body.error, req, 422);
+    }
+
+    const { user } = req;
+    const mailboxes = await getMailboxes(req);
+
+    if (mailboxes.length === 0) {
+      return httpError(next, new Error(EMAIL_MESSAGES.MAILBOX_NOT_CONNECTED), req, 401);
+    }
+
+    const categories = await emailCategoriesService.getCategories(user.id);
+    if (!categories.some((c) => c.name === body.value.category)) {
+      return httpError(next, new Error(EMAIL_MESSAGES.CATEGORY_NOT_FOUND), req, 400);
+    }
+
+    const [email] = await emailsRepository.findEmailsByGmailIds(user.id, [params.value.id]);
+
+    if (!email) {
+      return httpError(next, new Error(EMAIL_MESSAGES.EMAIL_NOT_FOUND), req, 404);
+    }
+
+    const result = await emailCorrectionsService.correctEmailCategory(
+      user.id,
+      email,
+      body.value.category
+    );
+
+    if (!result) {
+      return httpError(next, new Error(EMAIL_MESSAGES.EMAIL_NOT_CLASSIFIED), req, 409);
+    }
+
+    // Move the Gmail label along for users who opted in to label write-back
+    const labels = await applyCategoryLabels(user.id, req.googleAccounts, [result.classification]);
+
+    httpResponse(req, res, 200, EMAIL_MESSAGES.CATEGORY_CORRECTED_SUCCESS, {
+      email: serializeEmail(email, result.classification),
+      learnedRules: result.learnedRules,
+      labels
+    });
+  } catch (error) {
+    httpError(next, error, req, 500);
+  }
+};
+
+export const getCorrectionStats = async (req, res, next) => {
+  try {
+    const stats = await emailCorrectionsService.getCorrectionStats(req.user.id);
+
+    httpResponse(req, res, 200, EMAIL_MESSAGES.CORRECTION_STATS_RETRIEVED_SUCCESS, stats);
+  } catch (error) {
+    httpError(next, error, req, 500);
+  }
+};
+
+export const getSubscriptions = async (req, res, next) => {
+  try {
+    const subscriptions = await subscriptionsService.listSubscriptions(req.user.id);
+
+    httpResponse(req, res, 200, EMAIL_MESSAGES.SUBSCRIPTIONS_RETRIEVED_SUCCESS, {
+      subscriptions
+    });
+  } catch (error) {
+    httpError(next, error, req, 500);
+  }
+};
+
+export const unsubscribe = async (req, res, next) => {
+  try {
+    const { error, value } = validateJoiSchema(subscriptionParamsSchema, req.params);
+
+    if (error) {
+      return httpError(next, error, req, 422);
+    }
+
+    const { user } = req;
+    const subscription = await subscriptionsService.getSubscription(user.id, value.id);
+
+    if (!subscription) {
+      return httpError(next, new Error(EMAIL_MESSAGES.SUBSCRIPTION_NOT_FOUND), req, 404);
+    }
+
+    // Unsubscribe drafts go to the mailbox that receives the subscription
+    const googleAccount = pickAccount(req.googleAccounts, subscription.accountId);
+
+    const method = getUnsubscribeMethod(subscription.unsubscribe || {});
+
+    if (!method) {
+      return httpError(next, new Error(EMAIL_MESSAGES.UNSUBSCRIBE_NOT_AVAILABLE), req, 422);
+    }
+
+    if (
+      method === UNSUBSCRIBE_METHODS.MAILTO &&
+      !hasGmailScope(googleAccount, GMAIL_COMPOSE_SCOPE)
+    ) {
+      return httpError(next, new Error(EMAIL_MESSAGES.GMAIL_COMPOSE_SCOPE_REQUIRED), req, 403);
+    }
+
+    const result = await subscriptionsService.unsubscribe(user.id, googleAccount, subscription);
+
+    if (method === UNSUBSCRIBE_METHODS.ONE_CLICK && !result.unsubscribed) {
+      return httpError(next, new Error(EMAIL_MESSAGES.UNSUBSCRIBE_FAILED), req, 502);
+    }
+
+    httpResponse(req, res, 200, EMAIL_MESSAGES.UNSUBSCRIBE_SUCCESS, result);
+  } catch (error) {
+    httpError(next, error, req, 500);
+  }
+};
+
+export const cleanupSubscription = async (req, res, next) => {
+  try {
+    const params = validateJoiSchema(subscriptionParamsSchema, req.params);
+    const body = validateJoiSchema(cleanupSubscriptionSchema, req.body);
+
+    if (params.error || body.error) {
+      return httpError(next, params.error || body.error, req, 422);
+    }
+
+    const { user } = req;
+    const subscription = await subscriptionsService.getSubscription(user.id, params.value.id);
+
+    if (!subscription) {
+      return httpError(next, new Error(EMAIL_MESSAGES.SUBSCRIPTION_NOT_FOUND), req, 404);
+    }
+
+    const account = pickAccount(await getMailboxes(req), subscription.accountId);
+
+    if (!account) {
+      return httpError(next, new Error(EMAIL_MESSAGES.MAILBOX_NOT_FOUND), req, 404);
+    }
+    // Other mailboxes are changed with the access they were connected with
+    if (
+      account.providerId === MAILBOX_PROVIDERS.GMAIL &&
+      !hasGmailScope(account, GMAIL_MODIFY_SCOPE)
+    ) {
+      return httpError(next, new Error(EMAIL_MESSAGES.GMAIL_MODIFY_SCOPE_REQUIRED), req, 403);
+    }
+
+    const job = await subscriptionsService.createCleanupJob(
+      user.id,
+      subscription,
+      body.value.action
+    );
+
+    if (!job) {
+      return httpError(next, new Error(EMAIL_MESSAGES.NOTHING_TO_CLEAN_UP), req, 422);
+    }
+
+    httpResponse(
+      req,
+      res,
+      202,
+      EMAIL_MESSAGES.CLEANUP_JOB_QUEUED_SUCCESS,
+      serializeCleanupJob(job)
+    );
+  } catch (error) {
+    httpError(next, error, req, 500);
+  }
+};
+
+export const getCleanupJob = async (req, res, next) => {
+  try {
+    const { error, value } = validateJoiSchema(cleanupJobParamsSchema, req.params);
+
+    if (error) {
+      return httpError(next, error, req, 422);
+    }
+
+    const job = await emailsRepository.findCleanupJob(req.user.id, value.id);
+
+    if (!job) {
+      return httpError(next, new Error(EMAIL_MESSAGES.CLEANUP_JOB_NOT_FOUND), req, 404);
+    }
+
+    httpResponse(
+      req,
+      res,
+      200,
+      EMAIL_MESSAGES.CLEANUP_JOB_RETRIEVED_SUCCESS,
+      serializeCleanupJob(job)
+    );
+  } catch (error) {
+    httpError(next, error, req, 500);
+  }
+};
+
+export const undoCleanupJob = async (req, res, next) => {
+  try {
+    const { error, value } = validateJoiSchema(cleanupJobParamsSchema, req.params);
+
+    if (error) {
+      return httpError(next, error, req, 422);
+    }
+
+    const job = await emailsRepository.cancelCleanupJob(req.user.id, value.id, new Date());
+
+    if (!job) {
+      const existing = await emailsRepository.findCleanupJob(req.user.id, value.id);
+      return existing
+        ? httpError(next, new Error(EMAIL_MESSAGES.CLEANUP_UNDO_EXPIRED), req, 409)
+        : httpError(next, new Error(EMAIL_MESSAGES.CLEANUP_JOB_NOT_FOUND), req, 404);
+    }
+
+    httpResponse(
+      req,
+      res,
+      200,
+      EMAIL_MESSAGES.CLEANUP_JOB_UNDONE_SUCCESS,
+      serializeCleanupJob(job)
+    );
+  } catch (error) {
+    httpError(next, error, req, 500);
+  }
+};
+
+export const getAccounts = async (req, res, next) => {
+  try {
+    const accounts = await emailAccountsService.listAccounts(req.user.id, await getMailboxes(req));
+
+    httpResponse(req, res, 200, EMAIL_MESSAGES.ACCOUNTS_RETRIEVED_SUCCESS, { accounts });
+  } catch (error) {
+    httpError(next, error, req, 500);
+  }
+};
+
+export const unlinkAccount = async (req, res, next) => {
+  try {
+    const { error, value } = validateJoiSchema(accountParamsSchema, req.params);
+
+    if (error) {
+      return httpError(next, error, req, 422);
+    }
+
+    const { googleAccounts, user } = req;
+    const mailbox = (await getMailboxes(req)).find((m) => m.accountId === value.accountId);
+
+    if (!mailbox) {
+      return httpError(next, new Error(EMAIL_MESSAGES.MAILBOX_NOT_FOUND), req, 404);
+    }
+
+    if (mailbox.providerId === MAILBOX_PROVIDERS.GMAIL) {
+      // The last Google account stays linked, as it is also how the user signs in
+      if (googleAccounts.length === 1) {
+        return httpError(next, new Error(EMAIL_MESSAGES.LAST_GOOGLE_ACCOUNT), req, 409);
+      }
+
+      // Unlink first, so a refused unlink (e.g. a session that is not fresh) keeps the data
+      try {
+        await auth.api.unlinkAccount({
+          body: { providerId: MAILBOX_PROVIDERS.GMAIL, accountId: value.accountId },
+          headers: { cookie: req.headers.cookie }
+        });
+      } catch (unlinkError) {
+        return httpError(next, unlinkError, req, unlinkError.statusCode || 500);
+      }
+    }
+
+    const result = await emailAccountsService.deleteAccountData(user.id, value.accountId);
+    await emailSearchService.updateSearchIndex(user.id, { removedAccountId: value.accountId });
+
+    httpResponse(req, res, 200, EMAIL_MESSAGES.ACCOUNT_UNLINKED_SUCCESS, {
+      accountId: value.accountId,
+      ...result
+    });
+  } catch (error) {
+    httpError(next, error, req, 500);
+  }
+};
+
+export const connectImapAccount = async (req, res, next) => {
+  try {
+    const { error, value } = validateJoiSchema(connectImapAccountSchema, req.body);
+
+    if (error) {
+      return httpError(next, error, req, 422);
+    }
+
+    const account = await emailAccountsService.connectImapAccount(req.user.id, value);
+    const [serialized] = await emailAccountsService.listAccounts(req.user.id, [account]);
+
+    httpResponse(req, res, 201, EMAIL_MESSAGES.IMAP_ACCOUNT_CONNECTED_SUCCESS, serialized);
+  } catch (error) {
+    httpError(next, error, req, error.statusCode || 500);
+  }
+};
+
+export const importMailbox = async (req, res, next) => {
+  try {
+    const { error, value } = validateJoiSchema(importMailboxSchema, req.query);
+
+    if (error) {
+      return httpError(next, error, req, 422);
+    }
+
+    // Only bodies with one of the archive content types are read by the route
+    if (!Buffer.isBuffer(req.body) || req.body.length === 0) {
+      return httpError(next, new Error(EMAIL_MESSAGES.IMPORT_ARCHIVE_EMPTY), req, 422);
+    }
+
+    const result = await mailboxImportService.importArchive(req.user.id, req.body, value);
+
+    if (!result) {
+      return httpError(next, new Error(EMAIL_MESSAGES.MAILBOX_NOT_FOUND), req, 404);
+    }
+
+    httpResponse(req, res, 201, EMAIL_MESSAGES.MAILBOX_IMPORTED_SUCCESS, result);
+  } catch (error) {
+    httpError(next, error, req, error.statusCode || 500);
+  }
+};
+
+export const receiveGmailPush = async (req, res, next) => {
+  try {
+    const verified = await gmailPushService.verifyPushRequest(req.headers.authorization);
+
+    if (!verified) {
+      return httpError(next, new Error(EMAIL_MESSAGES.PUSH_UNAUTHORIZED), req, 401);
+    }
+
+    const { error, value } = validateJoiSchema(gmailPushSchema, req.body);
+
+    if (error) {
+      return httpError(next, error, req, 422);
+    }
+
+    const notification = decodePushEnvelope(value);
+
+    if (!notification) {
+      return httpError(next, new Error(EMAIL_MESSAGES.INVALID_PUSH_MESSAGE), req, 422);
+    }
+
+    // Acknowledged before syncing, so a slow sync never makes Pub/Sub redeliver;
+    // a notification lost on the way is caught up by the next sync of the mailbox
+    httpResponse(req, res, 202, EMAIL_MESSAGES.PUSH_ACCEPTED, {
+      messageId: notification.messageId
+    });
+
+    gmailPushService.handleGmailPush(notification).catch((pushError) => {
+      logger.error('Gmail push handling failed', {
+        meta: { emailAddress: notification.emailAddress, error: pushError.message }
+      });
+    });
+  } catch (error) {
+    httpError(next, error, req, 500);
+  }
+};
+
+export const streamMailboxEvents = (req, res) => {
+  const userId = req.user.id;
+
+  // The stream stays open, so the socket must outlive the global request timeout.
+  // no-transform keeps the compression middleware from buffering events.
+  req.socket.setTimeout(0);
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache, no-transform',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+  res.write(`retry: ${MAILBOX_EVENTS.RETRY_MS}\n\n`);
+
+  const stopListening = subscribeMailboxEvents(userId, (event) => {
+    res.write(formatServerSentEvent({ event: event.type, data: event }));
+  });
+  const heartbeat = setInterval(() => res.write(': heartbeat\n\n'), MAILBOX_EVENTS.HEARTBEAT_MS);
+
+  req.on('close', () => {
+    clearInterval(heartbeat);
+    stopListening();
+  });
+};
@@ -0,0 +1,1069 @@
+import mongoose from 'mongoose';
+import { Email } from './emailModel.js';
+import { MailboxSync } from './mailboxSyncModel.js';
+import { MailboxAccount } from './mailboxAccountModel.js';
+import { ImportedMessage } from './importedMessageModel.js';
+import { EmailClassification } from './emailClassificationModel.js';
+import { ClassificationJob } from './classificationJobModel.js';
+import { EmailCategory } from './emailCategoryModel.js';
+import { ClassificationRule } from './classificationRuleModel.js';
+import { EmailSettings } from './emailSettingsModel.js';
+import { EmailCorrection } from './emailCorrectionModel.js';
+import { EmailSummary } from './emailSummaryModel.js';
+import { EmailConversation } from './emailConversationModel.js';
+import { EmailReceipt } from './emailReceiptModel.js';
+import { EmailEvent } from './emailEventModel.js';
+import { EmailEventScan } from './emailEventScanModel.js';
+import { EmailSubscription } from './emailSubscriptionModel.js';
+import { SubscriptionCleanupJob } from './subscriptionCleanupJobModel.js';
+import {
+  BATCH_STATUS,
+  CLEANUP_JOB_STATUS,
+  EVENT_STATUS,
+  GMAIL_LABELS,
+  JOB_STATUS,
+  RULE_ORIGIN
+} from './emailsConstants.js';
+import asyncHandler from 'express-async-handler';
+
+// ===== EMAIL STORE =====
+
+export const upsertEmails = asyncHandler(async (userId, emails) => {
+  if (emails.length === 0) {
+    return { upsertedCount: 0, modifiedCount: 0 };
+  }
+
+  const result = await Email.bulkWrite(
+    emails.map((email) => ({
+      updateOne: {
+        filter: { userId, gmailId: email.gmailId },
+        update: { $set: { ...email, userId } },
+        upsert: true
+      }
+    })),
+    { ordered: false }
+  );
+
+  return { upsertedCount: result.upsertedCount, modifiedCount: result.modifiedCount };
+});
+
+export const updateEmailLabels = asyncHandler(async (userId, labelChanges) => {
+  if (labelChanges.length === 0) {
+    return { modifiedCount: 0 };
+  }
+
+  const result = await Email.bulkWrite(
+    labelChanges.map(({ gmailId, labelIds }) => ({
+      updateOne: {
+        filter: { userId, gmailId },
+        update: { $set: { labelIds } }
+      }
+    })),
+    { ordered: false }
+  );
+
+  return { modifiedCount: result.modifiedCount };
+});
+
+export const deleteEmailsByGmailIds = asyncHandler(async (userId, gmailIds) => {
+  if (gmailIds.length === 0) {
+    return { deletedCount: 0 };
+  }
+
+  return await Email.deleteMany({ userId, gmailId: { $in: gmailIds } });
+});
+
+/**
+ * Delete the stored emails of one linked account. `includeUnassigned` also
+ * removes emails stored before accounts were tracked, which have no accountId.
+ */
+export const deleteEmailsByAccount = asyncHandler(
+  async (userId, accountId, { includeUnassigned = false } = {}) =>
+    await Email.deleteMany({
+      userId,
+      accountId: includeUnassigned ? { $in: [accountId, null] } : accountId
+    })
+);
+
+// Message and thread ids, with labels, of one account's stored emails
+export const findAccountEmailIds = asyncHandler(
+  async (userId, accountId) =>
+    await Email.find({ userId, accountId }).select('gmailId threadId labelIds').lean()
+);
+
+export const findEmailByThreadId = asyncHandler(
+  async (userId, threadId) =>
+    await Email.findOne({ userId, threadId }).select('gmailId threadId accountId').lean()
+);
+
+// Stored messages of one thread, oldest first
+export const findThreadEmails = asyncHandler(
+  async (userId, threadId) =>
+    await Email.find({ userId, threadId }).select('-__v').sort({ internalDate: 1 }).lean()
+);
+
+// Shared filter for the list endpoint: account, label, read state and a pre-resolved id set
+const buildEmailFilter = (userId, filters = {}) => {
+  const query = { userId };
+  if (filters.accountId) {
+    query.accountId = filters.accountId;
+  }
+  const labelConditions = [];
+
+  if (filters.label) {
+    labelConditions.push({ labelIds: filters.label });
+  }
+  if (filters.read === true) {
+    labelConditions.push({ labelIds: { $ne: GMAIL_LABELS.UNREAD } });
+  } else if (filters.read === false) {
+    labelConditions.push({ labelIds: GMAIL_LABELS.UNREAD });
+  }
+  if (labelConditions.length > 0) {
+    query.$and = labelConditions;
+  }
+  if (filters.gmailIds) {
+    query.gmailId = { $in: filters.gmailIds };
+  }
+
+  return query;
+};
+
+/**
+ * Newest emails first. `cursor` is the { internalDate, gmailId } of the last
+ * email on the previous page.
+ */
+export const findEmailsByUser = asyncHandler(async (userId, options = {}) => {
+  const limit = options.limit || 15;
+  const query = buildEmailFilter(userId, options);
+
+  if (options.cursor) {
+    const { internalDate, gmailId } = options.cursor;
+    query.$or = [
+      { internalDate: { $lt: internalDate } },
+      { internalDate, gmailId: { $lt: gmailId } }
+    ];
+  }
+
+  return await Email.find(query)
+    .select('-__v')
+    .sort({ internalDate: -1, gmailId: -1 })
+    .limit(limit)
+    .lean();
+});
+
+export const findEmailsByGmailIds = asyncHandler(
+  async (userId, gmailIds) =>
+    await Email.find({ userId, gmailId: { $in: gmailIds } })
+      .select('-__v')
+      .lean()
+);
+
+// Newest first; only the fields the digest lists and the receipt scan picks by
+export const findEmailsSince = asyncHandler(
+  async (userId, since) =>
+    await Email.find({ userId, internalDate: { $gte: since } })
+      .select('gmailId threadId accountId subject from snippet internalDate')
+      .sort({ internalDate: -1 })
+      .lean()
+);
+
+// Add and remove labels on stored emails after the same change was made in Gmail
+export const modifyEmailLabels = asyncHandler(
+  async (userId, gmailIds, { add = [], remove = [] }) => {
+    const filter = { userId, gmailId: { $in: gmailIds } };
+
+    if (remove.length > 0) {
+      await Email.updateMany(filter, { $pull: { labelIds: { $in: remove } } });
+    }
+    if (add.length > 0) {
+      await Email.updateMany(filter, { $addToSet: { labelIds: { $each: add } } });
+    }
+  }
+);
+
+export const countEmailsByUser = asyncHandler(
+  async (userId, filters = {}) => await Email.countDocuments(buildEmailFilter(userId, filters))
+);
+
+// ===== CLASSIFICATIONS =====
+
+export const findClassifications = asyncHandler(
+  async (userId, gmailIds) =>
+    await EmailClassification.find({ userId, gmailId: { $in: gmailIds } })
+      .select('-__v')
+      .lean()
+);
+
+export const saveClassifications = asyncHandler(async (userId, classifications) => {
+  if (classifications.length === 0) {
+    return { upsertedCount: 0, modifiedCount: 0 };
+  }
+
+  const result = await EmailClassification.bulkWrite(
+    classifications.map((classification) => ({
+      updateOne: {
+        filter: { userId, gmailId: classification.gmailId },
+        update: { $set: { ...classification, userId } },
+        upsert: true
+      }
+    })),
+    { ordered: false }
+  );
+
+  return { upsertedCount: result.upsertedCount, modifiedCount: result.modifiedCount };
+});
+
+export const findGmailIdsByCategory = asyncHandler(
+  async (userId, category) => await EmailClassification.distinct('gmailId', { userId, category })
+);
+
+export const deleteClassificationsByGmailIds = asyncHandler(async (userId, gmailIds) => {
+  if (gmailIds.length === 0) {
+    return { deletedCount: 0 };
+  }
+
+  return await EmailClassification.deleteMany({ userId, gmailId: { $in: gmailIds } });
+});
+
+export const deleteCorrectionsByGmailIds = asyncHandler(async (userId, gmailIds) => {
+  if (gmailIds.length === 0) {
+    return { deletedCount: 0 };
+  }
+
+  return await EmailCorrection.deleteMany({ userId, gmailId: { $in: gmailIds } });
+});
+
+// Record the Gmail label applied to each message
+export const markLabelsApplied = asyncHandler(async (userId, entries) => {
+  if (entries.length === 0) {
+    return { modifiedCount: 0 };
+  }
+
+  const labelsAppliedAt = new Date();
+  const result = await EmailClassification.bulkWrite(
+    entries.map(({ gmailId, gmailLabelId, labeledCategory, archived }) => ({
+      updateOne: {
+        filter: { userId, gmailId },
+        update: { $set: { gmailLabelId, labeledCategory, archived, labelsAppliedAt } }
+      }
+    })),
+    { ordered: false }
+  );
+
+  return { modifiedCount: result.modifiedCount };
+});
+
+export const findLabeledClassifications = asyncHandler(
+  async (userId, gmailIds) =>
+    await EmailClassification.find({
+      userId,
+      gmailLabelId: { $exists: true },
+      ...(gmailIds && { gmailId: { $in: gmailIds } })
+    })
+      .select('gmailId gmailLabelId archived')
+      .lean()
+);
+
+export const clearAppliedLabels = asyncHandler(
+  async (userId, gmailIds) =>
+    await EmailClassification.updateMany(
+      { userId, gmailId: { $in: gmailIds } },
+      {
+        $set: { archived: false },
+        $unset: { gmailLabelId: '', labeledCategory: '', labelsAppliedAt: '' }
+      }
+    )
+);
+
+export const updateClassification = asyncHandler(
+  async (userId, gmailId, updates) =>
+    await EmailClassification.findOneAndUpdate(
+      { userId, gmailId },
+      { $set: updates },
+      { new: true }
+    )
+      .select('-__v')
+      .lean()
+);
+
+/**
+ * Classified and corrected counts per originally assigned category. An email
+ * counts as corrected while its category differs from the one first assigned.
+ */
+export const getCorrectionCountsByCategory = asyncHandler(
+  async (userId) =>
+    await EmailClassification.aggregate([
+      { $match: { userId: new mongoose.Types.ObjectId(userId) } },
+      {
+        $group: {
+          _id: { $ifNull: ['$correctedFrom', '$category'] },
+          classified: { $sum: 1 },
+          corrected: {
+            $sum: {
+              $cond: [
+                {
+                  $and: [
+                    { $gt: ['$correctedFrom', null] },
+                    { $ne: ['$correctedFrom', '$category'] }
+                  ]
+                },
+                1,
+                0
+              ]
+            }
+          }
+        }
+      },
+      { $sort: { _id: 1 } }
+    ])
+);
+
+// ===== CORRECTIONS =====
+
+export const saveCorrection = asyncHandler(
+  async (userId, correction) =>
+    await EmailCorrection.findOneAndUpdate(
+      { userId, gmailId: correction.gmailId },
+      { $set: { ...correction, userId } },
+      { upsert: true, new: true, setDefaultsOnInsert: true }
+    ).lean()
+);
+
+export const deleteCorrection = asyncHandler(
+  async (userId, gmailId) => await EmailCorrection.deleteOne({ userId, gmailId })
+);
+
+export const deleteCorrectionsByCategory = asyncHandler(
+  async (userId, category) => await EmailCorrection.deleteMany({ userId, category })
+);
+
+export const findRecentCorrections = asyncHandler(
+  async (userId, limit) =>
+    await EmailCorrection.find({ userId })
+      .select('from subject category')
+      .sort({ updatedAt: -1 })
+      .limit(limit)
+      .lean()
+);
+
+export const countCorrections = asyncHandler(
+  async (userId, filter) => await EmailCorrection.countDocuments({ userId, ...filter })
+);
+
+export const findCorrectionSenders = asyncHandler(
+  async (userId, filter) => await EmailCorrection.distinct('sender', { userId, ...filter })
+);
+
+// Where corrected emails went, per originally assigned category
+export const getCorrectionFlows = asyncHandler(
+  async (userId) =>
+    await EmailCorrection.aggregate([
+      { $match: { userId: new mongoose.Types.ObjectId(userId) } },
+      {
+        $group: {
+          _id: { from: '$previousCategory', to: '$category' },
+          count: { $sum: 1 }
+        }
+      },
+      { $sort: { count: -1 } }
+    ])
+);
+
+// ===== SUMMARIES =====
+
+export const findSummary = asyncHandler(
+  async (userId, kind, targetId) =>
+    await EmailSummary.findOne({ userId, kind, targetId }).select('-__v').lean()
+);
+
+export const saveSummary = asyncHandler(
+  async (userId, summary) =>
+    await EmailSummary.findOneAndUpdate(
+      { userId, kind: summary.kind, targetId: summary.targetId },
+      { $set: { ...summary, userId } },
+      { upsert: true, new: true, setDefaultsOnInsert: true }
+    )
+      .select('-__v')
+      .lean()
+);
+
+export const findSummariesByTargets = asyncHandler(
+  async (userId, kind, targetIds) =>
+    await EmailSummary.find({ userId, kind, targetId: { $in: targetIds } })
+      .select('-__v')
+      .lean()
+);
+
+// Summaries of the given messages and threads
+export const deleteSummariesByTargets = asyncHandler(async (userId, targetIds) => {
+  if (targetIds.length === 0) {
+    return { deletedCount: 0 };
+  }
+
+  return await EmailSummary.deleteMany({ userId, targetId: { $in: targetIds } });
+});
+
+export const findSummariesWithActionItems = asyncHandler(
+  async (userId, since) =>
+    await EmailSummary.find({
+      userId,
+      generatedAt: { $gte: since },
+      'actionItems.0': { $exists: true }
+    })
+      .select('-__v')
+      .sort({ generatedAt: -1 })
+      .lean()
+);
+
+// ===== SETTINGS =====
+
+export const getEmailSettings = asyncHandler(
+  async (userId) => await EmailSettings.findOne({ userId }).select('-__v').lean()
+);
+
+export const saveEmailSettings = asyncHandler(
+  async (userId, updates) =>
+    await EmailSettings.findOneAndUpdate(
+      { userId },
+      { $set: updates },
+      { upsert: true, new: true, setDefaultsOnInsert: true }
+    )
+      .select('-__v')
+      .lean()
+);
+
+export const findDueDigests = asyncHandler(
+  async (now, limit) =>
+    await EmailSettings.find({ 'digest.enabled': true, 'digest.nextRunAt': { $lte: now } })
+      .select('userId digest')
+      .sort({ 'digest.nextRunAt': 1 })
+      .limit(limit)
+      .lean()
+);
+
+/**
+ * Move a due digest on to its next run. Only succeeds while the run is still
+ * due at `dueAt`, so two schedulers never both send the same digest.
+ */
+export const claimDigestRun = asyncHandler(
+  async (settingsId, dueAt, nextRunAt) =>
+    await EmailSettings.findOneAndUpdate(
+      { _id: settingsId, 'digest.enabled': true, 'digest.nextRunAt': dueAt },
+      { $set: { 'digest.nextRunAt': nextRunAt } },
+      { new: true }
+    ).lean()
+);
+
+export const markDigestSent = asyncHandler(
+  async (userId, sentAt) =>
+    await EmailSettings.updateOne({ userId }, { $set: { 'digest.lastSentAt': sentAt } })
+);
+
+// ===== CATEGORIES =====
+
+export const findCategories = asyncHandler(
+  async (userId) =>
+    await EmailCategory.find({ userId }).select('-__v').sort({ createdAt: 1 }).lean()
+);
+
+export const findCategoryById = asyncHandler(
+  async (userId, categoryId) =>
+    await EmailCategory.findOne({ _id: categoryId, userId }).select('-__v').lean()
+);
+
+// Idempotent so concurrent first requests do not create duplicates
+export const seedCategories = asyncHandler(async (userId, categories) => {
+  await EmailCategory.bulkWrite(
+    categories.map((category) => ({
+      updateOne: {
+        filter: { userId, name: category.name },
+        update: { $setOnInsert: { ...category, userId } },
+        upsert: true
+      }
+    })),
+    { ordered: false }
+  );
+});
+
+export const createCategory = asyncHandler(
+  async (userId, categoryData) => await EmailCategory.create({ ...categoryData, userId })
+);
+
+export const updateCategory = asyncHandler(
+  async (userId, categoryId, updates) =>
+    await EmailCategory.findOneAndUpdate(
+      { _id: categoryId, userId },
+      { $set: updates },
+      { new: true }
+    ).lean()
+);
+
+export const deleteCategory = asyncHandler(
+  async (userId, categoryId) => await EmailCategory.deleteOne({ _id: categoryId, userId })
+);
+
+// ===== CLASSIFICATION RULES =====
+
+export const findRules = asyncHandler(
+  async (userId, options = {}) =>
+    await ClassificationRule.find({ userId, ...(options.enabledOnly && { enabled: true }) })
+      .select('-__v')
+      .sort({ priority: 1, createdAt: 1 })
+      .lean()
+);
+
+export const findRuleById = asyncHandler(
+  async (userId, ruleId) =>
+    await ClassificationRule.findOne({ _id: ruleId, userId }).select('-__v').lean()
+);
+
+export const createRule = asyncHandler(
+  async (userId, ruleData) => await ClassificationRule.create({ ...ruleData, userId })
+);
+
+export const updateRule = asyncHandler(
+  async (userId, ruleId, updates) =>
+    await ClassificationRule.findOneAndUpdate(
+      { _id: ruleId, userId },
+      { $set: updates },
+      { new: true }
+    ).lean()
+);
+
+export const deleteRule = asyncHandler(
+  async (userId, ruleId) => await ClassificationRule.deleteOne({ _id: ruleId, userId })
+);
+
+export const findRuleByPattern = asyncHandler(
+  async (userId, type, pattern) =>
+    await ClassificationRule.findOne({ userId, type, pattern }).select('-__v').lean()
+);
+
+export const countLearnedRules = asyncHandler(
+  async (userId) =>
+    await ClassificationRule.countDocuments({ userId, origin: RULE_ORIGIN.CORRECTIONS })
+);
+
+export const deleteRulesByCategory = asyncHandler(
+  async (userId, category) => await ClassificationRule.deleteMany({ userId, category })
+);
+
+// ===== CLASSIFICATION JOBS =====
+
+export const createClassificationJob = asyncHandler(
+  async (jobData) => await ClassificationJob.create(jobData)
+);
+
+export const findClassificationJob = asyncHandler(
+  async (userId, jobId) =>
+    await ClassificationJob.findOne({ _id: jobId, userId }).select('-__v -batches.emailIds').lean()
+);
+
+export const findClassificationJobById = asyncHandler(
+  async (jobId) => await ClassificationJob.findById(jobId).lean()
+);
+
+export const markBatchRunning = asyncHandler(
+  async (jobId, batchIndex, attempts) =>
+    await ClassificationJob.findOneAndUpdate(
+      { _id: jobId },
+      {
+        $set: {
+          status: JOB_STATUS.RUNNING,
+          'batches.$[batch].status': BATCH_STATUS.RUNNING,
+          'batches.$[batch].attempts': attempts
+        },
+        $min: { startedAt: new Date() }
+      },
+      { new: true, arrayFilters: [{ 'batch.index': batchIndex }] }
+    ).lean()
+);
+
+export const recordBatchError = asyncHandler(
+  async (jobId, batchIndex, errorMessage) =>
+    await ClassificationJob.updateOne(
+      { _id: jobId },
+      { $set: { 'batches.$[batch].error': errorMessage } },
+      { arrayFilters: [{ 'batch.index': batchIndex }] }
+    )
+);
+
+export const completeBatch = asyncHandler(
+  async (jobId, batchIndex, results) =>
+    await ClassificationJob.findOneAndUpdate(
+      { _id: jobId },
+      {
+        $set: {
+          'batches.$[batch].status': BATCH_STATUS.COMPLETED,
+          'batches.$[batch].error': null,
+          'batches.$[batch].completedAt': new Date()
+        },
+        $push: { results: { $each: results } },
+        $inc: { completedBatches: 1 }
+      },
+      { new: true, arrayFilters: [{ 'batch.index': batchIndex }] }
+    ).lean()
+);
+
+export const failBatches = asyncHandler(
+  async (jobId, batchIndexes, errorMessage, failures) =>
+    await ClassificationJob.findOneAndUpdate(
+      { _id: jobId },
+      {
+        $set: {
+          'batches.$[batch].status': BATCH_STATUS.FAILED,
+          'batches.$[batch].error': errorMessage,
+          'batches.$[batch].completedAt': new Date()
+        },
+        $push: { failures: { $each: failures } },
+        $inc: { failedBatches: batchIndexes.length }
+      },
+      { new: true, arrayFilters: [{ 'batch.index': { $in: batchIndexes } }] }
+    ).lean()
+);
+
+export const failBatch = asyncHandler(
+  async (jobId, batchIndex, errorMessage, failures) =>
+    await failBatches(jobId, [batchIndex], errorMessage, failures)
+);
+
+export const finishClassificationJob = asyncHandler(
+  async (jobId, status) =>
+    await ClassificationJob.updateOne({ _id: jobId }, { $set: { status, completedAt: new Date() } })
+);
+
+// ===== SUBSCRIPTIONS =====
+
+// Emails carrying mailing list headers, newest first
+export const findSubscriptionEmails = asyncHandler(
+  async (userId) =>
+    await Email.find({
+      userId,
+      $or: [{ listId: { $type: 'string' } }, { listUnsubscribe: { $type: 'string' } }]
+    })
+      .select(
+        'gmailId accountId from labelIds internalDate listId listUnsubscribe listUnsubscribePost'
+      )
+      .sort({ internalDate: -1 })
+      .lean()
+);
+
+export const findUnsubscribes = asyncHandler(
+  async (userId) => await EmailSubscription.find({ userId }).select('-__v').lean()
+);
+
+export const saveUnsubscribe = asyncHandler(
+  async (userId, key, updates) =>
+    await EmailSubscription.findOneAndUpdate(
+      { userId, key },
+      { $set: updates },
+      { upsert: true, new: true, runValidators: true }
+    ).lean()
+);
+
+export const createCleanupJob = asyncHandler(
+  async (jobData) => await SubscriptionCleanupJob.create(jobData)
+);
+
+export const findCleanupJob = asyncHandler(
+  async (userId, jobId) =>
+    await SubscriptionCleanupJob.findOne({ _id: jobId, userId }).select('-__v -gmailIds').lean()
+);
+
+/**
+ * Cancel a job that has not started. Only succeeds inside the undo window,
+ * so a job is never both cancelled and run.
+ */
+export const cancelCleanupJob = asyncHandler(
+  async (userId, jobId, now) =>
+    await SubscriptionCleanupJob.findOneAndUpdate(
+      { _id: jobId, userId, status: CLEANUP_JOB_STATUS.PENDING, runAt: { $gt: now } },
+      { $set: { status: CLEANUP_JOB_STATUS.CANCELLED, completedAt: now } },
+      { new: true }
+    )
+      .select('-__v -gmailIds')
+      .lean()
+);
+
+// Leave the given messages out of cleanups that have not run yet
+export const removeFromPendingCleanupJobs = asyncHandler(
+  async (userId, gmailIds) =>
+    await SubscriptionCleanupJob.updateMany(
+      { userId, status: CLEANUP_JOB_STATUS.PENDING, gmailIds: { $in: gmailIds } },
+      { $pull: { gmailIds: { $in: gmailIds } } }
+    )
+);
+
+export const findDueCleanupJobs = asyncHandler(
+  async (now, limit) =>
+    await SubscriptionCleanupJob.find({
+      status: CLEANUP_JOB_STATUS.PENDING,
+      runAt: { $lte: now }
+    })
+      .select('_id')
+      .sort({ runAt: 1 })
+      .limit(limit)
+      .lean()
+);
+
+// Start a due job; returns null when another run or an undo got to it first
+export const claimCleanupJob = asyncHandler(
+  async (jobId, now) =>
+    await SubscriptionCleanupJob.findOneAndUpdate(
+      { _id: jobId, status: CLEANUP_JOB_STATUS.PENDING, runAt: { $lte: now } },
+      { $set: { status: CLEANUP_JOB_STATUS.RUNNING, startedAt: now } },
+      { new: true }
+    ).lean()
+);
+
+export const finishCleanupJob = asyncHandler(
+  async (jobId, updates) =>
+    await SubscriptionCleanupJob.updateOne(
+      { _id: jobId },
+      { $set: { ...updates, completedAt: new Date() } }
+    )
+);
+
+// ===== SYNC STATE =====
+
+export const getSyncState = asyncHandler(
+  async (userId, accountId) => await MailboxSync.findOne({ userId, accountId }).lean()
+);
+
+export const findSyncStates = asyncHandler(
+  async (userId) => await MailboxSync.find({ userId }).select('-__v').lean()
+);
+
+// Sync states of every user who linked the mailbox with this address
+export const findSyncStatesByEmailAddress = asyncHandler(
+  async (emailAddress) => await MailboxSync.find({ emailAddress }).lean()
+);
+
+export const findExpiringWatches = asyncHandler(
+  async (before) => await MailboxSync.find({ watchExpiresAt: { $lt: before } }).lean()
+);
+
+export const saveSyncState = asyncHandler(
+  async (userId, accountId, syncState) =>
+    await MailboxSync.findOneAndUpdate(
+      { userId, accountId },
+      { $set: syncState },
+      { new: true, upsert: true, runValidators: true }
+    ).lean()
+);
+
+export const deleteSyncState = asyncHandler(
+  async (userId, accountId) => await MailboxSync.deleteOne({ userId, accountId })
+);
+
+// ===== MAILBOX ACCOUNTS =====
+
+export const findMailboxAccounts = asyncHandler(
+  async (userId) =>
+    await MailboxAccount.find({ userId }).select('-__v').sort({ createdAt: 1 }).lean()
+);
+
+export const findMailboxAccount = asyncHandler(
+  async (userId, accountId) =>
+    await MailboxAccount.findOne({ userId, accountId }).select('-__v').lean()
+);
+
+export const createMailboxAccount = asyncHandler(async (userId, data) =>
+  (await MailboxAccount.create({ ...data, userId })).toObject()
+);
+
+export const deleteMailboxAccount = asyncHandler(
+  async (userId, accountId) => await MailboxAccount.deleteOne({ userId, accountId })
+);
+
+// ===== IMPORTED MESSAGES =====
+
+// Ids of the given messages that were imported before
+export const findImportedGmailIds = asyncHandler(async (userId, gmailIds) => {
+  const existing = await ImportedMessage.find({ userId, gmailId: { $in: gmailIds } })
+    .select('gmailId')
+    .lean();
+  return existing.map((m) => m.gmailId);
+});
+
+export const findImportedMessages = asyncHandler(
+  async (userId, gmailIds) =>
+    await ImportedMessage.find({ userId, gmailId: { $in: gmailIds } }).lean()
+);
+
+export const insertImportedMessages = asyncHandler(async (userId, messages) => {
+  if (messages.length === 0) {
+    return [];
+  }
+
+  return await ImportedMessage.insertMany(
+    messages.map((message) => ({ ...message, userId })),
+    { ordered: false }
+  );
+});
+
+export const deleteImportedMessages = asyncHandler(
+  async (userId, accountId) => await ImportedMessage.deleteMany({ userId, accountId })
+);
+
+// ===== CONVERSATIONS =====
+
+export const createConversation = asyncHandler(
+  async (userId, title) => await EmailConversation.create({ userId, title, turns: [] })
+);
+
+export const findConversation = asyncHandler(
+  async (userId, conversationId) =>
+    await EmailConversation.findOne({ _id: conversationId, userId }).select('-__v').lean()
+);
+
+// Newest first, without the turns
+export const findConversations = asyncHandler(
+  async (userId, limit) =>
+    await EmailConversation.find({ userId })
+      .select('title createdAt updatedAt')
+      .sort({ updatedAt: -1 })
+      .limit(limit)
+      .lean()
+);
+
+export const appendConversationTurns = asyncHandler(
+  async (userId, conversationId, turns) =>
+    await EmailConversation.findOneAndUpdate(
+      { _id: conversationId, userId },
+      { $push: { turns: { $each: turns } } },
+      { new: true }
+    ).lean()
+);
+
+export const deleteConversation = asyncHandler(
+  async (userId, conversationId) =>
+    await EmailConversation.deleteOne({ _id: conversationId, userId })
+);
+
+// ===== RECEIPTS =====
+
+// Scan results, receipts or not, of the given emails
+export const findReceiptScans = asyncHandler(
+  async (userId, gmailIds) =>
+    await EmailReceipt.find({ userId, gmailId: { $in: gmailIds } })
+      .select('gmailId model promptVersion')
+      .lean()
+);
+
+export const saveReceipt = asyncHandler(
+  async (userId, receipt) =>
+    await EmailReceipt.findOneAndUpdate(
+      { userId, gmailId: receipt.gmailId },
+      { $set: { ...receipt, userId } },
+      { upsert: true, new: true, setDefaultsOnInsert: true }
+    )
+      .select('-__v')
+      .lean()
+);
+
+/**
+ * Shared filter for receipt listings and exports. `from` and `to` are
+ * YYYY-MM-DD dates, both included.
+ */
+const buildReceiptFilter = (userId, filters = {}) => {
+  const query = { userId, isReceipt: true };
+  if (filters.from || filters.to) {
+    query.date = {
+      ...(filters.from && { $gte: filters.from }),
+      ...(filters.to && { $lte: filters.to })
+    };
+  }
+  if (filters.merchant) {
+    query.merchant = filters.merchant;
+  }
+  if (filters.category) {
+    query.category = filters.category;
+  }
+  return query;
+};
+
+// Newest receipt date first
+export const findReceipts = asyncHandler(
+  async (userId, { limit, offset = 0, ...filters } = {}) =>
+    await EmailReceipt.find(buildReceiptFilter(userId, filters))
+      .select('-__v')
+      .sort({ date: -1, gmailId: -1 })
+      .skip(offset)
+      .limit(limit)
+      .lean()
+);
+
+export const countReceipts = asyncHandler(
+  async (userId, filters = {}) =>
+    await EmailReceipt.countDocuments(buildReceiptFilter(userId, filters))
+);
+
+/**
+ * Spend per month, currency, merchant and category for receipts dated
+ * between `from` and `to` (YYYY-MM-DD, both included)
+ */
+export const getSpendByMonth = asyncHandler(
+  async (userId, { from, to }) =>
+    await EmailReceipt.aggregate([
+      {
+        $match: {
+          userId: new mongoose.Types.ObjectId(userId),
+          isReceipt: true,
+          date: { $gte: from, $lte: to }
+        }
+      },
+      {
+        $group: {
+          _id: {
+            month: { $substrCP: ['$date', 0, 7] },
+            currency: '$currency',
+            merchant: '$merchant',
+            category: '$category'
+          },
+          amount: { $sum: '$amount' },
+          tax: { $sum: { $ifNull: ['$tax', 0] } },
+          count: { $sum: 1 }
+        }
+      },
+      {
+        $project: {
+          _id: 0,
+          month: '$_id.month',
+          currency: '$_id.currency',
+          merchant: '$_id.merchant',
+          category: '$_id.category',
+          amount: 1,
+          tax: 1,
+          count: 1
+        }
+      }
+    ])
+);
+
+export const deleteReceiptsByAccount = asyncHandler(
+  async (userId, accountId) => await EmailReceipt.deleteMany({ userId, accountId })
+);
+
+// ===== EVENTS =====
+
+export const findEventScans = asyncHandler(
+  async (userId, gmailIds) =>
+    await EmailEventScan.find({ userId, gmailId: { $in: gmailIds } })
+      .select('gmailId model promptVersion')
+      .lean()
+);
+
+export const saveEventScan = asyncHandler(
+  async (userId, scan) =>
+    await EmailEventScan.findOneAndUpdate(
+      { userId, gmailId: scan.gmailId },
+      { $set: { ...scan, userId } },
+      { upsert: true, new: true, setDefaultsOnInsert: true }
+    ).lean()
+);
+
+export const findEventsByUids = asyncHandler(
+  async (userId, uids) =>
+    await EmailEvent.find({ userId, uid: { $in: uids } })
+      .select('uid sequence')
+      .lean()
+);
+
+/**
+ * Insert or refresh events by UID. The status the user gave an event is kept;
+ * new events start as proposed.
+ */
+export const saveEvents = asyncHandler(async (userId, events) => {
+  if (events.length === 0) {
+    return [];
+  }
+
+  await EmailEvent.bulkWrite(
+    events.map((event) => ({
+      updateOne: {
+        filter: { userId, uid: event.uid },
+        update: { $set: { ...event, userId } },
+        upsert: true
+      }
+    })),
+    { ordered: false }
+  );
+
+  return await EmailEvent.find({ userId, uid: { $in: events.map((event) => event.uid) } })
+    .select('-__v')
+    .sort({ start: 1 })
+    .lean();
+});
+
+// Events last read from the email that a new scan of it no longer finds
+export const deleteStaleEvents = asyncHandler(
+  async (userId, gmailId, source, keepUids) =>
+    await EmailEvent.deleteMany({ userId, gmailId, source, uid: { $nin: keepUids } })
+);
+
+/**
+ * Shared filter for event listings. Events overlapping the range between
+ * `from` and `to` match, so ongoing events are listed too.
+ */
+const buildEventFilter = (userId, filters = {}) => {
+  const query = { userId };
+  if (filters.from) {
+    query.end = { $gt: filters.from };
+  }
+  if (filters.to) {
+    query.start = { $lt: filters.to };
+  }
+  if (filters.status) {
+    query.status = filters.status;
+  }
+  return query;
+};
+
+// Soonest first
+export const findEvents = asyncHandler(
+  async (userId, { limit, offset = 0, ...filters } = {}) =>
+    await EmailEvent.find(buildEventFilter(userId, filters))
+      .select('-__v')
+      .sort({ start: 1, _id: 1 })
+      .skip(offset)
+      .limit(limit)
+      .lean()
+);
+
+export const countEvents = asyncHandler(
+  async (userId, filters = {}) => await EmailEvent.countDocuments(buildEventFilter(userId, filters))
+);
+
+export const updateEventStatus = asyncHandler(
+  async (userId, eventId, status) =>
+    await EmailEvent.findOneAndUpdate({ _id: eventId, userId }, { $set: { status } }, { new: true })
+      .select('-__v')
+      .lean()
+);
+
+// Events the calendar feed publishes: not dismissed and not ended before `since`
+export const findFeedEvents = asyncHandler(
+  async (userId, since, limit) =>
+    await EmailEvent.find({ userId, status: { $ne: EVENT_STATUS.DISMISSED }, end: { $gte: since } })
+      .select('-__v')
+      .sort({ start: 1 })
+      .limit(limit)
+      .lean()
+);
+
+export const deleteEventsByAccount = asyncHandler(async (userId, accountId) => {
+  await EmailEvent.deleteMany({ userId, accountId });
+  await EmailEventScan.deleteMany({ userId, accountId });
+});
+
+export const findSettingsByFeedToken = asyncHandler(
+  async (tokenHash) =>
+    await EmailSettings.findOne({ 'calendarFeed.tokenHash': tokenHash })
+      .select('userId digest calendarFeed')
+      .lean()
+);
+
+export const clearCalendarFeed = asyncHandler(
+  async (userId) => await EmailSettings.updateOne({ userId }, { $unset: { calendarFeed: 1 } })
+);
@@ -1,6 +1,62 @@
 import express from 'express';
-import { getEmails, classifyEmails } from './emailsController.js';
+import {
+  getEmails,
+  syncEmails,
+  searchInbox,
+  reindexSearch,
+  askInbox,
+  getConversations,
+  getConversation,
+  deleteConversation,
+  scanReceipts,
+  getReceipts,
+  exportReceipts,
+  getSpendSummary,
+  scanEvents,
+  getEvents,
+  updateEvent,
+  getCalendarFeed,
+  createCalendarFeed,
+  revokeCalendarFeed,
+  getCalendarFeedIcs,
+  classifyEmails,
+  createClassificationJob,
+  getClassificationJob,
+  getCategories,
+  createCategory,
+  updateCategory,
+  deleteCategory,
+  getRules,
+  createRule,
+  updateRule,
+  deleteRule,
+  getEmailSettings,
+  updateEmailSettings,
+  getDigestPreview,
+  getDigestTimezones,
+  getSubscriptions,
+  unsubscribe,
+  cleanupSubscription,
+  getCleanupJob,
+  undoCleanupJob,
+  undoGmailLabels,
+  correctEmailCategory,
+  getCorrectionStats,
+  getEmail,
+  getThread,
+  summarizeEmail,
+  summarizeThread,
+  draftReply,
+  createReplyDraft,
+  getAccounts,
+  unlinkAccount,
+  connectImapAccount,
+  importMailbox,
+  receiveGmailPush,
+  streamMailboxEvents
+} from './emailsController.js';
 import { betterAuthProtect } from '../auth/betterAuthMiddleware.js';
+import { IMPORT_CONFIG } from './emailsConstants.js';
 
 const router = express.Router();
 
@@ -8,7 +64,8 @@ const router = express.Router();
  * @swagger
  * /emails:
  *   get:
- *     summary: Fetch emails from Gmail
+ *     summary: List emails
+ *     description: Without `q` the local mailbox store is paged newest first (the first page also runs an incremental sync of each selected Gmail or IMAP mailbox). With `q` the query is passed through to Gmail search, in each selected Gmail account with the results merged; other mailboxes cannot be searched. Either way, pass `nextPageToken` back as `pageToken` with the same filters to get the next page. Each email carries the `accountId` of the mailbox it belongs to.
  *     tags: [Emails]
  *     security:
  *       - bearerAuth: []
@@ -18,20 +75,164 @@ const router = express.Router();
  *         schema:
  *           type: integer
  *           default: 15
- *         description: Number of emails to fetch
+ *           maximum: 100
+ *         description: Page size
+ *       - in: query
+ *         name: pageToken
+ *         schema:
+ *           type: string
+ *         description: Cursor returned as nextPageToken by the previous page
+ *       - in: query
+ *         name: q
+ *         schema:
+ *           type: string
+ *         description: Gmail search syntax, e.g. "from:github.com has:attachment after:2024/01/01"
+ *       - in: query
+ *         name: label
+ *         schema:
+ *           type: string
+ *         description: Gmail label id, e.g. INBOX or STARRED
+ *       - in: query
+ *         name: category
+ *         schema:
+ *           type: string
+ *         description: Only emails classified into this category
+ *       - in: query
+ *         name: read
+ *         schema:
+ *           type: boolean
+ *         description: Filter by read state
+ *       - in: query
+ *         name: accountId
+ *         schema:
+ *           type: string
+ *           default: all
+ *         description: Mailbox to list, or `all` for the unified inbox
  *     responses:
  *       200:
  *         description: Emails fetched successfully
  *       401:
  *         description: Unauthorized
+ *       404:
+ *         description: Mailbox not found
+ *       422:
+ *         description: Validation error, invalid page token or search without a Gmail account
  */
 router.get('/', betterAuthProtect, getEmails);
 
 /**
  * @swagger
- * /emails/classify:
+ * /emails/sync:
  *   post:
- *     summary: Classify emails using Gemini AI
+ *     summary: Sync the local mailbox store
+ *     description: Applies the changes since the last sync, per Gmail account or IMAP mailbox (Gmail history, or new UIDs and changed flags). Falls back to a full sync when no sync position is stored or it has expired. Imported mailboxes are skipped. Returns one result per synced mailbox.
+ *     tags: [Emails]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: accountId
+ *         schema:
+ *           type: string
+ *           default: all
+ *         description: Mailbox to sync, or `all`
+ *       - in: query
+ *         name: full
+ *         schema:
+ *           type: boolean
+ *           default: false
+ *         description: Force a full resync of the newest messages
+ *     responses:
+ *       200:
+ *         description: Mailbox synced successfully
+ *       401:
+ *         description: Unauthorized
+ *       404:
+ *         description: Mailbox not found
+ *       422:
+ *         description: Validation error
+ */
+router.post('/sync', betterAuthProtect, syncEmails);
+
+/**
+ * @swagger
+ * /emails/search:
+ *   get:
+ *     summary: Search synced emails
+ *     description: Full-text search over the user's synced and imported emails in every mailbox, including IMAP and imported ones. `keyword` matches all words in the subject, sender, recipients or snippet; `fuzzy` tolerates typos; `semantic` ranks emails by meaning using embeddings made in Elasticsearch. Requires EMAIL_SEARCH_ENABLED.
+ *     tags: [Emails]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: q
+ *         required: true
+ *         schema:
+ *           type: string
+ *           maxLength: 500
+ *       - in: query
+ *         name: mode
+ *         schema:
+ *           type: string
+ *           enum: [keyword, fuzzy, semantic]
+ *           default: keyword
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *           maximum: 50
+ *       - in: query
+ *         name: offset
+ *         schema:
+ *           type: integer
+ *           default: 0
+ *           maximum: 500
+ *       - in: query
+ *         name: accountId
+ *         schema:
+ *           type: string
+ *           default: all
+ *         description: Mailbox to search, or `all`
+ *     responses:
+ *       200:
+ *         description: Matching emails, best match first, with the total match count
+ *       401:
+ *         description: Unauthorized
+ *       404:
+ *         description: Mailbox not found
+ *       422:
+ *         description: Validation error
+ *       503:
+ *         description: Inbox search is not enabled
+ */
+router.get('/search', betterAuthProtect, searchInbox);
+
+/**
+ * @swagger
+ * /emails/search/reindex:
+ *   post:
+ *     summary: Rebuild the user's search index
+ *     description: Indexes every stored email of the user again, e.g. after search was enabled for existing mailboxes or the embedding model changed.
+ *     tags: [Emails]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Emails reindexed, with the number indexed
+ *       401:
+ *         description: Unauthorized
+ *       503:
+ *         description: Inbox search is not enabled
+ */
+router.post('/search/reindex', betterAuthProtect, reindexSearch);
+
+/**
+ * @swagger
+ * /emails/ask:
+ *   post:
+ *     summary: Ask a question about your emails
+ *     description: Answers a question such as "when is my dentist appointment?" from the user's own emails. The emails closest to the question are retrieved from the search index and the answer cites the ones it is based on, with a supporting quote. Pass the conversationId of an earlier answer to ask a follow-up. Without matching emails the answer says so and no Gemini call is made. Requires EMAIL_SEARCH_ENABLED.
  *     tags: [Emails]
  *     security:
  *       - bearerAuth: []
@@ -41,24 +242,1548 @@ router.get('/', betterAuthProtect, getEmails);
  *         application/json:
  *           schema:
  *             type: object
- *             required:
- *               - emailIds
- *               - geminiApiKey
+ *             required: [question]
+ *             properties:
+ *               question:
+ *                 type: string
+ *                 maxLength: 500
+ *               conversationId:
+ *                 type: string
+ *                 description: Conversation to continue
+ *     responses:
+ *       200:
+ *         description: Answer with found, citations (emailId, subject, from, date, quote) and the conversationId
+ *       400:
+ *         description: Gemini API key required
+ *       401:
+ *         description: Unauthorized
+ *       404:
+ *         description: Conversation not found
+ *       409:
+ *         description: Conversation too long, start a new one
+ *       422:
+ *         description: Validation error
+ *       429:
+ *         description: Daily limit of the organization or deployment Gemini API key reached
+ *       502:
+ *         description: The model gave no usable answer
+ *       503:
+ *         description: Inbox search is not enabled
+ */
+router.post('/ask', betterAuthProtect, askInbox);
+
+/**
+ * @swagger
+ * /emails/ask/conversations:
+ *   get:
+ *     summary: List inbox conversations
+ *     description: The user's most recent question-and-answer conversations, newest first, without their turns.
+ *     tags: [Emails]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Conversations retrieved successfully
+ *       401:
+ *         description: Unauthorized
+ */
+router.get('/ask/conversations', betterAuthProtect, getConversations);
+
+/**
+ * @swagger
+ * /emails/ask/conversations/{id}:
+ *   get:
+ *     summary: Get an inbox conversation
+ *     description: Every question and answer of the conversation, with the citations of each answer.
+ *     tags: [Emails]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Conversation retrieved successfully
+ *       401:
+ *         description: Unauthorized
+ *       404:
+ *         description: Conversation not found
+ *       422:
+ *         description: Invalid conversation id
+ *   delete:
+ *     summary: Delete an inbox conversation
+ *     tags: [Emails]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Conversation deleted successfully
+ *       401:
+ *         description: Unauthorized
+ *       404:
+ *         description: Conversation not found
+ *       422:
+ *         description: Invalid conversation id
+ */
+router.get('/ask/conversations/:id', betterAuthProtect, getConversation);
+router.delete('/ask/conversations/:id', betterAuthProtect, deleteConversation);
+
+/**
+ * @swagger
+ * /emails/receipts/scan:
+ *   post:
+ *     summary: Scan emails for receipts and invoices
+ *     description: Reads emails with Gemini and stores the receipts and invoices found, with merchant, amount, currency, date, tax, order number and a spending category. Without `emailIds`, stored emails from the last `days` whose subject or preview looks like a receipt are scanned. PDF attachments of Gmail messages are read too, unless redaction is enabled. Emails already scanned are skipped; at most 25 are scanned per request and `remaining` counts the ones left for the next request.
+ *     tags: [Emails]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
  *             properties:
  *               emailIds:
  *                 type: array
+ *                 maxItems: 25
  *                 items:
  *                   type: string
- *               geminiApiKey:
- *                 type: string
+ *               days:
+ *                 type: integer
+ *                 minimum: 1
+ *                 maximum: 365
+ *                 default: 30
  *     responses:
  *       200:
- *         description: Emails classified successfully
+ *         description: Scan counts (scanned, failed, skipped, remaining) and the receipts found
  *       400:
- *         description: Bad request
+ *         description: Gemini API key required
  *       401:
  *         description: Unauthorized
+ *       422:
+ *         description: Validation error
+ *       429:
+ *         description: Daily limit of the organization or deployment Gemini API key reached
  */
-router.post('/classify', betterAuthProtect, classifyEmails);
+router.post('/receipts/scan', betterAuthProtect, scanReceipts);
+
+/**
+ * @swagger
+ * /emails/receipts:
+ *   get:
+ *     summary: List receipts
+ *     description: Receipts and invoices extracted from the user's emails, newest receipt date first.
+ *     tags: [Emails]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           example: '2026-01-01'
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           example: '2026-12-31'
+ *       - in: query
+ *         name: merchant
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: category
+ *         schema:
+ *           type: string
+ *           enum: [shopping, food, travel, transport, utilities, subscriptions, services, other]
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 50
+ *           maximum: 200
+ *       - in: query
+ *         name: offset
+ *         schema:
+ *           type: integer
+ *           default: 0
+ *     responses:
+ *       200:
+ *         description: Receipts with the total count
+ *       401:
+ *         description: Unauthorized
+ *       422:
+ *         description: Validation error
+ */
+router.get('/receipts', betterAuthProtect, getReceipts);
+
+/**
+ * @swagger
+ * /emails/receipts/export:
+ *   get:
+ *     summary: Export receipts
+ *     description: Receipts matching the filters as a CSV or JSON download, newest first, up to 5000 rows. Takes the same filters as the receipt list.
+ *     tags: [Emails]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: format
+ *         schema:
+ *           type: string
+ *           enum: [csv, json]
+ *           default: csv
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: merchant
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: category
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Receipts file
+ *         content:
+ *           text/csv:
+ *             schema:
+ *               type: string
+ *           application/json:
+ *             schema:
+ *               type: object
+ *       401:
+ *         description: Unauthorized
+ *       422:
+ *         description: Validation error
+ */
+router.get('/receipts/export', betterAuthProtect, exportReceipts);
+
+/**
+ * @swagger
+ * /emails/receipts/summary:
+ *   get:
+ *     summary: Monthly spend summary
+ *     description: Spend per month from the extracted receipts, newest month first, with totals per currency, per merchant and per category. Amounts in different currencies are never added together. Defaults to the last 12 months.
+ *     tags: [Emails]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           example: '2026-01'
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           example: '2026-12'
+ *     responses:
+ *       200:
+ *         description: Spend summary retrieved successfully
+ *       401:
+ *         description: Unauthorized
+ *       422:
+ *         description: Validation error or a start month after the end month
+ */
+router.get('/receipts/summary', betterAuthProtect, getSpendSummary);
+
+/**
+ * @swagger
+ * /emails/calendar/scan:
+ *   post:
+ *     summary: Scan emails for calendar events
+ *     description: Finds meetings, bookings and deadlines in emails and stores them as proposed events. Invitations (an inline text/calendar part or an attached .ics file) are parsed as they are, keeping their UID so updates and cancellations replace the event; other emails are read with Gemini. Without `emailIds`, stored emails from the last `days` whose subject or preview mentions an event are scanned. Emails already scanned are skipped; at most 25 are scanned per request and `remaining` counts the ones left for the next request.
+ *     tags: [Emails]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               emailIds:
+ *                 type: array
+ *                 maxItems: 25
+ *                 items:
+ *                   type: string
+ *               days:
+ *                 type: integer
+ *                 minimum: 1
+ *                 maximum: 365
+ *                 default: 30
+ *     responses:
+ *       200:
+ *         description: Scan counts (scanned, failed, skipped, remaining) and the events found
+ *       400:
+ *         description: Gemini API key required
+ *       401:
+ *         description: Unauthorized
+ *       422:
+ *         description: Validation error
+ *       429:
+ *         description: Daily limit of the organization or deployment Gemini API key reached
+ */
+router.post('/calendar/scan', betterAuthProtect, scanEvents);
+
+/**
+ * @swagger
+ * /emails/calendar/events:
+ *   get:
+ *     summary: List calendar events found in emails
+ *     description: Events overlapping the range between `from` and `to`, soonest first. Without a range, upcoming and ongoing events are listed.
+ *     tags: [Emails]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [proposed, accepted, dismissed]
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 200
+ *           default: 50
+ *       - in: query
+ *         name: offset
+ *         schema:
+ *           type: integer
+ *           minimum: 0
+ *           default: 0
+ *     responses:
+ *       200:
+ *         description: Events with the total count
+ *       401:
+ *         description: Unauthorized
+ *       422:
+ *         description: Validation error
+ */
+router.get('/calendar/events', betterAuthProtect, getEvents);
+
+/**
+ * @swagger
+ * /emails/calendar/events/{id}:
+ *   patch:
+ *     summary: Accept or dismiss a calendar event
+ *     description: Accepted events are published as confirmed and proposed ones as tentative; dismissed events are left out of the feed. Scanning the email again keeps the status.
+ *     tags: [Emails]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [status]
+ *             properties:
+ *               status:
+ *                 type: string
+ *                 enum: [proposed, accepted, dismissed]
+ *     responses:
+ *       200:
+ *         description: Event updated successfully
+ *       401:
+ *         description: Unauthorized
+ *       404:
+ *         description: Event not found
+ *       422:
+ *         description: Validation error
+ */
+router.patch('/calendar/events/:id', betterAuthProtect, updateEvent);
+
+/**
+ * @swagger
+ * /emails/calendar/feed:
+ *   get:
+ *     summary: Get the calendar feed state
+ *     description: Whether a secret feed URL exists and when it was created. The URL itself is only shown when it is created.
+ *     tags: [Emails]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Feed state retrieved successfully
+ *       401:
+ *         description: Unauthorized
+ *   post:
+ *     summary: Create the calendar feed URL
+ *     description: Creates a secret iCalendar feed URL that calendar apps can subscribe to, replacing any earlier one. Only a hash of its token is stored, so the URL is returned this once.
+ *     tags: [Emails]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       201:
+ *         description: Feed created; the response carries the url
+ *       401:
+ *         description: Unauthorized
+ *   delete:
+ *     summary: Revoke the calendar feed URL
+ *     tags: [Emails]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Feed revoked successfully
+ *       401:
+ *         description: Unauthorized
+ *       404:
+ *         description: No calendar feed exists
+ */
+router.get('/calendar/feed', betterAuthProtect, getCalendarFeed);
+router.post('/calendar/feed', betterAuthProtect, createCalendarFeed);
+router.delete('/calendar/feed', betterAuthProtect, revokeCalendarFeed);
+
+/**
+ * @swagger
+ * /emails/events.ics:
+ *   get:
+ *     summary: Calendar feed
+ *     description: iCalendar feed of the events found in the user's emails, for calendar apps to subscribe to. The secret token of the feed URL stands in for authentication. Dismissed events and events that ended more than 90 days ago are left out; cancelled invitations are published as cancelled.
+ *     tags: [Emails]
+ *     parameters:
+ *       - in: query
+ *         name: token
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: iCalendar feed
+ *         content:
+ *           text/calendar:
+ *             schema:
+ *               type: string
+ *       404:
+ *         description: Unknown or revoked feed token
+ */
+router.get('/events.ics', getCalendarFeedIcs);
+
+/**
+ * @swagger
+ * /emails/events:
+ *   get:
+ *     summary: Stream mailbox events
+ *     description: Server-Sent Events stream of the user's mailbox changes, as they arrive through Gmail push notifications. `mailbox.synced` carries the `accountId` and the change counts of a sync; `emails.classified` the `accountId` and `emailIds` of newly classified emails. Each event's data is JSON with a `type` matching the event name. Comment lines are sent as a heartbeat.
+ *     tags: [Emails]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Event stream
+ *         content:
+ *           text/event-stream:
+ *             schema:
+ *               type: string
+ *       401:
+ *         description: Unauthorized
+ */
+router.get('/events', betterAuthProtect, streamMailboxEvents);
+
+/**
+ * @swagger
+ * /emails/push/gmail:
+ *   post:
+ *     summary: Receive a Gmail push notification
+ *     description: Push endpoint of the Pub/Sub subscription on GMAIL_PUSH_TOPIC. Requests carry a bearer token issued for GMAIL_PUSH_AUDIENCE, either a Google OIDC token of GMAIL_PUSH_SERVICE_ACCOUNT or, for the local stand-in publisher, one signed with GMAIL_PUSH_LOCAL_SECRET. The notification is acknowledged straight away; every user who linked the mailbox then gets an incremental sync, automatic classification of new emails and events on their event streams.
+ *     tags: [Emails]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [message]
+ *             properties:
+ *               message:
+ *                 type: object
+ *                 required: [data]
+ *                 properties:
+ *                   data:
+ *                     type: string
+ *                     description: Base64 JSON with `emailAddress` and `historyId`
+ *                   messageId:
+ *                     type: string
+ *                   publishTime:
+ *                     type: string
+ *               subscription:
+ *                 type: string
+ *     responses:
+ *       202:
+ *         description: Push notification accepted
+ *       401:
+ *         description: Missing or invalid push token
+ *       422:
+ *         description: Not a Gmail mailbox change
+ */
+router.post('/push/gmail', receiveGmailPush);
+
+/**
+ * @swagger
+ * /emails/accounts:
+ *   get:
+ *     summary: List mailboxes
+ *     description: Linked Google accounts, the primary (first linked) one first, followed by IMAP and imported mailboxes. `provider` is `google`, `imap` or `import`. The address of a Google account is known once it has been synced. Link another Google account with POST /auth/link-social and provider `google`.
+ *     tags: [Emails]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Mail accounts retrieved successfully
+ *       401:
+ *         description: Unauthorized
+ */
+router.get('/accounts', betterAuthProtect, getAccounts);
+
+/**
+ * @swagger
+ * /emails/accounts/{accountId}:
+ *   delete:
+ *     summary: Remove a mailbox
+ *     description: Unlinks a Google account, or disconnects an IMAP or imported mailbox, and deletes everything stored for it - emails, classifications, corrections, summaries, imported sources and sync state. Its messages are left out of pending subscription cleanups. Unlinking a Google account needs a fresh session.
+ *     tags: [Emails]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: accountId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Mail account removed successfully
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: The session is too old, sign in again
+ *       404:
+ *         description: Mailbox not found
+ *       409:
+ *         description: The only linked Google account cannot be unlinked
+ */
+router.delete('/accounts/:accountId', betterAuthProtect, unlinkAccount);
+
+/**
+ * @swagger
+ * /emails/accounts/imap:
+ *   post:
+ *     summary: Connect an IMAP mailbox
+ *     description: Signs in to the server before anything is stored; the password is kept encrypted. One folder (INBOX by default) is synced like a Gmail inbox, with flags mapped to labels (unseen to UNREAD, flagged to STARRED, keywords as they are). The server must resolve to a public address unless IMAP_ALLOW_PRIVATE_HOSTS is set.
+ *     tags: [Emails]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [host, username, password]
+ *             properties:
+ *               name:
+ *                 type: string
+ *               emailAddress:
+ *                 type: string
+ *               host:
+ *                 type: string
+ *               port:
+ *                 type: integer
+ *                 default: 993
+ *               secure:
+ *                 type: boolean
+ *                 default: true
+ *                 description: Implicit TLS; otherwise STARTTLS is used when the server offers it
+ *               username:
+ *                 type: string
+ *               password:
+ *                 type: string
+ *               mailbox:
+ *                 type: string
+ *                 default: INBOX
+ *     responses:
+ *       201:
+ *         description: IMAP mailbox connected successfully
+ *       401:
+ *         description: Unauthorized
+ *       422:
+ *         description: Validation error, sign-in refused or server address not allowed
+ */
+router.post('/accounts/imap', betterAuthProtect, connectImapAccount);
+
+/**
+ * @swagger
+ * /emails/accounts/import:
+ *   post:
+ *     summary: Import an mbox archive or EML message
+ *     description: The body is the file itself. Messages are stored in a new imported mailbox, or added to the one given by `accountId`; messages imported before are skipped. The returned `emailIds` can be classified like synced emails. Messages larger than 10 MB are skipped.
+ *     tags: [Emails]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: accountId
+ *         schema:
+ *           type: string
+ *         description: Imported mailbox to add the messages to
+ *       - in: query
+ *         name: name
+ *         schema:
+ *           type: string
+ *         description: Name of the new mailbox
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/mbox:
+ *           schema:
+ *             type: string
+ *             format: binary
+ *         message/rfc822:
+ *           schema:
+ *             type: string
+ *             format: binary
+ *     responses:
+ *       201:
+ *         description: Mail archive imported successfully
+ *       401:
+ *         description: Unauthorized
+ *       404:
+ *         description: Mailbox not found
+ *       413:
+ *         description: Archive larger than MAIL_IMPORT_MAX_SIZE
+ *       422:
+ *         description: Validation error or no messages in the archive
+ */
+router.post(
+  '/accounts/import',
+  betterAuthProtect,
+  express.raw({ type: IMPORT_CONFIG.CONTENT_TYPES, limit: IMPORT_CONFIG.MAX_ARCHIVE_SIZE }),
+  importMailbox
+);
+
+/**
+ * @swagger
+ * /emails/classify:
+ *   post:
+ *     summary: Classify emails using Gemini AI
+ *     description: Stored classifications are reused; only new or changed emails are sent to the model. The user's stored Gemini API key is used, falling back to a key of one of the user's organizations while its daily limit lasts, then to the deployment GEMINI_API_KEY while the user's daily allowance on it lasts; a key is only required when at least one email needs classifying.
+ *     tags: [Emails]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - emailIds
+ *             properties:
+ *               emailIds:
+ *                 type: array
+ *                 minItems: 1
+ *                 maxItems: 1000
+ *                 items:
+ *                   type: string
+ *     responses:
+ *       200:
+ *         description: Emails classified successfully
+ *       400:
+ *         description: No Gemini API key is available
+ *       401:
+ *         description: Unauthorized
+ *       422:
+ *         description: Validation error
+ *       429:
+ *         description: Daily limit of the organization or deployment Gemini API key reached
+ */
+router.post('/classify', betterAuthProtect, classifyEmails);
+
+/**
+ * @swagger
+ * /emails/classify/jobs:
+ *   post:
+ *     summary: Queue a background classification job
+ *     description: Splits the emails into batches, one linked Google account per batch, and classifies them through RabbitMQ. Poll the job for progress and partial results.
+ *     tags: [Emails]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - emailIds
+ *             properties:
+ *               emailIds:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *     responses:
+ *       202:
+ *         description: Classification job queued
+ *       401:
+ *         description: Unauthorized
+ *       422:
+ *         description: Validation error
+ *       503:
+ *         description: No message broker is configured or it cannot be reached; no job is created
+ */
+router.post('/classify/jobs', betterAuthProtect, createClassificationJob);
+
+/**
+ * @swagger
+ * /emails/classify/jobs/{id}:
+ *   get:
+ *     summary: Get classification job progress and results
+ *     tags: [Emails]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Classification job retrieved successfully
+ *       401:
+ *         description: Unauthorized
+ *       404:
+ *         description: Classification job not found
+ */
+router.get('/classify/jobs/:id', betterAuthProtect, getClassificationJob);
+
+/**
+ * @swagger
+ * /emails/categories:
+ *   get:
+ *     summary: List the user's email categories
+ *     description: The default categories are created the first time this is called. The classifier prompt and the UI colours are built from this list.
+ *     tags: [Emails]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Categories retrieved successfully
+ *       401:
+ *         description: Unauthorized
+ *   post:
+ *     summary: Create an email category
+ *     tags: [Emails]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - name
+ *               - color
+ *             properties:
+ *               name:
+ *                 type: string
+ *                 example: receipts
+ *               description:
+ *                 type: string
+ *                 example: Order confirmations and invoices
+ *               color:
+ *                 type: string
+ *                 example: "#0d9488"
+ *               exampleSenders:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                 example: ["orders@shop.example.com"]
+ *               archiveOnClassify:
+ *                 type: boolean
+ *                 description: Archive messages when Gmail labels are applied
+ *     responses:
+ *       201:
+ *         description: Category created successfully
+ *       401:
+ *         description: Unauthorized
+ *       409:
+ *         description: Category already exists
+ *       422:
+ *         description: Validation error
+ */
+router.get('/categories', betterAuthProtect, getCategories);
+router.post('/categories', betterAuthProtect, createCategory);
+
+/**
+ * @swagger
+ * /emails/categories/{id}:
+ *   patch:
+ *     summary: Update an email category
+ *     description: Description, colour and example senders can be changed; the name cannot. Editing a category causes affected emails to be reclassified.
+ *     tags: [Emails]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               description:
+ *                 type: string
+ *               color:
+ *                 type: string
+ *               exampleSenders:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *               archiveOnClassify:
+ *                 type: boolean
+ *     responses:
+ *       200:
+ *         description: Category updated successfully
+ *       404:
+ *         description: Category not found
+ *       422:
+ *         description: Validation error
+ *   delete:
+ *     summary: Delete an email category and the rules that use it
+ *     tags: [Emails]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Category deleted successfully
+ *       400:
+ *         description: The default category cannot be deleted
+ *       404:
+ *         description: Category not found
+ */
+router.patch('/categories/:id', betterAuthProtect, updateCategory);
+router.delete('/categories/:id', betterAuthProtect, deleteCategory);
+
+/**
+ * @swagger
+ * /emails/rules:
+ *   get:
+ *     summary: List classification pre-rules
+ *     description: Rules are checked in priority order before the model. The first matching rule decides the category. Rules with origin "corrections" were learned from category corrections.
+ *     tags: [Emails]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Classification rules retrieved successfully
+ *       401:
+ *         description: Unauthorized
+ *   post:
+ *     summary: Create a classification pre-rule
+ *     tags: [Emails]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - type
+ *               - pattern
+ *               - category
+ *             properties:
+ *               type:
+ *                 type: string
+ *                 enum: [sender, sender_domain, subject_regex, gmail_label]
+ *               pattern:
+ *                 type: string
+ *                 example: github.com
+ *               category:
+ *                 type: string
+ *                 example: important
+ *               priority:
+ *                 type: integer
+ *                 default: 0
+ *               enabled:
+ *                 type: boolean
+ *                 default: true
+ *     responses:
+ *       201:
+ *         description: Classification rule created successfully
+ *       400:
+ *         description: Category not found
+ *       422:
+ *         description: Validation error, or a regular expression that is invalid or can backtrack exponentially
+ */
+router.get('/rules', betterAuthProtect, getRules);
+router.post('/rules', betterAuthProtect, createRule);
+
+/**
+ * @swagger
+ * /emails/rules/{id}:
+ *   patch:
+ *     summary: Update a classification pre-rule
+ *     tags: [Emails]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Classification rule updated successfully
+ *       404:
+ *         description: Classification rule not found
+ *       422:
+ *         description: Validation error
+ *   delete:
+ *     summary: Delete a classification pre-rule
+ *     tags: [Emails]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Classification rule deleted successfully
+ *       404:
+ *         description: Classification rule not found
+ */
+router.patch('/rules/:id', betterAuthProtect, updateRule);
+router.delete('/rules/:id', betterAuthProtect, deleteRule);
+
+/**
+ * @swagger
+ * /emails/settings:
+ *   get:
+ *     summary: Get the user's email settings
+ *     description: Also reports whether the linked Google account granted the gmail.modify scope needed for label write-back and the gmail.compose scope needed for reply drafts, the PII redaction policy in effect, the reply settings and the daily digest schedule.
+ *     tags: [Emails]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Email settings retrieved successfully
+ *       401:
+ *         description: Unauthorized
+ *   patch:
+ *     summary: Update the user's email settings
+ *     tags: [Emails]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               applyGmailLabels:
+ *                 type: boolean
+ *                 description: Write categories back to Gmail as AI/<Category> labels
+ *               redaction:
+ *                 type: object
+ *                 description: PII masking applied before email content is sent to the model. Omitted fields keep their current value.
+ *                 properties:
+ *                   enabled:
+ *                     type: boolean
+ *                   types:
+ *                     type: array
+ *                     items:
+ *                       type: string
+ *                       enum: [email, phone, card, iban, otp, address]
+ *                   keepSenderDomain:
+ *                     type: boolean
+ *                     description: Keep the sender's domain visible ("[EMAIL]@github.com")
+ *               reply:
+ *                 type: object
+ *                 description: Settings for drafted replies. Omitted fields keep their current value.
+ *                 properties:
+ *                   signature:
+ *                     type: string
+ *                     description: Appended to every drafted reply
+ *                   defaultTone:
+ *                     type: string
+ *                     enum: [neutral, friendly, formal, concise]
+ *               digest:
+ *                 type: object
+ *                 description: Daily inbox digest sent through the notification system. Omitted fields keep their current value; any change reschedules the next run.
+ *                 properties:
+ *                   enabled:
+ *                     type: boolean
+ *                   time:
+ *                     type: string
+ *                     example: "08:00"
+ *                     description: Local time of day in HH:MM
+ *                   timezone:
+ *                     type: string
+ *                     example: Europe/Berlin
+ *                   channel:
+ *                     type: string
+ *                     enum: [email, sms, web_push, mobile_push, in_app]
+ *     responses:
+ *       200:
+ *         description: Email settings updated successfully
+ *       403:
+ *         description: Linked Google accounts have to be reconnected to grant gmail.modify; the message names them
+ *       422:
+ *         description: Validation error
+ */
+router.get('/settings', betterAuthProtect, getEmailSettings);
+router.patch('/settings', betterAuthProtect, updateEmailSettings);
+
+/**
+ * @swagger
+ * /emails/digest/preview:
+ *   get:
+ *     summary: Preview the daily inbox digest
+ *     description: Builds the digest as it would be sent now (email counts per category, important emails with their cached summaries and open action items) and renders it as text, without sending anything. `skipReason` tells whether notification preferences or an empty digest would stop a run at this moment.
+ *     tags: [Emails]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Digest preview retrieved successfully
+ *       401:
+ *         description: Unauthorized
+ */
+router.get('/digest/preview', betterAuthProtect, getDigestPreview);
+
+/**
+ * @swagger
+ * /emails/digest/timezones:
+ *   get:
+ *     summary: List the timezones of a country
+ *     description: Helps pick the digest timezone from the user's country.
+ *     tags: [Emails]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: country
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Two letter ISO country code, e.g. DE
+ *     responses:
+ *       200:
+ *         description: Timezones retrieved successfully
+ *       401:
+ *         description: Unauthorized
+ *       422:
+ *         description: Validation error
+ */
+router.get('/digest/timezones', betterAuthProtect, getDigestTimezones);
+
+/**
+ * @swagger
+ * /emails/subscriptions:
+ *   get:
+ *     summary: List newsletters and bulk senders
+ *     description: Emails in the local store with List-Id or List-Unsubscribe headers, grouped by List-Id (or sender address when there is none), most emails first. Each subscription has its volume, unread and inbox counts, the newest message date, `lastOpenedAt` (the newest message that has been read, as Gmail does not report open times) and the best unsubscribe method on offer. Emails synced before these headers were stored only show up after a full sync.
+ *     tags: [Emails]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Subscriptions retrieved successfully
+ *       401:
+ *         description: Unauthorized
+ */
+router.get('/subscriptions', betterAuthProtect, getSubscriptions);
+
+/**
+ * @swagger
+ * /emails/subscriptions/{id}/unsubscribe:
+ *   post:
+ *     summary: Unsubscribe from a newsletter or bulk sender
+ *     description: With an RFC 8058 one-click URL the unsubscribe POST is sent from the server (only to public hosts, without following redirects). Otherwise a mailto target gets a Gmail draft for the user to send (needs gmail.compose), and a plain link is returned for the user to open.
+ *     tags: [Emails]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Unsubscribe request handled; `method` tells what was done
+ *       403:
+ *         description: The Google account has to be reconnected to grant gmail.compose
+ *       404:
+ *         description: Subscription not found
+ *       422:
+ *         description: Validation error, or the sender offers no way to unsubscribe
+ *       502:
+ *         description: The sender did not accept the one-click request
+ */
+router.post('/subscriptions/:id/unsubscribe', betterAuthProtect, unsubscribe);
+
+/**
+ * @swagger
+ * /emails/subscriptions/{id}/cleanup:
+ *   post:
+ *     summary: Archive or trash all emails of a subscription
+ *     description: Queues a job for the subscription's emails still in the inbox (archive) or not yet in the trash (trash). Nothing changes in Gmail until `undoUntil`; until then the job can be undone. Trashed emails stay recoverable in Gmail.
+ *     tags: [Emails]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [action]
+ *             properties:
+ *               action:
+ *                 type: string
+ *                 enum: [archive, trash]
+ *     responses:
+ *       202:
+ *         description: Cleanup job queued
+ *       403:
+ *         description: The Google account has to be reconnected to grant gmail.modify
+ *       404:
+ *         description: Subscription not found
+ *       422:
+ *         description: Validation error, or no emails left to archive or trash
+ */
+router.post('/subscriptions/:id/cleanup', betterAuthProtect, cleanupSubscription);
+
+/**
+ * @swagger
+ * /emails/subscriptions/jobs/{id}:
+ *   get:
+ *     summary: Get the status of a subscription cleanup job
+ *     tags: [Emails]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Cleanup job retrieved successfully
+ *       404:
+ *         description: Cleanup job not found
+ */
+router.get('/subscriptions/jobs/:id', betterAuthProtect, getCleanupJob);
+
+/**
+ * @swagger
+ * /emails/subscriptions/jobs/{id}/undo:
+ *   post:
+ *     summary: Undo a subscription cleanup job
+ *     description: Cancels the job while its undo window is open; nothing has been changed in Gmail at that point.
+ *     tags: [Emails]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Cleanup job cancelled
+ *       404:
+ *         description: Cleanup job not found
+ *       409:
+ *         description: The undo window has passed
+ */
+router.post('/subscriptions/jobs/:id/undo', betterAuthProtect, undoCleanupJob);
+
+/**
+ * @swagger
+ * /emails/labels/undo:
+ *   post:
+ *     summary: Remove the Gmail labels applied by classification
+ *     description: Removes our AI/<Category> labels and moves messages archived on classify back to the inbox. Without emailIds every applied label is removed.
+ *     tags: [Emails]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               emailIds:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *     responses:
+ *       200:
+ *         description: Gmail labels removed successfully
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: The Google account has to be reconnected to grant gmail.modify
+ */
+router.post('/labels/undo', betterAuthProtect, undoGmailLabels);
+
+/**
+ * @swagger
+ * /emails/corrections/stats:
+ *   get:
+ *     summary: Get category correction stats
+ *     description: For each category the classifier (or a rule) assigned, how many emails the user moved to another category, the correction rate and where they were moved to.
+ *     tags: [Emails]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Correction stats retrieved successfully
+ *       401:
+ *         description: Unauthorized
+ */
+router.get('/corrections/stats', betterAuthProtect, getCorrectionStats);
+
+/**
+ * @swagger
+ * /emails/{id}/category:
+ *   patch:
+ *     summary: Correct the category of a classified email
+ *     description: The correction is final for this email and is shown to the classifier as an example. After 3 corrections of one sender to the same category a sender rule is learned, and after corrections from 3 senders of one domain a domain rule (never for shared providers such as gmail.com). Correcting an email back to its first category withdraws the correction. Applied Gmail labels are moved along.
+ *     tags: [Emails]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - category
+ *             properties:
+ *               category:
+ *                 type: string
+ *                 example: promotions
+ *     responses:
+ *       200:
+ *         description: Email category corrected successfully
+ *       400:
+ *         description: Category not found
+ *       401:
+ *         description: No mailbox connected
+ *       404:
+ *         description: Email not found
+ *       409:
+ *         description: Email has not been classified yet
+ *       422:
+ *         description: Validation error
+ */
+router.patch('/:id/category', betterAuthProtect, correctEmailCategory);
+
+/**
+ * @swagger
+ * /emails/{id}/summary:
+ *   post:
+ *     summary: Summarise an email
+ *     description: Returns a short summary, action items with due dates, and named amounts and deadlines. The content is redacted under the user's policy before it reaches the model. The result is cached per message and reused while the message, model and prompt are unchanged.
+ *     tags: [Emails]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: false
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               refresh:
+ *                 type: boolean
+ *                 default: false
+ *                 description: Ignore the cached summary and ask the model again
+ *     responses:
+ *       200:
+ *         description: Summary generated, or retrieved from the cache (`cached` is true)
+ *       400:
+ *         description: Gemini API key required
+ *       401:
+ *         description: No mailbox connected
+ *       404:
+ *         description: Email not found
+ *       422:
+ *         description: Validation error
+ *       429:
+ *         description: Daily limit of the organization or deployment Gemini API key reached
+ *       502:
+ *         description: The model gave no valid summary
+ */
+router.post('/:id/summary', betterAuthProtect, summarizeEmail);
+
+/**
+ * @swagger
+ * /emails/{id}/reply/generate:
+ *   post:
+ *     summary: Draft a reply with AI
+ *     description: Generates a reply to the message for the user to review; nothing is saved in Gmail. The conversation up to this message is redacted under the user's policy and treated as untrusted data. The user's signature is appended.
+ *     tags: [Emails]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: false
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               instruction:
+ *                 type: string
+ *                 example: Decline politely
+ *               tone:
+ *                 type: string
+ *                 enum: [neutral, friendly, formal, concise]
+ *                 description: Defaults to the tone in the user's reply settings
+ *     responses:
+ *       200:
+ *         description: Reply drafted successfully
+ *       400:
+ *         description: Gemini API key required
+ *       401:
+ *         description: No mailbox connected
+ *       404:
+ *         description: Email not found
+ *       422:
+ *         description: Validation error
+ *       429:
+ *         description: Daily limit of the organization or deployment Gemini API key reached
+ *       502:
+ *         description: The model gave no usable reply
+ */
+router.post('/:id/reply/generate', betterAuthProtect, draftReply);
+
+/**
+ * @swagger
+ * /emails/{id}/reply/draft:
+ *   post:
+ *     summary: Save a reply as a Gmail draft
+ *     description: Creates a draft in the message's thread with In-Reply-To and References set. The reply goes to the Reply-To address or the sender; replies to the user's own messages go to the original recipients. Requires the gmail.compose scope.
+ *     tags: [Emails]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - body
+ *             properties:
+ *               body:
+ *                 type: string
+ *               subject:
+ *                 type: string
+ *                 description: Defaults to "Re:" and the original subject
+ *     responses:
+ *       201:
+ *         description: Gmail draft created successfully
+ *       401:
+ *         description: Google account not connected
+ *       403:
+ *         description: The Google account has to be reconnected to grant gmail.compose
+ *       404:
+ *         description: Email not found
+ *       422:
+ *         description: Validation error or the message is not in a Gmail account
+ */
+router.post('/:id/reply/draft', betterAuthProtect, createReplyDraft);
+
+/**
+ * @swagger
+ * /emails/threads/{threadId}/summary:
+ *   post:
+ *     summary: Summarise a conversation
+ *     description: Like the message summary, over the whole thread. Quoted history is dropped from replies, and when the conversation is too long the oldest messages are left out (`omittedMessages`).
+ *     tags: [Emails]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: threadId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: false
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               refresh:
+ *                 type: boolean
+ *                 default: false
+ *                 description: Ignore the cached summary and ask the model again
+ *     responses:
+ *       200:
+ *         description: Summary generated, or retrieved from the cache (`cached` is true)
+ *       400:
+ *         description: Gemini API key required
+ *       401:
+ *         description: No mailbox connected
+ *       404:
+ *         description: Thread not found
+ *       422:
+ *         description: Validation error
+ *       429:
+ *         description: Daily limit of the organization or deployment Gemini API key reached
+ *       502:
+ *         description: The model gave no valid summary
+ */
+router.post('/threads/:threadId/summary', betterAuthProtect, summarizeThread);
+
+/**
+ * @swagger
+ * /emails/threads/{threadId}:
+ *   get:
+ *     summary: Get a full conversation
+ *     description: Returns every message in the thread, oldest first, with decoded text and sanitised HTML bodies and attachment metadata.
+ *     tags: [Emails]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: threadId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Thread retrieved successfully
+ *       401:
+ *         description: Unauthorized
+ *       404:
+ *         description: Thread not found
+ */
+router.get('/threads/:threadId', betterAuthProtect, getThread);
+
+/**
+ * @swagger
+ * /emails/{id}:
+ *   get:
+ *     summary: Get a single email with its body and attachments
+ *     description: Decodes the text/plain and text/html parts, sanitises the HTML server-side and lists attachments with filename, size and MIME type. Includes the cached summary, if one was generated.
+ *     tags: [Emails]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Email retrieved successfully
+ *       401:
+ *         description: Unauthorized
+ *       404:
+ *         description: Email not found
+ */
+// Keep last: /:id would otherwise shadow the fixed GET paths above
+router.get('/:id', betterAuthProtect, getEmail);
 
 export default router;
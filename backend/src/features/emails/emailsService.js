@@ -1,22 +1,397 @@
-import { ChatGoogleGenerativeAI } from '@langchain/google-genai';
+import asyncHandler from 'express-async-handler';
+import { randomBytes } from 'crypto';
+import { logger } from '../../utils/logger.js';
+import { callGmail, createGmailClient } from '../../helpers/gmail.js';
+import { generateJson } from '../../helpers/gemini.js';
+import { mapWithConcurrency } from '../../helpers/generalHelper.js';
+import * as emailsRepository from './emailsRepository.js';
+import { getClassifierConfig } from './emailCategoriesService.js';
+import { withMailboxProvider } from './mailboxProvider.js';
+import { getCorrectionExamples } from './emailCorrectionsService.js';
+import { getRedactionPolicy, redactEmailForPrompt } from './redactionUtils.js';
+import {
+  buildClassificationPrompt,
+  buildClassificationSchema,
+  buildClassifierInstruction,
+  decodeSearchToken,
+  detectPromptInjection,
+  encodeCursor,
+  encodeSearchToken,
+  getClassificationHash,
+  normalizeClassificationItem,
+  serializeEmail,
+  serializeMessageContent,
+  splitPendingClassifications
+} from './emailsUtils.js';
+import {
+  CLASSIFICATION_FLAGS,
+  CLASSIFICATION_SOURCE,
+  CLASSIFIER_CONFIG,
+  DEFAULT_CATEGORY,
+  MAILBOX_PROVIDERS
+} from './emailsConstants.js';
 
-export const classifyEmails = async (emails, geminiApiKey) => {
-  const model = new ChatGoogleGenerativeAI({
-    apiKey: geminiApiKey,
-    model: 'gemini-2.0-flash-exp'
+/**
+ * Load stored emails in the requested order. Messages outside the synced
+ * window are fetched from the mailbox once and kept in the store.
+ */
+export const getEmailsByIds = asyncHandler(async (userId, emailIds, mailbox) => {
+  const stored = await emailsRepository.findEmailsByGmailIds(userId, emailIds);
+  const storedIds = new Set(stored.map((e) => e.gmailId));
+  const missingIds = emailIds.filter((id) => !storedIds.has(id));
+
+  if (missingIds.length > 0 && mailbox) {
+    const fetched = await withMailboxProvider(mailbox, (provider) =>
+      provider.getMessages(missingIds)
+    );
+
+    await emailsRepository.upsertEmails(userId, fetched);
+    stored.push(...fetched);
+  }
+
+  const storedById = new Map(stored.map((e) => [e.gmailId, e]));
+  return emailIds.filter((id) => storedById.has(id)).map((id) => storedById.get(id));
+});
+
+const getClassificationsById = async (userId, gmailIds) => {
+  const classifications = await emailsRepository.findClassifications(userId, gmailIds);
+  return new Map(classifications.map((c) => [c.gmailId, c]));
+};
+
+/**
+ * Stored emails with their classifications, in the order of `gmailIds`. Ids
+ * that are not in the store are left out.
+ */
+export const getStoredEmails = asyncHandler(async (userId, gmailIds) => {
+  const [emails, classifications] = await Promise.all([
+    getEmailsByIds(userId, gmailIds),
+    getClassificationsById(userId, gmailIds)
+  ]);
+  return emails.map((email) => serializeEmail(email, classifications.get(email.gmailId)));
+});
+
+// Page through the local store using our own cursor
+const listStoredEmails = async (userId, { limit, cursor, label, category, read, accountId }) => {
+  const gmailIds = category
+    ? await emailsRepository.findGmailIdsByCategory(userId, category)
+    : undefined;
+  const filters = { accountId, label, read, gmailIds };
+
+  // One extra row tells us whether another page exists
+  const [emails, total] = await Promise.all([
+    emailsRepository.findEmailsByUser(userId, { ...filters, limit: limit + 1, cursor }),
+    emailsRepository.countEmailsByUser(userId, filters)
+  ]);
+  const page = emails.slice(0, limit);
+
+  return {
+    emails: page,
+    total,
+    nextPageToken: emails.length > limit ? encodeCursor(page[page.length - 1]) : null
+  };
+};
+
+// Pass the query through to Gmail search; Gmail's page token is returned as is
+const searchGmailEmails = async (userId, googleAccount, { limit, pageToken, q, label, read }) => {
+  const gmail = createGmailClient(googleAccount);
+  const readQuery = read === true ? 'is:read' : read === false ? 'is:unread' : '';
+
+  const { data } = await callGmail(gmail, 'messages.list', {
+    userId: 'me',
+    q: [q, readQuery].filter(Boolean).join(' '),
+    maxResults: limit,
+    pageToken,
+    labelIds: label ? [label] : undefined
   });
 
-  const prompt = `Classify the following emails into one of these categories: important, promotions, social, marketing, spam, general.
-Return ONLY a JSON array with the email IDs and their categories. No additional text.
+  const emails = await getEmailsByIds(
+    userId,
+    (data.messages || []).map((m) => m.id),
+    googleAccount
+  );
+
+  return {
+    emails,
+    total: data.resultSizeEstimate ?? emails.length,
+    nextPageToken: data.nextPageToken || null
+  };
+};
 
-Format: [{"id": "email_id", "category": "category_name"}]
+/**
+ * Run a search in every given account and merge the pages, newest first. The
+ * page token carries each account's own Gmail token.
+ */
+const searchAccounts = async (userId, accounts, options) => {
+  if (accounts.length === 1) {
+    return await searchGmailEmails(userId, accounts[0], options);
+  }
 
-Emails:
-${emails.map((e) => `ID: ${e.id}\nFrom: ${e.from}\nSubject: ${e.subject}\nSnippet: ${e.snippet}\n`).join('\n---\n')}`;
-  const response = await model.invoke(prompt);
-  const content =
-    typeof response.content === 'string'
-      ? response.content.replace(/```json\n?|\n?```/g, '').trim()
-      : JSON.stringify(response.content);
-  return JSON.parse(content);
+  const tokens = options.pageToken ? decodeSearchToken(options.pageToken) : null;
+  const targets = tokens ? accounts.filter((a) => tokens[a.accountId]) : accounts;
+  const results = await Promise.all(
+    targets.map((account) =>
+      searchGmailEmails(userId, account, { ...options, pageToken: tokens?.[account.accountId] })
+    )
+  );
+
+  const nextTokens = {};
+  targets.forEach((account, index) => {
+    if (results[index].nextPageToken) {
+      nextTokens[account.accountId] = results[index].nextPageToken;
+    }
+  });
+
+  return {
+    emails: results
+      .flatMap((r) => r.emails)
+      .sort((a, b) => new Date(b.internalDate) - new Date(a.internalDate)),
+    total: results.reduce((sum, r) => sum + r.total, 0),
+    nextPageToken: Object.keys(nextTokens).length > 0 ? encodeSearchToken(nextTokens) : null
+  };
 };
+
+/**
+ * List emails for the inbox view, newest first. Without `q` the local store
+ * is paged, limited to `options.accountId` when given; with `q` the search
+ * runs in Gmail for each Google account among `mailboxes`, as other mailboxes
+ * have no server-side search. In search mode the category filter is applied
+ * to each returned page, so pages can be shorter than `limit` while more
+ * results remain.
+ */
+export const listEmails = asyncHandler(async (userId, mailboxes, options) => {
+  const result = options.q
+    ? await searchAccounts(
+        userId,
+        mailboxes.filter((m) => m.providerId === MAILBOX_PROVIDERS.GMAIL),
+        options
+      )
+    : await listStoredEmails(userId, options);
+
+  const classifications = await getClassificationsById(
+    userId,
+    result.emails.map((e) => e.gmailId)
+  );
+
+  let emails = result.emails.map((email) =>
+    serializeEmail(email, classifications.get(email.gmailId))
+  );
+  if (options.q && options.category) {
+    emails = emails.filter((email) => email.category === options.category);
+  }
+
+  return { emails, total: result.total, nextPageToken: result.nextPageToken };
+});
+
+/**
+ * Fetch a single message with decoded bodies and attachment metadata.
+ * Returns null when the message does not exist.
+ */
+export const getEmailDetail = asyncHandler(async (userId, mailbox, gmailId) => {
+  const content = await withMailboxProvider(mailbox, (provider) => provider.getMessage(gmailId));
+
+  if (!content) {
+    return null;
+  }
+
+  // Keep the local store current for messages outside the synced window
+  await emailsRepository.upsertEmails(userId, [content.email]);
+
+  const classifications = await getClassificationsById(userId, [gmailId]);
+  return serializeMessageContent(content, classifications.get(gmailId));
+});
+
+/**
+ * Fetch a whole conversation, oldest message first. Returns null when the
+ * thread does not exist.
+ */
+export const getEmailThread = asyncHandler(async (userId, mailbox, threadId) => {
+  const thread = await withMailboxProvider(mailbox, (provider) => provider.getThread(threadId));
+
+  if (!thread) {
+    return null;
+  }
+
+  const classifications = await getClassificationsById(
+    userId,
+    thread.messages.map((m) => m.email.gmailId)
+  );
+
+  return {
+    id: thread.id,
+    historyId: thread.historyId ?? null,
+    messages: thread.messages.map((content) =>
+      serializeMessageContent(content, classifications.get(content.email.gmailId))
+    )
+  };
+});
+
+// Heuristic and model flags are combined; flagged emails get a capped confidence
+const applyInjectionFlags = (result, signals) => {
+  const flagged = signals.length > 0 || result.possibleInjection;
+
+  return {
+    ...result,
+    confidence: flagged
+      ? Math.min(result.confidence, CLASSIFIER_CONFIG.INJECTION_CONFIDENCE_CAP)
+      : result.confidence,
+    flags: flagged ? [CLASSIFICATION_FLAGS.POSSIBLE_INJECTION] : [],
+    injectionSignals: signals
+  };
+};
+
+/**
+ * Classify one email in its own model call, retrying until the answer
+ * validates. Falls back to the default category with an error after the
+ * last attempt.
+ */
+const classifyEmail = async (email, categories, { apiKey, generate, examples }) => {
+  const categoryNames = categories.map((c) => c.name);
+  const schema = buildClassificationSchema(categoryNames);
+  const signals = detectPromptInjection(email);
+  let lastError = 'No valid classification returned';
+
+  for (let attempt = 1; attempt <= CLASSIFIER_CONFIG.MAX_ATTEMPTS; attempt++) {
+    // A fresh boundary per call, so the markers cannot be guessed in advance
+    const boundary = randomBytes(8).toString('hex');
+
+    try {
+      const output = await generate(buildClassificationPrompt(email, boundary), schema, {
+        model: CLASSIFIER_CONFIG.MODEL,
+        apiKey,
+        config: { systemInstruction: buildClassifierInstruction(categories, boundary, examples) }
+      });
+
+      const result = normalizeClassificationItem(output, categoryNames);
+      if (result) {
+        return applyInjectionFlags({ id: email.id, ...result }, signals);
+      }
+    } catch (error) {
+      lastError = error.message;
+      logger.warn('Classifier call failed', {
+        meta: { attempt, emailId: email.id, error: error.message }
+      });
+    }
+  }
+
+  return applyInjectionFlags(
+    {
+      id: email.id,
+      category: DEFAULT_CATEGORY,
+      confidence: 0,
+      reason: '',
+      error: lastError
+    },
+    signals
+  );
+};
+
+/**
+ * Classify emails with a response schema. Each email is sent in its own call
+ * with its content fenced off as untrusted data, so instructions inside one
+ * message cannot steer the others. `generate` defaults to Gemini and can be
+ * swapped for another model adapter; `examples` are past user corrections
+ * added to the instruction as few-shot examples.
+ */
+export const classifyEmails = async (
+  emails,
+  geminiApiKey,
+  categories,
+  { generate = generateJson, examples = [] } = {}
+) =>
+  await mapWithConcurrency(emails, CLASSIFIER_CONFIG.CONCURRENCY, (email) =>
+    classifyEmail(email, categories, { apiKey: geminiApiKey, generate, examples })
+  );
+
+/**
+ * Split emails into those that are already classified and those that still
+ * have to go to the model. User corrections are final while their category
+ * exists. Pre-rules are applied here, so rule matches never reach the model
+ * and always win over a stored model result.
+ */
+export const getPendingClassifications = asyncHandler(async (userId, emails) => {
+  const [config, stored] = await Promise.all([
+    getClassifierConfig(userId),
+    emailsRepository.findClassifications(
+      userId,
+      emails.map((e) => e.id)
+    )
+  ]);
+
+  const { classified, pending, ruleClassifications } = splitPendingClassifications(
+    emails,
+    stored,
+    config,
+    new Date()
+  );
+
+  await emailsRepository.saveClassifications(userId, ruleClassifications);
+
+  return { classified, pending };
+});
+
+/**
+ * Send emails to the model and store the results. Callers should pass only
+ * the pending emails returned by getPendingClassifications.
+ */
+export const classifyAndStoreEmails = asyncHandler(async (userId, emails, geminiApiKey) => {
+  if (emails.length === 0) {
+    return [];
+  }
+
+  const [{ categories, configHash }, settings] = await Promise.all([
+    getClassifierConfig(userId),
+    emailsRepository.getEmailSettings(userId)
+  ]);
+  const examples = await getCorrectionExamples(userId, categories);
+
+  // Only masked copies reach the model; hashes and rules keep using the originals
+  const policy = getRedactionPolicy(settings);
+  const redacted = emails.map((email) => redactEmailForPrompt(email, policy));
+
+  const results = await classifyEmails(
+    redacted.map((r) => r.email),
+    geminiApiKey,
+    categories,
+    { examples }
+  );
+  const classifiedAt = new Date();
+
+  const classifications = emails.map((email, index) => ({
+    gmailId: email.id,
+    category: results[index].category,
+    confidence: results[index].confidence,
+    reason: results[index].reason,
+    error: results[index].error || null,
+    flags: results[index].flags,
+    injectionSignals: results[index].injectionSignals,
+    source: CLASSIFICATION_SOURCE.MODEL,
+    ruleId: null,
+    model: CLASSIFIER_CONFIG.MODEL,
+    promptVersion: CLASSIFIER_CONFIG.PROMPT_VERSION,
+    contentHash: getClassificationHash(email),
+    configHash,
+    classifiedAt,
+    redactions: redacted[index].redactions
+  }));
+
+  await emailsRepository.saveClassifications(userId, classifications);
+
+  const redactedByType = {};
+  for (const { type, count } of redacted.flatMap((r) => r.redactions)) {
+    redactedByType[type] = (redactedByType[type] || 0) + count;
+  }
+
+  logger.info('Emails classified', {
+    meta: {
+      userId,
+      classified: classifications.length,
+      failed: classifications.filter((c) => c.error).length,
+      flagged: classifications.filter((c) => c.flags.length > 0).length,
+      examples: examples.length,
+      redactionEnabled: policy.enabled,
+      redacted: redactedByType
+    }
+  });
+
+  return classifications;
+});
@@ -0,0 +1,534 @@
+import Joi from 'joi';
+import { NOTIFICATION_CHANNELS } from '../notifications/notificationConstants.js';
+import { isValidTimezone } from './digestUtils.js';
+import {
+  ALL_ACCOUNTS,
+  ASK_CONFIG,
+  CALENDAR_CONFIG,
+  CLEANUP_ACTIONS,
+  EMAIL_SEARCH_CONFIG,
+  EVENT_STATUS,
+  IMAP_CONFIG,
+  LIST_CONFIG,
+  RECEIPT_CONFIG,
+  RECEIPT_EXPORT_FORMATS,
+  REDACTION_TYPES,
+  REPLY_DRAFT_CONFIG,
+  REPLY_TONES,
+  RULE_TYPES,
+  SEARCH_MODES,
+  SPEND_CATEGORIES
+} from './emailsConstants.js';
+
+const objectIdParamsSchema = (label) =>
+  Joi.object({
+    id: Joi.string()
+      .hex()
+      .length(24)
+      .required()
+      .messages({
+        'string.hex': `Invalid ${label} ID`,
+        'string.length': `Invalid ${label} ID`,
+        'any.required': `${label} ID is required`
+      })
+  });
+
+const categoryFields = {
+  description: Joi.string().trim().allow('').max(500),
+  color: Joi.string()
+    .pattern(/^#[0-9a-fA-F]{6}$/)
+    .messages({
+      'string.pattern.base': 'Color must be a hex value such as #16a34a'
+    }),
+  exampleSenders: Joi.array().items(Joi.string().trim().max(254)).max(20),
+  archiveOnClassify: Joi.boolean()
+};
+
+// Emails sent for classification, inline or as a background job
+const classificationEmailIds = Joi.array()
+  .items(Joi.string().trim())
+  .min(1)
+  .max(1000)
+  .required()
+  .messages({
+    'array.base': 'Email IDs must be an array',
+    'array.min': 'At least one email ID is required',
+    'array.max': 'Maximum 1000 emails allowed per request',
+    'any.required': 'Email IDs are required'
+  });
+
+/**
+ * Validation schema for classifying emails within the request
+ */
+export const classifyEmailsSchema = Joi.object({
+  emailIds: classificationEmailIds
+});
+
+/**
+ * Validation schema for queueing a background classification job
+ */
+export const createClassificationJobSchema = Joi.object({
+  emailIds: classificationEmailIds.messages({
+    'array.max': 'Maximum 1000 emails allowed per job'
+  })
+});
+
+/**
+ * Validation schema for classification job route params
+ */
+export const classificationJobParamsSchema = Joi.object({
+  id: Joi.string().hex().length(24).required().messages({
+    'string.hex': 'Invalid job ID',
+    'string.length': 'Invalid job ID',
+    'any.required': 'Job ID is required'
+  })
+});
+
+/**
+ * Validation schema for creating a category
+ */
+export const createCategorySchema = Joi.object({
+  name: Joi.string()
+    .trim()
+    .lowercase()
+    .pattern(/^[a-z0-9][a-z0-9 _-]*$/)
+    .max(40)
+    .required()
+    .messages({
+      'string.pattern.base':
+        'Category name may only contain letters, numbers, spaces, dashes and underscores',
+      'any.required': 'Category name is required'
+    }),
+  ...categoryFields,
+  color: categoryFields.color.required()
+});
+
+/**
+ * Validation schema for updating a category. The name is the stored
+ * identifier and cannot be changed.
+ */
+export const updateCategorySchema = Joi.object(categoryFields).min(1);
+
+export const categoryParamsSchema = objectIdParamsSchema('Category');
+
+const ruleFields = {
+  type: Joi.string()
+    .valid(...Object.values(RULE_TYPES))
+    .messages({
+      'any.only': `Rule type must be one of: ${Object.values(RULE_TYPES).join(', ')}`
+    }),
+  pattern: Joi.string().trim().max(200),
+  category: Joi.string().trim().lowercase(),
+  priority: Joi.number().integer().min(0),
+  enabled: Joi.boolean()
+};
+
+/**
+ * Validation schema for creating a classification pre-rule
+ */
+export const createRuleSchema = Joi.object({
+  ...ruleFields,
+  type: ruleFields.type.required(),
+  pattern: ruleFields.pattern.required(),
+  category: ruleFields.category.required()
+});
+
+export const updateRuleSchema = Joi.object(ruleFields).min(1);
+
+export const ruleParamsSchema = objectIdParamsSchema('Rule');
+
+/**
+ * Validation schema for updating per-user email settings
+ */
+export const updateEmailSettingsSchema = Joi.object({
+  applyGmailLabels: Joi.boolean(),
+  redaction: Joi.object({
+    enabled: Joi.boolean(),
+    types: Joi.array()
+      .items(Joi.string().valid(...Object.values(REDACTION_TYPES)))
+      .unique()
+      .messages({
+        'any.only': `Redaction types must be among: ${Object.values(REDACTION_TYPES).join(', ')}`
+      }),
+    keepSenderDomain: Joi.boolean()
+  }).min(1),
+  reply: Joi.object({
+    signature: Joi.string().trim().allow('').max(REPLY_DRAFT_CONFIG.MAX_SIGNATURE_LENGTH),
+    defaultTone: Joi.string()
+      .valid(...Object.values(REPLY_TONES))
+      .messages({ 'any.only': `Tone must be one of: ${Object.values(REPLY_TONES).join(', ')}` })
+  }).min(1),
+  digest: Joi.object({
+    enabled: Joi.boolean(),
+    time: Joi.string()
+      .pattern(/^([01]\d|2[0-3]):[0-5]\d$/)
+      .messages({ 'string.pattern.base': 'Time must be in HH:MM format' }),
+    timezone: Joi.string()
+      .custom((value, helpers) => (isValidTimezone(value) ? value : helpers.error('any.invalid')))
+      .messages({ 'any.invalid': 'Timezone must be an IANA timezone such as Europe/Berlin' }),
+    channel: Joi.string()
+      .valid(...Object.values(NOTIFICATION_CHANNELS))
+      .messages({
+        'any.only': `Channel must be one of: ${Object.values(NOTIFICATION_CHANNELS).join(', ')}`
+      })
+  }).min(1)
+}).min(1);
+
+/**
+ * Validation schema for listing the timezones of a country
+ */
+export const digestTimezonesSchema = Joi.object({
+  country: Joi.string()
+    .trim()
+    .uppercase()
+    .pattern(/^[A-Z]{2}$/)
+    .required()
+    .messages({
+      'string.pattern.base': 'Country must be a two letter ISO code',
+      'any.required': 'Country is required'
+    })
+});
+
+/**
+ * Validation schema for correcting the category of a classified email
+ */
+export const correctEmailCategorySchema = Joi.object({
+  category: Joi.string().trim().lowercase().max(40).required().messages({
+    'any.required': 'Category is required'
+  })
+});
+
+/**
+ * Validation schema for summary requests. `refresh` skips the cached summary.
+ */
+export const summarizeEmailSchema = Joi.object({
+  refresh: Joi.boolean().default(false)
+});
+
+/**
+ * Validation schema for drafting a reply. Without `tone` the user's default
+ * tone is used.
+ */
+export const draftReplySchema = Joi.object({
+  instruction: Joi.string().trim().allow('').max(REPLY_DRAFT_CONFIG.MAX_INSTRUCTION_LENGTH),
+  tone: Joi.string()
+    .valid(...Object.values(REPLY_TONES))
+    .messages({ 'any.only': `Tone must be one of: ${Object.values(REPLY_TONES).join(', ')}` })
+});
+
+/**
+ * Validation schema for saving a reply as a Gmail draft
+ */
+export const createReplyDraftSchema = Joi.object({
+  body: Joi.string().trim().max(REPLY_DRAFT_CONFIG.MAX_BODY_LENGTH).required().messages({
+    'any.required': 'Reply body is required',
+    'string.empty': 'Reply body is required'
+  }),
+  subject: Joi.string().trim().max(300)
+});
+
+/**
+ * Validation schema for removing applied Gmail labels. Without emailIds every
+ * label applied for the user is removed.
+ */
+export const undoGmailLabelsSchema = Joi.object({
+  emailIds: Joi.array().items(Joi.string().trim()).min(1).max(1000).messages({
+    'array.base': 'Email IDs must be an array',
+    'array.min': 'At least one email ID is required',
+    'array.max': 'Maximum 1000 emails allowed per request'
+  })
+});
+
+/**
+ * Validation schema for message and thread route params (Gmail ids are hex strings)
+ */
+export const emailParamsSchema = Joi.object({
+  id: Joi.string().hex().max(64).required().messages({
+    'string.hex': 'Invalid email ID',
+    'any.required': 'Email ID is required'
+  })
+});
+
+export const threadParamsSchema = Joi.object({
+  threadId: Joi.string().hex().max(64).required().messages({
+    'string.hex': 'Invalid thread ID',
+    'any.required': 'Thread ID is required'
+  })
+});
+
+/**
+ * Validation schema for listing emails. `q` is passed through to Gmail search.
+ */
+export const listEmailsSchema = Joi.object({
+  limit: Joi.number()
+    .integer()
+    .min(1)
+    .max(LIST_CONFIG.MAX_LIMIT)
+    .default(LIST_CONFIG.DEFAULT_LIMIT)
+    .messages({
+      'number.max': `Limit cannot exceed ${LIST_CONFIG.MAX_LIMIT}`
+    }),
+  pageToken: Joi.string().max(512),
+  q: Joi.string().trim().max(500),
+  label: Joi.string().trim().max(100),
+  category: Joi.string().trim().lowercase().max(40),
+  read: Joi.boolean(),
+  // One mailbox, or all of them merged
+  accountId: Joi.string().trim().max(255).default(ALL_ACCOUNTS)
+});
+
+export const searchEmailsSchema = Joi.object({
+  q: Joi.string().trim().min(1).max(500).required().messages({
+    'any.required': 'Search query is required'
+  }),
+  mode: Joi.string()
+    .valid(...Object.values(SEARCH_MODES))
+    .default(SEARCH_MODES.KEYWORD),
+  limit: Joi.number()
+    .integer()
+    .min(1)
+    .max(EMAIL_SEARCH_CONFIG.MAX_LIMIT)
+    .default(EMAIL_SEARCH_CONFIG.DEFAULT_LIMIT)
+    .messages({
+      'number.max': `Limit cannot exceed ${EMAIL_SEARCH_CONFIG.MAX_LIMIT}`
+    }),
+  offset: Joi.number()
+    .integer()
+    .min(0)
+    .max(EMAIL_SEARCH_CONFIG.MAX_OFFSET)
+    .default(0)
+    .messages({
+      'number.max': `Offset cannot exceed ${EMAIL_SEARCH_CONFIG.MAX_OFFSET}`
+    }),
+  accountId: Joi.string().trim().max(255).default(ALL_ACCOUNTS)
+});
+
+/**
+ * Validation schema for a question about the inbox; a conversationId makes it
+ * a follow-up
+ */
+export const askInboxSchema = Joi.object({
+  question: Joi.string()
+    .trim()
+    .min(1)
+    .max(ASK_CONFIG.MAX_QUESTION_LENGTH)
+    .required()
+    .messages({
+      'string.max': `Question cannot exceed ${ASK_CONFIG.MAX_QUESTION_LENGTH} characters`,
+      'any.required': 'Question is required'
+    }),
+  conversationId: Joi.string().hex().length(24).messages({
+    'string.hex': 'Invalid Conversation ID',
+    'string.length': 'Invalid Conversation ID'
+  })
+});
+
+export const conversationParamsSchema = objectIdParamsSchema('Conversation');
+
+/**
+ * Validation schema for a receipt scan: the given emails, or recent emails
+ * that look like receipts
+ */
+export const scanReceiptsSchema = Joi.object({
+  emailIds: Joi.array()
+    .items(Joi.string().trim())
+    .min(1)
+    .max(RECEIPT_CONFIG.SCAN_LIMIT)
+    .messages({
+      'array.max': `Maximum ${RECEIPT_CONFIG.SCAN_LIMIT} emails allowed per scan`
+    }),
+  days: Joi.number()
+    .integer()
+    .min(1)
+    .max(RECEIPT_CONFIG.MAX_SCAN_DAYS)
+    .default(RECEIPT_CONFIG.DEFAULT_SCAN_DAYS)
+    .messages({
+      'number.max': `Days cannot exceed ${RECEIPT_CONFIG.MAX_SCAN_DAYS}`
+    })
+});
+
+const receiptDate = Joi.string()
+  .pattern(/^\d{4}-\d{2}-\d{2}$/)
+  .messages({ 'string.pattern.base': 'Dates must be given as YYYY-MM-DD' });
+
+const receiptFilters = {
+  from: receiptDate,
+  to: receiptDate,
+  merchant: Joi.string().trim().max(RECEIPT_CONFIG.MAX_FIELD_LENGTH),
+  category: Joi.string().valid(...Object.values(SPEND_CATEGORIES))
+};
+
+export const listReceiptsSchema = Joi.object({
+  ...receiptFilters,
+  limit: Joi.number()
+    .integer()
+    .min(1)
+    .max(RECEIPT_CONFIG.MAX_LIMIT)
+    .default(RECEIPT_CONFIG.DEFAULT_LIMIT)
+    .messages({
+      'number.max': `Limit cannot exceed ${RECEIPT_CONFIG.MAX_LIMIT}`
+    }),
+  offset: Joi.number().integer().min(0).default(0)
+});
+
+export const exportReceiptsSchema = Joi.object({
+  ...receiptFilters,
+  format: Joi.string()
+    .valid(...Object.values(RECEIPT_EXPORT_FORMATS))
+    .default(RECEIPT_EXPORT_FORMATS.CSV)
+});
+
+const summaryMonth = Joi.string()
+  .pattern(/^\d{4}-(0[1-9]|1[0-2])$/)
+  .messages({ 'string.pattern.base': 'Months must be given as YYYY-MM' });
+
+export const spendSummarySchema = Joi.object({
+  from: summaryMonth,
+  to: summaryMonth
+});
+
+/**
+ * Validation schema for an event scan: the given emails, or recent emails
+ * that look like they mention an event
+ */
+export const scanEventsSchema = Joi.object({
+  emailIds: Joi.array()
+    .items(Joi.string().trim())
+    .min(1)
+    .max(CALENDAR_CONFIG.SCAN_LIMIT)
+    .messages({
+      'array.max': `Maximum ${CALENDAR_CONFIG.SCAN_LIMIT} emails allowed per scan`
+    }),
+  days: Joi.number()
+    .integer()
+    .min(1)
+    .max(CALENDAR_CONFIG.MAX_SCAN_DAYS)
+    .default(CALENDAR_CONFIG.DEFAULT_SCAN_DAYS)
+    .messages({
+      'number.max': `Days cannot exceed ${CALENDAR_CONFIG.MAX_SCAN_DAYS}`
+    })
+});
+
+export const listEventsSchema = Joi.object({
+  from: Joi.date().iso(),
+  to: Joi.date()
+    .iso()
+    .when('from', { is: Joi.exist(), then: Joi.date().greater(Joi.ref('from')) })
+    .messages({ 'date.greater': 'The end of the range must be after its start' }),
+  status: Joi.string().valid(...Object.values(EVENT_STATUS)),
+  limit: Joi.number()
+    .integer()
+    .min(1)
+    .max(CALENDAR_CONFIG.MAX_LIMIT)
+    .default(CALENDAR_CONFIG.DEFAULT_LIMIT)
+    .messages({
+      'number.max': `Limit cannot exceed ${CALENDAR_CONFIG.MAX_LIMIT}`
+    }),
+  offset: Joi.number().integer().min(0).default(0)
+});
+
+export const eventParamsSchema = objectIdParamsSchema('Event');
+
+export const updateEventSchema = Joi.object({
+  status: Joi.string()
+    .valid(...Object.values(EVENT_STATUS))
+    .required()
+});
+
+// Feed tokens are 32 random bytes, base64url encoded
+export const calendarFeedSchema = Joi.object({
+  token: Joi.string()
+    .pattern(/^[A-Za-z0-9_-]{43}$/)
+    .required()
+    .messages({ 'string.pattern.base': 'Invalid feed token' })
+});
+
+export const syncEmailsSchema = Joi.object({
+  accountId: Joi.string().trim().max(255).default(ALL_ACCOUNTS),
+  full: Joi.boolean().default(false)
+});
+
+export const accountParamsSchema = Joi.object({
+  accountId: Joi.string().trim().max(255).required()
+});
+
+/**
+ * Validation schema for subscription routes; ids are base64url encoded keys
+ */
+export const subscriptionParamsSchema = Joi.object({
+  id: Joi.string()
+    .pattern(/^[A-Za-z0-9_-]+$/)
+    .max(700)
+    .required()
+    .messages({
+      'string.pattern.base': 'Invalid subscription ID',
+      'string.max': 'Invalid subscription ID',
+      'any.required': 'Subscription ID is required'
+    })
+});
+
+export const cleanupSubscriptionSchema = Joi.object({
+  action: Joi.string()
+    .valid(...Object.values(CLEANUP_ACTIONS))
+    .required()
+    .messages({
+      'any.only': `Action must be one of: ${Object.values(CLEANUP_ACTIONS).join(', ')}`,
+      'any.required': 'Action is required'
+    })
+});
+
+export const cleanupJobParamsSchema = objectIdParamsSchema('Job');
+
+/**
+ * Validation schema for connecting an IMAP mailbox
+ */
+export const connectImapAccountSchema = Joi.object({
+  name: Joi.string().trim().max(100),
+  emailAddress: Joi.string().trim().email().max(254),
+  host: Joi.string().trim().hostname().required().messages({
+    'string.hostname': 'Host must be a host name or IP address',
+    'any.required': 'Host is required'
+  }),
+  port: Joi.number().integer().min(1).max(65535).default(IMAP_CONFIG.DEFAULT_PORT),
+  // Implicit TLS; plain connections are upgraded with STARTTLS when the server offers it
+  secure: Joi.boolean().default(true),
+  username: Joi.string().trim().max(254).required().messages({
+    'any.required': 'Username is required'
+  }),
+  password: Joi.string().max(1024).required().messages({
+    'any.required': 'Password is required'
+  }),
+  mailbox: Joi.string().trim().max(255).default(IMAP_CONFIG.DEFAULT_MAILBOX)
+});
+
+/**
+ * Validation schema for the query of an archive import. Without accountId a
+ * new imported mailbox is created.
+ */
+export const importMailboxSchema = Joi.object({
+  accountId: Joi.string().hex().length(24).messages({
+    'string.hex': 'Invalid mailbox ID',
+    'string.length': 'Invalid mailbox ID'
+  }),
+  name: Joi.string().trim().max(100)
+});
+
+/**
+ * Validation schema for a Pub/Sub push request. Only message.data is read;
+ * Pub/Sub may add fields, so unknown ones are allowed.
+ */
+export const gmailPushSchema = Joi.object({
+  message: Joi.object({
+    data: Joi.string().base64().required().messages({
+      'string.base64': 'Message data must be base64',
+      'any.required': 'Message data is required'
+    }),
+    messageId: Joi.string(),
+    publishTime: Joi.string(),
+    attributes: Joi.object().pattern(Joi.string(), Joi.string())
+  })
+    .unknown(true)
+    .required()
+    .messages({ 'any.required': 'Message is required' }),
+  subscription: Joi.string()
+}).unknown(true);
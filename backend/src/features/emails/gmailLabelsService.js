@@ -0,0 +1,212 @@
+import asyncHandler from 'express-async-handler';
+import { logger } from '../../utils/logger.js';
+import {
+  callGmail,
+  createGmailClient,
+  GMAIL_MODIFY_SCOPE,
+  hasGmailScope
+} from '../../helpers/gmail.js';
+import * as emailsRepository from './emailsRepository.js';
+import { getCategories } from './emailCategoriesService.js';
+import { groupEmailIdsByAccount } from './emailAccountsService.js';
+import { chunk, getCategoryLabelName } from './emailsUtils.js';
+import { CLASSIFICATION_FLAGS, GMAIL_LABELS } from './emailsConstants.js';
+
+// Reuse existing AI/<Category> labels and create the missing ones
+const ensureCategoryLabels = async (gmail, categoryNames) => {
+  const { data } = await callGmail(gmail, 'labels.list', { userId: 'me' });
+  const labels = data.labels || [];
+  const labelIdsByName = new Map(labels.map((label) => [label.name, label.id]));
+
+  const labelIds = new Map();
+  for (const category of categoryNames) {
+    const name = getCategoryLabelName(category);
+    let labelId = labelIdsByName.get(name);
+
+    if (!labelId) {
+      const { data: created } = await callGmail(gmail, 'labels.create', {
+        userId: 'me',
+        requestBody: { name, labelListVisibility: 'labelShow', messageListVisibility: 'show' }
+      });
+      labelId = created.id;
+      labelIdsByName.set(name, labelId);
+    }
+
+    labelIds.set(category, labelId);
+  }
+
+  // Every label under our prefix, so a reclassified message loses its old one
+  const ownLabelIds = [...labelIdsByName]
+    .filter(([name]) => name.startsWith(`${GMAIL_LABELS.PREFIX}/`))
+    .map(([, id]) => id);
+
+  return { labelIds, ownLabelIds };
+};
+
+export const batchModify = async (gmail, ids, addLabelIds, removeLabelIds) => {
+  for (const batch of chunk(ids, GMAIL_LABELS.BATCH_MODIFY_LIMIT)) {
+    await callGmail(gmail, 'messages.batchModify', {
+      userId: 'me',
+      requestBody: { ids: batch, addLabelIds, removeLabelIds }
+    });
+  }
+};
+
+// Label one account's messages; labels are per mailbox, so each account gets its own
+const applyAccountLabels = async (userId, googleAccount, pending) => {
+  const { accountId } = googleAccount;
+
+  if (!hasGmailScope(googleAccount, GMAIL_MODIFY_SCOPE)) {
+    logger.warn('Skipping Gmail labels, modify scope not granted', {
+      meta: { userId, accountId }
+    });
+    return { labeled: 0, archived: 0, error: 'GMAIL_MODIFY_SCOPE_REQUIRED' };
+  }
+
+  try {
+    const gmail = createGmailClient(googleAccount);
+    const categories = await getCategories(userId);
+    const archivedCategories = new Set(
+      categories.filter((c) => c.archiveOnClassify).map((c) => c.name)
+    );
+
+    // Emails flagged as possible prompt injection are labelled but never archived
+    const groups = new Map();
+    for (const { gmailId, category, flags } of pending) {
+      const archived =
+        archivedCategories.has(category) &&
+        !flags?.includes(CLASSIFICATION_FLAGS.POSSIBLE_INJECTION);
+      const key = `${category}:${archived}`;
+      const group = groups.get(key) || { category, archived, ids: [] };
+      group.ids.push(gmailId);
+      groups.set(key, group);
+    }
+
+    const { labelIds, ownLabelIds } = await ensureCategoryLabels(gmail, [
+      ...new Set(pending.map((c) => c.category))
+    ]);
+
+    const applied = [];
+    for (const { category, archived, ids } of groups.values()) {
+      const labelId = labelIds.get(category);
+      const removeLabelIds = ownLabelIds.filter((id) => id !== labelId);
+      if (archived) {
+        removeLabelIds.push(GMAIL_LABELS.INBOX);
+      }
+
+      await batchModify(gmail, ids, [labelId], removeLabelIds);
+      applied.push(
+        ...ids.map((gmailId) => ({
+          gmailId,
+          gmailLabelId: labelId,
+          labeledCategory: category,
+          archived
+        }))
+      );
+    }
+
+    await emailsRepository.markLabelsApplied(userId, applied);
+
+    const summary = {
+      labeled: applied.length,
+      archived: applied.filter((a) => a.archived).length
+    };
+    logger.info('Gmail labels applied', { meta: { userId, accountId, ...summary } });
+
+    return summary;
+  } catch (error) {
+    logger.error('Failed to apply Gmail labels', {
+      meta: { userId, accountId, error: error.message }
+    });
+    return { labeled: 0, archived: 0, error: error.message };
+  }
+};
+
+/**
+ * Write categories back to Gmail as labels for users who opted in, archiving
+ * where the category asks for it. Each message is labelled in the mailbox of
+ * the linked account it belongs to. Messages already labelled for their
+ * current category are skipped. Failures are logged rather than thrown so they
+ * never fail the classification itself.
+ */
+export const applyCategoryLabels = asyncHandler(async (userId, googleAccounts, classifications) => {
+  const settings = await emailsRepository.getEmailSettings(userId);
+  // Fallback results are not labelled; they are retried on the next classification
+  const pending = classifications.filter((c) => !c.error && c.labeledCategory !== c.category);
+
+  if (!settings?.applyGmailLabels || pending.length === 0) {
+    return { labeled: 0, archived: 0 };
+  }
+
+  const pendingById = new Map(pending.map((c) => [c.gmailId, c]));
+  const groups = await groupEmailIdsByAccount(userId, googleAccounts, [...pendingById.keys()]);
+
+  const summary = { labeled: 0, archived: 0 };
+  for (const { account, gmailIds } of groups) {
+    const result = await applyAccountLabels(
+      userId,
+      account,
+      gmailIds.map((id) => pendingById.get(id))
+    );
+    summary.labeled += result.labeled;
+    summary.archived += result.archived;
+    if (result.error) {
+      summary.error = result.error;
+    }
+  }
+
+  return summary;
+});
+
+// Undo our labels in one account's mailbox
+const removeAccountLabels = async (googleAccount, labeled) => {
+  const gmail = createGmailClient(googleAccount);
+
+  const groups = new Map();
+  for (const { gmailId, gmailLabelId, archived } of labeled) {
+    const key = `${gmailLabelId}:${archived}`;
+    const group = groups.get(key) || { gmailLabelId, archived, ids: [] };
+    group.ids.push(gmailId);
+    groups.set(key, group);
+  }
+
+  for (const { gmailLabelId, archived, ids } of groups.values()) {
+    await batchModify(gmail, ids, archived ? [GMAIL_LABELS.INBOX] : [], [gmailLabelId]);
+  }
+};
+
+/**
+ * Remove the labels we applied and move archived messages back to the inbox,
+ * in the mailbox of each message's linked account. Limited to emailIds when
+ * given, otherwise every labelled message is restored.
+ */
+export const removeCategoryLabels = asyncHandler(async (userId, googleAccounts, emailIds) => {
+  const labeled = await emailsRepository.findLabeledClassifications(userId, emailIds);
+
+  if (labeled.length === 0) {
+    return { restored: 0, unarchived: 0 };
+  }
+
+  const labeledById = new Map(labeled.map((l) => [l.gmailId, l]));
+  const groups = await groupEmailIdsByAccount(userId, googleAccounts, [...labeledById.keys()]);
+
+  for (const { account, gmailIds } of groups) {
+    await removeAccountLabels(
+      account,
+      gmailIds.map((id) => labeledById.get(id))
+    );
+  }
+
+  await emailsRepository.clearAppliedLabels(
+    userId,
+    labeled.map((l) => l.gmailId)
+  );
+
+  const summary = {
+    restored: labeled.length,
+    unarchived: labeled.filter((l) => l.archived).length
+  };
+  logger.info('Gmail labels removed', { meta: { userId, ...summary } });
+
+  return summary;
+});
@@ -0,0 +1,128 @@
+import { callGmail, createGmailClient, fetchGmailMessages } from '../../helpers/gmail.js';
+import { batchModify } from './gmailLabelsService.js';
+import { createCursorExpiredError } from './mailboxUtils.js';
+import {
+  collectHistoryChanges,
+  isNotFoundError,
+  parseGmailMessage,
+  parseGmailMessageContent
+} from './emailsUtils.js';
+import {
+  GMAIL_HISTORY_TYPES,
+  GMAIL_METADATA_HEADERS,
+  MAILBOX_PROVIDERS,
+  SYNC_CONFIG
+} from './emailsConstants.js';
+
+// Read a Gmail resource, returning null when it does not exist
+const getOrNull = async (gmail, method, params) => {
+  try {
+    const { data } = await callGmail(gmail, method, params);
+    return data;
+  } catch (error) {
+    if (isNotFoundError(error)) {
+      return null;
+    }
+    throw error;
+  }
+};
+
+/**
+ * Mailbox provider for a linked Google account, over the Gmail API. The sync
+ * cursor is the mailbox historyId.
+ */
+export const createGmailMailboxProvider = (googleAccount) => {
+  const gmail = createGmailClient(googleAccount);
+  const { accountId } = googleAccount;
+
+  const toContent = (message) => {
+    const content = parseGmailMessageContent(message);
+    return { ...content, email: { ...content.email, accountId } };
+  };
+
+  return {
+    accountId,
+    providerId: MAILBOX_PROVIDERS.GMAIL,
+    syncable: true,
+
+    getProfile: async () => {
+      const { data } = await callGmail(gmail, 'getProfile', { userId: 'me' });
+      return { emailAddress: data.emailAddress, cursor: data.historyId };
+    },
+
+    listRecentIds: async (limit) => {
+      const { data } = await callGmail(gmail, 'messages.list', { userId: 'me', maxResults: limit });
+      return (data.messages || []).map((m) => m.id);
+    },
+
+    // Only the headers are stored, so bodies are not downloaded
+    getMessages: async (ids) => {
+      const messages = await fetchGmailMessages(gmail, ids, {
+        metadataHeaders: GMAIL_METADATA_HEADERS
+      });
+      return messages.map((message) => ({ ...parseGmailMessage(message), accountId }));
+    },
+
+    getMessage: async (id) => {
+      const message = await getOrNull(gmail, 'messages.get', { userId: 'me', id, format: 'full' });
+      return message ? toContent(message) : null;
+    },
+
+    getThread: async (threadId) => {
+      const thread = await getOrNull(gmail, 'threads.get', {
+        userId: 'me',
+        id: threadId,
+        format: 'full'
+      });
+      if (!thread) {
+        return null;
+      }
+
+      const messages = [...(thread.messages || [])].sort(
+        (a, b) => Number(a.internalDate) - Number(b.internalDate)
+      );
+      return { id: thread.id, historyId: thread.historyId, messages: messages.map(toContent) };
+    },
+
+    getAttachment: async (id, attachmentId) => {
+      const attachment = await getOrNull(gmail, 'messages.attachments.get', {
+        userId: 'me',
+        messageId: id,
+        id: attachmentId
+      });
+      return attachment?.data ? Buffer.from(attachment.data, 'base64url') : null;
+    },
+
+    // Gmail answers 404 once the history behind a historyId has been dropped
+    getChanges: async (cursor) => {
+      const historyRecords = [];
+      let latestHistoryId = cursor;
+      let pageToken;
+
+      do {
+        const data = await getOrNull(gmail, 'history.list', {
+          userId: 'me',
+          startHistoryId: cursor,
+          historyTypes: GMAIL_HISTORY_TYPES,
+          maxResults: SYNC_CONFIG.HISTORY_PAGE_SIZE,
+          pageToken
+        });
+        if (!data) {
+          throw createCursorExpiredError(`Gmail history ${cursor} is no longer available`);
+        }
+
+        historyRecords.push(...(data.history || []));
+        latestHistoryId = data.historyId || latestHistoryId;
+        pageToken = data.nextPageToken;
+      } while (pageToken);
+
+      return { ...collectHistoryChanges(historyRecords), cursor: latestHistoryId };
+    },
+
+    modifyLabels: async (ids, { add = [], remove = [] }) => {
+      await batchModify(gmail, ids, add, remove);
+    },
+
+    close: async () => {}
+  };
+};
@@ -0,0 +1,237 @@
+import asyncHandler from 'express-async-handler';
+import cron from 'node-cron';
+import { google } from 'googleapis';
+import { logger } from '../../utils/logger.js';
+import { callGmail, createGmailClient, findGoogleAccount } from '../../helpers/gmail.js';
+import * as emailsRepository from './emailsRepository.js';
+import { syncMailbox } from './emailSyncService.js';
+import { withMailboxProvider } from './mailboxProvider.js';
+import { classifyMailboxEmails } from './classificationJobService.js';
+import { publishMailboxEvent } from './mailboxEvents.js';
+import { getBearerToken, isNewerHistoryId, verifyPushToken } from './pushUtils.js';
+import { MAILBOX_EVENTS, PUSH_CONFIG } from './emailsConstants.js';
+
+// Verifies the Google-signed OIDC tokens of Pub/Sub push requests; signing keys are cached
+const oidcClient = new google.auth.OAuth2();
+
+// Mailboxes with a push sync running in this instance, set to true when another push arrives meanwhile
+const activeSyncs = new Map();
+
+/**
+ * Run `fn` for a mailbox unless it already runs; pushes that arrive while it
+ * does are folded into one more run afterwards
+ */
+const runCoalesced = async (key, fn) => {
+  if (activeSyncs.has(key)) {
+    activeSyncs.set(key, true);
+    return;
+  }
+
+  try {
+    do {
+      activeSyncs.set(key, false);
+      await fn();
+    } while (activeSyncs.get(key));
+  } finally {
+    activeSyncs.delete(key);
+  }
+};
+
+/**
+ * Whether a push request carries a token from the configured publisher: a
+ * Google OIDC token for the push service account or, when
+ * GMAIL_PUSH_LOCAL_SECRET is set, a token of the local stand-in publisher.
+ * Both must be issued for GMAIL_PUSH_AUDIENCE.
+ */
+export const verifyPushRequest = asyncHandler(async (authorization) => {
+  const token = getBearerToken(authorization);
+  const audience = PUSH_CONFIG.AUDIENCE;
+  if (!token || !audience) {
+    return false;
+  }
+
+  if (PUSH_CONFIG.LOCAL_SECRET && verifyPushToken(token, PUSH_CONFIG.LOCAL_SECRET, { audience })) {
+    return true;
+  }
+  if (!PUSH_CONFIG.SERVICE_ACCOUNT) {
+    return false;
+  }
+
+  try {
+    const ticket = await oidcClient.verifyIdToken({ idToken: token, audience });
+    const payload = ticket.getPayload();
+    return payload?.email === PUSH_CONFIG.SERVICE_ACCOUNT && payload.email_verified === true;
+  } catch (error) {
+    logger.warn('Push token rejected', { meta: { error: error.message } });
+    return false;
+  }
+});
+
+/**
+ * Register (or renew) the Gmail watch that publishes changes of the
+ * account's inbox to GMAIL_PUSH_TOPIC
+ */
+export const watchMailbox = asyncHandler(async (googleAccount) => {
+  const gmail = createGmailClient(googleAccount);
+  const { data } = await callGmail(gmail, 'watch', {
+    userId: 'me',
+    requestBody: {
+      topicName: PUSH_CONFIG.TOPIC,
+      labelIds: PUSH_CONFIG.LABEL_IDS,
+      labelFilterBehavior: 'include'
+    }
+  });
+
+  const userId = String(googleAccount.userId);
+  const watchExpiresAt = new Date(Number(data.expiration));
+  await emailsRepository.saveSyncState(userId, googleAccount.accountId, { watchExpiresAt });
+
+  logger.info('Gmail watch registered', {
+    meta: { userId, accountId: googleAccount.accountId, watchExpiresAt }
+  });
+  return watchExpiresAt;
+});
+
+/**
+ * Watch a synced Google account unless its watch still has more than a day
+ * to run. Does nothing when no push topic is configured.
+ */
+export const ensureMailboxWatch = asyncHandler(async (userId, googleAccount) => {
+  if (!PUSH_CONFIG.TOPIC) {
+    return null;
+  }
+
+  const syncState = await emailsRepository.getSyncState(userId, googleAccount.accountId);
+  if (syncState?.watchExpiresAt > new Date(Date.now() + PUSH_CONFIG.RENEW_BEFORE_MS)) {
+    return syncState.watchExpiresAt;
+  }
+  return await watchMailbox(googleAccount);
+});
+
+/**
+ * Renew every watch that runs out within a day. Watches of accounts that
+ * are no longer linked are dropped.
+ */
+export const renewMailboxWatches = asyncHandler(async (now) => {
+  const expiring = await emailsRepository.findExpiringWatches(
+    new Date(now.getTime() + PUSH_CONFIG.RENEW_BEFORE_MS)
+  );
+  let renewed = 0;
+
+  for (const syncState of expiring) {
+    const userId = String(syncState.userId);
+
+    try {
+      const googleAccount = await findGoogleAccount(userId, syncState.accountId);
+      if (!googleAccount?.accessToken) {
+        await emailsRepository.saveSyncState(userId, syncState.accountId, {
+          watchExpiresAt: null
+        });
+        continue;
+      }
+
+      await watchMailbox(googleAccount);
+      renewed++;
+    } catch (error) {
+      logger.error('Gmail watch renewal failed', {
+        meta: { userId, accountId: syncState.accountId, error: error.message }
+      });
+    }
+  }
+
+  return { expiring: expiring.length, renewed };
+});
+
+// Sync a pushed mailbox, tell the user's event streams and classify what arrived
+const syncPushedMailbox = async (userId, accountId) => {
+  const googleAccount = await findGoogleAccount(userId, accountId);
+  if (!googleAccount?.accessToken) {
+    logger.info('Push for an unlinked Google account ignored', { meta: { userId, accountId } });
+    return;
+  }
+
+  const { addedIds, ...changes } = await withMailboxProvider(googleAccount, (provider) =>
+    syncMailbox(provider, userId)
+  );
+  if (changes.added + changes.deleted + changes.labelsChanged === 0) {
+    return;
+  }
+
+  await publishMailboxEvent(userId, { type: MAILBOX_EVENTS.SYNCED, accountId, ...changes });
+  if (addedIds.length === 0) {
+    return;
+  }
+
+  // Best effort: without a usable Gemini key new emails wait for a manual classification
+  try {
+    const classifications = await classifyMailboxEmails(userId, googleAccount, addedIds);
+    await publishMailboxEvent(userId, {
+      type: MAILBOX_EVENTS.CLASSIFIED,
+      accountId,
+      emailIds: classifications.map((c) => c.gmailId)
+    });
+  } catch (error) {
+    logger.warn('Auto-classification of pushed emails skipped', {
+      meta: { userId, accountId, emails: addedIds.length, error: error.message }
+    });
+  }
+};
+
+/**
+ * Apply a Gmail push notification to every user who linked the mailbox.
+ * Notifications at or below the stored cursor were already synced and are
+ * skipped.
+ */
+export const handleGmailPush = asyncHandler(async ({ emailAddress, historyId }) => {
+  const syncStates = await emailsRepository.findSyncStatesByEmailAddress(emailAddress);
+
+  for (const syncState of syncStates) {
+    if (!isNewerHistoryId(historyId, syncState.cursor)) {
+      continue;
+    }
+
+    const userId = String(syncState.userId);
+    try {
+      await runCoalesced(`${userId}:${syncState.accountId}`, () =>
+        syncPushedMailbox(userId, syncState.accountId)
+      );
+    } catch (error) {
+      logger.error('Push sync failed', {
+        meta: { userId, accountId: syncState.accountId, historyId, error: error.message }
+      });
+    }
+  }
+
+  return { mailboxes: syncStates.length };
+});
+
+/**
+ * Renew Gmail watches before they run out. Only started when GMAIL_PUSH_TOPIC
+ * is set.
+ */
+export const startWatchScheduler = () => {
+  let running = false;
+
+  const task = cron.schedule(PUSH_CONFIG.RENEW_SCHEDULE, async () => {
+    if (running) {
+      return;
+    }
+    running = true;
+
+    try {
+      const result = await renewMailboxWatches(new Date());
+      if (result.expiring > 0) {
+        logger.info('Gmail watches renewed', { meta: result });
+      }
+    } catch (error) {
+      logger.error('Gmail watch renewal run failed', { meta: { error: error.message } });
+    } finally {
+      running = false;
+    }
+  });
+
+  logger.info('Gmail watch scheduler started', {
+    meta: { schedule: PUSH_CONFIG.RENEW_SCHEDULE, topic: PUSH_CONFIG.TOPIC }
+  });
+  return task;
+};
@@ -0,0 +1,253 @@
+import { isValidTimezone, zonedTimeToUtc } from './digestUtils.js';
+import { CALENDAR_CONFIG, EVENT_STATUS } from './emailsConstants.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Content lines are folded by a line break followed by a space or tab (RFC 5545 3.1)
+const unfoldLines = (text) => text.replace(/\r?\n[ \t]/g, '').split(/\r?\n/);
+
+// NAME;PARAM=value;PARAM="quoted:value":VALUE, splitting at the first colon outside quotes
+const parseContentLine = (line) => {
+  let quoted = false;
+
+  for (let index = 0; index < line.length; index++) {
+    if (line[index] === '"') {
+      quoted = !quoted;
+    } else if (line[index] === ':' && !quoted) {
+      const [name, ...params] = line.slice(0, index).split(';');
+      return {
+        name: name.trim().toUpperCase(),
+        params: Object.fromEntries(
+          params.map((param) => {
+            const separator = param.indexOf('=');
+            return [
+              param.slice(0, separator).toUpperCase(),
+              param.slice(separator + 1).replace(/^"|"$/g, '')
+            ];
+          })
+        ),
+        value: line.slice(index + 1).trim()
+      };
+    }
+  }
+
+  return null;
+};
+
+const unescapeText = (value = '') =>
+  value.replace(/\\([\\;,nN])/g, (match, char) => (char.toLowerCase() === 'n' ? '\n' : char));
+
+const toText = (property, maxLength) => unescapeText(property?.value).trim().slice(0, maxLength);
+
+/**
+ * A DATE or DATE-TIME value as an instant. Times ending in Z are UTC; others
+ * are in their TZID, or in `timezone` when they have none (floating times) or
+ * one that is not an IANA name.
+ */
+const parseDateValue = (property, timezone) => {
+  const match = property?.value.match(/^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})(Z)?)?$/);
+  if (!match) {
+    return null;
+  }
+
+  const [year, month, day, hour, minute, second] = match.slice(1, 7).map(Number);
+  if (match[4] === undefined) {
+    return { date: new Date(Date.UTC(year, month - 1, day)), allDay: true };
+  }
+  if (match[7]) {
+    return { date: new Date(Date.UTC(year, month - 1, day, hour, minute, second)), allDay: false };
+  }
+
+  const zone =
+    property.params.TZID && isValidTimezone(property.params.TZID) ? property.params.TZID : timezone;
+  return {
+    date: zonedTimeToUtc({ year, month: month - 1, day, hour, minute }, zone),
+    allDay: false
+  };
+};
+
+// Length of a DURATION value such as PT1H30M or P1D, in milliseconds
+const parseDuration = (value = '') => {
+  const match = value.match(
+    /^([+-])?P(?:(\d+)W)?(?:(\d+)D)?(?:T(?:(\d+)H)?(?:(\d+)M)?(?:(\d+)S)?)?$/
+  );
+  if (!match) {
+    return null;
+  }
+
+  const [weeks, days, hours, minutes, seconds] = match.slice(2).map((part) => Number(part || 0));
+  const length = (((weeks * 7 + days) * 24 + hours) * 60 + minutes) * 60 * 1000 + seconds * 1000;
+  return match[1] === '-' ? null : length;
+};
+
+// Properties of each VEVENT (the first of each name) and the calendar's METHOD
+const readComponents = (ics) => {
+  const events = [];
+  let method = null;
+  let current = null;
+  // Components inside an event, such as VALARM, whose properties are not the event's
+  let nested = 0;
+
+  for (const line of unfoldLines(ics)) {
+    const property = parseContentLine(line);
+    if (!property) {
+      continue;
+    }
+
+    if (property.name === 'BEGIN') {
+      if (current) {
+        nested++;
+      } else if (property.value.toUpperCase() === 'VEVENT') {
+        current = {};
+      }
+    } else if (property.name === 'END') {
+      if (nested > 0) {
+        nested--;
+      } else if (current && property.value.toUpperCase() === 'VEVENT') {
+        events.push(current);
+        current = null;
+      }
+    } else if (current && nested === 0) {
+      current[property.name] ??= property;
+    } else if (!current && property.name === 'METHOD') {
+      method = property.value.toUpperCase();
+    }
+  }
+
+  return { events, method };
+};
+
+/**
+ * Events of an iCalendar object, such as the text/calendar part of an
+ * invitation. Events without a valid start are left out, as are overrides of
+ * single occurrences (RECURRENCE-ID), which would replace the whole series.
+ * `timezone` places times given without a usable timezone.
+ */
+export const parseIcsEvents = (ics, { timezone = 'UTC' } = {}) => {
+  const { events, method } = readComponents(ics || '');
+
+  return events
+    .filter((event) => !event['RECURRENCE-ID'])
+    .map((event) => {
+      const start = parseDateValue(event.DTSTART, timezone);
+      if (!start) {
+        return null;
+      }
+
+      const duration = parseDuration(event.DURATION?.value);
+      const endValue = parseDateValue(event.DTEND, timezone)?.date;
+      let end = endValue ?? (duration !== null ? new Date(start.date.getTime() + duration) : null);
+      if (!end || end < start.date) {
+        end = start.allDay ? new Date(start.date.getTime() + DAY_MS) : start.date;
+      }
+
+      const organizer = event.ORGANIZER;
+      return {
+        uid: event.UID?.value || null,
+        title: toText(event.SUMMARY, CALENDAR_CONFIG.MAX_TITLE_LENGTH) || 'Untitled event',
+        description: toText(event.DESCRIPTION, CALENDAR_CONFIG.MAX_DESCRIPTION_LENGTH) || null,
+        location: toText(event.LOCATION, CALENDAR_CONFIG.MAX_LOCATION_LENGTH) || null,
+        organizer: organizer
+          ? organizer.params.CN || organizer.value.replace(/^mailto:/i, '')
+          : null,
+        start: start.date,
+        end,
+        allDay: start.allDay,
+        recurrence: event.RRULE?.value || null,
+        cancelled: method === 'CANCEL' || event.STATUS?.value.toUpperCase() === 'CANCELLED',
+        sequence: Number.parseInt(event.SEQUENCE?.value, 10) || 0
+      };
+    })
+    .filter(Boolean)
+    .slice(0, CALENDAR_CONFIG.MAX_EVENTS_PER_EMAIL);
+};
+
+const escapeText = (value = '') =>
+  String(value)
+    .replace(/[\\;,]/g, '\\$&')
+    .replace(/\r?\n/g, '\\n')
+    // eslint-disable-next-line no-control-regex
+    .replace(/[\u0000-\u001f\u007f]/g, '');
+
+// 20261019T120000Z
+const formatUtc = (date) =>
+  date
+    .toISOString()
+    .replace(/[-:]/g, '')
+    .replace(/\.\d{3}/, '');
+
+// 20261019, the UTC date all-day events are stored at
+const formatDate = (date) => date.toISOString().slice(0, 10).replace(/-/g, '');
+
+/**
+ * Fold a content line at 75 octets. Continuation lines start with a space,
+ * which counts towards their length, and characters are never split.
+ */
+const foldLine = (line) => {
+  const chunks = [];
+  let chunk = '';
+  let octets = 0;
+
+  for (const char of line) {
+    const size = Buffer.byteLength(char);
+    if (octets + size > (chunks.length === 0 ? 75 : 74)) {
+      chunks.push(chunk);
+      chunk = '';
+      octets = 0;
+    }
+    chunk += char;
+    octets += size;
+  }
+  chunks.push(chunk);
+
+  return chunks.join('\r\n ');
+};
+
+const EVENT_STATUS_VALUES = {
+  [EVENT_STATUS.PROPOSED]: 'TENTATIVE',
+  [EVENT_STATUS.ACCEPTED]: 'CONFIRMED'
+};
+
+const buildEventLines = (event, now) => {
+  const dateLine = (name, date) =>
+    event.allDay ? `${name};VALUE=DATE:${formatDate(date)}` : `${name}:${formatUtc(date)}`;
+
+  return [
+    'BEGIN:VEVENT',
+    `UID:${escapeText(event.uid)}`,
+    `DTSTAMP:${formatUtc(event.updatedAt ?? now)}`,
+    dateLine('DTSTART', event.start),
+    dateLine('DTEND', event.end),
+    `SUMMARY:${escapeText(event.title)}`,
+    event.location && `LOCATION:${escapeText(event.location)}`,
+    event.description && `DESCRIPTION:${escapeText(event.description)}`,
+    // Only plain recurrence rules are passed on, so sender text cannot add lines
+    /^[A-Z0-9=;,:+-]+$/i.test(event.recurrence || '') && `RRULE:${event.recurrence}`,
+    `STATUS:${event.cancelled ? 'CANCELLED' : EVENT_STATUS_VALUES[event.status] || 'TENTATIVE'}`,
+    `SEQUENCE:${event.sequence ?? 0}`,
+    'END:VEVENT'
+  ].filter(Boolean);
+};
+
+/**
+ * A published iCalendar feed of stored events, with CRLF line endings and
+ * folded lines as RFC 5545 asks. Clients are told to refresh it hourly.
+ */
+export const buildIcsCalendar = (
+  events,
+  { name = CALENDAR_CONFIG.FEED_NAME, now = new Date() } = {}
+) =>
+  [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    `PRODID:${CALENDAR_CONFIG.PRODUCT_ID}`,
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    `X-WR-CALNAME:${escapeText(name)}`,
+    'REFRESH-INTERVAL;VALUE=DURATION:PT1H',
+    'X-PUBLISHED-TTL:PT1H',
+    ...events.flatMap((event) => buildEventLines(event, now)),
+    'END:VCALENDAR'
+  ]
+    .map((line) => `${foldLine(line)}\r\n`)
+    .join('');
@@ -0,0 +1,338 @@
+import { isIP } from 'net';
+import { lookup } from 'dns/promises';
+import { ImapFlow } from 'imapflow';
+import { simpleParser } from 'mailparser';
+import { logger } from '../../utils/logger.js';
+import { decryptSecret } from '../../helpers/encryption.js';
+import * as emailsRepository from './emailsRepository.js';
+import { isPublicIpAddress } from './subscriptionUtils.js';
+import {
+  createCursorExpiredError,
+  decodeImapCursor,
+  decodeImapMessageId,
+  encodeImapCursor,
+  encodeImapMessageId,
+  getImapFlagChanges,
+  getImapLabelIds,
+  toMessageContent,
+  toStoredMessage
+} from './mailboxUtils.js';
+import { EMAIL_MESSAGES, IMAP_CONFIG, MAILBOX_PROVIDERS } from './emailsConstants.js';
+
+const SPECIAL_FOLDERS = {
+  archive: { specialUse: '\\Archive', fallback: IMAP_CONFIG.ARCHIVE_MAILBOX },
+  trash: { specialUse: '\\Trash', fallback: IMAP_CONFIG.TRASH_MAILBOX }
+};
+
+// Bound into the password envelope so it only decrypts for its own mailbox account
+export const getImapSecretContext = (userId, accountId) => `${userId}:imap:${accountId}`;
+
+/**
+ * Address to connect to for a configured host. Servers must resolve to public
+ * addresses only, so a mailbox account cannot reach the internal network; the
+ * checked address is connected to directly so the name cannot be re-resolved
+ * elsewhere. IMAP_ALLOW_PRIVATE_HOSTS lifts the check for local test servers.
+ */
+const resolveImapHost = async (host) => {
+  if (IMAP_CONFIG.ALLOW_PRIVATE_HOSTS) {
+    return host;
+  }
+
+  const addresses = await lookup(host, { all: true });
+  if (addresses.length === 0 || !addresses.every((a) => isPublicIpAddress(a.address))) {
+    throw Object.assign(new Error(EMAIL_MESSAGES.IMAP_HOST_NOT_ALLOWED), { statusCode: 422 });
+  }
+  return addresses[0].address;
+};
+
+/**
+ * Open and authenticate an IMAP connection with a plain password. Refused
+ * hosts and failed logins are thrown with statusCode 422.
+ */
+export const connectImap = async ({ host, port, secure, username, password }) => {
+  const client = new ImapFlow({
+    host: await resolveImapHost(host),
+    // Certificates are checked against the configured name, not the address
+    servername: isIP(host) ? undefined : host,
+    port,
+    secure,
+    auth: { user: username, pass: password },
+    connectionTimeout: IMAP_CONFIG.CONNECTION_TIMEOUT_MS,
+    logger: false
+  });
+
+  try {
+    await client.connect();
+  } catch (error) {
+    if (error.authenticationFailed) {
+      throw Object.assign(new Error(EMAIL_MESSAGES.IMAP_CONNECTION_FAILED), { statusCode: 422 });
+    }
+    throw error;
+  }
+
+  return client;
+};
+
+// The folder with the given special use, or the fallback name, created when missing
+const findSpecialFolder = async (client, kind) => {
+  const { specialUse, fallback } = SPECIAL_FOLDERS[kind];
+  const folders = await client.list();
+  const folder = folders.find((f) => f.specialUse === specialUse);
+
+  if (folder) {
+    return folder.path;
+  }
+  if (!folders.some((f) => f.path === fallback)) {
+    await client.mailboxCreate(fallback);
+  }
+  return fallback;
+};
+
+const sameLabels = (a = [], b = []) =>
+  a.length === b.length && [...a].sort().join('\n') === [...b].sort().join('\n');
+
+/**
+ * Mailbox provider for one folder (INBOX by default) of an IMAP server. Ids
+ * pack the folder UIDVALIDITY and message UID; the sync cursor is the
+ * UIDVALIDITY and the next UID. Servers need no extensions beyond IMAP4rev1;
+ * deleted messages and flag changes are found by fetching the flags of every
+ * stored message. One connection is opened on first use and kept until close().
+ */
+export const createImapMailboxProvider = (mailboxAccount) => {
+  const { accountId, userId } = mailboxAccount;
+  const { host, port, secure, username, password } = mailboxAccount.imap;
+  const folder = mailboxAccount.imap.mailbox || IMAP_CONFIG.DEFAULT_MAILBOX;
+  const inbox = folder.toUpperCase() === 'INBOX';
+  let clientPromise = null;
+
+  const getClient = () => {
+    clientPromise ??= connectImap({
+      host,
+      port,
+      secure,
+      username,
+      password: decryptSecret(password, getImapSecretContext(userId, accountId))
+    }).catch((error) => {
+      clientPromise = null;
+      throw error;
+    });
+    return clientPromise;
+  };
+
+  // Run `fn` with the folder selected; the lock keeps other commands from switching folders meanwhile
+  const withFolder = async (fn) => {
+    const client = await getClient();
+    const lock = await client.getMailboxLock(folder);
+
+    try {
+      return await fn(client, client.mailbox);
+    } finally {
+      lock.release();
+    }
+  };
+
+  const toId = (mailbox, uid) => encodeImapMessageId(accountId, mailbox.uidValidity, uid);
+
+  // UIDs of the ids that belong to this folder as it is now; ids from before a UIDVALIDITY change are dropped
+  const toUids = (mailbox, ids) =>
+    ids
+      .map(decodeImapMessageId)
+      .filter(
+        (ref) =>
+          ref && ref.accountId === accountId && ref.uidValidity === Number(mailbox.uidValidity)
+      )
+      .map((ref) => ref.uid);
+
+  const toStored = (mailbox, message, parsed) =>
+    toStoredMessage(parsed, {
+      gmailId: toId(mailbox, message.uid),
+      accountId,
+      labelIds: getImapLabelIds(message.flags, { inbox }),
+      internalDate: message.internalDate ? new Date(message.internalDate) : null,
+      size: message.size
+    });
+
+  const getMessage = async (id) => {
+    const ref = decodeImapMessageId(id);
+    if (!ref || ref.accountId !== accountId) {
+      return null;
+    }
+
+    return await withFolder(async (client, mailbox) => {
+      if (ref.uidValidity !== Number(mailbox.uidValidity)) {
+        return null;
+      }
+
+      const message = await client.fetchOne(
+        ref.uid,
+        { uid: true, flags: true, internalDate: true, size: true, source: true },
+        { uid: true }
+      );
+      if (!message?.source) {
+        return null;
+      }
+
+      const parsed = await simpleParser(message.source);
+      return toMessageContent(parsed, toStored(mailbox, message, parsed));
+    });
+  };
+
+  return {
+    accountId,
+    providerId: MAILBOX_PROVIDERS.IMAP,
+    syncable: true,
+
+    getProfile: async () =>
+      await withFolder(async (client, mailbox) => ({
+        emailAddress: mailboxAccount.emailAddress || username,
+        cursor: encodeImapCursor(mailbox)
+      })),
+
+    listRecentIds: async (limit) =>
+      await withFolder(async (client, mailbox) => {
+        const uids = (await client.search({ all: true }, { uid: true })) || [];
+        return uids
+          .sort((a, b) => b - a)
+          .slice(0, limit)
+          .map((uid) => toId(mailbox, uid));
+      }),
+
+    // Only the start of each message is downloaded; it covers the headers and the snippet
+    getMessages: async (ids) =>
+      await withFolder(async (client, mailbox) => {
+        const uids = toUids(mailbox, ids);
+        const messages = [];
+        if (uids.length === 0) {
+          return messages;
+        }
+
+        const fetched = await client.fetchAll(
+          uids,
+          {
+            uid: true,
+            flags: true,
+            internalDate: true,
+            size: true,
+            source: { maxLength: IMAP_CONFIG.PREVIEW_BYTES }
+          },
+          { uid: true }
+        );
+        for (const message of fetched) {
+          messages.push(toStored(mailbox, message, await simpleParser(message.source)));
+        }
+        return messages;
+      }),
+
+    getMessage,
+
+    // IMAP has no threads, so the thread is put together from the stored messages
+    getThread: async (threadId) => {
+      const stored = await emailsRepository.findThreadEmails(userId, threadId);
+      const messages = [];
+
+      for (const email of stored.filter((e) => e.accountId === accountId)) {
+        const content = await getMessage(email.gmailId);
+        if (content) {
+          messages.push(content);
+        }
+      }
+
+      return messages.length > 0 ? { id: threadId, messages } : null;
+    },
+
+    // Attachments are shown from the parsed source and carry no download id
+    getAttachment: async () => null,
+
+    getChanges: async (cursor) => {
+      const previous = decodeImapCursor(cursor);
+
+      return await withFolder(async (client, mailbox) => {
+        if (!previous || previous.uidValidity !== Number(mailbox.uidValidity)) {
+          throw createCursorExpiredError(`IMAP folder ${folder} was renumbered`);
+        }
+
+        const stored = await emailsRepository.findAccountEmailIds(userId, accountId);
+        const storedByUid = new Map(
+          stored
+            .map((email) => [decodeImapMessageId(email.gmailId)?.uid, email])
+            .filter(([uid]) => uid !== undefined)
+        );
+
+        // Stored messages the server no longer returns were expunged or moved to another folder
+        const labelChanges = [];
+        const present = new Set();
+        if (storedByUid.size > 0) {
+          const fetched = await client.fetchAll(
+            [...storedByUid.keys()],
+            { uid: true, flags: true },
+            { uid: true }
+          );
+          for (const message of fetched) {
+            const labelIds = getImapLabelIds(message.flags, { inbox });
+            present.add(message.uid);
+            if (!sameLabels(labelIds, storedByUid.get(message.uid).labelIds)) {
+              labelChanges.push({ gmailId: toId(mailbox, message.uid), labelIds });
+            }
+          }
+        }
+        const deletedIds = [...storedByUid.keys()]
+          .filter((uid) => !present.has(uid))
+          .map((uid) => toId(mailbox, uid));
+
+        // "n:*" always matches the newest message, even when its UID is below n
+        const newUids =
+          mailbox.uidNext > previous.uidNext
+            ? (await client.search({ uid: `${previous.uidNext}:*` }, { uid: true })) || []
+            : [];
+
+        return {
+          addedIds: newUids
+            .filter((uid) => uid >= previous.uidNext)
+            .map((uid) => toId(mailbox, uid)),
+          deletedIds,
+          labelChanges,
+          cursor: encodeImapCursor(mailbox)
+        };
+      });
+    },
+
+    modifyLabels: async (ids, labels) => {
+      const { addFlags, removeFlags, moveTo } = getImapFlagChanges(labels);
+      const client = await getClient();
+      // Found (or created) before any message is touched
+      const destination = moveTo ? await findSpecialFolder(client, moveTo) : null;
+
+      await withFolder(async (lockedClient, mailbox) => {
+        const uids = toUids(mailbox, ids);
+        if (uids.length === 0) {
+          return;
+        }
+
+        if (addFlags.length > 0) {
+          await lockedClient.messageFlagsAdd(uids, addFlags, { uid: true });
+        }
+        if (removeFlags.length > 0) {
+          await lockedClient.messageFlagsRemove(uids, removeFlags, { uid: true });
+        }
+        if (destination && destination !== folder) {
+          await lockedClient.messageMove(uids, destination, { uid: true });
+        }
+      });
+    },
+
+    close: async () => {
+      if (!clientPromise) {
+        return;
+      }
+
+      try {
+        const client = await clientPromise;
+        await client.logout();
+      } catch (error) {
+        logger.warn('IMAP logout failed', { meta: { userId, accountId, error: error.message } });
+      } finally {
+        clientPromise = null;
+      }
+    }
+  };
+};
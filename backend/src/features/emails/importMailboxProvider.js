@@ -0,0 +1,68 @@
+import { simpleParser } from 'mailparser';
+import * as emailsRepository from './emailsRepository.js';
+import { toMessageContent } from './mailboxUtils.js';
+import { MAILBOX_PROVIDERS } from './emailsConstants.js';
+
+/**
+ * Mailbox provider for an imported archive. There is no server behind it: the
+ * stored emails are the mailbox, bodies come from the kept raw source and
+ * label changes only ever touch the local store.
+ */
+export const createImportMailboxProvider = (mailboxAccount) => {
+  const { accountId, userId } = mailboxAccount;
+
+  const getMessage = async (id) => {
+    const [email] = await emailsRepository.findEmailsByGmailIds(userId, [id]);
+    const [imported] = await emailsRepository.findImportedMessages(userId, [id]);
+    if (!email || !imported || email.accountId !== accountId) {
+      return null;
+    }
+
+    // Lean documents hold the source as a BSON Binary
+    const parsed = await simpleParser(Buffer.from(imported.raw.buffer ?? imported.raw));
+    return toMessageContent(parsed, email);
+  };
+
+  return {
+    accountId,
+    providerId: MAILBOX_PROVIDERS.IMPORT,
+    syncable: false,
+
+    getProfile: async () => ({ emailAddress: mailboxAccount.emailAddress || null, cursor: null }),
+
+    listRecentIds: async (limit) => {
+      const emails = await emailsRepository.findEmailsByUser(userId, { accountId, limit });
+      return emails.map((email) => email.gmailId);
+    },
+
+    getMessages: async (ids) => {
+      const emails = await emailsRepository.findEmailsByGmailIds(userId, ids);
+      return emails.filter((email) => email.accountId === accountId);
+    },
+
+    getMessage,
+
+    getThread: async (threadId) => {
+      const stored = await emailsRepository.findThreadEmails(userId, threadId);
+      const messages = [];
+
+      for (const email of stored.filter((e) => e.accountId === accountId)) {
+        const content = await getMessage(email.gmailId);
+        if (content) {
+          messages.push(content);
+        }
+      }
+
+      return messages.length > 0 ? { id: threadId, messages } : null;
+    },
+
+    // Attachments of imported messages carry no download id (see toMessageContent)
+    getAttachment: async () => null,
+
+    getChanges: async (cursor) => ({ addedIds: [], deletedIds: [], labelChanges: [], cursor }),
+
+    modifyLabels: async () => {},
+
+    close: async () => {}
+  };
+};
@@ -0,0 +1,33 @@
+import mongoose from 'mongoose';
+
+// Raw source of imported messages, which have no server to fetch bodies from
+const importedMessageSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'user',
+      required: true
+    },
+    accountId: {
+      type: String,
+      required: true
+    },
+    // Same id as the stored email
+    gmailId: {
+      type: String,
+      required: true
+    },
+    raw: {
+      type: Buffer,
+      required: true
+    }
+  },
+  {
+    timestamps: true
+  }
+);
+
+importedMessageSchema.index({ userId: 1, gmailId: 1 }, { unique: true });
+importedMessageSchema.index({ userId: 1, accountId: 1 });
+
+export const ImportedMessage = mongoose.model('ImportedMessage', importedMessageSchema);
@@ -0,0 +1,62 @@
+import mongoose from 'mongoose';
+import { IMAP_CONFIG, MAILBOX_PROVIDERS } from './emailsConstants.js';
+
+// Envelope-encrypted IMAP password; see helpers/encryption.js for the field layout
+const encryptedPasswordSchema = new mongoose.Schema(
+  {
+    ciphertext: { type: String, required: true },
+    iv: { type: String, required: true },
+    authTag: { type: String, required: true },
+    encryptedDataKey: { type: String, required: true },
+    dataKeyIv: { type: String, required: true },
+    dataKeyAuthTag: { type: String, required: true },
+    masterKeyId: { type: String, required: true }
+  },
+  { _id: false }
+);
+
+// Mailboxes other than linked Google accounts: IMAP servers and imported archives
+const mailboxAccountSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'user',
+      required: true
+    },
+    // Stored on each email like the Google account id of Gmail messages
+    accountId: {
+      type: String,
+      required: true,
+      default: () => new mongoose.Types.ObjectId().toString()
+    },
+    providerId: {
+      type: String,
+      enum: [MAILBOX_PROVIDERS.IMAP, MAILBOX_PROVIDERS.IMPORT],
+      required: true
+    },
+    name: {
+      type: String,
+      required: true,
+      trim: true
+    },
+    emailAddress: String,
+    imap: {
+      host: String,
+      port: Number,
+      secure: Boolean,
+      username: String,
+      password: encryptedPasswordSchema,
+      mailbox: {
+        type: String,
+        default: IMAP_CONFIG.DEFAULT_MAILBOX
+      }
+    }
+  },
+  {
+    timestamps: true
+  }
+);
+
+mailboxAccountSchema.index({ userId: 1, accountId: 1 }, { unique: true });
+
+export const MailboxAccount = mongoose.model('MailboxAccount', mailboxAccountSchema);
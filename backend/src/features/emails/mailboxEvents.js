@@ -0,0 +1,100 @@
+import { EventEmitter } from 'events';
+import { logger } from '../../utils/logger.js';
+import { getConnection } from '../../connections/connectRabbitMQ.js';
+import {
+  createProducer,
+  ExchangeTypes
+} from '../../helpers/messaging/producers/rabbitMQProducer.js';
+import { MAILBOX_EVENTS } from './emailsConstants.js';
+
+const RELAY_RESTART_DELAY_MS = 5000;
+
+// Listeners are keyed by user id; one per open event stream
+const emitter = new EventEmitter();
+emitter.setMaxListeners(0);
+
+let producerPromise = null;
+
+const emitLocally = ({ userId, event }) => emitter.emit(String(userId), event);
+
+/**
+ * Listen for the mailbox events of one user. Returns the function that stops
+ * listening.
+ */
+export const subscribeMailboxEvents = (userId, listener) => {
+  emitter.on(String(userId), listener);
+  return () => emitter.off(String(userId), listener);
+};
+
+/**
+ * Send an event to the user's open event streams. Once the relay runs it goes
+ * through the broker, so streams held by other instances get it too;
+ * otherwise only this instance's streams do. Events are best effort and never
+ * stored.
+ */
+export const publishMailboxEvent = async (userId, event) => {
+  if (!producerPromise) {
+    emitLocally({ userId, event });
+    return;
+  }
+
+  try {
+    const producer = await producerPromise;
+    await producer.publish({ userId: String(userId), event }, '', { persistent: false });
+  } catch (error) {
+    logger.warn('Mailbox event relay failed, delivering locally', {
+      meta: { userId, type: event.type, error: error.message }
+    });
+    emitLocally({ userId, event });
+  }
+};
+
+/**
+ * Relay mailbox events between instances over a fanout exchange. Each
+ * instance reads a server-named queue of its own that goes away with its
+ * connection. Requires RABBITMQ_URL.
+ */
+export const startMailboxEventRelay = async () => {
+  producerPromise ??= createProducer(MAILBOX_EVENTS.EXCHANGE, ExchangeTypes.FANOUT, false).catch(
+    (error) => {
+      producerPromise = null;
+      throw error;
+    }
+  );
+  await producerPromise;
+
+  const connection = await getConnection();
+  const channel = await connection.createChannel();
+  const { queue } = await channel.assertQueue('', { exclusive: true, autoDelete: true });
+  await channel.bindQueue(queue, MAILBOX_EVENTS.EXCHANGE, '');
+
+  await channel.consume(
+    queue,
+    (msg) => {
+      if (!msg) {
+        return;
+      }
+      try {
+        emitLocally(JSON.parse(msg.content.toString()));
+      } catch (error) {
+        logger.warn('Dropped malformed mailbox event', { meta: { error: error.message } });
+      }
+    },
+    { noAck: true }
+  );
+
+  // The queue is gone with a lost connection, so start over once it is back
+  channel.on('close', () => {
+    logger.warn('Mailbox event relay channel closed, restarting');
+    producerPromise = null;
+    setTimeout(
+      () =>
+        startMailboxEventRelay().catch((error) =>
+          logger.error('Failed to restart mailbox event relay', { meta: { error: error.message } })
+        ),
+      RELAY_RESTART_DELAY_MS
+    );
+  });
+
+  logger.info('Mailbox event relay started', { meta: { queue } });
+};
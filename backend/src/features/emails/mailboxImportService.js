@@ -0,0 +1,95 @@
+import asyncHandler from 'express-async-handler';
+import { simpleParser } from 'mailparser';
+import { logger } from '../../utils/logger.js';
+import * as emailsRepository from './emailsRepository.js';
+import { updateSearchIndex } from './emailSearchService.js';
+import { chunk } from './emailsUtils.js';
+import {
+  getImportedLabelIds,
+  getImportedMessageId,
+  isMboxArchive,
+  splitMbox,
+  toStoredMessage
+} from './mailboxUtils.js';
+import { EMAIL_MESSAGES, IMPORT_CONFIG, MAILBOX_PROVIDERS } from './emailsConstants.js';
+
+// Parse and store one batch of raw messages, leaving out those imported before
+const importBatch = async (userId, accountId, raws) => {
+  const byId = new Map(raws.map((raw) => [getImportedMessageId(accountId, raw), raw]));
+  const existing = new Set(await emailsRepository.findImportedGmailIds(userId, [...byId.keys()]));
+  const newIds = [...byId.keys()].filter((id) => !existing.has(id));
+
+  const emails = [];
+  for (const gmailId of newIds) {
+    const raw = byId.get(gmailId);
+    const parsed = await simpleParser(raw);
+
+    emails.push(
+      toStoredMessage(parsed, {
+        gmailId,
+        accountId,
+        labelIds: getImportedLabelIds(parsed),
+        internalDate: parsed.date ?? null,
+        size: raw.length
+      })
+    );
+  }
+
+  await emailsRepository.insertImportedMessages(
+    userId,
+    newIds.map((gmailId) => ({ accountId, gmailId, raw: byId.get(gmailId) }))
+  );
+  await emailsRepository.upsertEmails(userId, emails);
+  await updateSearchIndex(userId, { upserted: emails });
+
+  return { emailIds: newIds, duplicates: raws.length - newIds.length };
+};
+
+/**
+ * Import an mbox archive or a single EML message into an imported mailbox,
+ * the one with `accountId` or a new one named `name`. Messages already in the
+ * mailbox are skipped, so an archive can be uploaded again after a failure.
+ * Returns null when `accountId` is not an imported mailbox of the user.
+ * Imported emails are stored like synced ones and can be classified the same
+ * way by their returned ids.
+ */
+export const importArchive = asyncHandler(async (userId, archive, { accountId, name } = {}) => {
+  const raws = isMboxArchive(archive) ? splitMbox(archive) : [archive];
+  if (raws.length === 0 || !raws[0].length) {
+    throw Object.assign(new Error(EMAIL_MESSAGES.IMPORT_ARCHIVE_EMPTY), { statusCode: 422 });
+  }
+
+  let account;
+  if (accountId) {
+    account = await emailsRepository.findMailboxAccount(userId, accountId);
+    if (account?.providerId !== MAILBOX_PROVIDERS.IMPORT) {
+      return null;
+    }
+  } else {
+    account = await emailsRepository.createMailboxAccount(userId, {
+      providerId: MAILBOX_PROVIDERS.IMPORT,
+      name: name || IMPORT_CONFIG.DEFAULT_NAME
+    });
+  }
+
+  // Each message is stored in one document, which caps its size
+  const accepted = raws.filter((raw) => raw.length <= IMPORT_CONFIG.MAX_MESSAGE_BYTES);
+  const emailIds = [];
+  let duplicates = 0;
+
+  for (const batch of chunk(accepted, IMPORT_CONFIG.BATCH_SIZE)) {
+    const result = await importBatch(userId, account.accountId, batch);
+    emailIds.push(...result.emailIds);
+    duplicates += result.duplicates;
+  }
+
+  const summary = {
+    accountId: account.accountId,
+    imported: emailIds.length,
+    duplicates,
+    skipped: raws.length - accepted.length
+  };
+  logger.info('Mail archive imported', { meta: { userId, ...summary } });
+
+  return { ...summary, name: account.name, emailIds };
+});
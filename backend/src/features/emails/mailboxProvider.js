@@ -0,0 +1,53 @@
+import { createGmailMailboxProvider } from './gmailMailboxProvider.js';
+import { createImapMailboxProvider } from './imapMailboxProvider.js';
+import { createImportMailboxProvider } from './importMailboxProvider.js';
+import { MAILBOX_PROVIDERS } from './emailsConstants.js';
+
+/**
+ * A mailbox provider gives sync, the reader and cleanups one way into any
+ * mailbox. Messages come back in the shape of the local store (see
+ * parseGmailMessage), with Gmail-style label ids; providers translate them to
+ * what their server understands.
+ *
+ * - accountId, providerId: the mailbox the provider works on
+ * - syncable: false when there is no server to sync from (imported archives)
+ * - getProfile() => { emailAddress, cursor } with the current sync cursor
+ * - listRecentIds(limit) => ids of the newest messages
+ * - getMessages(ids) => stored-shape messages, leaving out ones that no longer exist
+ * - getMessage(id) => message content (see serializeMessageContent), or null
+ * - getThread(threadId) => { id, messages } oldest first, or null
+ * - getAttachment(id, attachmentId) => the attachment bytes as a Buffer, or null
+ *   when it does not exist or the provider cannot download attachments
+ * - getChanges(cursor) => { addedIds, deletedIds, labelChanges, cursor }; throws
+ *   an error with code SYNC_CURSOR_EXPIRED when the cursor cannot be resumed
+ * - modifyLabels(ids, { add, remove }) changes labels in the mailbox itself
+ * - close() releases connections
+ */
+const PROVIDER_FACTORIES = {
+  [MAILBOX_PROVIDERS.GMAIL]: createGmailMailboxProvider,
+  [MAILBOX_PROVIDERS.IMAP]: createImapMailboxProvider,
+  [MAILBOX_PROVIDERS.IMPORT]: createImportMailboxProvider
+};
+
+/**
+ * Provider for a linked Google account or a mailbox account, told apart by
+ * their providerId
+ */
+export const createMailboxProvider = (mailbox) => {
+  const factory = PROVIDER_FACTORIES[mailbox.providerId];
+  if (!factory) {
+    throw new Error(`Unsupported mailbox provider: ${mailbox.providerId}`);
+  }
+  return factory(mailbox);
+};
+
+// Run `fn` with a provider for the mailbox, releasing its connections afterwards
+export const withMailboxProvider = async (mailbox, fn) => {
+  const provider = createMailboxProvider(mailbox);
+
+  try {
+    return await fn(provider);
+  } finally {
+    await provider.close();
+  }
+};
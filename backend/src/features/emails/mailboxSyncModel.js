@@ -0,0 +1,43 @@
+import mongoose from 'mongoose';
+import { SYNC_STATUS } from './emailsConstants.js';
+
+const mailboxSyncSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'user',
+      required: true
+    },
+    // Google account id (better-auth accountId) or mailbox account id of the synced mailbox
+    accountId: {
+      type: String,
+      required: true
+    },
+    emailAddress: String,
+    // Provider position last applied to the local store (a Gmail historyId, or
+    // the UIDVALIDITY and next UID of an IMAP folder)
+    cursor: String,
+    status: {
+      type: String,
+      enum: Object.values(SYNC_STATUS),
+      default: SYNC_STATUS.IDLE
+    },
+    lastSyncedAt: Date,
+    lastFullSyncAt: Date,
+    lastError: String,
+    // When the Gmail push watch on the mailbox runs out; unset while none is registered
+    watchExpiresAt: Date
+  },
+  {
+    timestamps: true
+  }
+);
+
+mailboxSyncSchema.index({ userId: 1, accountId: 1 }, { unique: true });
+// Push notifications name only the mailbox address
+mailboxSyncSchema.index({ emailAddress: 1 });
+mailboxSyncSchema.index({ watchExpiresAt: 1 }, { sparse: true });
+
+// Sync state is kept per linked account. The previous collection had a unique
+// index per user, so this uses a new one and every mailbox starts with a full sync.
+export const MailboxSync = mongoose.model('MailboxSync', mailboxSyncSchema, 'mailboxaccountsyncs');
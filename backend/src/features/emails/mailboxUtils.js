@@ -0,0 +1,215 @@
+import { createHash } from 'crypto';
+import { parseListId } from './emailsUtils.js';
+import { GMAIL_LABELS, SNIPPET_LENGTH, SYNC_CURSOR_EXPIRED } from './emailsConstants.js';
+
+const IMAP_SEEN = '\\Seen';
+const IMAP_FLAGGED = '\\Flagged';
+
+// Thrown by providers when a stored sync cursor can no longer be resumed
+export const createCursorExpiredError = (message = 'Sync cursor expired') =>
+  Object.assign(new Error(message), { code: SYNC_CURSOR_EXPIRED });
+
+export const isCursorExpiredError = (error) => error?.code === SYNC_CURSOR_EXPIRED;
+
+const toHex = (value, length) => Number(value).toString(16).padStart(length, '0');
+
+/**
+ * IMAP messages are addressed by the folder's UIDVALIDITY and their UID. Both
+ * are packed after the mailbox account id into one hex id, so the id fits the
+ * routes that take Gmail ids and maps back without a lookup.
+ */
+export const encodeImapMessageId = (accountId, uidValidity, uid) =>
+  `${accountId}${toHex(uidValidity, 8)}${toHex(uid, 8)}`;
+
+export const decodeImapMessageId = (id) => {
+  const match = /^([0-9a-f]{24})([0-9a-f]{8})([0-9a-f]{8})$/.exec(id || '');
+
+  return match
+    ? {
+        accountId: match[1],
+        uidValidity: parseInt(match[2], 16),
+        uid: parseInt(match[3], 16)
+      }
+    : null;
+};
+
+// Imported messages are identified by their content, so importing an archive twice adds nothing
+export const getImportedMessageId = (accountId, raw) =>
+  `${accountId}${createHash('sha256').update(raw).digest('hex').slice(0, 24)}`;
+
+// An IMAP sync cursor: everything below uidNext in a folder with this UIDVALIDITY was seen
+export const encodeImapCursor = ({ uidValidity, uidNext }) =>
+  `${Number(uidValidity)}:${Number(uidNext)}`;
+
+export const decodeImapCursor = (cursor) => {
+  const [uidValidity, uidNext] = String(cursor || '')
+    .split(':')
+    .map(Number);
+  return Number.isInteger(uidValidity) && Number.isInteger(uidNext)
+    ? { uidValidity, uidNext }
+    : null;
+};
+
+/**
+ * Gmail-style labels for an IMAP message: INBOX while it is in the inbox
+ * folder, UNREAD without \Seen, STARRED with \Flagged and the user's own
+ * keywords as they are. System flags and $-prefixed keywords are left out.
+ */
+export const getImapLabelIds = (flags, { inbox = false } = {}) => {
+  const flagSet = new Set(flags);
+  const labelIds = inbox ? [GMAIL_LABELS.INBOX] : [];
+
+  if (!flagSet.has(IMAP_SEEN)) {
+    labelIds.push(GMAIL_LABELS.UNREAD);
+  }
+  if (flagSet.has(IMAP_FLAGGED)) {
+    labelIds.push(GMAIL_LABELS.STARRED);
+  }
+  labelIds.push(...[...flagSet].filter((flag) => !/^[\\$]/.test(flag)));
+
+  return labelIds;
+};
+
+// Keywords are IMAP atoms, which cannot hold spaces, brackets or quotes
+const toImapKeyword = (label) => label.replace(/[^\w$./-]/g, '_');
+
+/**
+ * Translate a Gmail-style label change to IMAP: UNREAD and STARRED become
+ * \Seen and \Flagged, TRASH moves the message to the trash folder, removing
+ * INBOX moves it to the archive folder and other labels become keywords.
+ */
+export const getImapFlagChanges = ({ add = [], remove = [] }) => {
+  const changes = { addFlags: [], removeFlags: [], moveTo: null };
+
+  for (const label of add) {
+    if (label === GMAIL_LABELS.UNREAD) {
+      changes.removeFlags.push(IMAP_SEEN);
+    } else if (label === GMAIL_LABELS.STARRED) {
+      changes.addFlags.push(IMAP_FLAGGED);
+    } else if (label === GMAIL_LABELS.TRASH) {
+      changes.moveTo = 'trash';
+    } else if (label !== GMAIL_LABELS.INBOX) {
+      changes.addFlags.push(toImapKeyword(label));
+    }
+  }
+
+  for (const label of remove) {
+    if (label === GMAIL_LABELS.UNREAD) {
+      changes.addFlags.push(IMAP_SEEN);
+    } else if (label === GMAIL_LABELS.STARRED) {
+      changes.removeFlags.push(IMAP_FLAGGED);
+    } else if (label === GMAIL_LABELS.INBOX) {
+      changes.moveTo ??= 'archive';
+    } else if (label !== GMAIL_LABELS.TRASH) {
+      changes.removeFlags.push(toImapKeyword(label));
+    }
+  }
+
+  return changes;
+};
+
+// mbox archives start with a "From " separator line; anything else is taken as a single EML message
+export const isMboxArchive = (buffer) => buffer.subarray(0, 5).toString('latin1') === 'From ';
+
+/**
+ * Split an mbox archive into raw messages. Messages start at "From " separator
+ * lines; ">From " lines escaped by the writer (mboxrd) are restored. Bytes are
+ * kept as they are, since each message declares its own charsets.
+ */
+export const splitMbox = (buffer) =>
+  buffer
+    .toString('latin1')
+    .split(/^From [^\r\n]*\r?\n/m)
+    .slice(1)
+    .map((message) => message.replace(/^>(>*From )/gm, '$1').replace(/(\r?\n)+$/, '\n'))
+    .filter((message) => message.trim())
+    .map((message) => Buffer.from(message, 'latin1'));
+
+/**
+ * Labels for an imported message: INBOX, plus UNREAD unless the Status header
+ * that mbox writers add marks the message as read (R)
+ */
+export const getImportedLabelIds = (parsed) => {
+  const status = String(parsed.headers?.get('status') ?? '');
+  return status.includes('R') ? [GMAIL_LABELS.INBOX] : [GMAIL_LABELS.INBOX, GMAIL_LABELS.UNREAD];
+};
+
+// Raw value of a header, unfolded, from mailparser's header lines
+const getRawHeader = (parsed, name) => {
+  const line = parsed.headerLines?.find((h) => h.key === name.toLowerCase())?.line;
+  return line
+    ? line
+        .slice(line.indexOf(':') + 1)
+        .replace(/\r?\n[ \t]+/g, ' ')
+        .trim()
+    : undefined;
+};
+
+// mailparser gives one address object per header, or an array when the header repeats.
+// Names are left unquoted, the way Gmail returns address headers.
+const formatAddresses = (value) =>
+  [value]
+    .flat()
+    .filter(Boolean)
+    .flatMap((header) => header.value)
+    // Group syntax ("Team: a@x, b@x;") lists its members
+    .flatMap((entry) => entry.group ?? [entry])
+    .map(({ name, address }) => (name ? `${name} <${address}>` : address))
+    .join(', ');
+
+/**
+ * Thread id for a message from a mailbox without server-side threads: the
+ * first message named in References (or In-Reply-To) is the thread root.
+ * Scoped to the mailbox account, so threads never span mailboxes.
+ */
+export const getThreadId = (accountId, parsed, fallbackId) => {
+  const references = [parsed.references].flat().filter(Boolean);
+  const root = references[0] || parsed.inReplyTo || parsed.messageId || fallbackId;
+
+  return createHash('sha256').update(`${accountId}:${root}`).digest('hex').slice(0, 32);
+};
+
+/**
+ * Map a message parsed by mailparser to the shape persisted in the local
+ * store, the same shape Gmail messages are stored in
+ */
+export const toStoredMessage = (parsed, { gmailId, accountId, labelIds, internalDate, size }) => ({
+  gmailId,
+  threadId: getThreadId(accountId, parsed, gmailId),
+  accountId,
+  labelIds,
+  subject: parsed.subject || 'No Subject',
+  from: formatAddresses(parsed.from) || 'Unknown',
+  to: formatAddresses(parsed.to),
+  date: getRawHeader(parsed, 'Date') || '',
+  snippet: (parsed.text || '').replace(/\s+/g, ' ').trim().slice(0, SNIPPET_LENGTH),
+  internalDate: internalDate ?? parsed.date ?? null,
+  sizeEstimate: size,
+  listId: parseListId(getRawHeader(parsed, 'List-Id')),
+  listUnsubscribe: getRawHeader(parsed, 'List-Unsubscribe') || null,
+  listUnsubscribePost: getRawHeader(parsed, 'List-Unsubscribe-Post') || null
+});
+
+/**
+ * Message content for the reader from a parsed message and its stored email.
+ * Attachments carry no download id; only their metadata is shown. The parser
+ * lists text/calendar parts as attachments, so an invitation is read from there.
+ */
+export const toMessageContent = (parsed, email) => ({
+  email,
+  cc: formatAddresses(parsed.cc),
+  text: parsed.text ?? null,
+  html: parsed.html || null,
+  calendar:
+    (parsed.attachments || [])
+      .find((attachment) => attachment.contentType === 'text/calendar')
+      ?.content?.toString('utf8') ?? null,
+  attachments: (parsed.attachments || []).map((attachment) => ({
+    attachmentId: null,
+    partId: null,
+    filename: attachment.filename || 'attachment',
+    mimeType: attachment.contentType,
+    size: attachment.size || 0,
+    inline: attachment.contentDisposition === 'inline'
+  }))
+});
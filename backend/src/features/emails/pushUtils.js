@@ -0,0 +1,127 @@
+import { createHmac, timingSafeEqual } from 'crypto';
+import { PUSH_CONFIG } from './emailsConstants.js';
+
+// Seconds of clock difference allowed between the publisher and this service
+const CLOCK_SKEW_SECONDS = 60;
+
+const toBase64Url = (value) => Buffer.from(JSON.stringify(value)).toString('base64url');
+
+const parseBase64Url = (value) => {
+  try {
+    return JSON.parse(Buffer.from(value, 'base64url').toString('utf8'));
+  } catch {
+    return null;
+  }
+};
+
+const hmac = (input, secret) => createHmac('sha256', secret).update(input).digest();
+
+// Token of an `Authorization: Bearer <token>` header, or null
+export const getBearerToken = (authorization) => {
+  const match = /^Bearer\s+(\S+)$/i.exec(authorization || '');
+  return match ? match[1] : null;
+};
+
+/**
+ * Sign claims as an HS256 JWT. Pub/Sub push requests carry a Google-signed
+ * OIDC token in the same header; the local stand-in publisher signs with a
+ * shared secret instead.
+ */
+export const signPushToken = (claims, secret) => {
+  const input = `${toBase64Url({ alg: 'HS256', typ: 'JWT' })}.${toBase64Url(claims)}`;
+  return `${input}.${hmac(input, secret).toString('base64url')}`;
+};
+
+/**
+ * Claims of an HS256 token signed with `secret` for `audience`, or null when
+ * the signature, audience or lifetime does not check out. Tokens must carry
+ * iat and exp and may not be older than PUSH_CONFIG.MAX_TOKEN_AGE_SECONDS.
+ */
+export const verifyPushToken = (token, secret, { audience, now = Date.now() } = {}) => {
+  const parts = String(token || '').split('.');
+  if (parts.length !== 3 || !secret) {
+    return null;
+  }
+
+  const [encodedHeader, encodedClaims, signature] = parts;
+  const header = parseBase64Url(encodedHeader);
+  if (header?.alg !== 'HS256') {
+    return null;
+  }
+
+  const expected = hmac(`${encodedHeader}.${encodedClaims}`, secret);
+  const actual = Buffer.from(signature, 'base64url');
+  if (actual.length !== expected.length || !timingSafeEqual(actual, expected)) {
+    return null;
+  }
+
+  const claims = parseBase64Url(encodedClaims);
+  const seconds = Math.floor(now / 1000);
+  if (
+    !claims ||
+    (audience && claims.aud !== audience) ||
+    !(claims.exp > seconds - CLOCK_SKEW_SECONDS) ||
+    !(claims.iat <= seconds + CLOCK_SKEW_SECONDS) ||
+    seconds - claims.iat > PUSH_CONFIG.MAX_TOKEN_AGE_SECONDS
+  ) {
+    return null;
+  }
+
+  return claims;
+};
+
+/**
+ * Pub/Sub push envelope for a Gmail mailbox change, as the subscription
+ * delivers it: the change is base64 JSON in message.data
+ */
+export const createPushEnvelope = (
+  { emailAddress, historyId },
+  { messageId, subscription, publishTime = new Date() }
+) => ({
+  message: {
+    data: Buffer.from(JSON.stringify({ emailAddress, historyId: Number(historyId) })).toString(
+      'base64'
+    ),
+    messageId,
+    publishTime: publishTime.toISOString()
+  },
+  subscription
+});
+
+// The { emailAddress, historyId, messageId } a push envelope carries, or null
+export const decodePushEnvelope = (envelope) => {
+  const { message } = envelope || {};
+  if (!message?.data) {
+    return null;
+  }
+
+  let change;
+  try {
+    change = JSON.parse(Buffer.from(message.data, 'base64').toString('utf8'));
+  } catch {
+    return null;
+  }
+
+  const historyId = String(change?.historyId ?? '');
+  if (typeof change?.emailAddress !== 'string' || !/^\d+$/.test(historyId)) {
+    return null;
+  }
+
+  return {
+    emailAddress: change.emailAddress,
+    historyId,
+    messageId: message.messageId || message.message_id || null
+  };
+};
+
+// Whether a pushed historyId is past the stored cursor; historyIds outgrow Number
+export const isNewerHistoryId = (historyId, cursor) => {
+  if (!/^\d+$/.test(cursor || '')) {
+    return true;
+  }
+  return BigInt(historyId) > BigInt(cursor);
+};
+
+// One Server-Sent Events message with a JSON payload
+export const formatServerSentEvent = ({ event, data }) =>
+  `${event ? `event: ${event}\n` : ''}data: ${JSON.stringify(data ?? {})}\n\n`;
@@ -0,0 +1,147 @@
+import { extractInfoPhoneNumber } from '../../helpers/generalHelper.js';
+import { DEFAULT_REDACTION_POLICY, REDACTED_FIELDS, REDACTION_TYPES } from './emailsConstants.js';
+
+const PLACEHOLDERS = {
+  [REDACTION_TYPES.EMAIL]: '[EMAIL]',
+  [REDACTION_TYPES.PHONE]: '[PHONE]',
+  [REDACTION_TYPES.CARD]: '[CARD]',
+  [REDACTION_TYPES.IBAN]: '[IBAN]',
+  [REDACTION_TYPES.OTP]: '[OTP]',
+  [REDACTION_TYPES.ADDRESS]: '[ADDRESS]'
+};
+
+const EMAIL_PATTERN = /[A-Z0-9._%+-]+@([A-Z0-9-]+(?:\.[A-Z0-9-]+)*\.[A-Z]{2,})/gi;
+const IBAN_PATTERN = /\b[A-Z]{2}\d{2}(?: ?[A-Z0-9]){11,30}\b/g;
+const CARD_PATTERN = /\b\d(?:[ -]?\d){12,18}\b/g;
+const PHONE_PATTERN = /(?<![\w+])\+?\(?\d[\d\s().-]{6,}\d(?![\w])/g;
+const OTP_KEYWORD_PATTERN =
+  /\b(code|otp|passcode|pin|password|verification|one[- ]time)\b([^\d\n]{0,20})\b\d{4,8}\b/gi;
+const OTP_LEADING_PATTERN = /\b\d{4,8}\b(?=\s+is\s+your\b)/gi;
+const ADDRESS_PATTERN =
+  /\b\d{1,5}\s+(?:[A-Z][\w'.-]*\s+){1,4}(?:Street|St|Avenue|Ave|Road|Rd|Boulevard|Blvd|Lane|Ln|Drive|Dr|Court|Ct|Way|Place|Pl|Terrace|Square|Sq|Parkway|Pkwy)\b\.?/g;
+
+const passesLuhn = (digits) => {
+  let sum = 0;
+  for (let i = 0; i < digits.length; i++) {
+    let digit = Number(digits[digits.length - 1 - i]);
+    if (i % 2 === 1) {
+      digit *= 2;
+      if (digit > 9) {
+        digit -= 9;
+      }
+    }
+    sum += digit;
+  }
+  return sum % 10 === 0;
+};
+
+// ISO 13616 check: move the country code and checksum to the end, then mod 97
+const isValidIban = (value) => {
+  const iban = value.replace(/\s/g, '');
+  const numeric = (iban.slice(4) + iban.slice(0, 4)).replace(/[A-Z]/g, (c) =>
+    String(c.charCodeAt(0) - 55)
+  );
+
+  let remainder = 0;
+  for (const digit of numeric) {
+    remainder = (remainder * 10 + Number(digit)) % 97;
+  }
+  return remainder === 1;
+};
+
+// International numbers are checked with libphonenumber; without a country
+// code there is nothing to validate against, so 10-11 digits is taken as a phone
+const isPhoneNumber = (value) => {
+  const digits = value.replace(/\D/g, '');
+
+  if (value.startsWith('+')) {
+    try {
+      return Boolean(extractInfoPhoneNumber(value).internationalNumber);
+    } catch {
+      return false;
+    }
+  }
+  return digits.length >= 10 && digits.length <= 11;
+};
+
+/**
+ * Mask PII of the given types in a piece of text. With keepEmailDomain,
+ * addresses keep their domain ("[EMAIL]@github.com").
+ * Returns the masked text and the number of matches per type.
+ */
+export const redactText = (text, types, { keepEmailDomain = false } = {}) => {
+  const counts = {};
+  let result = text || '';
+
+  const replace = (type, pattern, replacer) => {
+    if (!types.includes(type)) {
+      return;
+    }
+    result = result.replace(pattern, (...args) => {
+      const replacement = replacer(...args);
+      if (replacement !== args[0]) {
+        counts[type] = (counts[type] || 0) + 1;
+      }
+      return replacement;
+    });
+  };
+
+  // Order matters: long digit runs are claimed by IBAN and card checks before phones and OTPs
+  replace(REDACTION_TYPES.EMAIL, EMAIL_PATTERN, (match, domain) =>
+    keepEmailDomain ? `${PLACEHOLDERS.email}@${domain}` : PLACEHOLDERS.email
+  );
+  replace(REDACTION_TYPES.IBAN, IBAN_PATTERN, (match) =>
+    isValidIban(match) ? PLACEHOLDERS.iban : match
+  );
+  replace(REDACTION_TYPES.CARD, CARD_PATTERN, (match) =>
+    passesLuhn(match.replace(/\D/g, '')) ? PLACEHOLDERS.card : match
+  );
+  replace(REDACTION_TYPES.PHONE, PHONE_PATTERN, (match) =>
+    isPhoneNumber(match) ? PLACEHOLDERS.phone : match
+  );
+  replace(
+    REDACTION_TYPES.OTP,
+    OTP_KEYWORD_PATTERN,
+    (match, keyword, gap) => `${keyword}${gap}${PLACEHOLDERS.otp}`
+  );
+  replace(REDACTION_TYPES.OTP, OTP_LEADING_PATTERN, () => PLACEHOLDERS.otp);
+  replace(REDACTION_TYPES.ADDRESS, ADDRESS_PATTERN, () => PLACEHOLDERS.address);
+
+  return { text: result, counts };
+};
+
+// Saved policies are merged over the default so older settings documents still work
+export const getRedactionPolicy = (settings) => ({
+  ...DEFAULT_REDACTION_POLICY,
+  ...settings?.redaction
+});
+
+/**
+ * Redact the prompt fields of an email under the user's policy. Returns the
+ * masked copy and a list of { field, type, count } describing what was masked.
+ */
+export const redactEmailForPrompt = (email, policy) => {
+  if (!policy.enabled) {
+    return { email, redactions: [] };
+  }
+
+  const redacted = { ...email };
+  const redactions = [];
+
+  for (const field of REDACTED_FIELDS) {
+    if (!email[field]) {
+      continue;
+    }
+
+    const { text, counts } = redactText(email[field], policy.types, {
+      keepEmailDomain: field === 'from' && policy.keepSenderDomain
+    });
+    redacted[field] = text;
+
+    for (const [type, count] of Object.entries(counts)) {
+      redactions.push({ field, type, count });
+    }
+  }
+
+  return { email: redacted, redactions };
+};
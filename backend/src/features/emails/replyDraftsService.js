@@ -0,0 +1,149 @@
+import asyncHandler from 'express-async-handler';
+import { randomBytes } from 'crypto';
+import { logger } from '../../utils/logger.js';
+import { createChat } from '../../helpers/gemini.js';
+import { callGmail, createGmailClient } from '../../helpers/gmail.js';
+import * as emailsRepository from './emailsRepository.js';
+import { getEmailDetail, getEmailThread } from './emailsService.js';
+import { isNotFoundError } from './emailsUtils.js';
+import { getRedactionPolicy, redactText } from './redactionUtils.js';
+import { buildSummaryInput } from './summaryUtils.js';
+import {
+  appendSignature,
+  buildReplyInstruction,
+  buildReplyMime,
+  buildReplyPrompt,
+  buildReplySubject,
+  cleanReplyText,
+  getReplyHeaders,
+  getReplySettings
+} from './replyDraftUtils.js';
+import { REPLY_DRAFT_CONFIG } from './emailsConstants.js';
+
+const REPLY_HEADERS = ['From', 'Reply-To', 'To', 'Subject', 'Message-ID', 'References'];
+
+// Headers of the message being answered, or null when it does not exist
+const getReplyTarget = async (gmail, gmailId) => {
+  try {
+    const { data } = await callGmail(gmail, 'messages.get', {
+      userId: 'me',
+      id: gmailId,
+      format: 'metadata',
+      metadataHeaders: REPLY_HEADERS
+    });
+    return data;
+  } catch (error) {
+    if (isNotFoundError(error)) {
+      return null;
+    }
+    throw error;
+  }
+};
+
+// The conversation up to and including the message being answered
+const getConversation = async (userId, mailbox, email) => {
+  if (!email.threadId) {
+    return [email];
+  }
+
+  const thread = await getEmailThread(userId, mailbox, email.threadId);
+  const index = thread?.messages.findIndex((m) => m.id === email.id) ?? -1;
+  return index >= 0 ? thread.messages.slice(0, index + 1) : [email];
+};
+
+/**
+ * The message being answered, the conversation up to it and the user's
+ * settings. Returns null when the message does not exist, so nothing is
+ * spent on the model for it.
+ */
+export const getReplyContext = asyncHandler(async (userId, mailbox, gmailId) => {
+  const email = await getEmailDetail(userId, mailbox, gmailId);
+
+  if (!email) {
+    return null;
+  }
+
+  const [settings, messages] = await Promise.all([
+    emailsRepository.getEmailSettings(userId),
+    getConversation(userId, mailbox, email)
+  ]);
+
+  return { email, settings, messages };
+});
+
+/**
+ * Draft a reply from a context of getReplyContext with the Gemini chat
+ * helper. The conversation is redacted under the user's policy and fenced off
+ * as untrusted data; the user's signature is appended to the generated text.
+ * The draft has an empty body when the model gave no usable text.
+ * `createSession` defaults to Gemini chats.
+ */
+export const draftReply = asyncHandler(
+  async (userId, { email, settings, messages }, options, { createSession = createChat } = {}) => {
+    const { signature, defaultTone } = getReplySettings(settings);
+    const tone = options.tone ?? defaultTone;
+
+    const policy = getRedactionPolicy(settings);
+    const { text } = buildSummaryInput(messages);
+    const content = policy.enabled ? redactText(text, policy.types).text : text;
+
+    const boundary = randomBytes(8).toString('hex');
+    const chat = createSession(buildReplyInstruction(tone, boundary, options.instruction), {
+      model: REPLY_DRAFT_CONFIG.MODEL,
+      apiKey: options.apiKey
+    });
+    const response = await chat.sendMessage({ message: buildReplyPrompt(content, boundary) });
+    const reply = cleanReplyText(response.text);
+
+    logger.info('Reply drafted', {
+      meta: { userId, gmailId: email.id, tone, messages: messages.length, empty: !reply }
+    });
+
+    return {
+      emailId: email.id,
+      threadId: email.threadId,
+      subject: buildReplySubject(email.subject),
+      tone,
+      body: reply && appendSignature(reply, signature)
+    };
+  }
+);
+
+/**
+ * Save a reply as a Gmail draft in the thread of the message it answers,
+ * with In-Reply-To and References set so clients thread it correctly.
+ * Returns null when the message does not exist.
+ */
+export const createReplyDraft = asyncHandler(
+  async (userId, googleAccount, gmailId, { body, subject }, ownAddress) => {
+    const gmail = createGmailClient(googleAccount);
+    const message = await getReplyTarget(gmail, gmailId);
+
+    if (!message) {
+      return null;
+    }
+
+    const headers = getReplyHeaders(message, ownAddress);
+    const { data } = await callGmail(gmail, 'drafts.create', {
+      userId: 'me',
+      requestBody: {
+        message: {
+          threadId: message.threadId,
+          raw: buildReplyMime({ ...headers, subject: subject || headers.subject, body })
+        }
+      }
+    });
+
+    logger.info('Gmail reply draft created', {
+      meta: { userId, gmailId, draftId: data.id, threadId: message.threadId }
+    });
+
+    return {
+      draftId: data.id,
+      messageId: data.message?.id ?? null,
+      threadId: data.message?.threadId ?? message.threadId,
+      to: headers.to,
+      subject: subject || headers.subject
+    };
+  }
+);
@@ -0,0 +1,49 @@
+import mongoose from 'mongoose';
+import { CLEANUP_ACTIONS, CLEANUP_JOB_STATUS } from './emailsConstants.js';
+
+// Bulk archive or trash of one subscription's emails, run once its undo window has passed
+const subscriptionCleanupJobSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'user',
+      required: true,
+      index: true
+    },
+    subscriptionKey: {
+      type: String,
+      required: true
+    },
+    action: {
+      type: String,
+      enum: Object.values(CLEANUP_ACTIONS),
+      required: true
+    },
+    status: {
+      type: String,
+      enum: Object.values(CLEANUP_JOB_STATUS),
+      default: CLEANUP_JOB_STATUS.PENDING
+    },
+    gmailIds: [String],
+    total: { type: Number, required: true },
+    // End of the undo window; the job runs after it
+    runAt: {
+      type: Date,
+      required: true
+    },
+    processed: { type: Number, default: 0 },
+    error: String,
+    startedAt: Date,
+    completedAt: Date
+  },
+  {
+    timestamps: true
+  }
+);
+
+subscriptionCleanupJobSchema.index({ status: 1, runAt: 1 });
+
+export const SubscriptionCleanupJob = mongoose.model(
+  'SubscriptionCleanupJob',
+  subscriptionCleanupJobSchema
+);
@@ -0,0 +1,207 @@
+import { isIP } from 'net';
+import { getSenderAddress } from './emailsUtils.js';
+import { GMAIL_LABELS, UNSUBSCRIBE_METHODS } from './emailsConstants.js';
+
+// Mail from one list is grouped by its List-Id, other bulk mail by sender address
+export const getSubscriptionKey = (email) =>
+  email.listId ? `list:${email.listId}` : `sender:${getSenderAddress(email.from)}`;
+
+// Subscription ids in URLs are the base64url encoded key
+export const encodeSubscriptionId = (key) => Buffer.from(key).toString('base64url');
+
+export const decodeSubscriptionId = (id) => Buffer.from(id, 'base64url').toString();
+
+// Display name of a From header, falling back to the address
+export const getSenderName = (from = '') =>
+  from
+    .replace(/<[^>]*>/, '')
+    .trim()
+    .replace(/^"(.*)"$/, '$1')
+    .trim() || getSenderAddress(from);
+
+const parseMailto = (value) => {
+  try {
+    const url = new URL(value);
+    const to = decodeURIComponent(url.pathname).trim();
+
+    return to
+      ? {
+          to,
+          subject: url.searchParams.get('subject') || null,
+          body: url.searchParams.get('body') || null
+        }
+      : null;
+  } catch {
+    return null;
+  }
+};
+
+/**
+ * Unsubscribe targets of a List-Unsubscribe header (RFC 2369), e.g.
+ * "<mailto:leave@example.com?subject=unsubscribe>, <https://example.com/u/1>".
+ * `oneClickUrl` is only set when List-Unsubscribe-Post asks for RFC 8058
+ * one-click and the URL is https, as that RFC requires.
+ */
+export const parseListUnsubscribe = (header, postHeader) => {
+  const result = { oneClickUrl: null, url: null, mailto: null };
+  const targets = [...(header || '').matchAll(/<([^>]+)>/g)].map((m) => m[1].trim());
+
+  for (const target of targets) {
+    if (/^mailto:/i.test(target)) {
+      result.mailto ??= parseMailto(target);
+    } else if (/^https?:\/\//i.test(target)) {
+      result.url ??= target;
+    }
+  }
+
+  if (
+    result.url?.toLowerCase().startsWith('https://') &&
+    /List-Unsubscribe=One-Click/i.test(postHeader || '')
+  ) {
+    result.oneClickUrl = result.url;
+  }
+
+  return result;
+};
+
+export const getUnsubscribeMethod = ({ oneClickUrl, url, mailto }) => {
+  if (oneClickUrl) {
+    return UNSUBSCRIBE_METHODS.ONE_CLICK;
+  }
+  if (mailto) {
+    return UNSUBSCRIBE_METHODS.MAILTO;
+  }
+  return url ? UNSUBSCRIBE_METHODS.LINK : null;
+};
+
+/**
+ * Group mailing list emails (newest first) into subscriptions with their
+ * volume, unread count and the dates of the newest and the newest read
+ * message. Gmail does not report when a message was opened, so the newest
+ * read message stands in for the last-opened date. Unsubscribe targets come
+ * from the newest message that has them.
+ */
+export const groupSubscriptions = (emails) => {
+  const groups = new Map();
+
+  for (const email of emails) {
+    const key = getSubscriptionKey(email);
+    let group = groups.get(key);
+
+    if (!group) {
+      group = {
+        id: encodeSubscriptionId(key),
+        key,
+        name: getSenderName(email.from),
+        senderAddress: getSenderAddress(email.from),
+        listId: email.listId || null,
+        // Linked account of the newest email, which receives unsubscribe drafts
+        accountId: email.accountId ?? null,
+        count: 0,
+        unreadCount: 0,
+        inboxCount: 0,
+        lastReceivedAt: email.internalDate ?? null,
+        lastOpenedAt: null,
+        unsubscribe: null,
+        emails: []
+      };
+      groups.set(key, group);
+    }
+
+    const labelIds = email.labelIds || [];
+    const read = !labelIds.includes(GMAIL_LABELS.UNREAD);
+
+    group.count += 1;
+    group.unreadCount += read ? 0 : 1;
+    group.inboxCount += labelIds.includes(GMAIL_LABELS.INBOX) ? 1 : 0;
+    group.lastOpenedAt ??= read ? (email.internalDate ?? null) : null;
+    if (!group.unsubscribe && email.listUnsubscribe) {
+      group.unsubscribe = parseListUnsubscribe(email.listUnsubscribe, email.listUnsubscribePost);
+    }
+    group.emails.push({ gmailId: email.gmailId, labelIds });
+  }
+
+  return [...groups.values()].sort((a, b) => b.count - a.count);
+};
+
+/**
+ * Map a subscription group (and its unsubscribe record, if any) to the API
+ * response shape
+ */
+export const serializeSubscription = (group, unsubscribe) => ({
+  id: group.id,
+  name: group.name,
+  senderAddress: group.senderAddress,
+  listId: group.listId,
+  count: group.count,
+  unreadCount: group.unreadCount,
+  inboxCount: group.inboxCount,
+  lastReceivedAt: group.lastReceivedAt,
+  lastOpenedAt: group.lastOpenedAt,
+  unsubscribeMethod: getUnsubscribeMethod(group.unsubscribe || {}),
+  unsubscribedAt: unsubscribe?.unsubscribedAt ?? null,
+  unsubscribedWith: unsubscribe?.method ?? null
+});
+
+export const serializeCleanupJob = (job) => ({
+  id: job._id,
+  action: job.action,
+  status: job.status,
+  total: job.total,
+  processed: job.processed,
+  // The job can be cancelled until then
+  undoUntil: job.runAt,
+  error: job.error ?? null,
+  completedAt: job.completedAt ?? null
+});
+
+const IPV4_BLOCKED_RANGES = [
+  ['0.0.0.0', 8],
+  ['10.0.0.0', 8],
+  ['100.64.0.0', 10],
+  ['127.0.0.0', 8],
+  ['169.254.0.0', 16],
+  ['172.16.0.0', 12],
+  ['192.0.0.0', 24],
+  ['192.168.0.0', 16],
+  ['198.18.0.0', 15],
+  ['224.0.0.0', 4],
+  ['240.0.0.0', 4]
+];
+
+const ipv4ToNumber = (ip) => ip.split('.').reduce((n, octet) => n * 256 + Number(octet), 0);
+
+/**
+ * Whether an address is publicly routable. One-click URLs come from other
+ * people's mail, so requests to loopback, private, link-local and similar
+ * ranges are refused.
+ */
+export const isPublicIpAddress = (ip) => {
+  const version = isIP(ip);
+
+  if (version === 4) {
+    const value = ipv4ToNumber(ip);
+    return !IPV4_BLOCKED_RANGES.some(([base, bits]) => {
+      const size = 2 ** (32 - bits);
+      return Math.floor(value / size) === Math.floor(ipv4ToNumber(base) / size);
+    });
+  }
+
+  if (version === 6) {
+    const address = ip.toLowerCase();
+    const mapped = address.match(/^::ffff:(\d+\.\d+\.\d+\.\d+)$/)?.[1];
+    if (mapped) {
+      return isPublicIpAddress(mapped);
+    }
+    // Loopback, unspecified, unique local (fc00::/7), link-local (fe80::/10) and multicast
+    return !(
+      address === '::1' ||
+      address === '::' ||
+      /^f[cd]/.test(address) ||
+      /^fe[89ab]/.test(address) ||
+      address.startsWith('ff')
+    );
+  }
+
+  return false;
+};
@@ -0,0 +1,281 @@
+import asyncHandler from 'express-async-handler';
+import cron from 'node-cron';
+import { lookup } from 'dns/promises';
+import { Agent, fetch } from 'undici';
+import { logger } from '../../utils/logger.js';
+import { callGmail, createGmailClient, findGoogleAccounts } from '../../helpers/gmail.js';
+import * as emailsRepository from './emailsRepository.js';
+import { groupEmailIdsByAccount, listMailboxes } from './emailAccountsService.js';
+import { withMailboxProvider } from './mailboxProvider.js';
+import { buildReplyMime } from './replyDraftUtils.js';
+import {
+  decodeSubscriptionId,
+  getUnsubscribeMethod,
+  groupSubscriptions,
+  isPublicIpAddress,
+  serializeSubscription
+} from './subscriptionUtils.js';
+import {
+  CLEANUP_ACTIONS,
+  CLEANUP_JOB_STATUS,
+  EMAIL_MESSAGES,
+  GMAIL_LABELS,
+  SUBSCRIPTION_CONFIG,
+  UNSUBSCRIBE_METHODS
+} from './emailsConstants.js';
+
+// Label changes per cleanup action, in the mailbox and the local store alike
+const CLEANUP_LABELS = {
+  [CLEANUP_ACTIONS.ARCHIVE]: { add: [], remove: [GMAIL_LABELS.INBOX] },
+  [CLEANUP_ACTIONS.TRASH]: { add: [GMAIL_LABELS.TRASH], remove: [GMAIL_LABELS.INBOX] }
+};
+
+/**
+ * Newsletters and bulk senders in the local store, grouped by List-Id or
+ * sender, most emails first
+ */
+export const listSubscriptions = asyncHandler(async (userId) => {
+  const [emails, unsubscribes] = await Promise.all([
+    emailsRepository.findSubscriptionEmails(userId),
+    emailsRepository.findUnsubscribes(userId)
+  ]);
+  const unsubscribesByKey = new Map(unsubscribes.map((u) => [u.key, u]));
+
+  return groupSubscriptions(emails).map((group) =>
+    serializeSubscription(group, unsubscribesByKey.get(group.key))
+  );
+});
+
+// One subscription group with its emails, or null when it does not exist
+export const getSubscription = asyncHandler(async (userId, subscriptionId) => {
+  const key = decodeSubscriptionId(subscriptionId);
+  const emails = await emailsRepository.findSubscriptionEmails(userId);
+  return groupSubscriptions(emails).find((group) => group.key === key) ?? null;
+});
+
+/**
+ * Dispatcher that connects to an already checked address whatever the host
+ * name resolves to by then, so a rebinding DNS answer cannot point the
+ * request elsewhere. TLS still verifies the certificate against the name.
+ */
+const createPinnedAgent = ({ address, family }) =>
+  new Agent({
+    connect: {
+      lookup: (hostname, options, callback) =>
+        options?.all ? callback(null, [{ address, family }]) : callback(null, address, family)
+    }
+  });
+
+/**
+ * RFC 8058 one-click unsubscribe: an anonymous POST with a fixed form body.
+ * The host must resolve to public addresses only, the request goes to the
+ * checked address, and redirects are not followed. Returns whether the sender
+ * accepted the request.
+ */
+const sendOneClickUnsubscribe = async (url, request) => {
+  const { hostname } = new URL(url);
+  const addresses = await lookup(hostname.replace(/^\[|\]$/g, ''), { all: true });
+
+  if (addresses.length === 0 || !addresses.every((a) => isPublicIpAddress(a.address))) {
+    logger.warn('One-click unsubscribe refused for a non-public host', { meta: { hostname } });
+    return false;
+  }
+
+  const dispatcher = createPinnedAgent(addresses[0]);
+  try {
+    const response = await request(url, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+      body: 'List-Unsubscribe=One-Click',
+      redirect: 'manual',
+      signal: AbortSignal.timeout(SUBSCRIPTION_CONFIG.UNSUBSCRIBE_TIMEOUT_MS),
+      dispatcher
+    });
+    // The body is not needed, and an unread one would keep the connection open
+    await response.body?.cancel();
+
+    return response.status < 400;
+  } finally {
+    await dispatcher.close();
+  }
+};
+
+/**
+ * Unsubscribe from a subscription in the best way its sender offers: a
+ * one-click POST sent from here, a Gmail draft to the mailto address for the
+ * user to send, or the web page for the user to open. `request` defaults to
+ * undici's fetch, which takes the pinned dispatcher.
+ */
+export const unsubscribe = asyncHandler(
+  async (userId, googleAccount, subscription, { request = fetch } = {}) => {
+    const targets = subscription.unsubscribe || {};
+    const method = getUnsubscribeMethod(targets);
+    const now = new Date();
+
+    if (method === UNSUBSCRIBE_METHODS.ONE_CLICK) {
+      let accepted = false;
+      try {
+        accepted = await sendOneClickUnsubscribe(targets.oneClickUrl, request);
+      } catch (error) {
+        logger.warn('One-click unsubscribe request failed', {
+          meta: { userId, error: error.message }
+        });
+      }
+
+      if (accepted) {
+        await emailsRepository.saveUnsubscribe(userId, subscription.key, {
+          method,
+          unsubscribedAt: now
+        });
+      }
+      logger.info('One-click unsubscribe sent', { meta: { userId, accepted } });
+
+      return { method, unsubscribed: accepted };
+    }
+
+    if (method === UNSUBSCRIBE_METHODS.MAILTO) {
+      const gmail = createGmailClient(googleAccount);
+      const { to, subject, body } = targets.mailto;
+      const { data } = await callGmail(gmail, 'drafts.create', {
+        userId: 'me',
+        requestBody: {
+          message: {
+            raw: buildReplyMime({
+              to,
+              subject: subject || SUBSCRIPTION_CONFIG.MAILTO_DEFAULT_TEXT,
+              body: body || SUBSCRIPTION_CONFIG.MAILTO_DEFAULT_TEXT
+            })
+          }
+        }
+      });
+
+      await emailsRepository.saveUnsubscribe(userId, subscription.key, {
+        method,
+        unsubscribedAt: now,
+        draftId: data.id
+      });
+      logger.info('Unsubscribe draft created', { meta: { userId, draftId: data.id } });
+
+      return { method, unsubscribed: false, draftId: data.id, to };
+    }
+
+    // Unsubscribe pages usually need a confirmation click, so the user opens them
+    return { method, unsubscribed: false, url: targets.url ?? null };
+  }
+);
+
+/**
+ * Queue archiving or trashing every email of a subscription that is still in
+ * the inbox (or not yet in the trash). Nothing changes in Gmail until the
+ * undo window has passed. Returns null when there is nothing to do.
+ */
+export const createCleanupJob = asyncHandler(async (userId, subscription, action) => {
+  const gmailIds = subscription.emails
+    .filter(({ labelIds }) =>
+      action === CLEANUP_ACTIONS.ARCHIVE
+        ? labelIds.includes(GMAIL_LABELS.INBOX)
+        : !labelIds.includes(GMAIL_LABELS.TRASH)
+    )
+    .map((e) => e.gmailId);
+
+  if (gmailIds.length === 0) {
+    return null;
+  }
+
+  const job = await emailsRepository.createCleanupJob({
+    userId,
+    subscriptionKey: subscription.key,
+    action,
+    gmailIds,
+    total: gmailIds.length,
+    runAt: new Date(Date.now() + SUBSCRIPTION_CONFIG.UNDO_WINDOW_SECONDS * 1000)
+  });
+
+  logger.info('Subscription cleanup queued', {
+    meta: { userId, jobId: job._id, action, emails: gmailIds.length }
+  });
+
+  return job.toObject();
+});
+
+// Apply a claimed job in each message's own mailbox and in the local store
+const runCleanupJob = async (job) => {
+  const userId = String(job.userId);
+  const labels = CLEANUP_LABELS[job.action];
+
+  try {
+    const mailboxes = await listMailboxes(userId, await findGoogleAccounts(userId));
+    if (mailboxes.length === 0) {
+      throw new Error(EMAIL_MESSAGES.MAILBOX_NOT_CONNECTED);
+    }
+
+    const groups = await groupEmailIdsByAccount(userId, mailboxes, job.gmailIds);
+    for (const { account, gmailIds } of groups) {
+      await withMailboxProvider(account, (provider) => provider.modifyLabels(gmailIds, labels));
+    }
+    await emailsRepository.modifyEmailLabels(userId, job.gmailIds, labels);
+
+    await emailsRepository.finishCleanupJob(job._id, {
+      status: CLEANUP_JOB_STATUS.COMPLETED,
+      processed: job.gmailIds.length
+    });
+    logger.info('Subscription cleanup completed', {
+      meta: { userId, jobId: job._id, action: job.action, emails: job.gmailIds.length }
+    });
+  } catch (error) {
+    await emailsRepository.finishCleanupJob(job._id, {
+      status: CLEANUP_JOB_STATUS.FAILED,
+      error: error.message
+    });
+    logger.error('Subscription cleanup failed', {
+      meta: { userId, jobId: job._id, error: error.message }
+    });
+  }
+};
+
+// Run every cleanup job whose undo window has passed
+export const runDueCleanupJobs = asyncHandler(async (now) => {
+  const due = await emailsRepository.findDueCleanupJobs(
+    now,
+    SUBSCRIPTION_CONFIG.CLEANUP_BATCH_SIZE
+  );
+  let ran = 0;
+
+  for (const { _id } of due) {
+    const job = await emailsRepository.claimCleanupJob(_id, now);
+    if (job) {
+      await runCleanupJob(job);
+      ran += 1;
+    }
+  }
+
+  return { due: due.length, ran };
+});
+
+/**
+ * Check for cleanup jobs past their undo window. A check still running when
+ * the next one starts is left to finish.
+ */
+export const startCleanupScheduler = () => {
+  let running = false;
+
+  const task = cron.schedule(SUBSCRIPTION_CONFIG.CLEANUP_SCHEDULE, async () => {
+    if (running) {
+      return;
+    }
+    running = true;
+
+    try {
+      await runDueCleanupJobs(new Date());
+    } catch (error) {
+      logger.error('Subscription cleanup run failed', { meta: { error: error.message } });
+    } finally {
+      running = false;
+    }
+  });
+
+  logger.info('Subscription cleanup scheduler started', {
+    meta: { schedule: SUBSCRIPTION_CONFIG.CLEANUP_SCHEDULE }
+  });
+  return task;
+};
@@ -1,9 +1,9 @@
 import asyncHandler from 'express-async-handler';
-import { fgaClient } from '../../connections/connectOpenFGA.js';
+import { getFgaClient } from '../../connections/connectOpenFGA.js';
 
 // Generic method to write relationship tuples
 export const writeRelationship = asyncHandler(async (tuple) => {
-  await fgaClient.write(
+  await getFgaClient().write(
     {
       writes: [tuple]
     },
@@ -16,7 +16,7 @@ export const writeRelationship = asyncHandler(async (tuple) => {
 
 // Generic method to delete relationship tuples
 export const deleteRelationship = asyncHandler(async (tuple) => {
-  await fgaClient.write(
+  await getFgaClient().write(
     { deletes: [tuple] },
     {
       authorizationModelId: '01K2M2XK88QZ9H6797FM5QYVVZ'
@@ -27,7 +27,7 @@ export const deleteRelationship = asyncHandler(async (tuple) => {
 
 // Generic method to check authorization
 export const check = asyncHandler(async (tuple) => {
-  const response = await fgaClient.check(tuple, {
+  const response = await getFgaClient().check(tuple, {
     authorizationModelId: '01K2M2XK88QZ9H6797FM5QYVVZ'
   });
   return response.allowed;
@@ -35,12 +35,15 @@ export const check = asyncHandler(async (tuple) => {
 
 // Batch operations for better performance
 export const batchWriteRelationships = asyncHandler(async (tuples) => {
-  await fgaClient.write({ writes: tuples }, { authorizationModelId: '01K2M2XK88QZ9H6797FM5QYVVZ' });
+  await getFgaClient().write(
+    { writes: tuples },
+    { authorizationModelId: '01K2M2XK88QZ9H6797FM5QYVVZ' }
+  );
   return true;
 });
 
 export const batchDeleteRelationships = asyncHandler(async (tuples) => {
-  await fgaClient.write(
+  await getFgaClient().write(
     { deletes: tuples },
     { authorizationModelId: '01K2M2XK88QZ9H6797FM5QYVVZ' }
   );
@@ -49,7 +52,7 @@ export const batchDeleteRelationships = asyncHandler(async (tuples) => {
 
 // List objects a user has access to
 export const listObjects = asyncHandler(async (user, relation, objectType) => {
-  const response = await fgaClient.listObjects(
+  const response = await getFgaClient().listObjects(
     {
       user: `user:${user}`,
       relation,
@@ -64,7 +67,7 @@ export const listObjects = asyncHandler(async (user, relation, objectType) => {
 
 // List users who have access to an object
 export const listUsers = asyncHandler(async (relation, object, objectType) => {
-  const response = await fgaClient.listUsers(
+  const response = await getFgaClient().listUsers(
     {
       object: {
         type: objectType,
@@ -93,7 +96,7 @@ export const readRelationships = asyncHandler(
     if (object && objectType) {
       filter.object = `${objectType}:${object}`;
     }
-    const response = await fgaClient.read(filter);
+    const response = await getFgaClient().read(filter);
     return response.tuples || [];
   }
 );
@@ -66,7 +66,19 @@ export const INDEX_NAMES = {
   DOCUMENTS: 'documents',
   VECTORS: 'vectors',
   USERS: 'users',
-  LOGS: 'logs'
+  LOGS: 'logs',
+  EMAILS: 'emails'
+};
+
+// Synced emails are embedded at ingest by a model deployed in Elasticsearch;
+// semantic queries are embedded by the same model, so the dimensions must match it
+export const EMAIL_INDEX_CONFIG = {
+  PIPELINE: 'emails-embedding',
+  EMBEDDING_MODEL:
+    process.env.EMAIL_SEARCH_EMBEDDING_MODEL || 'sentence-transformers__all-minilm-l6-v2',
+  EMBEDDING_DIMENSIONS: parseInt(process.env.EMAIL_SEARCH_EMBEDDING_DIMENSIONS, 10) || 384,
+  // Where the inference processor writes the vector
+  EMBEDDING_FIELD: 'embedding.predicted_value'
 };
 
 // Field names
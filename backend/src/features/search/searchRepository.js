@@ -9,7 +9,7 @@ export const executeSearch = asyncHandler(async (query, indexName) => {
     index: indexName,
     body: query
   });
-  //   return response;
+  return response;
 });
 
 export const executeKNNSearch = asyncHandler(async (knnQuery, indexName) => {
@@ -92,6 +92,33 @@ export const bulkIndex = asyncHandler(async (documents, indexName, req, next) =>
   return response;
 });
 
+// Partial updates of many documents; updates skip ingest pipelines and
+// documents that were never indexed are left out
+export const bulkUpdate = asyncHandler(async (updates, indexName) => {
+  const body = updates.flatMap(({ id, doc }) => [
+    { update: { _index: indexName, _id: id } },
+    { doc }
+  ]);
+
+  const response = await client.bulk({ body });
+
+  const errorItems = response.items.filter(
+    (item) => item.update?.error && item.update.status !== 404
+  );
+  if (errorItems.length > 0) {
+    logger.error('Bulk update completed with errors', {
+      meta: {
+        indexName,
+        errorCount: errorItems.length,
+        totalItems: response.items.length,
+        errors: errorItems.map((item) => item.update.error)
+      }
+    });
+  }
+
+  return response;
+});
+
 export const updateDocument = asyncHandler(async (id, document, indexName) => {
   const response = await client.update({
     index: indexName,
@@ -111,7 +138,20 @@ export const deleteDocument = asyncHandler(async (id, indexName) => {
   return response;
 });
 
+export const deleteByQuery = asyncHandler(async (query, indexName) => {
+  const response = await client.deleteByQuery({
+    index: indexName,
+    body: { query },
+    conflicts: 'proceed'
+  });
+  return response;
+});
+
 // Index management functions
+export const indexExists = asyncHandler(
+  async (indexName) => await client.indices.exists({ index: indexName })
+);
+
 export const createIndex = asyncHandler(async (indexName, mapping, settings) => {
   const response = await client.indices.create({
     index: indexName,
@@ -0,0 +1,32 @@
+import mongoose from 'mongoose';
+import { DEPLOYMENT_KEY_CONFIG } from './secretsConstants.js';
+
+const deploymentKeyUsageSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'user',
+      required: true
+    },
+    // UTC day, YYYY-MM-DD
+    day: {
+      type: String,
+      required: true
+    },
+    units: {
+      type: Number,
+      default: 0
+    }
+  },
+  {
+    timestamps: true
+  }
+);
+
+deploymentKeyUsageSchema.index({ userId: 1, day: 1 }, { unique: true });
+deploymentKeyUsageSchema.index(
+  { createdAt: 1 },
+  { expireAfterSeconds: DEPLOYMENT_KEY_CONFIG.USAGE_RETENTION_DAYS * 24 * 60 * 60 }
+);
+
+export const DeploymentKeyUsage = mongoose.model('DeploymentKeyUsage', deploymentKeyUsageSchema);
@@ -0,0 +1,34 @@
+import mongoose from 'mongoose';
+import { ORGANIZATION_KEY_CONFIG } from './secretsConstants.js';
+
+const organizationKeyUsageSchema = new mongoose.Schema(
+  {
+    organizationId: {
+      type: String,
+      required: true
+    },
+    // UTC day, YYYY-MM-DD
+    day: {
+      type: String,
+      required: true
+    },
+    units: {
+      type: Number,
+      default: 0
+    }
+  },
+  {
+    timestamps: true
+  }
+);
+
+organizationKeyUsageSchema.index({ organizationId: 1, day: 1 }, { unique: true });
+organizationKeyUsageSchema.index(
+  { createdAt: 1 },
+  { expireAfterSeconds: ORGANIZATION_KEY_CONFIG.USAGE_RETENTION_DAYS * 24 * 60 * 60 }
+);
+
+export const OrganizationKeyUsage = mongoose.model(
+  'OrganizationKeyUsage',
+  organizationKeyUsageSchema
+);
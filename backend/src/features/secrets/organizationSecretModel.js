@@ -0,0 +1,47 @@
+import mongoose from 'mongoose';
+import { ORGANIZATION_KEY_CONFIG, SECRET_NAMES } from './secretsConstants.js';
+
+// Envelope-encrypted secret shared by an organization; see helpers/encryption.js for the field layout
+const organizationSecretSchema = new mongoose.Schema(
+  {
+    // OpenFGA organization id
+    organizationId: {
+      type: String,
+      required: true
+    },
+    name: {
+      type: String,
+      enum: Object.values(SECRET_NAMES),
+      required: true
+    },
+    ciphertext: { type: String, required: true },
+    iv: { type: String, required: true },
+    authTag: { type: String, required: true },
+    encryptedDataKey: { type: String, required: true },
+    dataKeyIv: { type: String, required: true },
+    dataKeyAuthTag: { type: String, required: true },
+    masterKeyId: { type: String, required: true },
+    // Last characters of the secret so admins can tell keys apart
+    hint: String,
+    // Units the whole organization may use per UTC day
+    dailyLimit: {
+      type: Number,
+      min: 1,
+      max: ORGANIZATION_KEY_CONFIG.MAX_DAILY_LIMIT,
+      default: ORGANIZATION_KEY_CONFIG.DEFAULT_DAILY_LIMIT
+    },
+    updatedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'user'
+    },
+    rotatedAt: Date,
+    lastUsedAt: Date
+  },
+  {
+    timestamps: true
+  }
+);
+
+organizationSecretSchema.index({ organizationId: 1, name: 1 }, { unique: true });
+
+export const OrganizationSecret = mongoose.model('OrganizationSecret', organizationSecretSchema);
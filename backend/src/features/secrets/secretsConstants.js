@@ -0,0 +1,56 @@
+export const SECRET_MESSAGES = {
+  GEMINI_KEY_STATUS_RETRIEVED: 'Gemini API key status retrieved successfully',
+  GEMINI_KEY_SAVED: 'Gemini API key saved successfully',
+  GEMINI_KEY_ROTATED: 'Gemini API key rotated successfully',
+  GEMINI_KEY_TESTED: 'Gemini API key tested successfully',
+  GEMINI_KEY_DELETED: 'Gemini API key deleted successfully',
+  ORGANIZATION_GEMINI_KEY_STATUS_RETRIEVED:
+    'Organization Gemini API key status retrieved successfully',
+  ORGANIZATION_GEMINI_KEY_SAVED: 'Organization Gemini API key saved successfully',
+  ORGANIZATION_GEMINI_KEY_ROTATED: 'Organization Gemini API key rotated successfully',
+  ORGANIZATION_GEMINI_KEY_TESTED: 'Organization Gemini API key tested successfully',
+  ORGANIZATION_GEMINI_KEY_DELETED: 'Organization Gemini API key deleted successfully',
+
+  // Error messages
+  GEMINI_KEY_NOT_FOUND: 'No Gemini API key is stored',
+  GEMINI_KEY_INVALID: 'Gemini rejected the API key',
+  ORGANIZATION_GEMINI_KEY_NOT_FOUND: 'No Gemini API key is stored for this organization',
+  ORGANIZATION_ACCESS_DENIED: 'You are not a member of this organization',
+  ORGANIZATION_ADMIN_REQUIRED: 'Only organization owners and admins can manage its Gemini API key'
+};
+
+export const SECRET_NAMES = {
+  GEMINI_API_KEY: 'gemini_api_key'
+};
+
+export const GEMINI_KEY_SOURCE = {
+  USER: 'user',
+  ORGANIZATION: 'organization',
+  DEPLOYMENT: 'deployment'
+};
+
+/**
+ * An organization's owners and admins can store a Gemini API key that its
+ * members use when they have no key of their own. Usage is counted in emails
+ * sent to the model per organization per UTC day, up to the daily limit set
+ * with the key. Organizations and roles come from OpenFGA.
+ */
+export const ORGANIZATION_KEY_CONFIG = {
+  DEFAULT_DAILY_LIMIT: Number(process.env.GEMINI_ORGANIZATION_KEY_DAILY_LIMIT) || 1000,
+  MAX_DAILY_LIMIT: 1000000,
+  // Relations whose users may use the key, and those who may manage it
+  MEMBER_RELATIONS: ['owner', 'admin', 'member'],
+  MANAGER_RELATIONS: ['owner', 'admin'],
+  USAGE_RETENTION_DAYS: 90
+};
+
+/**
+ * Users with neither their own key nor an organization key may call Gemini
+ * with the deployment's GEMINI_API_KEY, up to a daily allowance each. Usage
+ * is counted in emails sent to the model per user per UTC day; an allowance
+ * of 0 keeps the key private.
+ */
+export const DEPLOYMENT_KEY_CONFIG = {
+  DAILY_LIMIT: Number(process.env.GEMINI_DEPLOYMENT_KEY_DAILY_LIMIT_PER_USER) || 0,
+  USAGE_RETENTION_DAYS: 90
+};
@@ -0,0 +1,285 @@
+import { httpResponse } from '../../utils/httpResponse.js';
+import { httpError } from '../../utils/httpError.js';
+import { validateJoiSchema } from '../../helpers/generalHelper.js';
+import * as secretsService from './secretsService.js';
+import { SECRET_MESSAGES } from './secretsConstants.js';
+import {
+  organizationKeyParamsSchema,
+  rotateGeminiKeySchema,
+  rotateOrganizationGeminiKeySchema,
+  setGeminiKeySchema,
+  setOrganizationGeminiKeySchema,
+  testGeminiKeySchema
+} from './secretsValidation.js';
+
+export const getGeminiKeyStatus = async (req, res, next) => {
+  try {
+    const status = await secretsService.getGeminiKeyStatus(req.user.id);
+
+    httpResponse(req, res, 200, SECRET_MESSAGES.GEMINI_KEY_STATUS_RETRIEVED, status);
+  } catch (error) {
+    httpError(next, error, req, 500);
+  }
+};
+
+export const setGeminiKey = async (req, res, next) => {
+  try {
+    const { error, value } = validateJoiSchema(setGeminiKeySchema, req.body);
+
+    if (error) {
+      return httpError(next, error, req, 422);
+    }
+
+    const result = await secretsService.setGeminiApiKey(req.user.id, value.apiKey);
+
+    if (!result.valid) {
+      return httpError(next, new Error(SECRET_MESSAGES.GEMINI_KEY_INVALID), req, 422);
+    }
+
+    const status = await secretsService.getGeminiKeyStatus(req.user.id);
+    httpResponse(req, res, 200, SECRET_MESSAGES.GEMINI_KEY_SAVED, status);
+  } catch (error) {
+    httpError(next, error, req, 500);
+  }
+};
+
+export const rotateGeminiKey = async (req, res, next) => {
+  try {
+    const { error, value } = validateJoiSchema(rotateGeminiKeySchema, req.body);
+
+    if (error) {
+      return httpError(next, error, req, 422);
+    }
+
+    const result = await secretsService.rotateGeminiApiKey(req.user.id, value.apiKey);
+
+    if (!result) {
+      return httpError(next, new Error(SECRET_MESSAGES.GEMINI_KEY_NOT_FOUND), req, 404);
+    }
+    if (!result.valid) {
+      return httpError(next, new Error(SECRET_MESSAGES.GEMINI_KEY_INVALID), req, 422);
+    }
+
+    const status = await secretsService.getGeminiKeyStatus(req.user.id);
+    httpResponse(req, res, 200, SECRET_MESSAGES.GEMINI_KEY_ROTATED, status);
+  } catch (error) {
+    httpError(next, error, req, 500);
+  }
+};
+
+export const testGeminiKey = async (req, res, next) => {
+  try {
+    const { error, value } = validateJoiSchema(testGeminiKeySchema, req.body);
+
+    if (error) {
+      return httpError(next, error, req, 422);
+    }
+
+    const result = await secretsService.testGeminiApiKey(req.user.id, value.apiKey);
+
+    if (!result) {
+      return httpError(next, new Error(SECRET_MESSAGES.GEMINI_KEY_NOT_FOUND), req, 404);
+    }
+
+    httpResponse(req, res, 200, SECRET_MESSAGES.GEMINI_KEY_TESTED, result);
+  } catch (error) {
+    httpError(next, error, req, 500);
+  }
+};
+
+export const deleteGeminiKey = async (req, res, next) => {
+  try {
+    const deleted = await secretsService.deleteGeminiApiKey(req.user.id);
+
+    if (!deleted) {
+      return httpError(next, new Error(SECRET_MESSAGES.GEMINI_KEY_NOT_FOUND), req, 404);
+    }
+
+    httpResponse(req, res, 200, SECRET_MESSAGES.GEMINI_KEY_DELETED, { deleted: true });
+  } catch (error) {
+    httpError(next, error, req, 500);
+  }
+};
+
+/**
+ * Validate the organization in the path and check the user's role in it.
+ * Responds with 422 or 403 and returns null when the request cannot go on.
+ */
+const authorizeOrganization = async (req, next, { manage }) => {
+  const { error, value } = validateJoiSchema(organizationKeyParamsSchema, req.params);
+
+  if (error) {
+    httpError(next, error, req, 422);
+    return null;
+  }
+
+  const allowed = manage
+    ? await secretsService.canManageOrganizationKey(req.user.id, value.organizationId)
+    : await secretsService.canUseOrganizationKey(req.user.id, value.organizationId);
+
+  if (!allowed) {
+    const message = manage
+      ? SECRET_MESSAGES.ORGANIZATION_ADMIN_REQUIRED
+      : SECRET_MESSAGES.ORGANIZATION_ACCESS_DENIED;
+    httpError(next, new Error(message), req, 403);
+    return null;
+  }
+
+  return value.organizationId;
+};
+
+export const getOrganizationGeminiKeyStatus = async (req, res, next) => {
+  try {
+    const organizationId = await authorizeOrganization(req, next, { manage: false });
+
+    if (!organizationId) {
+      return;
+    }
+
+    const status = await secretsService.getOrganizationGeminiKeyStatus(organizationId);
+
+    if (!status) {
+      return httpError(
+        next,
+        new Error(SECRET_MESSAGES.ORGANIZATION_GEMINI_KEY_NOT_FOUND),
+        req,
+        404
+      );
+    }
+
+    httpResponse(req, res, 200, SECRET_MESSAGES.ORGANIZATION_GEMINI_KEY_STATUS_RETRIEVED, status);
+  } catch (error) {
+    httpError(next, error, req, 500);
+  }
+};
+
+export const setOrganizationGeminiKey = async (req, res, next) => {
+  try {
+    const organizationId = await authorizeOrganization(req, next, { manage: true });
+
+    if (!organizationId) {
+      return;
+    }
+
+    const { error, value } = validateJoiSchema(setOrganizationGeminiKeySchema, req.body);
+
+    if (error) {
+      return httpError(next, error, req, 422);
+    }
+
+    const result = await secretsService.setOrganizationGeminiApiKey(
+      req.user.id,
+      organizationId,
+      value
+    );
+
+    if (!result.valid) {
+      return httpError(next, new Error(SECRET_MESSAGES.GEMINI_KEY_INVALID), req, 422);
+    }
+
+    const status = await secretsService.getOrganizationGeminiKeyStatus(organizationId);
+    httpResponse(req, res, 200, SECRET_MESSAGES.ORGANIZATION_GEMINI_KEY_SAVED, status);
+  } catch (error) {
+    httpError(next, error, req, 500);
+  }
+};
+
+export const rotateOrganizationGeminiKey = async (req, res, next) => {
+  try {
+    const organizationId = await authorizeOrganization(req, next, { manage: true });
+
+    if (!organizationId) {
+      return;
+    }
+
+    const { error, value } = validateJoiSchema(rotateOrganizationGeminiKeySchema, req.body);
+
+    if (error) {
+      return httpError(next, error, req, 422);
+    }
+
+    const result = await secretsService.rotateOrganizationGeminiApiKey(
+      req.user.id,
+      organizationId,
+      value
+    );
+
+    if (!result) {
+      return httpError(
+        next,
+        new Error(SECRET_MESSAGES.ORGANIZATION_GEMINI_KEY_NOT_FOUND),
+        req,
+        404
+      );
+    }
+    if (!result.valid) {
+      return httpError(next, new Error(SECRET_MESSAGES.GEMINI_KEY_INVALID), req, 422);
+    }
+
+    const status = await secretsService.getOrganizationGeminiKeyStatus(organizationId);
+    httpResponse(req, res, 200, SECRET_MESSAGES.ORGANIZATION_GEMINI_KEY_ROTATED, status);
+  } catch (error) {
+    httpError(next, error, req, 500);
+  }
+};
+
+export const testOrganizationGeminiKey = async (req, res, next) => {
+  try {
+    const organizationId = await authorizeOrganization(req, next, { manage: true });
+
+    if (!organizationId) {
+      return;
+    }
+
+    const { error, value } = validateJoiSchema(testGeminiKeySchema, req.body);
+
+    if (error) {
+      return httpError(next, error, req, 422);
+    }
+
+    const result = await secretsService.testOrganizationGeminiApiKey(organizationId, value);
+
+    if (!result) {
+      return httpError(
+        next,
+        new Error(SECRET_MESSAGES.ORGANIZATION_GEMINI_KEY_NOT_FOUND),
+        req,
+        404
+      );
+    }
+
+    httpResponse(req, res, 200, SECRET_MESSAGES.ORGANIZATION_GEMINI_KEY_TESTED, result);
+  } catch (error) {
+    httpError(next, error, req, 500);
+  }
+};
+
+export const deleteOrganizationGeminiKey = async (req, res, next) => {
+  try {
+    const organizationId = await authorizeOrganization(req, next, { manage: true });
+
+    if (!organizationId) {
+      return;
+    }
+
+    const deleted = await secretsService.deleteOrganizationGeminiApiKey(
+      req.user.id,
+      organizationId
+    );
+
+    if (!deleted) {
+      return httpError(
+        next,
+        new Error(SECRET_MESSAGES.ORGANIZATION_GEMINI_KEY_NOT_FOUND),
+        req,
+        404
+      );
+    }
+
+    httpResponse(req, res, 200, SECRET_MESSAGES.ORGANIZATION_GEMINI_KEY_DELETED, {
+      deleted: true
+    });
+  } catch (error) {
+    httpError(next, error, req, 500);
+  }
+};
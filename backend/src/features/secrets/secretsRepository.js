@@ -0,0 +1,90 @@
+import asyncHandler from 'express-async-handler';
+import { UserSecret } from './userSecretModel.js';
+import { DeploymentKeyUsage } from './deploymentKeyUsageModel.js';
+import { OrganizationSecret } from './organizationSecretModel.js';
+import { OrganizationKeyUsage } from './organizationKeyUsageModel.js';
+
+/**
+ * Atomically add `units` to a usage record for the day unless that would
+ * pass `limit`. Returns null when the limit would be exceeded.
+ */
+const reserveUsage = async (Usage, filter, units, limit) => {
+  try {
+    return await Usage.findOneAndUpdate(
+      { ...filter, units: { $lte: limit - units } },
+      { $inc: { units } },
+      { upsert: true, new: true }
+    ).lean();
+  } catch (error) {
+    // The day's record exists but is too full to match, so the upsert collided with it
+    if (error.code === 11000) {
+      return null;
+    }
+    throw error;
+  }
+};
+
+export const findSecret = asyncHandler(async (userId, name) =>
+  UserSecret.findOne({ userId, name }).lean()
+);
+
+export const saveSecret = asyncHandler(async (userId, name, fields) =>
+  UserSecret.findOneAndUpdate(
+    { userId, name },
+    { $set: fields },
+    { upsert: true, new: true, runValidators: true }
+  ).lean()
+);
+
+export const touchSecret = asyncHandler(async (secretId) => {
+  await UserSecret.updateOne({ _id: secretId }, { $set: { lastUsedAt: new Date() } });
+});
+
+export const deleteSecret = asyncHandler(async (userId, name) => {
+  const result = await UserSecret.deleteOne({ userId, name });
+  return result.deletedCount > 0;
+});
+
+export const findDeploymentKeyUsage = asyncHandler(async (userId, day) =>
+  DeploymentKeyUsage.findOne({ userId, day }).lean()
+);
+
+export const reserveDeploymentKeyUsage = asyncHandler(async (userId, day, units, limit) =>
+  reserveUsage(DeploymentKeyUsage, { userId, day }, units, limit)
+);
+
+export const findOrganizationSecret = asyncHandler(async (organizationId, name) =>
+  OrganizationSecret.findOne({ organizationId, name }).lean()
+);
+
+// Secrets of the given organizations, oldest first
+export const findOrganizationSecrets = asyncHandler(async (organizationIds, name) =>
+  OrganizationSecret.find({ organizationId: { $in: organizationIds }, name })
+    .sort({ createdAt: 1 })
+    .lean()
+);
+
+export const saveOrganizationSecret = asyncHandler(async (organizationId, name, fields) =>
+  OrganizationSecret.findOneAndUpdate(
+    { organizationId, name },
+    { $set: fields },
+    { upsert: true, new: true, runValidators: true }
+  ).lean()
+);
+
+export const touchOrganizationSecret = asyncHandler(async (secretId) => {
+  await OrganizationSecret.updateOne({ _id: secretId }, { $set: { lastUsedAt: new Date() } });
+});
+
+export const deleteOrganizationSecret = asyncHandler(async (organizationId, name) => {
+  const result = await OrganizationSecret.deleteOne({ organizationId, name });
+  return result.deletedCount > 0;
+});
+
+export const findOrganizationKeyUsage = asyncHandler(async (organizationId, day) =>
+  OrganizationKeyUsage.findOne({ organizationId, day }).lean()
+);
+
+export const reserveOrganizationKeyUsage = asyncHandler(async (organizationId, day, units, limit) =>
+  reserveUsage(OrganizationKeyUsage, { organizationId, day }, units, limit)
+);
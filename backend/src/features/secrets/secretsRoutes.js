@@ -0,0 +1,342 @@
+import express from 'express';
+import {
+  getGeminiKeyStatus,
+  setGeminiKey,
+  rotateGeminiKey,
+  testGeminiKey,
+  deleteGeminiKey,
+  getOrganizationGeminiKeyStatus,
+  setOrganizationGeminiKey,
+  rotateOrganizationGeminiKey,
+  testOrganizationGeminiKey,
+  deleteOrganizationGeminiKey
+} from './secretsController.js';
+import { betterAuthProtect } from '../auth/betterAuthMiddleware.js';
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * tags:
+ *   name: Secrets
+ *   description: Per-user and per-organization secrets, stored with envelope encryption and never returned in plain text.
+ */
+
+/**
+ * @swagger
+ * /secrets/gemini-key:
+ *   get:
+ *     summary: Get the Gemini API key status
+ *     description: Whether a key is stored, its last four characters, the organization key the user falls back to without one, and the user's daily allowance on the deployment Gemini API key.
+ *     tags: [Secrets]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Gemini API key status retrieved successfully
+ *       401:
+ *         description: Unauthorized
+ */
+router.get('/gemini-key', betterAuthProtect, getGeminiKeyStatus);
+
+/**
+ * @swagger
+ * /secrets/gemini-key:
+ *   put:
+ *     summary: Store the Gemini API key
+ *     description: The key is verified with Gemini before it is encrypted and stored. Any previous key is replaced.
+ *     tags: [Secrets]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - apiKey
+ *             properties:
+ *               apiKey:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Gemini API key saved successfully
+ *       401:
+ *         description: Unauthorized
+ *       422:
+ *         description: Validation error or the key was rejected by Gemini
+ */
+router.put('/gemini-key', betterAuthProtect, setGeminiKey);
+
+/**
+ * @swagger
+ * /secrets/gemini-key/rotate:
+ *   post:
+ *     summary: Rotate the Gemini API key
+ *     description: With apiKey the stored key is replaced. Without it the stored key is re-encrypted under a fresh data key and the current master key.
+ *     tags: [Secrets]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               apiKey:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Gemini API key rotated successfully
+ *       401:
+ *         description: Unauthorized
+ *       404:
+ *         description: No Gemini API key is stored
+ *       422:
+ *         description: Validation error or the key was rejected by Gemini
+ */
+router.post('/gemini-key/rotate', betterAuthProtect, rotateGeminiKey);
+
+/**
+ * @swagger
+ * /secrets/gemini-key/test:
+ *   post:
+ *     summary: Test a Gemini API key
+ *     description: Tests the given key, or the stored key when none is given. Responds with { valid, error }.
+ *     tags: [Secrets]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               apiKey:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Gemini API key tested successfully
+ *       401:
+ *         description: Unauthorized
+ *       404:
+ *         description: No Gemini API key is stored
+ */
+router.post('/gemini-key/test', betterAuthProtect, testGeminiKey);
+
+/**
+ * @swagger
+ * /secrets/gemini-key:
+ *   delete:
+ *     summary: Delete the stored Gemini API key
+ *     tags: [Secrets]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Gemini API key deleted successfully
+ *       401:
+ *         description: Unauthorized
+ *       404:
+ *         description: No Gemini API key is stored
+ */
+router.delete('/gemini-key', betterAuthProtect, deleteGeminiKey);
+
+/**
+ * @swagger
+ * /secrets/organizations/{organizationId}/gemini-key:
+ *   get:
+ *     summary: Get an organization's Gemini API key status
+ *     description: Its last four characters, daily limit and the emails classified with it today. Open to the organization's members.
+ *     tags: [Secrets]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: organizationId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: OpenFGA organization id
+ *     responses:
+ *       200:
+ *         description: Organization Gemini API key status retrieved successfully
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: You are not a member of this organization
+ *       404:
+ *         description: No Gemini API key is stored for this organization
+ */
+router.get(
+  '/organizations/:organizationId/gemini-key',
+  betterAuthProtect,
+  getOrganizationGeminiKeyStatus
+);
+
+/**
+ * @swagger
+ * /secrets/organizations/{organizationId}/gemini-key:
+ *   put:
+ *     summary: Store an organization's Gemini API key
+ *     description: Members without a key of their own classify with it until the organization's daily limit, counted in emails, is reached. The key is verified with Gemini before it is encrypted and stored. Owners and admins only.
+ *     tags: [Secrets]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: organizationId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: OpenFGA organization id
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - apiKey
+ *             properties:
+ *               apiKey:
+ *                 type: string
+ *               dailyLimit:
+ *                 type: integer
+ *                 minimum: 1
+ *                 description: Emails the organization may classify with the key per UTC day. Kept when omitted, or GEMINI_ORGANIZATION_KEY_DAILY_LIMIT for a new key.
+ *     responses:
+ *       200:
+ *         description: Organization Gemini API key saved successfully
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Only organization owners and admins can manage its Gemini API key
+ *       422:
+ *         description: Validation error or the key was rejected by Gemini
+ */
+router.put(
+  '/organizations/:organizationId/gemini-key',
+  betterAuthProtect,
+  setOrganizationGeminiKey
+);
+
+/**
+ * @swagger
+ * /secrets/organizations/{organizationId}/gemini-key/rotate:
+ *   post:
+ *     summary: Rotate an organization's Gemini API key
+ *     description: With apiKey the stored key is replaced. Without it the stored key is re-encrypted under a fresh data key and the current master key. Owners and admins only.
+ *     tags: [Secrets]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: organizationId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: OpenFGA organization id
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               apiKey:
+ *                 type: string
+ *               dailyLimit:
+ *                 type: integer
+ *                 minimum: 1
+ *     responses:
+ *       200:
+ *         description: Organization Gemini API key rotated successfully
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Only organization owners and admins can manage its Gemini API key
+ *       404:
+ *         description: No Gemini API key is stored for this organization
+ *       422:
+ *         description: Validation error or the key was rejected by Gemini
+ */
+router.post(
+  '/organizations/:organizationId/gemini-key/rotate',
+  betterAuthProtect,
+  rotateOrganizationGeminiKey
+);
+
+/**
+ * @swagger
+ * /secrets/organizations/{organizationId}/gemini-key/test:
+ *   post:
+ *     summary: Test an organization's Gemini API key
+ *     description: Tests the given key, or the organization's stored key when none is given. Responds with { valid, error }. Owners and admins only.
+ *     tags: [Secrets]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: organizationId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: OpenFGA organization id
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               apiKey:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Organization Gemini API key tested successfully
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Only organization owners and admins can manage its Gemini API key
+ *       404:
+ *         description: No Gemini API key is stored for this organization
+ */
+router.post(
+  '/organizations/:organizationId/gemini-key/test',
+  betterAuthProtect,
+  testOrganizationGeminiKey
+);
+
+/**
+ * @swagger
+ * /secrets/organizations/{organizationId}/gemini-key:
+ *   delete:
+ *     summary: Delete an organization's Gemini API key
+ *     description: Owners and admins only.
+ *     tags: [Secrets]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: organizationId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: OpenFGA organization id
+ *     responses:
+ *       200:
+ *         description: Organization Gemini API key deleted successfully
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Only organization owners and admins can manage its Gemini API key
+ *       404:
+ *         description: No Gemini API key is stored for this organization
+ */
+router.delete(
+  '/organizations/:organizationId/gemini-key',
+  betterAuthProtect,
+  deleteOrganizationGeminiKey
+);
+
+export default router;
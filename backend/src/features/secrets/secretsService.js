@@ -0,0 +1,384 @@
+import asyncHandler from 'express-async-handler';
+import { logger } from '../../utils/logger.js';
+import { decryptSecret, encryptSecret } from '../../helpers/encryption.js';
+import { verifyApiKey } from '../../helpers/gemini.js';
+import * as secretsRepository from './secretsRepository.js';
+import * as permissionService from '../permissions/permissionService.js';
+import {
+  DEPLOYMENT_KEY_CONFIG,
+  GEMINI_KEY_SOURCE,
+  ORGANIZATION_KEY_CONFIG,
+  SECRET_NAMES
+} from './secretsConstants.js';
+
+const GEMINI = SECRET_NAMES.GEMINI_API_KEY;
+
+// Bound into each envelope so it only decrypts for its own user and name
+const getSecretContext = (userId, name) => `${userId}:${name}`;
+
+// Organization envelopes get their own prefix, so they never open as a user's
+const getOrganizationSecretContext = (organizationId, name) =>
+  `organization:${organizationId}:${name}`;
+
+const getUsageDay = () => new Date().toISOString().slice(0, 10);
+
+const isDeploymentKeyEnabled = () =>
+  Boolean(process.env.GEMINI_API_KEY) && DEPLOYMENT_KEY_CONFIG.DAILY_LIMIT > 0;
+
+const sealGeminiKey = (userId, apiKey) => ({
+  ...encryptSecret(apiKey, getSecretContext(userId, GEMINI)),
+  hint: apiKey.slice(-4)
+});
+
+const readGeminiKey = (userId, secret) => decryptSecret(secret, getSecretContext(userId, GEMINI));
+
+const sealOrganizationGeminiKey = (organizationId, apiKey) => ({
+  ...encryptSecret(apiKey, getOrganizationSecretContext(organizationId, GEMINI)),
+  hint: apiKey.slice(-4)
+});
+
+const readOrganizationGeminiKey = (secret) =>
+  decryptSecret(secret, getOrganizationSecretContext(secret.organizationId, GEMINI));
+
+const hasOrganizationRelation = async (userId, organizationId, relations) => {
+  const checks = await Promise.all(
+    relations.map((relation) =>
+      permissionService.checkOrganizationAccess(userId, organizationId, relation)
+    )
+  );
+  return checks.some(Boolean);
+};
+
+/**
+ * Organizations whose key the user may use, from OpenFGA. Users are treated
+ * as members of none when OpenFGA cannot be reached, so they fall through to
+ * the deployment key instead of failing.
+ */
+const getMemberOrganizationIds = async (userId) => {
+  try {
+    const objects = await Promise.all(
+      ORGANIZATION_KEY_CONFIG.MEMBER_RELATIONS.map((relation) =>
+        permissionService.getUserOrganizations(userId, relation)
+      )
+    );
+    return [...new Set(objects.flat().map((object) => object.replace(/^organization:/, '')))];
+  } catch (error) {
+    logger.warn('Could not list organizations for the Gemini API key', {
+      meta: { userId, error: error.message }
+    });
+    return [];
+  }
+};
+
+// Organization keys the user may use, oldest first
+const findMemberOrganizationKeys = async (userId) => {
+  const organizationIds = await getMemberOrganizationIds(userId);
+  return organizationIds.length > 0
+    ? await secretsRepository.findOrganizationSecrets(organizationIds, GEMINI)
+    : [];
+};
+
+const describeOrganizationKey = async (secret) => {
+  const usage = await secretsRepository.findOrganizationKeyUsage(
+    secret.organizationId,
+    getUsageDay()
+  );
+  return {
+    organizationId: secret.organizationId,
+    dailyLimit: secret.dailyLimit,
+    usedToday: usage?.units ?? 0
+  };
+};
+
+/**
+ * Check a key with a cheap model lookup. Never throws; an invalid key comes
+ * back as { valid: false } with Gemini's error message.
+ */
+const checkGeminiKey = async (apiKey) => {
+  try {
+    await verifyApiKey(apiKey);
+    return { valid: true };
+  } catch (error) {
+    return { valid: false, error: error.message };
+  }
+};
+
+/**
+ * Describe the stored key, the organization key the user would fall back to
+ * and the allowance on the deployment key without revealing any of them
+ */
+export const getGeminiKeyStatus = asyncHandler(async (userId) => {
+  const [secret, usage, [organizationSecret]] = await Promise.all([
+    secretsRepository.findSecret(userId, GEMINI),
+    secretsRepository.findDeploymentKeyUsage(userId, getUsageDay()),
+    findMemberOrganizationKeys(userId)
+  ]);
+
+  return {
+    configured: Boolean(secret),
+    hint: secret?.hint ?? null,
+    createdAt: secret?.createdAt ?? null,
+    rotatedAt: secret?.rotatedAt ?? null,
+    lastUsedAt: secret?.lastUsedAt ?? null,
+    organizationKey: organizationSecret
+      ? { enabled: true, ...(await describeOrganizationKey(organizationSecret)) }
+      : { enabled: false, organizationId: null, dailyLimit: 0, usedToday: 0 },
+    deploymentKey: {
+      enabled: isDeploymentKeyEnabled(),
+      dailyLimit: DEPLOYMENT_KEY_CONFIG.DAILY_LIMIT,
+      usedToday: usage?.units ?? 0
+    }
+  };
+});
+
+/**
+ * Verify and store the user's key, replacing any previous one.
+ * Returns { valid: false, error } without storing when Gemini rejects it.
+ */
+export const setGeminiApiKey = asyncHandler(async (userId, apiKey) => {
+  const check = await checkGeminiKey(apiKey);
+  if (!check.valid) {
+    return check;
+  }
+
+  await secretsRepository.saveSecret(userId, GEMINI, sealGeminiKey(userId, apiKey));
+
+  logger.info('Gemini API key stored', { meta: { userId } });
+  return { valid: true };
+});
+
+/**
+ * Rotate the stored key. With a new apiKey the value is replaced; without one
+ * the existing value is re-encrypted under a fresh data key and the current
+ * master key. Returns null when no key is stored.
+ */
+export const rotateGeminiApiKey = asyncHandler(async (userId, apiKey) => {
+  const secret = await secretsRepository.findSecret(userId, GEMINI);
+  if (!secret) {
+    return null;
+  }
+
+  if (apiKey) {
+    const check = await checkGeminiKey(apiKey);
+    if (!check.valid) {
+      return check;
+    }
+  }
+
+  const value = apiKey || readGeminiKey(userId, secret);
+  await secretsRepository.saveSecret(userId, GEMINI, {
+    ...sealGeminiKey(userId, value),
+    rotatedAt: new Date()
+  });
+
+  logger.info('Gemini API key rotated', { meta: { userId, replaced: Boolean(apiKey) } });
+  return { valid: true };
+});
+
+/**
+ * Test the given key, or the stored one when none is given. Returns null
+ * when there is nothing to test.
+ */
+export const testGeminiApiKey = asyncHandler(async (userId, apiKey) => {
+  if (apiKey) {
+    return await checkGeminiKey(apiKey);
+  }
+
+  const secret = await secretsRepository.findSecret(userId, GEMINI);
+  return secret ? await checkGeminiKey(readGeminiKey(userId, secret)) : null;
+});
+
+export const deleteGeminiApiKey = asyncHandler(async (userId) => {
+  const deleted = await secretsRepository.deleteSecret(userId, GEMINI);
+
+  if (deleted) {
+    logger.info('Gemini API key deleted', { meta: { userId } });
+  }
+  return deleted;
+});
+
+export const canUseOrganizationKey = asyncHandler(async (userId, organizationId) =>
+  hasOrganizationRelation(userId, organizationId, ORGANIZATION_KEY_CONFIG.MEMBER_RELATIONS)
+);
+
+export const canManageOrganizationKey = asyncHandler(async (userId, organizationId) =>
+  hasOrganizationRelation(userId, organizationId, ORGANIZATION_KEY_CONFIG.MANAGER_RELATIONS)
+);
+
+/**
+ * Describe an organization's key and today's usage without revealing it.
+ * Returns null when the organization has no key.
+ */
+export const getOrganizationGeminiKeyStatus = asyncHandler(async (organizationId) => {
+  const secret = await secretsRepository.findOrganizationSecret(organizationId, GEMINI);
+
+  if (!secret) {
+    return null;
+  }
+
+  return {
+    ...(await describeOrganizationKey(secret)),
+    hint: secret.hint ?? null,
+    createdAt: secret.createdAt,
+    rotatedAt: secret.rotatedAt ?? null,
+    lastUsedAt: secret.lastUsedAt ?? null
+  };
+});
+
+/**
+ * Verify and store an organization's key, replacing any previous one. The
+ * daily limit is kept when none is given, or defaults for a new key.
+ * Returns { valid: false, error } without storing when Gemini rejects it.
+ */
+export const setOrganizationGeminiApiKey = asyncHandler(
+  async (userId, organizationId, { apiKey, dailyLimit }) => {
+    const check = await checkGeminiKey(apiKey);
+    if (!check.valid) {
+      return check;
+    }
+
+    await secretsRepository.saveOrganizationSecret(organizationId, GEMINI, {
+      ...sealOrganizationGeminiKey(organizationId, apiKey),
+      ...(dailyLimit ? { dailyLimit } : {}),
+      updatedBy: userId
+    });
+
+    logger.info('Organization Gemini API key stored', { meta: { userId, organizationId } });
+    return { valid: true };
+  }
+);
+
+/**
+ * Rotate an organization's key like rotateGeminiApiKey, optionally changing
+ * its daily limit. Returns null when no key is stored.
+ */
+export const rotateOrganizationGeminiApiKey = asyncHandler(
+  async (userId, organizationId, { apiKey, dailyLimit }) => {
+    const secret = await secretsRepository.findOrganizationSecret(organizationId, GEMINI);
+    if (!secret) {
+      return null;
+    }
+
+    if (apiKey) {
+      const check = await checkGeminiKey(apiKey);
+      if (!check.valid) {
+        return check;
+      }
+    }
+
+    const value = apiKey || readOrganizationGeminiKey(secret);
+    await secretsRepository.saveOrganizationSecret(organizationId, GEMINI, {
+      ...sealOrganizationGeminiKey(organizationId, value),
+      ...(dailyLimit ? { dailyLimit } : {}),
+      updatedBy: userId,
+      rotatedAt: new Date()
+    });
+
+    logger.info('Organization Gemini API key rotated', {
+      meta: { userId, organizationId, replaced: Boolean(apiKey) }
+    });
+    return { valid: true };
+  }
+);
+
+/**
+ * Test the given key, or the organization's stored one when none is given.
+ * Returns null when there is nothing to test.
+ */
+export const testOrganizationGeminiApiKey = asyncHandler(async (organizationId, { apiKey }) => {
+  if (apiKey) {
+    return await checkGeminiKey(apiKey);
+  }
+
+  const secret = await secretsRepository.findOrganizationSecret(organizationId, GEMINI);
+  return secret ? await checkGeminiKey(readOrganizationGeminiKey(secret)) : null;
+});
+
+export const deleteOrganizationGeminiApiKey = asyncHandler(async (userId, organizationId) => {
+  const deleted = await secretsRepository.deleteOrganizationSecret(organizationId, GEMINI);
+
+  if (deleted) {
+    logger.info('Organization Gemini API key deleted', { meta: { userId, organizationId } });
+  }
+  return deleted;
+});
+
+/**
+ * Reserve `units` on the first organization key with room for them today.
+ * Returns null when the user's organizations have no key, and
+ * { limitReached: true } when every key's daily limit would be exceeded.
+ */
+const reserveOrganizationKey = async (userId, units) => {
+  const secrets = await findMemberOrganizationKeys(userId);
+  const day = getUsageDay();
+
+  for (const secret of secrets) {
+    const reserved =
+      units <= secret.dailyLimit &&
+      (await secretsRepository.reserveOrganizationKeyUsage(
+        secret.organizationId,
+        day,
+        units,
+        secret.dailyLimit
+      ));
+
+    if (reserved) {
+      await secretsRepository.touchOrganizationSecret(secret._id);
+      return {
+        apiKey: readOrganizationGeminiKey(secret),
+        source: GEMINI_KEY_SOURCE.ORGANIZATION,
+        organizationId: secret.organizationId
+      };
+    }
+  }
+
+  if (secrets.length === 0) {
+    return null;
+  }
+
+  logger.warn('Organization Gemini API key limits reached', {
+    meta: { userId, units, organizationIds: secrets.map((secret) => secret.organizationId) }
+  });
+  return { apiKey: null, source: GEMINI_KEY_SOURCE.ORGANIZATION, limitReached: true };
+};
+
+/**
+ * Resolve the key to classify `units` emails with. The user's own key wins,
+ * then a key of one of the user's organizations while its daily limit lasts,
+ * then the deployment's key while the user's daily allowance lasts.
+ * Returns null when no key is available and { limitReached: true } when the
+ * shared keys' limits would be exceeded. Reserved units are not refunded
+ * when the model call later fails.
+ */
+export const resolveGeminiApiKey = asyncHandler(async (userId, units) => {
+  const secret = await secretsRepository.findSecret(userId, GEMINI);
+
+  if (secret) {
+    await secretsRepository.touchSecret(secret._id);
+    return { apiKey: readGeminiKey(userId, secret), source: GEMINI_KEY_SOURCE.USER };
+  }
+
+  const organizationKey = await reserveOrganizationKey(userId, units);
+
+  if (organizationKey?.apiKey || !isDeploymentKeyEnabled()) {
+    return organizationKey;
+  }
+
+  const reserved =
+    units <= DEPLOYMENT_KEY_CONFIG.DAILY_LIMIT &&
+    (await secretsRepository.reserveDeploymentKeyUsage(
+      userId,
+      getUsageDay(),
+      units,
+      DEPLOYMENT_KEY_CONFIG.DAILY_LIMIT
+    ));
+
+  if (!reserved) {
+    logger.warn('Deployment Gemini API key allowance reached', {
+      meta: { userId, units, dailyLimit: DEPLOYMENT_KEY_CONFIG.DAILY_LIMIT }
+    });
+    return { apiKey: null, source: GEMINI_KEY_SOURCE.DEPLOYMENT, limitReached: true };
+  }
+
+  return { apiKey: process.env.GEMINI_API_KEY, source: GEMINI_KEY_SOURCE.DEPLOYMENT };
+});
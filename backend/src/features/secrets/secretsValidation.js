@@ -0,0 +1,67 @@
+import Joi from 'joi';
+import { ORGANIZATION_KEY_CONFIG } from './secretsConstants.js';
+
+const apiKeyField = Joi.string().trim().min(10).max(200).messages({
+  'string.min': 'Gemini API key looks too short',
+  'string.max': 'Gemini API key looks too long'
+});
+
+/**
+ * Validation schema for storing a Gemini API key
+ */
+export const setGeminiKeySchema = Joi.object({
+  apiKey: apiKeyField.required().messages({
+    'any.required': 'Gemini API key is required'
+  })
+});
+
+/**
+ * Validation schema for rotating the stored key. Without apiKey the stored
+ * value is only re-encrypted.
+ */
+export const rotateGeminiKeySchema = Joi.object({
+  apiKey: apiKeyField
+});
+
+/**
+ * Validation schema for testing a key. Without apiKey the stored key is tested.
+ */
+export const testGeminiKeySchema = Joi.object({
+  apiKey: apiKeyField
+});
+
+const dailyLimitField = Joi.number()
+  .integer()
+  .min(1)
+  .max(ORGANIZATION_KEY_CONFIG.MAX_DAILY_LIMIT)
+  .messages({
+    'number.min': 'Daily limit must be at least 1 email',
+    'number.max': `Daily limit cannot exceed ${ORGANIZATION_KEY_CONFIG.MAX_DAILY_LIMIT} emails`
+  });
+
+/**
+ * Validation schema for the organization in organization key routes
+ */
+export const organizationKeyParamsSchema = Joi.object({
+  organizationId: Joi.string().trim().max(200).required()
+});
+
+/**
+ * Validation schema for storing an organization's Gemini API key and the
+ * number of emails its members may classify with it per day
+ */
+export const setOrganizationGeminiKeySchema = Joi.object({
+  apiKey: apiKeyField.required().messages({
+    'any.required': 'Gemini API key is required'
+  }),
+  dailyLimit: dailyLimitField
+});
+
+/**
+ * Validation schema for rotating an organization's key. Without apiKey the
+ * stored value is only re-encrypted; dailyLimit is kept when omitted.
+ */
+export const rotateOrganizationGeminiKeySchema = Joi.object({
+  apiKey: apiKeyField,
+  dailyLimit: dailyLimitField
+});
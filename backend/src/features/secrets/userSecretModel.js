@@ -0,0 +1,36 @@
+import mongoose from 'mongoose';
+import { SECRET_NAMES } from './secretsConstants.js';
+
+// Envelope-encrypted secret; see helpers/encryption.js for the field layout
+const userSecretSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'user',
+      required: true
+    },
+    name: {
+      type: String,
+      enum: Object.values(SECRET_NAMES),
+      required: true
+    },
+    ciphertext: { type: String, required: true },
+    iv: { type: String, required: true },
+    authTag: { type: String, required: true },
+    encryptedDataKey: { type: String, required: true },
+    dataKeyIv: { type: String, required: true },
+    dataKeyAuthTag: { type: String, required: true },
+    masterKeyId: { type: String, required: true },
+    // Last characters of the secret so users can tell keys apart
+    hint: String,
+    rotatedAt: Date,
+    lastUsedAt: Date
+  },
+  {
+    timestamps: true
+  }
+);
+
+userSecretSchema.index({ userId: 1, name: 1 }, { unique: true });
+
+export const UserSecret = mongoose.model('UserSecret', userSecretSchema);
@@ -0,0 +1,98 @@
+import { createCipheriv, createDecipheriv, createHash, randomBytes } from 'crypto';
+
+const ALGORITHM = 'aes-256-gcm';
+const KEY_LENGTH = 32;
+const IV_LENGTH = 12;
+
+// Master keys are 32 random bytes, base64 encoded (`openssl rand -base64 32`)
+const parseMasterKey = (value) => {
+  const key = Buffer.from(value.trim(), 'base64');
+  if (key.length !== KEY_LENGTH) {
+    throw new Error('Secrets master keys must be 32 bytes, base64 encoded');
+  }
+  return key;
+};
+
+// Identify a master key without revealing it, so envelopes record which one wrapped them
+export const getMasterKeyId = (key) => createHash('sha256').update(key).digest('hex').slice(0, 16);
+
+/**
+ * The current master key comes from SECRETS_MASTER_KEY. Keys being rotated out
+ * stay readable through the comma separated SECRETS_PREVIOUS_MASTER_KEYS.
+ */
+const getMasterKeys = () => {
+  if (!process.env.SECRETS_MASTER_KEY) {
+    throw new Error('SECRETS_MASTER_KEY is not configured');
+  }
+
+  const current = parseMasterKey(process.env.SECRETS_MASTER_KEY);
+  const previous = (process.env.SECRETS_PREVIOUS_MASTER_KEYS || '')
+    .split(',')
+    .filter((value) => value.trim())
+    .map(parseMasterKey);
+
+  return {
+    current: { id: getMasterKeyId(current), key: current },
+    byId: new Map([current, ...previous].map((key) => [getMasterKeyId(key), key]))
+  };
+};
+
+const seal = (key, plaintext, aad) => {
+  const iv = randomBytes(IV_LENGTH);
+  const cipher = createCipheriv(ALGORITHM, key, iv);
+  cipher.setAAD(Buffer.from(aad));
+  const ciphertext = Buffer.concat([cipher.update(plaintext), cipher.final()]);
+
+  return { ciphertext, iv, authTag: cipher.getAuthTag() };
+};
+
+const open = (key, { ciphertext, iv, authTag }, aad) => {
+  const decipher = createDecipheriv(ALGORITHM, key, Buffer.from(iv, 'base64'));
+  decipher.setAAD(Buffer.from(aad));
+  decipher.setAuthTag(Buffer.from(authTag, 'base64'));
+
+  return Buffer.concat([decipher.update(Buffer.from(ciphertext, 'base64')), decipher.final()]);
+};
+
+/**
+ * Envelope-encrypt a secret: the value is sealed with a fresh data key and the
+ * data key is sealed with the master key. `context` (e.g. owner and secret
+ * name) is bound as additional data, so an envelope copied to another record
+ * fails to decrypt.
+ */
+export const encryptSecret = (plaintext, context) => {
+  const { current } = getMasterKeys();
+  const dataKey = randomBytes(KEY_LENGTH);
+
+  const value = seal(dataKey, Buffer.from(plaintext, 'utf8'), context);
+  const wrappedKey = seal(current.key, dataKey, context);
+
+  return {
+    ciphertext: value.ciphertext.toString('base64'),
+    iv: value.iv.toString('base64'),
+    authTag: value.authTag.toString('base64'),
+    encryptedDataKey: wrappedKey.ciphertext.toString('base64'),
+    dataKeyIv: wrappedKey.iv.toString('base64'),
+    dataKeyAuthTag: wrappedKey.authTag.toString('base64'),
+    masterKeyId: current.id
+  };
+};
+
+export const decryptSecret = (envelope, context) => {
+  const masterKey = getMasterKeys().byId.get(envelope.masterKeyId);
+  if (!masterKey) {
+    throw new Error('Secret was encrypted with an unknown master key');
+  }
+
+  const dataKey = open(
+    masterKey,
+    {
+      ciphertext: envelope.encryptedDataKey,
+      iv: envelope.dataKeyIv,
+      authTag: envelope.dataKeyAuthTag
+    },
+    context
+  );
+
+  return open(dataKey, envelope, context).toString('utf8');
+};
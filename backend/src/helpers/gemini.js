@@ -3,6 +3,9 @@ import { logger } from '../utils/logger.js';
 
 export const ai = new GoogleGenAI({ apiKey: process.env.GEMINI_API_KEY });
 
+// Calls made with a user's own key get a dedicated client instead of the shared one
+const getClient = (opts = {}) => (opts.apiKey ? new GoogleGenAI({ apiKey: opts.apiKey }) : ai);
+
 export async function generateText(prompt, opts = {}) {
   const response = await ai.models.generateContent({
     model: opts.model ?? 'gemini-2.5-flash',
@@ -61,7 +64,7 @@ export async function generateVideo(prompt, opts = {}) {
 }
 
 export async function generateJson(prompt, schema, opts = {}) {
-  const response = await ai.models.generateContent({
+  const response = await getClient(opts).models.generateContent({
     model: opts.model ?? 'gemini-2.5-flash',
     contents: prompt,
     config: {
@@ -74,9 +77,15 @@ export async function generateJson(prompt, schema, opts = {}) {
   return JSON.parse(response.text);
 }
 
+// Look up a model with the given key; resolves when Gemini accepts the key
+export async function verifyApiKey(apiKey, opts = {}) {
+  await getClient({ apiKey }).models.get({ model: opts.model ?? 'gemini-2.5-flash' });
+  logger.info('gemini.verifyApiKey', { meta: { model: opts.model ?? 'gemini-2.5-flash' } });
+}
+
 export async function generateMultimodal(parts, opts = {}) {
   // parts is an array like [{ inlineData: { mimeType, data } }, { text: '...' }]
-  const response = await ai.models.generateContent({
+  const response = await getClient(opts).models.generateContent({
     model: opts.model ?? 'gemini-2.5-flash',
     contents: { parts },
     config: opts.config ?? {}
@@ -86,9 +95,10 @@ export async function generateMultimodal(parts, opts = {}) {
 }
 
 export function createChat(systemInstruction = 'You are a helpful assistant.', opts = {}) {
-  const chat = ai.chats.create({
+  const chat = getClient(opts).chats.create({
     model: opts.model ?? 'gemini-2.5-flash',
-    config: { systemInstruction }
+    config: { systemInstruction, ...(opts.config ?? {}) },
+    history: opts.history ?? []
   });
   logger.info('gemini.chatCreated', { meta: { model: opts.model ?? 'gemini-2.5-flash' } });
   return chat;
@@ -101,3 +101,19 @@ export const deserializeHashData = (data) => {
   }
   return deserialized;
 };
+
+// Run fn over items with at most `limit` calls in flight, preserving order
+export const mapWithConcurrency = async (items, limit, fn) => {
+  const results = new Array(items.length);
+  let next = 0;
+
+  const worker = async () => {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await fn(items[index], index);
+    }
+  };
+
+  await Promise.all(Array.from({ length: Math.min(limit, items.length) }, worker));
+  return results;
+};
@@ -0,0 +1,211 @@
+import { google } from 'googleapis';
+import mongoose from 'mongoose';
+import promClient from 'prom-client';
+import { logger } from '../utils/logger.js';
+import { mapWithConcurrency } from './generalHelper.js';
+
+export const GMAIL_MODIFY_SCOPE = 'https://www.googleapis.com/auth/gmail.modify';
+export const GMAIL_COMPOSE_SCOPE = 'https://www.googleapis.com/auth/gmail.compose';
+
+// Quota units per call, from https://developers.google.com/gmail/api/reference/quota
+const GMAIL_QUOTA_UNITS = {
+  getProfile: 1,
+  'labels.list': 1,
+  'labels.create': 5,
+  'messages.list': 5,
+  'messages.get': 5,
+  'messages.attachments.get': 5,
+  'messages.batchModify': 50,
+  'drafts.create': 10,
+  'threads.get': 10,
+  'history.list': 2,
+  watch: 100,
+  stop: 50
+};
+
+export const GMAIL_CLIENT_CONFIG = {
+  CONCURRENCY: Number(process.env.GMAIL_FETCH_CONCURRENCY) || 10,
+  MAX_RETRIES: 5,
+  BASE_DELAY_MS: 500,
+  MAX_DELAY_MS: 32000
+};
+
+const RATE_LIMIT_REASONS = ['rateLimitExceeded', 'userRateLimitExceeded'];
+
+const gmailRequestsCounter = new promClient.Counter({
+  name: 'gmail_api_requests_total',
+  help: 'Gmail API requests by user, method and response status',
+  labelNames: ['user_id', 'method', 'status']
+});
+
+const gmailQuotaUnitsCounter = new promClient.Counter({
+  name: 'gmail_api_quota_units_total',
+  help: 'Gmail API quota units consumed by user and method',
+  labelNames: ['user_id', 'method']
+});
+
+const gmailRateLimitedCounter = new promClient.Counter({
+  name: 'gmail_api_rate_limited_total',
+  help: 'Gmail API calls that hit a rate limit and were backed off',
+  labelNames: ['user_id', 'method']
+});
+
+// Owning user of each client, used to label quota metrics
+const clientUsers = new WeakMap();
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+const getErrorStatus = (error) => error?.response?.status ?? error?.status ?? error?.code;
+
+// Gmail signals rate limits with 429, or 403 with a rate limit reason
+export const isRateLimitError = (error) => {
+  const status = Number(getErrorStatus(error));
+  if (status === 429) {
+    return true;
+  }
+  if (status !== 403) {
+    return false;
+  }
+
+  const reasons = (error.errors || error.response?.data?.error?.errors || []).map((e) => e.reason);
+  return reasons.some((reason) => RATE_LIMIT_REASONS.includes(reason));
+};
+
+// Exponential backoff with full jitter, never shorter than a Retry-After header
+export const getBackoffDelay = (attempt, retryAfter, random = Math.random) => {
+  const ceiling = Math.min(
+    GMAIL_CLIENT_CONFIG.MAX_DELAY_MS,
+    GMAIL_CLIENT_CONFIG.BASE_DELAY_MS * 2 ** attempt
+  );
+  const retryAfterMs = Number(retryAfter) * 1000 || 0;
+
+  return Math.max(Math.round(random() * ceiling), retryAfterMs);
+};
+
+// better-auth stores granted scopes as a comma separated string
+export const hasGmailScope = (googleAccount, scope) =>
+  (googleAccount?.scope || '').split(/[\s,]+/).includes(scope);
+
+// Google accounts better-auth linked to a user, the first linked (primary) one first
+export const findGoogleAccounts = async (userId) => {
+  const { db } = mongoose.connection;
+  return await db
+    .collection('account')
+    .find({ userId: new mongoose.Types.ObjectId(userId), providerId: 'google' })
+    .sort({ createdAt: 1 })
+    .toArray();
+};
+
+// One linked Google account by its Google account id, the primary one without it
+export const findGoogleAccount = async (userId, accountId) => {
+  const { db } = mongoose.connection;
+  return await db.collection('account').findOne(
+    {
+      userId: new mongoose.Types.ObjectId(userId),
+      providerId: 'google',
+      ...(accountId ? { accountId } : {})
+    },
+    { sort: { createdAt: 1 } }
+  );
+};
+
+// Build an authenticated Gmail client and persist refreshed access tokens
+export const createGmailClient = (googleAccount) => {
+  const oauth2Client = new google.auth.OAuth2(
+    process.env.GOOGLE_CLIENT_ID,
+    process.env.GOOGLE_CLIENT_SECRET
+  );
+
+  oauth2Client.setCredentials({
+    access_token: googleAccount.accessToken,
+    refresh_token: googleAccount.refreshToken,
+    expiry_date: googleAccount.expiresAt
+  });
+
+  oauth2Client.on('tokens', async (tokens) => {
+    if (tokens.access_token) {
+      const { db } = mongoose.connection;
+      await db.collection('account').updateOne(
+        { _id: googleAccount._id },
+        {
+          $set: {
+            accessToken: tokens.access_token,
+            expiresAt: tokens.expiry_date
+          }
+        }
+      );
+    }
+  });
+
+  const gmail = google.gmail({ version: 'v1', auth: oauth2Client });
+  clientUsers.set(gmail, String(googleAccount.userId));
+  return gmail;
+};
+
+/**
+ * Call a `gmail.users` method such as 'messages.get', recording quota usage
+ * for the owning user. Rate-limited calls are retried with backoff; any other
+ * error is thrown straight away.
+ */
+export const callGmail = async (gmail, method, params) => {
+  const userId = clientUsers.get(gmail) || 'unknown';
+  const path = method.split('.');
+  const resource = path.slice(0, -1).reduce((target, key) => target[key], gmail.users);
+  const operation = path[path.length - 1];
+
+  for (let attempt = 0; ; attempt++) {
+    gmailQuotaUnitsCounter.inc({ user_id: userId, method }, GMAIL_QUOTA_UNITS[method] ?? 1);
+
+    try {
+      const response = await resource[operation](params);
+      gmailRequestsCounter.inc({ user_id: userId, method, status: response.status ?? 200 });
+      return response;
+    } catch (error) {
+      gmailRequestsCounter.inc({
+        user_id: userId,
+        method,
+        status: getErrorStatus(error) ?? 'error'
+      });
+
+      if (!isRateLimitError(error) || attempt >= GMAIL_CLIENT_CONFIG.MAX_RETRIES) {
+        throw error;
+      }
+
+      const delay = getBackoffDelay(attempt, error.response?.headers?.['retry-after']);
+      gmailRateLimitedCounter.inc({ user_id: userId, method });
+      logger.warn('Gmail rate limit hit, backing off', {
+        meta: { userId, method, attempt: attempt + 1, delay }
+      });
+      await sleep(delay);
+    }
+  }
+};
+
+/**
+ * Fetch messages in parallel, capped at GMAIL_CLIENT_CONFIG.CONCURRENCY
+ * requests in flight. Pass metadataHeaders to fetch only those headers instead
+ * of the full payload. Messages deleted in the meantime are left out.
+ */
+export const fetchGmailMessages = async (gmail, messageIds, { metadataHeaders } = {}) => {
+  const messages = await mapWithConcurrency(
+    messageIds,
+    GMAIL_CLIENT_CONFIG.CONCURRENCY,
+    async (id) => {
+      try {
+        const { data } = await callGmail(gmail, 'messages.get', {
+          userId: 'me',
+          id,
+          ...(metadataHeaders ? { format: 'metadata', metadataHeaders } : { format: 'full' })
+        });
+        return data;
+      } catch (error) {
+        if (Number(getErrorStatus(error)) === 404) {
+          return null;
+        }
+        throw error;
+      }
+    }
+  );
+
+  return messages.filter(Boolean);
+};
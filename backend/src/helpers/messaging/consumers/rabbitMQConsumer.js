@@ -1,6 +1,6 @@
-import { getConnection } from '../db/rabbitMQConnection.js';
+import { getConnection } from '../../../connections/connectRabbitMQ.js';
 import { logger } from '../../../utils/logger.js';
-import { ExchangeTypes } from '../rabbitMQProducer.js';
+import { ExchangeTypes } from '../producers/rabbitMQProducer.js';
 import asyncHandler from 'express-async-handler';
 
 // Create a consumer state object
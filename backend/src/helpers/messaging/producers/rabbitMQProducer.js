@@ -1,5 +1,5 @@
-import { getConnection } from '../db/rabbitMQConnection.js';
-import { logger } from '../../utils/logger.js';
+import { getConnection } from '../../../connections/connectRabbitMQ.js';
+import { logger } from '../../../utils/logger.js';
 import asyncHandler from 'express-async-handler';
 
 export const ExchangeTypes = {
@@ -12,6 +12,13 @@ import { runMigrations } from './db/migrate.js';
 // } from './connections/connectRabbitMQ.js';
 // import { connectKafkaProducer, consumer, producer } from './connections/connectKafka.js';
 // import { connectElasticsearch, disconnectElasticsearch} from './connections/connectElasticSearch.js';
+import { disconnectRabbitMQ } from './connections/connectRabbitMQ.js';
+import { startClassificationWorker } from './features/emails/classificationJobService.js';
+import { startDigestScheduler } from './features/emails/emailDigestService.js';
+import { setupEmailSearch } from './features/emails/emailSearchService.js';
+import { startWatchScheduler } from './features/emails/gmailPushService.js';
+import { startMailboxEventRelay } from './features/emails/mailboxEvents.js';
+import { startCleanupScheduler } from './features/emails/subscriptionsService.js';
 import { logger } from './utils/logger.js';
 
 Promise.all([connectDB(), connectPostgres()])
@@ -25,6 +32,39 @@ Promise.all([connectDB(), connectPostgres()])
         meta: { error: error.message }
       });
     }
+
+    // Background email classification runs only when a broker is configured
+    if (process.env.RABBITMQ_URL) {
+      startClassificationWorker().catch((error) => {
+        logger.error('Failed to start classification worker', {
+          meta: { error: error.message }
+        });
+      });
+      // Carries mailbox events to the event streams held by every instance
+      startMailboxEventRelay().catch((error) => {
+        logger.error('Failed to start mailbox event relay', {
+          meta: { error: error.message }
+        });
+      });
+    }
+
+    // Keeps Gmail push watches registered; pushes arrive on /emails/push/gmail
+    if (process.env.GMAIL_PUSH_TOPIC) {
+      startWatchScheduler();
+    }
+
+    // Creates the inbox search index and its embedding pipeline when missing
+    if (process.env.EMAIL_SEARCH_ENABLED === 'true') {
+      setupEmailSearch().catch((error) => {
+        logger.error('Failed to set up email search', { meta: { error: error.message } });
+      });
+    }
+
+    // Sends each user's daily inbox digest at their chosen local time
+    startDigestScheduler();
+    // Runs subscription cleanup jobs once their undo window has passed
+    startCleanupScheduler();
+
     const server = app.listen(process.env.PORT, () => {
       logger.info(
         `Server is running at port: ${process.env.PORT}, in ${process.env.NODE_ENV} mode`
@@ -40,8 +80,8 @@ Promise.all([connectDB(), connectPostgres()])
         await Promise.all([
           // disconnectRedis(),
           disconnectMongo(),
-          disconnectPostgres()
-          // disconnectRabbitMQ()
+          disconnectPostgres(),
+          process.env.RABBITMQ_URL ? disconnectRabbitMQ() : Promise.resolve()
           // disconnectElasticsearch()
           // disconnectKafka()
         ]);
@@ -0,0 +1,109 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert';
+import { randomBytes } from 'crypto';
+
+// Runs against a local IMAP server such as the greenmail service in docker-compose.yml
+const { IMAP_TEST_HOST, IMAP_TEST_PORT = '3143', IMAP_TEST_SECURE = 'false' } = process.env;
+const USERNAME = process.env.IMAP_TEST_USER || 'test@localhost';
+const PASSWORD = process.env.IMAP_TEST_PASSWORD || 'test';
+const ACCOUNT_ID = '65f1a2b3c4d5e6f708192a3b';
+const USER_ID = '65f1a2b3c4d5e6f708192a3c';
+
+describe('IMAP mailbox provider - Integration Tests', { skip: !IMAP_TEST_HOST }, () => {
+  let provider;
+  let seedClient;
+  const subject = `Integration ${randomBytes(4).toString('hex')}`;
+
+  before(async () => {
+    // Read when the constants are loaded, so set before the dynamic imports
+    process.env.IMAP_ALLOW_PRIVATE_HOSTS = 'true';
+    process.env.SECRETS_MASTER_KEY ||= randomBytes(32).toString('base64');
+
+    const { encryptSecret } = await import('../../src/helpers/encryption.js');
+    const { connectImap, createImapMailboxProvider, getImapSecretContext } = await import(
+      '../../src/features/emails/imapMailboxProvider.js'
+    );
+    const settings = {
+      host: IMAP_TEST_HOST,
+      port: Number(IMAP_TEST_PORT),
+      secure: IMAP_TEST_SECURE === 'true',
+      username: USERNAME
+    };
+
+    seedClient = await connectImap({ ...settings, password: PASSWORD });
+    await seedClient.append(
+      'INBOX',
+      [
+        'From: Sender <sender@example.com>',
+        `To: ${USERNAME}`,
+        `Subject: ${subject}`,
+        'Message-ID: <integration@example.com>',
+        '',
+        'Hello from the integration test',
+        ''
+      ].join('\r\n')
+    );
+
+    provider = createImapMailboxProvider({
+      accountId: ACCOUNT_ID,
+      userId: USER_ID,
+      imap: {
+        ...settings,
+        password: encryptSecret(PASSWORD, getImapSecretContext(USER_ID, ACCOUNT_ID))
+      }
+    });
+  });
+
+  after(async () => {
+    await provider?.close();
+    await seedClient?.logout();
+  });
+
+  const findSeeded = async () => {
+    const ids = await provider.listRecentIds(50);
+    const messages = await provider.getMessages(ids);
+    return messages.find((m) => m.subject === subject);
+  };
+
+  it('reports a cursor for the folder', async () => {
+    const profile = await provider.getProfile();
+
+    assert.strictEqual(profile.emailAddress, USERNAME);
+    assert.match(profile.cursor, /^\d+:\d+$/);
+  });
+
+  it('lists messages in the stored shape', async () => {
+    const message = await findSeeded();
+
+    assert.ok(message, 'seeded message is listed');
+    assert.strictEqual(message.accountId, ACCOUNT_ID);
+    assert.strictEqual(message.from, 'Sender <sender@example.com>');
+    assert.deepStrictEqual(message.labelIds, ['INBOX', 'UNREAD']);
+    assert.strictEqual(message.snippet, 'Hello from the integration test');
+  });
+
+  it('reads the full message', async () => {
+    const { gmailId } = await findSeeded();
+    const content = await provider.getMessage(gmailId);
+
+    assert.strictEqual(content.email.gmailId, gmailId);
+    assert.strictEqual(content.text.trim(), 'Hello from the integration test');
+  });
+
+  it('maps label changes to flags', async () => {
+    const { gmailId } = await findSeeded();
+
+    await provider.modifyLabels([gmailId], { add: ['STARRED'], remove: ['UNREAD'] });
+
+    const [message] = await provider.getMessages([gmailId]);
+    assert.deepStrictEqual(message.labelIds, ['INBOX', 'STARRED']);
+  });
+
+  it('archives messages out of the folder', async () => {
+    const { gmailId } = await findSeeded();
+
+    await provider.modifyLabels([gmailId], { remove: ['INBOX'] });
+
+    assert.deepStrictEqual(await provider.getMessages([gmailId]), []);
+  });
+});
@@ -0,0 +1,197 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import { processClassificationBatch } from '../../src/features/emails/classificationJobService.js';
+
+const MAX_RETRIES = 3;
+
+const createJob = (overrides = {}) => ({
+  _id: 'job1',
+  totalBatches: 2,
+  completedBatches: 0,
+  failedBatches: 0,
+  batches: [
+    { index: 0, accountId: 'acc1', emailIds: ['m1', 'm2'], status: 'queued' },
+    { index: 1, accountId: 'acc1', emailIds: ['m3'], status: 'queued' }
+  ],
+  ...overrides
+});
+
+// In-memory stand-in for the job functions of emailsRepository, recording each call
+const createRepository = (job) => {
+  const calls = [];
+  const record =
+    (name, result) =>
+    async (...args) => {
+      calls.push([name, ...args]);
+      return result?.();
+    };
+
+  return {
+    calls,
+    callsTo: (name) => calls.filter(([called]) => called === name).map(([, ...args]) => args),
+    findClassificationJobById: record('findClassificationJobById', () => job),
+    markBatchRunning: record('markBatchRunning'),
+    recordBatchError: record('recordBatchError'),
+    completeBatch: record('completeBatch', () => ({
+      ...job,
+      completedBatches: job.completedBatches + 1
+    })),
+    failBatch: record('failBatch', () => ({ ...job, failedBatches: job.failedBatches + 1 })),
+    finishClassificationJob: record('finishClassificationJob')
+  };
+};
+
+const mailbox = { providerId: 'imap', accountId: 'acc1' };
+const findMailbox = async () => mailbox;
+const classify = async (userId, box, emailIds) =>
+  emailIds.map((gmailId) => ({ gmailId, category: 'general', confidence: 0.8 }));
+const failingClassify = async () => {
+  throw new Error('Model unavailable');
+};
+
+const message = { jobId: 'job1', userId: 'user1', batchIndex: 0 };
+const delivery = (retries) => ({ properties: { headers: { 'x-retry-count': retries } } });
+
+describe('Classification job service', () => {
+  describe('processClassificationBatch', () => {
+    it('stores the batch results and leaves the job open while batches remain', async () => {
+      const repository = createRepository(createJob());
+
+      await processClassificationBatch(message, delivery(0), {
+        repository,
+        findMailbox,
+        classify
+      });
+
+      assert.deepStrictEqual(repository.callsTo('markBatchRunning'), [['job1', 0, 1]]);
+      assert.deepStrictEqual(repository.callsTo('completeBatch'), [
+        [
+          'job1',
+          0,
+          [
+            { gmailId: 'm1', category: 'general', confidence: 0.8, error: false },
+            { gmailId: 'm2', category: 'general', confidence: 0.8, error: false }
+          ]
+        ]
+      ]);
+      assert.deepStrictEqual(repository.callsTo('finishClassificationJob'), []);
+    });
+
+    it('throws to hand the message to the retry queue while retries remain', async () => {
+      const repository = createRepository(createJob());
+
+      await assert.rejects(
+        processClassificationBatch(message, delivery(MAX_RETRIES - 1), {
+          repository,
+          findMailbox,
+          classify: failingClassify
+        }),
+        /Model unavailable/
+      );
+
+      assert.deepStrictEqual(repository.callsTo('markBatchRunning'), [['job1', 0, MAX_RETRIES]]);
+      assert.deepStrictEqual(repository.callsTo('recordBatchError'), [
+        ['job1', 0, 'Model unavailable']
+      ]);
+      assert.deepStrictEqual(repository.callsTo('failBatch'), []);
+    });
+
+    it('fails the batch without throwing once the retries are used up', async () => {
+      const repository = createRepository(createJob());
+
+      await processClassificationBatch(message, delivery(MAX_RETRIES), {
+        repository,
+        findMailbox,
+        classify: failingClassify
+      });
+
+      assert.deepStrictEqual(repository.callsTo('recordBatchError'), []);
+      assert.deepStrictEqual(repository.callsTo('failBatch'), [
+        [
+          'job1',
+          0,
+          'Model unavailable',
+          [
+            { gmailId: 'm1', error: 'Model unavailable' },
+            { gmailId: 'm2', error: 'Model unavailable' }
+          ]
+        ]
+      ]);
+    });
+
+    it('retries a batch whose mailbox is no longer connected', async () => {
+      const repository = createRepository(createJob());
+
+      await assert.rejects(
+        processClassificationBatch(message, delivery(0), {
+          repository,
+          findMailbox: async () => null,
+          classify
+        }),
+        /Connect a Google account or another mailbox first/
+      );
+    });
+
+    it('completes the job when its last batch succeeds', async () => {
+      const repository = createRepository(createJob({ completedBatches: 1 }));
+
+      await processClassificationBatch(message, delivery(0), {
+        repository,
+        findMailbox,
+        classify
+      });
+
+      assert.deepStrictEqual(repository.callsTo('finishClassificationJob'), [
+        ['job1', 'completed']
+      ]);
+    });
+
+    it('completes the job with errors when its last batch fails after others succeeded', async () => {
+      const repository = createRepository(createJob({ completedBatches: 1 }));
+
+      await processClassificationBatch(message, delivery(MAX_RETRIES), {
+        repository,
+        findMailbox,
+        classify: failingClassify
+      });
+
+      assert.deepStrictEqual(repository.callsTo('finishClassificationJob'), [
+        ['job1', 'completed_with_errors']
+      ]);
+    });
+
+    it('fails the job when every batch failed', async () => {
+      const repository = createRepository(createJob({ failedBatches: 1 }));
+
+      await processClassificationBatch(message, delivery(MAX_RETRIES), {
+        repository,
+        findMailbox,
+        classify: failingClassify
+      });
+
+      assert.deepStrictEqual(repository.callsTo('finishClassificationJob'), [['job1', 'failed']]);
+    });
+
+    it('ignores redeliveries of finished batches and unknown jobs', async () => {
+      const finished = createJob();
+      finished.batches[0].status = 'completed';
+      const repository = createRepository(finished);
+
+      await processClassificationBatch(message, delivery(0), {
+        repository,
+        findMailbox,
+        classify
+      });
+      await processClassificationBatch({ ...message, batchIndex: 5 }, delivery(0), {
+        repository,
+        findMailbox,
+        classify
+      });
+
+      assert.deepStrictEqual(
+        repository.calls.map(([name]) => name),
+        ['findClassificationJobById', 'findClassificationJobById']
+      );
+    });
+  });
+});
@@ -0,0 +1,48 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import {
+  getFinishedJobStatus,
+  getJobProgress
+} from '../../src/features/emails/classificationJobUtils.js';
+
+const job = (completedBatches, failedBatches, totalBatches = 4) => ({
+  totalBatches,
+  completedBatches,
+  failedBatches
+});
+
+describe('Classification job utils', () => {
+  describe('getJobProgress', () => {
+    it('counts completed and failed batches towards the percentage', () => {
+      assert.deepStrictEqual(getJobProgress(job(1, 1, 3)), {
+        totalBatches: 3,
+        completedBatches: 1,
+        failedBatches: 1,
+        percent: 67
+      });
+    });
+
+    it('starts at 0 and ends at 100 percent', () => {
+      assert.strictEqual(getJobProgress(job(0, 0)).percent, 0);
+      assert.strictEqual(getJobProgress(job(3, 1)).percent, 100);
+    });
+  });
+
+  describe('getFinishedJobStatus', () => {
+    it('returns null while batches are outstanding', () => {
+      assert.strictEqual(getFinishedJobStatus(job(2, 1)), null);
+    });
+
+    it('completes a job whose batches all succeeded', () => {
+      assert.strictEqual(getFinishedJobStatus(job(4, 0)), 'completed');
+    });
+
+    it('completes with errors when only some batches failed', () => {
+      assert.strictEqual(getFinishedJobStatus(job(3, 1)), 'completed_with_errors');
+    });
+
+    it('fails a job whose batches all failed', () => {
+      assert.strictEqual(getFinishedJobStatus(job(0, 4)), 'failed');
+    });
+  });
+});
@@ -0,0 +1,147 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import {
+  buildConfusionMatrix,
+  compareWithBaseline,
+  computeClassificationMetrics,
+  getPredictedLabel,
+  parseEvalDataset
+} from '../../src/features/emails/classifierEvalUtils.js';
+import { createStubAdapter } from '../../src/features/emails/classifierEvalAdapters.js';
+import { classifyEmails } from '../../src/features/emails/emailsService.js';
+import {
+  DEFAULT_EMAIL_CATEGORIES,
+  DEFAULT_REDACTION_POLICY
+} from '../../src/features/emails/emailsConstants.js';
+import { redactEmailForPrompt } from '../../src/features/emails/redactionUtils.js';
+
+const EVAL_DIR = path.join(
+  path.dirname(fileURLToPath(import.meta.url)),
+  '../fixtures/classifierEval'
+);
+
+describe('Classifier evaluation', () => {
+  describe('parseEvalDataset', () => {
+    it('parses JSONL and skips blank lines', () => {
+      const examples = parseEvalDataset(
+        '{"id":"a","label":"spam"}\n\n{"id":"b","label":"general"}\n'
+      );
+      assert.deepStrictEqual(
+        examples.map((e) => e.id),
+        ['a', 'b']
+      );
+    });
+
+    it('reports the line of malformed, unlabelled or duplicate entries', () => {
+      assert.throws(
+        () => parseEvalDataset('{"id":"a","label":"spam"}\n{oops'),
+        /Line 2: invalid JSON/
+      );
+      assert.throws(() => parseEvalDataset('{"id":"a"}'), /Line 1: "id" and "label" are required/);
+      assert.throws(
+        () => parseEvalDataset('{"id":"a","label":"spam"}\n{"id":"a","label":"spam"}'),
+        /Line 2: duplicate id "a"/
+      );
+    });
+  });
+
+  describe('computeClassificationMetrics', () => {
+    const categories = ['important', 'spam', 'general'];
+    const expected = ['important', 'important', 'spam', 'spam', 'general'];
+    const predicted = ['important', 'general', 'spam', 'important', 'general'];
+
+    it('builds a confusion matrix of expected rows and predicted columns', () => {
+      const matrix = buildConfusionMatrix(expected, predicted, categories);
+      assert.deepStrictEqual(matrix.important, { important: 1, spam: 0, general: 1 });
+      assert.deepStrictEqual(matrix.spam, { important: 1, spam: 1, general: 0 });
+      assert.deepStrictEqual(matrix.general, { important: 0, spam: 0, general: 1 });
+    });
+
+    it('computes precision, recall, F1 and macro averages', () => {
+      const metrics = computeClassificationMetrics(expected, predicted, categories);
+
+      assert.strictEqual(metrics.accuracy, 0.6);
+      assert.deepStrictEqual(metrics.perCategory.important, {
+        precision: 0.5,
+        recall: 0.5,
+        f1: 0.5,
+        support: 2
+      });
+      assert.deepStrictEqual(metrics.perCategory.spam, {
+        precision: 1,
+        recall: 0.5,
+        f1: 0.6667,
+        support: 2
+      });
+      assert.strictEqual(metrics.perCategory.general.precision, 0.5);
+      assert.strictEqual(metrics.perCategory.general.recall, 1);
+      assert.strictEqual(metrics.macro.recall, 0.6667);
+    });
+
+    it('leaves categories without examples out of the macro average', () => {
+      const metrics = computeClassificationMetrics(['spam'], ['spam'], ['spam', 'general']);
+      assert.strictEqual(metrics.perCategory.general.support, 0);
+      assert.strictEqual(metrics.macro.f1, 1);
+    });
+  });
+
+  describe('compareWithBaseline', () => {
+    const metrics = {
+      accuracy: 0.8,
+      macro: { f1: 0.75 },
+      perCategory: { spam: { f1: 0.9 }, general: { f1: 0.6 } }
+    };
+
+    it('flags drops beyond the tolerance only', () => {
+      const baseline = {
+        accuracy: 0.805,
+        macro: { f1: 0.75 },
+        perCategory: { spam: { f1: 0.85 }, general: { f1: 0.7 } }
+      };
+      const { regressions, deltas } = compareWithBaseline(metrics, baseline, 0.01);
+
+      assert.deepStrictEqual(
+        regressions.map((r) => r.name),
+        ['general.f1']
+      );
+      assert.strictEqual(deltas.find((d) => d.name === 'spam.f1').delta, 0.05);
+    });
+
+    it('skips scores the baseline does not have', () => {
+      const { deltas } = compareWithBaseline(metrics, { accuracy: 0.8 });
+      assert.deepStrictEqual(
+        deltas.map((d) => d.name),
+        ['accuracy']
+      );
+    });
+  });
+
+  describe('stub adapter', () => {
+    it('reproduces the saved baseline without network access', async () => {
+      const examples = parseEvalDataset(
+        fs.readFileSync(path.join(EVAL_DIR, 'dataset.jsonl'), 'utf8')
+      );
+      const baseline = JSON.parse(
+        fs.readFileSync(path.join(EVAL_DIR, 'baseline.stub.json'), 'utf8')
+      );
+
+      const results = await classifyEmails(
+        examples.map((e) => redactEmailForPrompt(e, DEFAULT_REDACTION_POLICY).email),
+        undefined,
+        DEFAULT_EMAIL_CATEGORIES,
+        { generate: createStubAdapter() }
+      );
+      const metrics = computeClassificationMetrics(
+        examples.map((e) => e.label),
+        results.map(getPredictedLabel),
+        DEFAULT_EMAIL_CATEGORIES.map((c) => c.name)
+      );
+
+      assert.deepStrictEqual(compareWithBaseline(metrics, baseline).regressions, []);
+      assert.strictEqual(metrics.accuracy, baseline.accuracy);
+    });
+  });
+});
@@ -0,0 +1,150 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import {
+  formatLocalDate,
+  getDigestBlockReason,
+  getDigestSettings,
+  getNextDigestRun,
+  isDigestEmpty,
+  isTimeInWindow,
+  renderDigestText
+} from '../../src/features/emails/digestUtils.js';
+
+const digest = {
+  date: '2026-10-19',
+  total: 3,
+  categories: [
+    { category: 'important', count: 2 },
+    { category: 'promotions', count: 1 }
+  ],
+  importantEmails: [{ subject: 'Contract', from: 'legal@example.com', summary: 'Sign by Friday' }],
+  actionItems: [{ description: 'Sign the contract', dueDate: '2026-10-23' }]
+};
+
+describe('Digest utils', () => {
+  describe('getDigestSettings', () => {
+    it('falls back to a disabled digest at 08:00 UTC by email', () => {
+      assert.deepStrictEqual(getDigestSettings(null), {
+        enabled: false,
+        time: '08:00',
+        timezone: 'UTC',
+        channel: 'email',
+        nextRunAt: null,
+        lastSentAt: null
+      });
+    });
+  });
+
+  describe('getNextDigestRun', () => {
+    it('runs later today when the time has not passed yet', () => {
+      const next = getNextDigestRun('08:00', 'UTC', new Date('2026-10-19T06:00:00Z'));
+      assert.strictEqual(next.toISOString(), '2026-10-19T08:00:00.000Z');
+    });
+
+    it('runs tomorrow when the time has passed', () => {
+      const next = getNextDigestRun('08:00', 'UTC', new Date('2026-10-19T08:00:00Z'));
+      assert.strictEqual(next.toISOString(), '2026-10-20T08:00:00.000Z');
+    });
+
+    it('uses the local day and time of the timezone', () => {
+      // 03:00 UTC is already 08:30 in Kolkata
+      const next = getNextDigestRun('08:00', 'Asia/Kolkata', new Date('2026-10-19T03:00:00Z'));
+      assert.strictEqual(next.toISOString(), '2026-10-20T02:30:00.000Z');
+    });
+
+    it('rolls over into the next year', () => {
+      const next = getNextDigestRun('07:00', 'Europe/Berlin', new Date('2026-12-31T12:00:00Z'));
+      assert.strictEqual(next.toISOString(), '2027-01-01T06:00:00.000Z');
+    });
+
+    it('follows daylight saving changes', () => {
+      const summer = getNextDigestRun(
+        '08:00',
+        'America/New_York',
+        new Date('2026-07-01T00:00:00Z')
+      );
+      const winter = getNextDigestRun(
+        '08:00',
+        'America/New_York',
+        new Date('2026-12-01T00:00:00Z')
+      );
+      assert.strictEqual(summer.toISOString(), '2026-07-01T12:00:00.000Z');
+      assert.strictEqual(winter.toISOString(), '2026-12-01T13:00:00.000Z');
+    });
+
+    it('moves a time skipped by the spring change to after the shift', () => {
+      const next = getNextDigestRun('02:30', 'America/New_York', new Date('2026-03-08T05:00:00Z'));
+      assert.strictEqual(next.toISOString(), '2026-03-08T07:30:00.000Z');
+    });
+  });
+
+  describe('isTimeInWindow', () => {
+    it('handles windows within a day and across midnight', () => {
+      assert.strictEqual(isTimeInWindow('12:00', '09:00', '17:00'), true);
+      assert.strictEqual(isTimeInWindow('17:00', '09:00', '17:00'), false);
+      assert.strictEqual(isTimeInWindow('23:30', '22:00', '07:00'), true);
+      assert.strictEqual(isTimeInWindow('06:59', '22:00', '07:00'), true);
+      assert.strictEqual(isTimeInWindow('08:00', '22:00', '07:00'), false);
+      assert.strictEqual(isTimeInWindow('08:00', undefined, '07:00'), false);
+    });
+  });
+
+  describe('getDigestBlockReason', () => {
+    const now = new Date('2026-10-19T23:00:00Z');
+
+    it('allows the digest without preferences', () => {
+      assert.strictEqual(getDigestBlockReason(null, 'email', now), null);
+    });
+
+    it('blocks a channel disabled for all workflows or for the digest', () => {
+      const disabled = (workflows) => ({ channels: { email: { enabled: false, workflows } } });
+      assert.strictEqual(getDigestBlockReason(disabled([]), 'email', now), 'channel_disabled');
+      assert.strictEqual(
+        getDigestBlockReason(disabled(['email-digest']), 'email', now),
+        'channel_disabled'
+      );
+      assert.strictEqual(getDigestBlockReason(disabled(['billing']), 'email', now), null);
+      assert.strictEqual(getDigestBlockReason(disabled([]), 'sms', now), null);
+    });
+
+    it('checks do not disturb in the preferences timezone', () => {
+      const preferences = {
+        globalSettings: {
+          timezone: 'Europe/Berlin',
+          doNotDisturb: { enabled: true, startTime: '22:00', endTime: '07:00' }
+        }
+      };
+      // 23:00 UTC is 01:00 in Berlin
+      assert.strictEqual(getDigestBlockReason(preferences, 'email', now), 'do_not_disturb');
+      assert.strictEqual(
+        getDigestBlockReason(preferences, 'email', new Date('2026-10-19T08:00:00Z')),
+        null
+      );
+    });
+  });
+
+  describe('formatLocalDate', () => {
+    it('returns the date in the timezone', () => {
+      const date = new Date('2026-10-19T23:00:00Z');
+      assert.strictEqual(formatLocalDate(date, 'UTC'), '2026-10-19');
+      assert.strictEqual(formatLocalDate(date, 'Asia/Tokyo'), '2026-10-20');
+    });
+  });
+
+  describe('renderDigestText', () => {
+    it('lists counts, important emails and action items', () => {
+      const text = renderDigestText(digest);
+      assert.match(text, /Your inbox digest for 2026-10-19/);
+      assert.match(text, /3 new emails: 2 important, 1 promotions/);
+      assert.match(text, /- Contract \(legal@example.com\)\n {2}Sign by Friday/);
+      assert.match(text, /- Sign the contract \(due 2026-10-23\)/);
+    });
+
+    it('reports a quiet day', () => {
+      const empty = { ...digest, total: 0, categories: [], importantEmails: [], actionItems: [] };
+      assert.strictEqual(isDigestEmpty(empty), true);
+      assert.strictEqual(isDigestEmpty(digest), false);
+      assert.match(renderDigestText(empty), /No new emails in the last day\./);
+    });
+  });
+});
@@ -0,0 +1,106 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import {
+  buildEmailSearchQuery,
+  buildUserFilter,
+  getSearchDocumentId,
+  getSearchHits,
+  toSearchDocument
+} from '../../src/features/emails/emailSearchUtils.js';
+import { SEARCH_MODES } from '../../src/features/emails/emailsConstants.js';
+import { EMAIL_INDEX_CONFIG } from '../../src/features/search/searchConstants.js';
+
+const USER_ID = '665f1c2b9a1e4a0012345678';
+
+describe('Email search utils', () => {
+  it('keys documents by user and message', () => {
+    assert.strictEqual(getSearchDocumentId(USER_ID, 'abc'), `${USER_ID}:abc`);
+  });
+
+  it('builds a search document from a stored email', () => {
+    const document = toSearchDocument(USER_ID, {
+      gmailId: 'abc',
+      threadId: 't-1',
+      accountId: 'acc-1',
+      subject: 'Invoice for March',
+      from: 'Billing <billing@example.com>',
+      to: 'me@example.com',
+      snippet: 'Your invoice is attached',
+      labelIds: ['INBOX'],
+      internalDate: new Date('2026-03-02T10:00:00Z')
+    });
+
+    assert.strictEqual(document.user_id, USER_ID);
+    assert.strictEqual(document.account_id, 'acc-1');
+    assert.strictEqual(document.date, '2026-03-02T10:00:00.000Z');
+    assert.strictEqual(
+      document.content,
+      'Invoice for March\nYour invoice is attached\nBilling <billing@example.com>'
+    );
+    assert.strictEqual(toSearchDocument(USER_ID, { gmailId: 'x' }).date, null);
+  });
+
+  it('scopes filters to the user and optionally to accounts', () => {
+    assert.deepStrictEqual(buildUserFilter(USER_ID), {
+      bool: { filter: [{ term: { user_id: USER_ID } }] }
+    });
+
+    const filter = buildUserFilter(USER_ID, { accountId: 'acc-1', includeUnassigned: true });
+    assert.deepStrictEqual(filter.bool.filter[1].bool.should[0], {
+      terms: { account_id: ['acc-1'] }
+    });
+  });
+
+  it('builds keyword and fuzzy queries within the user', () => {
+    const keyword = buildEmailSearchQuery(USER_ID, {
+      q: 'invoice march',
+      mode: SEARCH_MODES.KEYWORD,
+      accountIds: ['acc-1'],
+      limit: 20,
+      offset: 40
+    });
+
+    assert.strictEqual(keyword.from, 40);
+    assert.strictEqual(keyword.size, 20);
+    assert.strictEqual(keyword.query.bool.must.multi_match.operator, 'and');
+    assert.deepStrictEqual(keyword.query.bool.filter, [
+      { term: { user_id: USER_ID } },
+      { terms: { account_id: ['acc-1'] } }
+    ]);
+
+    const fuzzy = buildEmailSearchQuery(USER_ID, {
+      q: 'invoce',
+      mode: SEARCH_MODES.FUZZY,
+      limit: 20
+    });
+    assert.strictEqual(fuzzy.query.bool.must.multi_match.fuzziness, 'AUTO');
+  });
+
+  it('builds semantic queries embedded by the index model', () => {
+    const semantic = buildEmailSearchQuery(USER_ID, {
+      q: 'when is my flight',
+      mode: SEARCH_MODES.SEMANTIC,
+      limit: 20,
+      offset: 20
+    });
+
+    assert.strictEqual(semantic.query, undefined);
+    assert.strictEqual(semantic.knn.k, 40);
+    assert.strictEqual(semantic.knn.num_candidates, 400);
+    assert.deepStrictEqual(semantic.knn.query_vector_builder.text_embedding, {
+      model_id: EMAIL_INDEX_CONFIG.EMBEDDING_MODEL,
+      model_text: 'when is my flight'
+    });
+    assert.deepStrictEqual(semantic.knn.filter, buildUserFilter(USER_ID));
+  });
+
+  it('reads hits and totals', () => {
+    assert.deepStrictEqual(
+      getSearchHits({
+        hits: { total: { value: 3 }, hits: [{ _source: { gmail_id: 'a' } }, { _source: {} }] }
+      }),
+      { emailIds: ['a'], total: 3 }
+    );
+    assert.deepStrictEqual(getSearchHits(undefined), { emailIds: [], total: 0 });
+  });
+});
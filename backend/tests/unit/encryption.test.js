@@ -0,0 +1,55 @@
+import { describe, it, beforeEach } from 'node:test';
+import assert from 'node:assert';
+import { randomBytes } from 'crypto';
+import { decryptSecret, encryptSecret, getMasterKeyId } from '../../src/helpers/encryption.js';
+
+const newMasterKey = () => randomBytes(32).toString('base64');
+
+describe('Envelope encryption', () => {
+  beforeEach(() => {
+    process.env.SECRETS_MASTER_KEY = newMasterKey();
+    delete process.env.SECRETS_PREVIOUS_MASTER_KEYS;
+  });
+
+  it('round-trips a secret without storing it in plain text', () => {
+    const envelope = encryptSecret('AIzaSy-secret', 'user-1:gemini_api_key');
+
+    assert.ok(!JSON.stringify(envelope).includes('AIzaSy-secret'));
+    assert.strictEqual(
+      envelope.masterKeyId,
+      getMasterKeyId(Buffer.from(process.env.SECRETS_MASTER_KEY, 'base64'))
+    );
+    assert.strictEqual(decryptSecret(envelope, 'user-1:gemini_api_key'), 'AIzaSy-secret');
+  });
+
+  it('uses a fresh data key for every encryption', () => {
+    const first = encryptSecret('same', 'ctx');
+    const second = encryptSecret('same', 'ctx');
+
+    assert.notStrictEqual(first.encryptedDataKey, second.encryptedDataKey);
+    assert.notStrictEqual(first.ciphertext, second.ciphertext);
+  });
+
+  it('refuses to decrypt under another context', () => {
+    const envelope = encryptSecret('secret', 'user-1:gemini_api_key');
+
+    assert.throws(() => decryptSecret(envelope, 'user-2:gemini_api_key'));
+  });
+
+  it('reads envelopes sealed with a previous master key', () => {
+    const oldKey = process.env.SECRETS_MASTER_KEY;
+    const envelope = encryptSecret('secret', 'ctx');
+
+    process.env.SECRETS_MASTER_KEY = newMasterKey();
+    assert.throws(() => decryptSecret(envelope, 'ctx'), /unknown master key/);
+
+    process.env.SECRETS_PREVIOUS_MASTER_KEYS = oldKey;
+    assert.strictEqual(decryptSecret(envelope, 'ctx'), 'secret');
+  });
+
+  it('rejects a master key of the wrong length', () => {
+    process.env.SECRETS_MASTER_KEY = Buffer.from('short').toString('base64');
+
+    assert.throws(() => encryptSecret('secret', 'ctx'), /32 bytes/);
+  });
+});
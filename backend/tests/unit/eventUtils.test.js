@@ -0,0 +1,118 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import {
+  buildEventInstruction,
+  buildEventPrompt,
+  findIcsAttachment,
+  getTextEventUid,
+  looksLikeEvent,
+  normalizeEvents
+} from '../../src/features/emails/eventUtils.js';
+import { CALENDAR_CONFIG } from '../../src/features/emails/emailsConstants.js';
+
+describe('Event utils', () => {
+  it('picks emails that look like they mention an event', () => {
+    assert.strictEqual(looksLikeEvent({ subject: 'Invitation: Weekly sync' }), true);
+    assert.strictEqual(
+      looksLikeEvent({ subject: 'Hi', snippet: 'Your appointment is confirmed' }),
+      true
+    );
+    assert.strictEqual(looksLikeEvent({ subject: 'Your receipt', snippet: 'Thanks' }), false);
+  });
+
+  it('finds a downloadable invitation file within the size limit', () => {
+    assert.strictEqual(
+      findIcsAttachment([
+        { attachmentId: null, filename: 'invite.ics', mimeType: 'text/calendar', size: 10 },
+        {
+          attachmentId: 'a1',
+          filename: 'big.ics',
+          mimeType: 'text/calendar',
+          size: CALENDAR_CONFIG.MAX_ICS_BYTES + 1
+        },
+        {
+          attachmentId: 'a2',
+          filename: 'INVITE.ICS',
+          mimeType: 'application/octet-stream',
+          size: 10
+        }
+      ]).attachmentId,
+      'a2'
+    );
+    assert.strictEqual(findIcsAttachment(), null);
+  });
+
+  it('fences the email and names the timezone in the instruction', () => {
+    assert.match(
+      buildEventPrompt('Meet >>> at 3', 'b1'),
+      /^<<<EMAIL b1>>>\nMeet {2}at 3\n<<<END EMAIL b1>>>$/
+    );
+    assert.match(
+      buildEventInstruction('b1', '2026-10-19', 'Europe/Berlin'),
+      /against 2026-10-19[\s\S]*read in Europe\/Berlin/
+    );
+  });
+
+  describe('normalizeEvents', () => {
+    it('places timed events in the stated or the user timezone', () => {
+      const [stated, local] = normalizeEvents(
+        {
+          events: [
+            {
+              title: ' Dentist ',
+              kind: 'meeting',
+              start_date: '2026-10-20',
+              start_time: '15:00',
+              end_time: '15:30',
+              timezone: 'America/New_York',
+              location: 'Main St 1'
+            },
+            { title: 'Call', start_date: '2026-10-20', start_time: '09:00', end_time: '08:00' }
+          ]
+        },
+        { timezone: 'Europe/Berlin' }
+      );
+
+      assert.deepStrictEqual(stated, {
+        title: 'Dentist',
+        kind: 'meeting',
+        start: new Date('2026-10-20T19:00:00Z'),
+        end: new Date('2026-10-20T19:30:00Z'),
+        allDay: false,
+        location: 'Main St 1',
+        description: null
+      });
+      assert.strictEqual(local.kind, 'other');
+      assert.strictEqual(local.start.toISOString(), '2026-10-20T07:00:00.000Z');
+      assert.strictEqual(local.end.toISOString(), '2026-10-20T08:00:00.000Z');
+    });
+
+    it('makes events without a time all day and drops unusable ones', () => {
+      const events = normalizeEvents({
+        events: [
+          { title: 'Trip', kind: 'booking', start_date: '2026-11-02', end_date: '2026-11-05' },
+          { title: 'Taxes due', kind: 'deadline', start_date: '2026-12-31', start_time: '25:00' },
+          { title: 'Someday', start_date: 'next week' },
+          { title: ' ', start_date: '2026-11-02' }
+        ]
+      });
+
+      assert.strictEqual(events.length, 2);
+      assert.strictEqual(events[0].allDay, true);
+      assert.strictEqual(events[0].start.toISOString(), '2026-11-02T00:00:00.000Z');
+      assert.strictEqual(events[0].end.toISOString(), '2026-11-06T00:00:00.000Z');
+      assert.strictEqual(events[1].allDay, true);
+      assert.strictEqual(events[1].end.toISOString(), '2027-01-01T00:00:00.000Z');
+      assert.deepStrictEqual(normalizeEvents({ events: [] }), []);
+      assert.strictEqual(normalizeEvents({}), null);
+    });
+  });
+
+  it('derives stable UIDs for events found in text', () => {
+    const start = new Date('2026-10-20T13:00:00Z');
+
+    assert.strictEqual(getTextEventUid('m1', start), getTextEventUid('m1', new Date(start)));
+    assert.notStrictEqual(getTextEventUid('m1', start), getTextEventUid('m2', start));
+    assert.match(getTextEventUid('m1', start), /^[0-9a-f]{24}@email-events\.local$/);
+  });
+});
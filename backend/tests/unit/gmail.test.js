@@ -0,0 +1,133 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import {
+  callGmail,
+  fetchGmailMessages,
+  getBackoffDelay,
+  GMAIL_CLIENT_CONFIG,
+  isRateLimitError
+} from '../../src/helpers/gmail.js';
+import { mapWithConcurrency } from '../../src/helpers/generalHelper.js';
+
+const httpError = (status, reason) => {
+  const error = new Error(`HTTP ${status}`);
+  error.response = { status, data: { error: { errors: reason ? [{ reason }] : [] } } };
+  return error;
+};
+
+describe('Gmail helpers', () => {
+  describe('isRateLimitError', () => {
+    it('treats 429 and rate limited 403 responses as rate limits', () => {
+      assert.strictEqual(isRateLimitError(httpError(429)), true);
+      assert.strictEqual(isRateLimitError(httpError(403, 'userRateLimitExceeded')), true);
+      assert.strictEqual(isRateLimitError(httpError(403, 'rateLimitExceeded')), true);
+    });
+
+    it('does not retry permission errors or other statuses', () => {
+      assert.strictEqual(isRateLimitError(httpError(403, 'insufficientPermissions')), false);
+      assert.strictEqual(isRateLimitError(httpError(404)), false);
+      assert.strictEqual(isRateLimitError(new Error('socket hang up')), false);
+    });
+  });
+
+  describe('getBackoffDelay', () => {
+    it('doubles the ceiling per attempt and applies jitter', () => {
+      assert.strictEqual(
+        getBackoffDelay(0, undefined, () => 1),
+        GMAIL_CLIENT_CONFIG.BASE_DELAY_MS
+      );
+      assert.strictEqual(
+        getBackoffDelay(3, undefined, () => 1),
+        GMAIL_CLIENT_CONFIG.BASE_DELAY_MS * 8
+      );
+      assert.strictEqual(
+        getBackoffDelay(3, undefined, () => 0.5),
+        GMAIL_CLIENT_CONFIG.BASE_DELAY_MS * 4
+      );
+    });
+
+    it('caps the delay and honours Retry-After', () => {
+      assert.strictEqual(
+        getBackoffDelay(20, undefined, () => 1),
+        GMAIL_CLIENT_CONFIG.MAX_DELAY_MS
+      );
+      assert.strictEqual(
+        getBackoffDelay(0, '3', () => 0),
+        3000
+      );
+    });
+  });
+
+  describe('mapWithConcurrency', () => {
+    it('keeps input order and never exceeds the limit', async () => {
+      let inFlight = 0;
+      let peak = 0;
+
+      const results = await mapWithConcurrency([30, 10, 20, 5, 15], 2, async (ms, index) => {
+        inFlight++;
+        peak = Math.max(peak, inFlight);
+        await new Promise((resolve) => setTimeout(resolve, ms));
+        inFlight--;
+        return index;
+      });
+
+      assert.deepStrictEqual(results, [0, 1, 2, 3, 4]);
+      assert.strictEqual(peak, 2);
+    });
+  });
+
+  describe('callGmail', () => {
+    it('retries rate limited calls and rethrows other errors', async () => {
+      let calls = 0;
+      const gmail = {
+        users: {
+          messages: {
+            get: async () => {
+              calls++;
+              if (calls === 1) {
+                throw httpError(429);
+              }
+              return { status: 200, data: { id: 'a' } };
+            },
+            list: async () => {
+              throw httpError(403, 'insufficientPermissions');
+            }
+          }
+        }
+      };
+
+      const { data } = await callGmail(gmail, 'messages.get', { userId: 'me', id: 'a' });
+      assert.deepStrictEqual(data, { id: 'a' });
+      assert.strictEqual(calls, 2);
+
+      await assert.rejects(callGmail(gmail, 'messages.list', { userId: 'me' }), /HTTP 403/);
+    });
+  });
+
+  describe('fetchGmailMessages', () => {
+    it('requests metadata only when headers are given and skips deleted messages', async () => {
+      const requests = [];
+      const gmail = {
+        users: {
+          messages: {
+            get: async (params) => {
+              requests.push(params);
+              if (params.id === 'gone') {
+                throw httpError(404);
+              }
+              return { status: 200, data: { id: params.id } };
+            }
+          }
+        }
+      };
+
+      const messages = await fetchGmailMessages(gmail, ['a', 'gone', 'b'], {
+        metadataHeaders: ['Subject']
+      });
+
+      assert.deepStrictEqual(messages, [{ id: 'a' }, { id: 'b' }]);
+      assert.ok(requests.every((r) => r.format === 'metadata'));
+      assert.deepStrictEqual(requests[0].metadataHeaders, ['Subject']);
+    });
+  });
+});
@@ -0,0 +1,167 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import { buildIcsCalendar, parseIcsEvents } from '../../src/features/emails/icsUtils.js';
+
+const invitation = [
+  'BEGIN:VCALENDAR',
+  'METHOD:REQUEST',
+  'BEGIN:VTIMEZONE',
+  'TZID:Europe/Berlin',
+  'END:VTIMEZONE',
+  'BEGIN:VEVENT',
+  'UID:abc123@calendar.example',
+  'SEQUENCE:2',
+  'DTSTART;TZID=Europe/Berlin:20261020T150000',
+  'DTEND;TZID=Europe/Berlin:20261020T160000',
+  'SUMMARY:Quarterly review\\, Q4',
+  'LOCATION:Room 4',
+  'DESCRIPTION:Agenda:\\nnumbers and plan',
+  ' s for next year',
+  'ORGANIZER;CN="Ann, Lead":mailto:ann@example.com',
+  'RRULE:FREQ=MONTHLY;COUNT=3',
+  'BEGIN:VALARM',
+  'DESCRIPTION:Reminder',
+  'END:VALARM',
+  'END:VEVENT',
+  'END:VCALENDAR'
+].join('\r\n');
+
+describe('ICS utils', () => {
+  describe('parseIcsEvents', () => {
+    it('reads an invitation with its timezone, folded lines and escapes', () => {
+      assert.deepStrictEqual(parseIcsEvents(invitation), [
+        {
+          uid: 'abc123@calendar.example',
+          title: 'Quarterly review, Q4',
+          description: 'Agenda:\nnumbers and plans for next year',
+          location: 'Room 4',
+          organizer: 'Ann, Lead',
+          start: new Date('2026-10-20T13:00:00Z'),
+          end: new Date('2026-10-20T14:00:00Z'),
+          allDay: false,
+          recurrence: 'FREQ=MONTHLY;COUNT=3',
+          cancelled: false,
+          sequence: 2
+        }
+      ]);
+    });
+
+    it('handles all-day, UTC, floating and duration times', () => {
+      const [allDay, utc, floating] = parseIcsEvents(
+        [
+          'BEGIN:VEVENT',
+          'UID:1',
+          'DTSTART;VALUE=DATE:20261224',
+          'END:VEVENT',
+          'BEGIN:VEVENT',
+          'UID:2',
+          'DTSTART:20261020T090000Z',
+          'DURATION:PT1H30M',
+          'ORGANIZER:mailto:bob@example.com',
+          'END:VEVENT',
+          'BEGIN:VEVENT',
+          'UID:3',
+          'DTSTART;TZID=Not/AZone:20260701T090000',
+          'END:VEVENT'
+        ].join('\n'),
+        { timezone: 'America/New_York' }
+      );
+
+      assert.strictEqual(allDay.allDay, true);
+      assert.strictEqual(allDay.start.toISOString(), '2026-12-24T00:00:00.000Z');
+      assert.strictEqual(allDay.end.toISOString(), '2026-12-25T00:00:00.000Z');
+      assert.strictEqual(allDay.title, 'Untitled event');
+      assert.strictEqual(utc.end.toISOString(), '2026-10-20T10:30:00.000Z');
+      assert.strictEqual(utc.organizer, 'bob@example.com');
+      assert.strictEqual(floating.start.toISOString(), '2026-07-01T13:00:00.000Z');
+      assert.strictEqual(floating.end.toISOString(), floating.start.toISOString());
+    });
+
+    it('marks cancellations and skips occurrence overrides and invalid starts', () => {
+      const events = parseIcsEvents(
+        [
+          'METHOD:CANCEL',
+          'BEGIN:VEVENT',
+          'UID:1',
+          'DTSTART:20261020T090000Z',
+          'END:VEVENT',
+          'BEGIN:VEVENT',
+          'UID:1',
+          'RECURRENCE-ID:20261027T090000Z',
+          'DTSTART:20261027T100000Z',
+          'END:VEVENT',
+          'BEGIN:VEVENT',
+          'UID:2',
+          'DTSTART:next tuesday',
+          'END:VEVENT'
+        ].join('\r\n')
+      );
+
+      assert.strictEqual(events.length, 1);
+      assert.strictEqual(events[0].cancelled, true);
+      assert.deepStrictEqual(parseIcsEvents(''), []);
+      assert.deepStrictEqual(parseIcsEvents(null), []);
+    });
+  });
+
+  describe('buildIcsCalendar', () => {
+    const event = {
+      uid: 'abc123@calendar.example',
+      title: 'Review; budget, plans',
+      location: null,
+      description: 'Line one\nLine two',
+      start: new Date('2026-10-20T13:00:00Z'),
+      end: new Date('2026-10-20T14:00:00Z'),
+      allDay: false,
+      recurrence: 'FREQ=WEEKLY',
+      status: 'accepted',
+      cancelled: false,
+      sequence: 2,
+      updatedAt: new Date('2026-10-19T08:00:00Z')
+    };
+
+    it('writes escaped events with CRLF line endings', () => {
+      const lines = buildIcsCalendar([event]).split('\r\n');
+
+      assert.strictEqual(lines[0], 'BEGIN:VCALENDAR');
+      assert.ok(lines.includes('METHOD:PUBLISH'));
+      assert.ok(lines.includes('DTSTAMP:20261019T080000Z'));
+      assert.ok(lines.includes('DTSTART:20261020T130000Z'));
+      assert.ok(lines.includes('SUMMARY:Review\\; budget\\, plans'));
+      assert.ok(lines.includes('DESCRIPTION:Line one\\nLine two'));
+      assert.ok(lines.includes('RRULE:FREQ=WEEKLY'));
+      assert.ok(lines.includes('STATUS:CONFIRMED'));
+      assert.ok(!lines.some((line) => line.startsWith('LOCATION')));
+      assert.deepStrictEqual(lines.slice(-2), ['END:VCALENDAR', '']);
+    });
+
+    it('writes all-day dates, cancellations and safe recurrence rules only', () => {
+      const lines = buildIcsCalendar([
+        {
+          ...event,
+          allDay: true,
+          start: new Date('2026-12-24T00:00:00Z'),
+          end: new Date('2026-12-25T00:00:00Z'),
+          recurrence: 'FREQ=DAILY\r\nATTACH:http://x',
+          cancelled: true
+        }
+      ]).split('\r\n');
+
+      assert.ok(lines.includes('DTSTART;VALUE=DATE:20261224'));
+      assert.ok(lines.includes('DTEND;VALUE=DATE:20261225'));
+      assert.ok(lines.includes('STATUS:CANCELLED'));
+      assert.ok(!lines.some((line) => /^(RRULE|ATTACH)/.test(line)));
+    });
+
+    it('folds long lines at 75 octets and reads back what it writes', () => {
+      const title = 'Ünïcödé '.repeat(20).trim();
+      const ics = buildIcsCalendar([{ ...event, title }]);
+
+      assert.ok(ics.split('\r\n').every((line) => Buffer.byteLength(line) <= 75));
+      const [parsed] = parseIcsEvents(ics);
+      assert.strictEqual(parsed.title, title);
+      assert.strictEqual(parsed.start.getTime(), event.start.getTime());
+      assert.strictEqual(parsed.sequence, 2);
+    });
+  });
+});
@@ -0,0 +1,201 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import { simpleParser } from 'mailparser';
+import {
+  createCursorExpiredError,
+  decodeImapCursor,
+  decodeImapMessageId,
+  encodeImapCursor,
+  encodeImapMessageId,
+  getImapFlagChanges,
+  getImapLabelIds,
+  getImportedLabelIds,
+  getImportedMessageId,
+  getThreadId,
+  isCursorExpiredError,
+  isMboxArchive,
+  splitMbox,
+  toMessageContent,
+  toStoredMessage
+} from '../../src/features/emails/mailboxUtils.js';
+
+const ACCOUNT_ID = '65f1a2b3c4d5e6f708192a3b';
+
+const message = (headers, body = 'Hello there') =>
+  `${Object.entries(headers)
+    .map(([name, value]) => `${name}: ${value}`)
+    .join('\r\n')}\r\n\r\n${body}\r\n`;
+
+describe('Mailbox utils', () => {
+  describe('IMAP message ids', () => {
+    it('round-trips the account, UIDVALIDITY and UID', () => {
+      const id = encodeImapMessageId(ACCOUNT_ID, 1700000000, 42);
+
+      assert.match(id, /^[0-9a-f]{40}$/);
+      assert.deepStrictEqual(decodeImapMessageId(id), {
+        accountId: ACCOUNT_ID,
+        uidValidity: 1700000000,
+        uid: 42
+      });
+    });
+
+    it('rejects ids of other providers', () => {
+      assert.strictEqual(decodeImapMessageId('18c2f0a1b2c3d4e5'), null);
+      assert.strictEqual(decodeImapMessageId(undefined), null);
+    });
+  });
+
+  describe('IMAP cursors', () => {
+    it('round-trips UIDVALIDITY and the next UID', () => {
+      const cursor = encodeImapCursor({ uidValidity: 7n, uidNext: 120 });
+
+      assert.strictEqual(cursor, '7:120');
+      assert.deepStrictEqual(decodeImapCursor(cursor), { uidValidity: 7, uidNext: 120 });
+    });
+
+    it('treats a Gmail historyId as no cursor', () => {
+      assert.strictEqual(decodeImapCursor('123456'), null);
+      assert.strictEqual(decodeImapCursor(null), null);
+    });
+  });
+
+  it('marks cursor expiry errors', () => {
+    assert.ok(isCursorExpiredError(createCursorExpiredError()));
+    assert.ok(!isCursorExpiredError(new Error('Not found')));
+  });
+
+  describe('getImapLabelIds', () => {
+    it('maps flags to Gmail-style labels', () => {
+      assert.deepStrictEqual(
+        getImapLabelIds(new Set(['\\Flagged', 'invoices', '$Junk']), {
+          inbox: true
+        }),
+        ['INBOX', 'UNREAD', 'STARRED', 'invoices']
+      );
+    });
+
+    it('leaves out INBOX and UNREAD for seen messages in other folders', () => {
+      assert.deepStrictEqual(getImapLabelIds(['\\Seen']), []);
+    });
+  });
+
+  describe('getImapFlagChanges', () => {
+    it('turns read and star changes into flags', () => {
+      assert.deepStrictEqual(getImapFlagChanges({ add: ['STARRED'], remove: ['UNREAD'] }), {
+        addFlags: ['\\Flagged', '\\Seen'],
+        removeFlags: [],
+        moveTo: null
+      });
+    });
+
+    it('archives when INBOX is removed and prefers trash over archive', () => {
+      assert.strictEqual(getImapFlagChanges({ remove: ['INBOX'] }).moveTo, 'archive');
+      assert.strictEqual(getImapFlagChanges({ add: ['TRASH'], remove: ['INBOX'] }).moveTo, 'trash');
+    });
+
+    it('turns other labels into valid keywords', () => {
+      assert.deepStrictEqual(getImapFlagChanges({ add: ['AI/Work stuff'] }).addFlags, [
+        'AI/Work_stuff'
+      ]);
+    });
+  });
+
+  describe('mbox archives', () => {
+    const archive = Buffer.from(
+      [
+        'From alice@example.com Mon Oct  5 10:00:00 2026',
+        'Subject: First',
+        '',
+        'Line one',
+        '>From the start',
+        '',
+        'From bob@example.com Mon Oct  5 11:00:00 2026',
+        'Subject: Second',
+        '',
+        'Line two',
+        ''
+      ].join('\n'),
+      'latin1'
+    );
+
+    it('detects mbox by its separator line', () => {
+      assert.ok(isMboxArchive(archive));
+      assert.ok(!isMboxArchive(Buffer.from(message({ Subject: 'Single' }))));
+    });
+
+    it('splits messages and unescapes quoted From lines', () => {
+      const messages = splitMbox(archive).map((m) => m.toString('latin1'));
+
+      assert.strictEqual(messages.length, 2);
+      assert.strictEqual(messages[0], 'Subject: First\n\nLine one\nFrom the start\n');
+      assert.strictEqual(messages[1], 'Subject: Second\n\nLine two\n');
+    });
+  });
+
+  it('derives imported ids from the content', () => {
+    const a = getImportedMessageId(ACCOUNT_ID, Buffer.from('one'));
+
+    assert.match(a, /^[0-9a-f]{48}$/);
+    assert.strictEqual(a, getImportedMessageId(ACCOUNT_ID, Buffer.from('one')));
+    assert.notStrictEqual(a, getImportedMessageId(ACCOUNT_ID, Buffer.from('two')));
+  });
+
+  it('marks imported messages unread unless their Status says read', async () => {
+    const unread = await simpleParser(message({ Subject: 'New' }));
+    const read = await simpleParser(message({ Subject: 'Old', Status: 'RO' }));
+
+    assert.deepStrictEqual(getImportedLabelIds(unread), ['INBOX', 'UNREAD']);
+    assert.deepStrictEqual(getImportedLabelIds(read), ['INBOX']);
+  });
+
+  it('threads replies with the message they answer', async () => {
+    const root = await simpleParser(message({ 'Message-ID': '<root@example.com>' }));
+    const reply = await simpleParser(
+      message({ 'Message-ID': '<reply@example.com>', References: '<root@example.com>' })
+    );
+
+    assert.strictEqual(getThreadId(ACCOUNT_ID, reply, 'x'), getThreadId(ACCOUNT_ID, root, 'y'));
+    assert.notStrictEqual(
+      getThreadId(ACCOUNT_ID, root, 'y'),
+      getThreadId('75f1a2b3c4d5e6f708192a3b', root, 'y')
+    );
+  });
+
+  it('maps parsed messages to the stored and reader shapes', async () => {
+    const parsed = await simpleParser(
+      message(
+        {
+          From: 'News <news@example.com>',
+          To: 'me@example.com',
+          Cc: 'team@example.com',
+          Subject: 'Weekly update',
+          Date: 'Mon, 5 Oct 2026 10:00:00 +0000',
+          'List-Id': 'Weekly <weekly.example.com>',
+          'List-Unsubscribe': '<https://example.com/u>'
+        },
+        'Body   text\r\nacross lines'
+      )
+    );
+    const stored = toStoredMessage(parsed, {
+      gmailId: 'abc',
+      accountId: ACCOUNT_ID,
+      labelIds: ['INBOX'],
+      internalDate: null,
+      size: 300
+    });
+
+    assert.strictEqual(stored.subject, 'Weekly update');
+    assert.strictEqual(stored.from, 'News <news@example.com>');
+    assert.strictEqual(stored.to, 'me@example.com');
+    assert.strictEqual(stored.date, 'Mon, 5 Oct 2026 10:00:00 +0000');
+    assert.strictEqual(stored.snippet, 'Body text across lines');
+    assert.strictEqual(stored.listId, 'weekly.example.com');
+    assert.strictEqual(stored.listUnsubscribe, '<https://example.com/u>');
+    assert.deepStrictEqual(stored.internalDate, new Date('2026-10-05T10:00:00Z'));
+
+    const content = toMessageContent(parsed, stored);
+    assert.strictEqual(content.cc, 'team@example.com');
+    assert.strictEqual(content.text.trim(), 'Body   text\nacross lines');
+    assert.deepStrictEqual(content.attachments, []);
+  });
+});
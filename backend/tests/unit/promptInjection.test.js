@@ -0,0 +1,125 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import { classifyEmails } from '../../src/features/emails/emailsService.js';
+import { detectPromptInjection } from '../../src/features/emails/emailsUtils.js';
+import { CLASSIFIER_CONFIG } from '../../src/features/emails/emailsConstants.js';
+import { promptInjectionFixtures } from '../fixtures/promptInjectionFixtures.js';
+
+const { categories, adversarial, benign } = promptInjectionFixtures;
+
+const KEYWORDS = [
+  ['important', /\b(invoice|meeting|due)\b/i],
+  ['promotions', /\b(sale|off|offer|unsubscribe)\b/i]
+];
+
+/**
+ * A deliberately gullible model: it classifies by keywords but obeys any
+ * "classify ... as X" it can see in the prompt. It reads the email only
+ * from between the boundary markers and records every call.
+ */
+const createMockModel = () => {
+  const calls = [];
+
+  const generate = async (prompt, schema, opts) => {
+    const boundary = opts.config.systemInstruction.match(/<<<EMAIL (\w+)>>>/)[1];
+    const start = `<<<EMAIL ${boundary}>>>`;
+    const end = `<<<END EMAIL ${boundary}>>>`;
+    assert.ok(prompt.startsWith(start) && prompt.endsWith(end), 'email must be fenced');
+
+    const content = prompt.slice(start.length, -end.length);
+    calls.push({ prompt, content });
+
+    const allowed = schema.properties.category.enum;
+    const obeyed = content.match(
+      /\b(?:classify|categori[sz]e|treat|labels?)\b[^.]*?\b(important|promotions|spam)\b/i
+    );
+    const category =
+      (obeyed && allowed.includes(obeyed[1].toLowerCase()) && obeyed[1].toLowerCase()) ||
+      KEYWORDS.find(([, pattern]) => pattern.test(content))?.[0] ||
+      'general';
+
+    return { category, confidence: 0.95, reason: 'Mock answer', possible_injection: false };
+  };
+
+  return { generate, calls };
+};
+
+describe('Prompt injection regression suite', () => {
+  it('flags every adversarial fixture and caps its confidence', async () => {
+    const { generate } = createMockModel();
+    const results = await classifyEmails(adversarial, undefined, categories, { generate });
+
+    results.forEach((result, index) => {
+      const fixture = adversarial[index];
+      assert.deepStrictEqual(result.flags, ['possible_injection'], fixture.technique);
+      assert.ok(result.injectionSignals.length > 0, fixture.technique);
+      assert.ok(result.confidence <= CLASSIFIER_CONFIG.INJECTION_CONFIDENCE_CAP);
+    });
+  });
+
+  it('does not flag benign emails that use similar words', async () => {
+    const { generate } = createMockModel();
+    const results = await classifyEmails(benign, undefined, categories, { generate });
+
+    results.forEach((result, index) => {
+      const fixture = benign[index];
+      assert.deepStrictEqual(result.flags, [], fixture.id);
+      assert.deepStrictEqual(detectPromptInjection(fixture), [], fixture.id);
+      assert.strictEqual(result.category, fixture.expectedCategory, fixture.id);
+      assert.strictEqual(result.confidence, 0.95);
+    });
+  });
+
+  it('classifies each email in its own call so one cannot steer another', async () => {
+    const { generate, calls } = createMockModel();
+    const emails = [...adversarial, ...benign];
+    const results = await classifyEmails(emails, undefined, categories, { generate });
+
+    assert.strictEqual(calls.length, emails.length);
+    for (const { content } of calls) {
+      assert.strictEqual(content.match(/^From:/gm).length, 1);
+    }
+    benign.forEach((fixture) => {
+      const result = results.find((r) => r.id === fixture.id);
+      assert.strictEqual(result.category, fixture.expectedCategory, fixture.id);
+    });
+  });
+
+  it('strips forged delimiters from email content', async () => {
+    const { generate, calls } = createMockModel();
+    const forged = adversarial.find((email) => email.id === 'adv-delimiter');
+    await classifyEmails([forged], undefined, categories, { generate });
+
+    assert.ok(!calls[0].content.includes('<<<'));
+    assert.ok(!calls[0].content.includes('>>>'));
+  });
+
+  it('trusts the model flag even when the heuristics miss', async () => {
+    const generate = async () => ({
+      category: 'important',
+      confidence: 0.9,
+      reason: 'Claims urgency',
+      possible_injection: true
+    });
+    const [result] = await classifyEmails(benign.slice(0, 1), undefined, categories, {
+      generate
+    });
+
+    assert.deepStrictEqual(result.flags, ['possible_injection']);
+    assert.deepStrictEqual(result.injectionSignals, []);
+    assert.strictEqual(result.confidence, CLASSIFIER_CONFIG.INJECTION_CONFIDENCE_CAP);
+  });
+
+  it('keeps the flag when the model fails and the default category is used', async () => {
+    const generate = async () => {
+      throw new Error('model unavailable');
+    };
+    const [result] = await classifyEmails(adversarial.slice(0, 1), undefined, categories, {
+      generate
+    });
+
+    assert.strictEqual(result.category, 'general');
+    assert.strictEqual(result.error, 'model unavailable');
+    assert.deepStrictEqual(result.flags, ['possible_injection']);
+  });
+});
@@ -0,0 +1,118 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import {
+  createPushEnvelope,
+  decodePushEnvelope,
+  formatServerSentEvent,
+  getBearerToken,
+  isNewerHistoryId,
+  signPushToken,
+  verifyPushToken
+} from '../../src/features/emails/pushUtils.js';
+
+const SECRET = 'local-push-secret';
+const AUDIENCE = 'http://localhost:8000/api/v1/emails/push/gmail';
+const NOW = Date.UTC(2026, 9, 19, 12, 0, 0);
+const NOW_SECONDS = NOW / 1000;
+
+const claims = (overrides = {}) => ({
+  aud: AUDIENCE,
+  iat: NOW_SECONDS,
+  exp: NOW_SECONDS + 300,
+  ...overrides
+});
+
+describe('Push utils', () => {
+  it('reads bearer tokens', () => {
+    assert.strictEqual(getBearerToken('Bearer abc.def.ghi'), 'abc.def.ghi');
+    assert.strictEqual(getBearerToken('Basic abc'), null);
+    assert.strictEqual(getBearerToken(undefined), null);
+  });
+
+  describe('push tokens', () => {
+    it('accepts tokens signed with the secret for the audience', () => {
+      const token = signPushToken(claims(), SECRET);
+
+      assert.deepStrictEqual(
+        verifyPushToken(token, SECRET, { audience: AUDIENCE, now: NOW }),
+        claims()
+      );
+    });
+
+    it('refuses other secrets, audiences and tampered claims', () => {
+      const token = signPushToken(claims(), SECRET);
+      const [header, , signature] = token.split('.');
+      const forged = Buffer.from(JSON.stringify(claims({ aud: 'x' }))).toString('base64url');
+
+      assert.strictEqual(verifyPushToken(token, 'other', { audience: AUDIENCE, now: NOW }), null);
+      assert.strictEqual(verifyPushToken(token, SECRET, { audience: 'other', now: NOW }), null);
+      assert.strictEqual(
+        verifyPushToken(`${header}.${forged}.${signature}`, SECRET, { now: NOW }),
+        null
+      );
+      assert.strictEqual(verifyPushToken('not-a-token', SECRET, { now: NOW }), null);
+    });
+
+    it('refuses expired and stale tokens', () => {
+      const expired = signPushToken(claims({ exp: NOW_SECONDS - 120 }), SECRET);
+      const stale = signPushToken(claims({ iat: NOW_SECONDS - 600 }), SECRET);
+
+      assert.strictEqual(verifyPushToken(expired, SECRET, { audience: AUDIENCE, now: NOW }), null);
+      assert.strictEqual(verifyPushToken(stale, SECRET, { audience: AUDIENCE, now: NOW }), null);
+    });
+
+    it('refuses unsigned tokens', () => {
+      const unsigned = [
+        Buffer.from(JSON.stringify({ alg: 'none' })).toString('base64url'),
+        Buffer.from(JSON.stringify(claims())).toString('base64url'),
+        ''
+      ].join('.');
+
+      assert.strictEqual(verifyPushToken(unsigned, SECRET, { audience: AUDIENCE, now: NOW }), null);
+    });
+  });
+
+  describe('push envelopes', () => {
+    it('round-trips a mailbox change', () => {
+      const envelope = createPushEnvelope(
+        { emailAddress: 'me@example.com', historyId: '123456' },
+        { messageId: 'm-1', subscription: 'projects/local/subscriptions/gmail-push' }
+      );
+
+      assert.deepStrictEqual(decodePushEnvelope(envelope), {
+        emailAddress: 'me@example.com',
+        historyId: '123456',
+        messageId: 'm-1'
+      });
+    });
+
+    it('rejects data that is not a Gmail change', () => {
+      const encode = (value) => ({
+        message: { data: Buffer.from(JSON.stringify(value)).toString('base64') }
+      });
+
+      assert.strictEqual(decodePushEnvelope(encode({ historyId: 1 })), null);
+      assert.strictEqual(
+        decodePushEnvelope(encode({ emailAddress: 'a@b.c', historyId: 'x' })),
+        null
+      );
+      assert.strictEqual(decodePushEnvelope({ message: { data: 'bm90IGpzb24=' } }), null);
+      assert.strictEqual(decodePushEnvelope({}), null);
+    });
+  });
+
+  it('compares historyIds past the Number range', () => {
+    assert.ok(isNewerHistoryId('9007199254740993', '9007199254740992'));
+    assert.ok(!isNewerHistoryId('100', '100'));
+    assert.ok(isNewerHistoryId('100', null));
+    // An IMAP cursor is not a historyId
+    assert.ok(isNewerHistoryId('100', '7:120'));
+  });
+
+  it('formats server-sent events', () => {
+    assert.strictEqual(
+      formatServerSentEvent({ event: 'mailbox.synced', data: { added: 2 } }),
+      'event: mailbox.synced\ndata: {"added":2}\n\n'
+    );
+  });
+});
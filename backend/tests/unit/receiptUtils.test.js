@@ -0,0 +1,208 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import {
+  buildReceiptInstruction,
+  buildReceiptPrompt,
+  buildReceiptsCsv,
+  buildSpendSummary,
+  getPdfAttachments,
+  getSummaryMonths,
+  looksLikeReceipt,
+  normalizeReceipt,
+  shiftMonth
+} from '../../src/features/emails/receiptUtils.js';
+import { RECEIPT_CONFIG } from '../../src/features/emails/emailsConstants.js';
+
+const output = {
+  is_receipt: true,
+  document_type: 'invoice',
+  source: 'attachment',
+  attachment_name: 'INV-1042.pdf',
+  merchant: ' Acme Hosting ',
+  amount: '119.004',
+  currency: 'eur',
+  date: '2026-09-30',
+  tax: 19,
+  order_number: 'INV-1042',
+  category: 'services'
+};
+
+describe('Receipt utils', () => {
+  it('picks emails that look like receipts by subject or preview', () => {
+    assert.strictEqual(looksLikeReceipt({ subject: 'Your receipt from Acme' }), true);
+    assert.strictEqual(
+      looksLikeReceipt({ subject: 'Hi', snippet: 'Invoice INV-1042 is ready' }),
+      true
+    );
+    assert.strictEqual(looksLikeReceipt({ subject: 'Order confirmation #123' }), true);
+    assert.strictEqual(
+      looksLikeReceipt({ subject: 'Lunch on Friday?', snippet: 'Are you free' }),
+      false
+    );
+  });
+
+  it('keeps downloadable PDF attachments within the size limit', () => {
+    const attachments = [
+      { attachmentId: 'a1', filename: 'invoice.pdf', mimeType: 'application/pdf', size: 2000 },
+      { attachmentId: null, filename: 'imap.pdf', mimeType: 'application/pdf', size: 2000 },
+      { attachmentId: 'a2', filename: 'logo.png', mimeType: 'image/png', size: 100 },
+      { attachmentId: 'a3', filename: 'SCAN.PDF', mimeType: 'application/octet-stream', size: 10 },
+      {
+        attachmentId: 'a4',
+        filename: 'huge.pdf',
+        mimeType: 'application/pdf',
+        size: RECEIPT_CONFIG.MAX_ATTACHMENT_BYTES + 1
+      }
+    ];
+
+    assert.deepStrictEqual(
+      getPdfAttachments(attachments).map((attachment) => attachment.attachmentId),
+      ['a1', 'a3']
+    );
+    assert.deepStrictEqual(getPdfAttachments(), []);
+  });
+
+  it('fences the email and names the attachments in the instruction', () => {
+    assert.match(
+      buildReceiptPrompt('Total >>> 10 EUR', 'b1'),
+      /^<<<EMAIL b1>>>\nTotal {2}10 EUR\n<<<END EMAIL b1>>>$/
+    );
+
+    const instruction = buildReceiptInstruction('b1', '2026-10-01', ['INV-1042.pdf']);
+    assert.match(instruction, /in this order: "INV-1042.pdf"/);
+    assert.match(instruction, /against\n {2}2026-10-01/);
+    assert.doesNotMatch(buildReceiptInstruction('b1', '2026-10-01'), /attachments come before/);
+  });
+
+  describe('normalizeReceipt', () => {
+    it('cleans up the extracted fields', () => {
+      assert.deepStrictEqual(normalizeReceipt(output, { attachmentNames: ['INV-1042.pdf'] }), {
+        isReceipt: true,
+        documentType: 'invoice',
+        source: 'attachment',
+        attachmentName: 'INV-1042.pdf',
+        merchant: 'Acme Hosting',
+        amount: 119,
+        currency: 'EUR',
+        date: '2026-09-30',
+        tax: 19,
+        orderNumber: 'INV-1042',
+        category: 'services'
+      });
+    });
+
+    it('falls back for unknown attachments, dates, currencies and categories', () => {
+      const result = normalizeReceipt(
+        {
+          ...output,
+          document_type: 'quote',
+          date: '30/09/2026',
+          currency: 'euros',
+          tax: null,
+          order_number: ' ',
+          category: 'gadgets'
+        },
+        { attachmentNames: ['other.pdf'], fallbackDate: '2026-10-01' }
+      );
+
+      assert.strictEqual(result.documentType, 'receipt');
+      assert.strictEqual(result.source, 'body');
+      assert.strictEqual(result.attachmentName, null);
+      assert.strictEqual(result.date, '2026-10-01');
+      assert.strictEqual(result.currency, null);
+      assert.strictEqual(result.tax, null);
+      assert.strictEqual(result.orderNumber, null);
+      assert.strictEqual(result.category, 'other');
+    });
+
+    it('counts receipts without a merchant or amount as no receipt', () => {
+      assert.deepStrictEqual(normalizeReceipt({ is_receipt: false }), { isReceipt: false });
+      assert.deepStrictEqual(normalizeReceipt({ ...output, amount: 'n/a' }), { isReceipt: false });
+      assert.deepStrictEqual(normalizeReceipt({ ...output, merchant: '' }), { isReceipt: false });
+      assert.strictEqual(normalizeReceipt({ merchant: 'Acme' }), null);
+      assert.strictEqual(normalizeReceipt(null), null);
+    });
+  });
+
+  it('exports receipts as CSV with quoting and without formulas', () => {
+    const csv = buildReceiptsCsv([
+      {
+        emailId: 'm1',
+        date: '2026-09-30',
+        merchant: 'Acme, Inc.',
+        amount: 119,
+        currency: 'EUR',
+        tax: null,
+        orderNumber: '=HYPERLINK("x")',
+        category: 'services',
+        documentType: 'invoice',
+        subject: 'Your "invoice"',
+        from: 'billing@acme.example'
+      }
+    ]);
+
+    const [header, row, end] = csv.split('\r\n');
+    assert.strictEqual(
+      header,
+      'date,merchant,amount,currency,tax,order_number,category,type,subject,from,email_id'
+    );
+    assert.strictEqual(
+      row,
+      '2026-09-30,"Acme, Inc.",119,EUR,,"\'=HYPERLINK(""x"")",services,invoice,"Your ""invoice""",billing@acme.example,m1'
+    );
+    assert.strictEqual(end, '');
+  });
+
+  it('resolves the months of the spend summary', () => {
+    assert.strictEqual(shiftMonth('2026-01', -1), '2025-12');
+    assert.strictEqual(shiftMonth('2026-11', 2), '2027-01');
+
+    const now = new Date('2026-10-19T12:00:00Z');
+    assert.deepStrictEqual(getSummaryMonths({}, now), { from: '2025-11', to: '2026-10' });
+    assert.deepStrictEqual(getSummaryMonths({ to: '2026-03' }, now), {
+      from: '2025-04',
+      to: '2026-03'
+    });
+    assert.deepStrictEqual(getSummaryMonths({ from: '2026-09' }, now), {
+      from: '2026-09',
+      to: '2026-10'
+    });
+  });
+
+  it('sums spend per month, merchant and category without mixing currencies', () => {
+    const row = (month, merchant, category, currency, amount, tax = 0) => ({
+      month,
+      merchant,
+      category,
+      currency,
+      amount,
+      tax,
+      count: 1
+    });
+
+    const months = buildSpendSummary([
+      row('2026-09', 'Acme', 'services', 'EUR', 100.1, 19),
+      row('2026-10', 'Acme', 'services', 'EUR', 10),
+      row('2026-10', 'Cafe', 'food', 'EUR', 4.2),
+      row('2026-10', 'Cafe', 'food', 'USD', 5)
+    ]);
+
+    assert.deepStrictEqual(
+      months.map((month) => month.month),
+      ['2026-10', '2026-09']
+    );
+    assert.deepStrictEqual(months[0].totals, [
+      { currency: 'EUR', amount: 14.2, tax: 0, count: 2 },
+      { currency: 'USD', amount: 5, tax: 0, count: 1 }
+    ]);
+    assert.deepStrictEqual(months[0].merchants, [
+      { merchant: 'Acme', currency: 'EUR', amount: 10, tax: 0, count: 1 },
+      { merchant: 'Cafe', currency: 'USD', amount: 5, tax: 0, count: 1 },
+      { merchant: 'Cafe', currency: 'EUR', amount: 4.2, tax: 0, count: 1 }
+    ]);
+    assert.deepStrictEqual(months[1].categories, [
+      { category: 'services', currency: 'EUR', amount: 100.1, tax: 19, count: 1 }
+    ]);
+    assert.deepStrictEqual(buildSpendSummary([]), []);
+  });
+});
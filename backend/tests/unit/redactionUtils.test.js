@@ -0,0 +1,126 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import {
+  getRedactionPolicy,
+  redactEmailForPrompt,
+  redactText
+} from '../../src/features/emails/redactionUtils.js';
+import {
+  DEFAULT_REDACTION_POLICY,
+  REDACTION_TYPES
+} from '../../src/features/emails/emailsConstants.js';
+
+const ALL_TYPES = Object.values(REDACTION_TYPES);
+
+describe('Redaction Utils', () => {
+  describe('redactText', () => {
+    it('masks email addresses, optionally keeping the domain', () => {
+      assert.strictEqual(
+        redactText('Reply to jane.doe@acme.co.uk', ALL_TYPES).text,
+        'Reply to [EMAIL]'
+      );
+      assert.strictEqual(
+        redactText('Jane <jane@acme.com>', ALL_TYPES, { keepEmailDomain: true }).text,
+        'Jane <[EMAIL]@acme.com>'
+      );
+    });
+
+    it('masks international and national phone numbers but not dates or amounts', () => {
+      const { text, counts } = redactText(
+        'Call +44 20 7946 0958 or (415) 555-2671 before 2024-01-15 about $1,250.00',
+        ALL_TYPES
+      );
+
+      assert.strictEqual(text, 'Call [PHONE] or [PHONE] before 2024-01-15 about $1,250.00');
+      assert.strictEqual(counts.phone, 2);
+    });
+
+    it('masks card numbers that pass the Luhn check only', () => {
+      assert.strictEqual(
+        redactText('Card 4111 1111 1111 1111 charged', ALL_TYPES).text,
+        'Card [CARD] charged'
+      );
+      assert.strictEqual(
+        redactText('Order 4111 1111 1111 1112 shipped', [REDACTION_TYPES.CARD]).text,
+        'Order 4111 1111 1111 1112 shipped'
+      );
+    });
+
+    it('masks valid IBANs', () => {
+      const { text, counts } = redactText('Pay to GB82 WEST 1234 5698 7654 32 today', ALL_TYPES);
+
+      assert.strictEqual(text, 'Pay to [IBAN] today');
+      assert.strictEqual(counts.iban, 1);
+    });
+
+    it('masks one-time codes', () => {
+      assert.strictEqual(
+        redactText('Your verification code is 483920', ALL_TYPES).text,
+        'Your verification code is [OTP]'
+      );
+      assert.strictEqual(
+        redactText('123456 is your login code', ALL_TYPES).text,
+        '[OTP] is your login code'
+      );
+    });
+
+    it('masks street addresses', () => {
+      assert.strictEqual(
+        redactText('Delivered to 221 Baker Street, London', ALL_TYPES).text,
+        'Delivered to [ADDRESS], London'
+      );
+    });
+
+    it('only masks the requested types', () => {
+      const { text, counts } = redactText('mail me@x.com or call +1 415 555 2671', [
+        REDACTION_TYPES.PHONE
+      ]);
+
+      assert.strictEqual(text, 'mail me@x.com or call [PHONE]');
+      assert.deepStrictEqual(counts, { phone: 1 });
+    });
+  });
+
+  describe('redactEmailForPrompt', () => {
+    const email = {
+      id: 'm1',
+      from: 'Bank <alerts@bank.com>',
+      subject: 'Code 654321 for your login',
+      snippet: 'Card ending 4111 1111 1111 1111 used'
+    };
+
+    it('redacts every prompt field and records what was masked', () => {
+      const { email: redacted, redactions } = redactEmailForPrompt(email, DEFAULT_REDACTION_POLICY);
+
+      assert.strictEqual(redacted.id, 'm1');
+      assert.strictEqual(redacted.from, 'Bank <[EMAIL]@bank.com>');
+      assert.strictEqual(redacted.subject, 'Code [OTP] for your login');
+      assert.strictEqual(redacted.snippet, 'Card ending [CARD] used');
+      assert.deepStrictEqual(redactions, [
+        { field: 'from', type: 'email', count: 1 },
+        { field: 'subject', type: 'otp', count: 1 },
+        { field: 'snippet', type: 'card', count: 1 }
+      ]);
+    });
+
+    it('leaves the email untouched when redaction is disabled', () => {
+      const { email: redacted, redactions } = redactEmailForPrompt(email, {
+        ...DEFAULT_REDACTION_POLICY,
+        enabled: false
+      });
+
+      assert.deepStrictEqual(redacted, email);
+      assert.deepStrictEqual(redactions, []);
+    });
+  });
+
+  describe('getRedactionPolicy', () => {
+    it('fills in defaults for users without a saved policy', () => {
+      assert.deepStrictEqual(getRedactionPolicy(null), DEFAULT_REDACTION_POLICY);
+      assert.deepStrictEqual(getRedactionPolicy({ redaction: { enabled: false } }), {
+        ...DEFAULT_REDACTION_POLICY,
+        enabled: false
+      });
+    });
+  });
+});
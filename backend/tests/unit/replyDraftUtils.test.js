@@ -0,0 +1,124 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import {
+  appendSignature,
+  buildReplyInstruction,
+  buildReplyMime,
+  buildReplySubject,
+  cleanReplyText,
+  getReplyHeaders,
+  getReplySettings
+} from '../../src/features/emails/replyDraftUtils.js';
+
+const message = (headers) => ({
+  threadId: 't1',
+  payload: { headers: Object.entries(headers).map(([name, value]) => ({ name, value })) }
+});
+
+const decodeMime = (raw) => {
+  const text = Buffer.from(raw, 'base64url').toString();
+  const [head, body] = text.split('\r\n\r\n');
+  return { head, body: Buffer.from(body.replace(/\r\n/g, ''), 'base64').toString() };
+};
+
+describe('Reply draft utils', () => {
+  describe('getReplySettings', () => {
+    it('falls back to no signature and the neutral tone', () => {
+      assert.deepStrictEqual(getReplySettings(null), { signature: '', defaultTone: 'neutral' });
+      assert.strictEqual(
+        getReplySettings({ reply: { defaultTone: 'formal' } }).defaultTone,
+        'formal'
+      );
+    });
+  });
+
+  describe('buildReplyInstruction', () => {
+    it('includes the request and the tone preset', () => {
+      const instruction = buildReplyInstruction('concise', 'abc', 'Ask for the invoice');
+      assert.match(instruction, /Ask for the invoice/);
+      assert.match(instruction, /as brief as possible/);
+      assert.match(instruction, /<<<END EMAIL abc>>>/);
+    });
+  });
+
+  describe('cleanReplyText', () => {
+    it('removes code fences and a subject line', () => {
+      assert.strictEqual(
+        cleanReplyText('```text\nSubject: Re: Offer\n\nThanks, I will pass.\n```'),
+        'Thanks, I will pass.'
+      );
+      assert.strictEqual(cleanReplyText(undefined), '');
+    });
+  });
+
+  describe('appendSignature', () => {
+    it('adds the signature after a separator', () => {
+      assert.strictEqual(appendSignature('Hi', 'Ana\nACME'), 'Hi\n\n-- \nAna\nACME');
+      assert.strictEqual(appendSignature('Hi', '  '), 'Hi');
+    });
+  });
+
+  describe('buildReplySubject', () => {
+    it('adds Re: once', () => {
+      assert.strictEqual(buildReplySubject('Offer'), 'Re: Offer');
+      assert.strictEqual(buildReplySubject('RE: Offer'), 'RE: Offer');
+    });
+  });
+
+  describe('getReplyHeaders', () => {
+    it('replies to Reply-To and threads on Message-ID', () => {
+      const headers = getReplyHeaders(
+        message({
+          From: 'Shop <shop@example.com>',
+          'Reply-To': 'support@example.com',
+          Subject: 'Order',
+          'Message-ID': '<b@example.com>',
+          References: '<a@example.com>'
+        }),
+        'me@example.org'
+      );
+
+      assert.deepStrictEqual(headers, {
+        to: 'support@example.com',
+        subject: 'Re: Order',
+        inReplyTo: '<b@example.com>',
+        references: '<a@example.com> <b@example.com>'
+      });
+    });
+
+    it("replies to the original recipients of the user's own message", () => {
+      const headers = getReplyHeaders(
+        message({ From: 'Me <me@example.org>', To: 'ana@example.com', Subject: 'Hi' }),
+        'ME@example.org'
+      );
+      assert.strictEqual(headers.to, 'ana@example.com');
+      assert.strictEqual(headers.inReplyTo, null);
+    });
+  });
+
+  describe('buildReplyMime', () => {
+    it('encodes the body and non-ASCII subjects', () => {
+      const { head, body } = decodeMime(
+        buildReplyMime({
+          to: 'ana@example.com',
+          subject: 'Re: Café',
+          inReplyTo: '<b@example.com>',
+          references: '<b@example.com>',
+          body: 'Merci!\nÀ bientôt'
+        })
+      );
+
+      assert.match(head, /^To: ana@example.com\r\n/);
+      assert.match(head, /Subject: =\?UTF-8\?B\?/);
+      assert.match(head, /In-Reply-To: <b@example.com>/);
+      assert.strictEqual(body, 'Merci!\r\nÀ bientôt');
+    });
+
+    it('removes line breaks from header values', () => {
+      const { head } = decodeMime(
+        buildReplyMime({ to: 'a@example.com\r\nBcc: x@evil.test', subject: 'Hi', body: 'x' })
+      );
+      assert.ok(!/^Bcc:/m.test(head));
+    });
+  });
+});
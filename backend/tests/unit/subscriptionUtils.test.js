@@ -0,0 +1,141 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import {
+  decodeSubscriptionId,
+  getSenderName,
+  getUnsubscribeMethod,
+  groupSubscriptions,
+  isPublicIpAddress,
+  parseListUnsubscribe,
+  serializeSubscription
+} from '../../src/features/emails/subscriptionUtils.js';
+
+const email = (gmailId, fields) => ({
+  gmailId,
+  from: 'News <news@example.com>',
+  labelIds: ['INBOX'],
+  internalDate: new Date('2026-10-01T00:00:00Z'),
+  ...fields
+});
+
+describe('Subscription utils', () => {
+  describe('parseListUnsubscribe', () => {
+    it('reads mailto and https targets', () => {
+      const targets = parseListUnsubscribe(
+        '<mailto:leave@example.com?subject=Unsubscribe%20me>, <https://example.com/u/1>'
+      );
+
+      assert.deepStrictEqual(targets, {
+        oneClickUrl: null,
+        url: 'https://example.com/u/1',
+        mailto: { to: 'leave@example.com', subject: 'Unsubscribe me', body: null }
+      });
+      assert.strictEqual(getUnsubscribeMethod(targets), 'mailto');
+    });
+
+    it('offers one-click only for https URLs with the RFC 8058 post header', () => {
+      const post = 'List-Unsubscribe=One-Click';
+
+      assert.strictEqual(
+        parseListUnsubscribe('<https://example.com/u/1>', post).oneClickUrl,
+        'https://example.com/u/1'
+      );
+      assert.strictEqual(parseListUnsubscribe('<http://example.com/u/1>', post).oneClickUrl, null);
+      assert.strictEqual(parseListUnsubscribe('<https://example.com/u/1>').oneClickUrl, null);
+      assert.strictEqual(
+        getUnsubscribeMethod(parseListUnsubscribe('<https://example.com/u/1>', post)),
+        'one_click'
+      );
+    });
+
+    it('ignores malformed headers', () => {
+      const targets = parseListUnsubscribe('https://example.com/u/1');
+      assert.strictEqual(getUnsubscribeMethod(targets), null);
+    });
+  });
+
+  describe('getSenderName', () => {
+    it('uses the display name or falls back to the address', () => {
+      assert.strictEqual(getSenderName('"Daily News" <news@example.com>'), 'Daily News');
+      assert.strictEqual(getSenderName('<news@example.com>'), 'news@example.com');
+    });
+  });
+
+  describe('groupSubscriptions', () => {
+    it('groups by List-Id, then by sender, with volume and the last read date', () => {
+      const groups = groupSubscriptions([
+        email('a', {
+          listId: 'news.example.com',
+          labelIds: ['INBOX', 'UNREAD'],
+          internalDate: new Date('2026-10-03T00:00:00Z'),
+          listUnsubscribe: '<https://example.com/u/1>',
+          listUnsubscribePost: 'List-Unsubscribe=One-Click'
+        }),
+        email('b', {
+          listId: 'news.example.com',
+          from: 'Other Name <other@example.com>',
+          internalDate: new Date('2026-10-02T00:00:00Z')
+        }),
+        email('c', {
+          listId: 'news.example.com',
+          labelIds: [],
+          internalDate: new Date('2026-10-01T00:00:00Z')
+        }),
+        email('d', {
+          from: 'Shop <deals@shop.example>',
+          listUnsubscribe: '<mailto:leave@shop.example>'
+        })
+      ]);
+
+      assert.strictEqual(groups.length, 2);
+      const [list, shop] = groups;
+
+      assert.strictEqual(decodeSubscriptionId(list.id), 'list:news.example.com');
+      assert.strictEqual(list.name, 'News');
+      assert.strictEqual(list.count, 3);
+      assert.strictEqual(list.unreadCount, 1);
+      assert.strictEqual(list.inboxCount, 2);
+      assert.strictEqual(list.lastReceivedAt.toISOString(), '2026-10-03T00:00:00.000Z');
+      assert.strictEqual(list.lastOpenedAt.toISOString(), '2026-10-02T00:00:00.000Z');
+      assert.deepStrictEqual(
+        list.emails.map((e) => e.gmailId),
+        ['a', 'b', 'c']
+      );
+
+      assert.strictEqual(decodeSubscriptionId(shop.id), 'sender:deals@shop.example');
+      assert.strictEqual(serializeSubscription(shop).unsubscribeMethod, 'mailto');
+      assert.strictEqual(serializeSubscription(list).unsubscribeMethod, 'one_click');
+    });
+
+    it('reports no last-opened date when nothing was read', () => {
+      const [group] = groupSubscriptions([email('a', { listId: 'x', labelIds: ['UNREAD'] })]);
+      assert.strictEqual(group.lastOpenedAt, null);
+    });
+  });
+
+  describe('isPublicIpAddress', () => {
+    it('refuses loopback, private and link-local addresses', () => {
+      for (const ip of [
+        '127.0.0.1',
+        '10.1.2.3',
+        '172.20.0.1',
+        '192.168.1.1',
+        '169.254.169.254',
+        '0.0.0.0',
+        '::1',
+        'fd00::1',
+        'fe80::1',
+        '::ffff:127.0.0.1',
+        'not-an-ip'
+      ]) {
+        assert.strictEqual(isPublicIpAddress(ip), false, ip);
+      }
+    });
+
+    it('allows public addresses', () => {
+      for (const ip of ['93.184.216.34', '172.32.0.1', '2606:4700::1111', '::ffff:8.8.8.8']) {
+        assert.strictEqual(isPublicIpAddress(ip), true, ip);
+      }
+    });
+  });
+});
@@ -0,0 +1,56 @@
+import { apiClient } from "@/lib/axios";
+import { useMutation, useQuery, useQueryClient } from "@tanstack/react-query";
+import type { GeminiKeyStatus, GeminiKeyTestResult } from "@/types/auth.types";
+
+const GEMINI_KEY_QUERY_KEY = ["geminiKey"];
+
+export const useGetGeminiKeyStatus = () => {
+  return useQuery({
+    queryKey: GEMINI_KEY_QUERY_KEY,
+    queryFn: async () => {
+      const response = await apiClient.get<{ data: GeminiKeyStatus }>("/secrets/gemini-key");
+      return response.data.data;
+    },
+  });
+};
+
+// Stores a new key, or replaces the stored one as a rotation
+export const useSaveGeminiKey = () => {
+  const queryClient = useQueryClient();
+
+  return useMutation({
+    mutationFn: async ({ apiKey, rotate }: { apiKey: string; rotate: boolean }) => {
+      const response = rotate
+        ? await apiClient.post<{ data: GeminiKeyStatus }>("/secrets/gemini-key/rotate", {
+            apiKey,
+          })
+        : await apiClient.put<{ data: GeminiKeyStatus }>("/secrets/gemini-key", { apiKey });
+      return response.data.data;
+    },
+    onSuccess: (status) => queryClient.setQueryData(GEMINI_KEY_QUERY_KEY, status),
+  });
+};
+
+// Tests the given key, or the stored one when apiKey is omitted
+export const useTestGeminiKey = () => {
+  return useMutation({
+    mutationFn: async (apiKey?: string) => {
+      const response = await apiClient.post<{ data: GeminiKeyTestResult }>(
+        "/secrets/gemini-key/test",
+        { apiKey }
+      );
+      return response.data.data;
+    },
+  });
+};
+
+export const useDeleteGeminiKey = () => {
+  const queryClient = useQueryClient();
+
+  return useMutation({
+    mutationFn: async () => {
+      await apiClient.delete("/secrets/gemini-key");
+    },
+    onSuccess: () => queryClient.invalidateQueries({ queryKey: GEMINI_KEY_QUERY_KEY }),
+  });
+};
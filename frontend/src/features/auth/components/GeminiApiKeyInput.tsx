@@ -2,25 +2,60 @@ import { useState } from "react";
 import { Input } from "@/components/ui/input";
 import { Label } from "@/components/ui/label";
 import { Button } from "@/components/ui/button";
-import { storage } from "@/lib/storage";
 import { Eye, EyeOff } from "lucide-react";
+import {
+  useDeleteGeminiKey,
+  useGetGeminiKeyStatus,
+  useSaveGeminiKey,
+  useTestGeminiKey,
+} from "../api/geminiKey.api";
 
 interface GeminiApiKeyInputProps {
   onSave?: () => void;
 }
 
 export const GeminiApiKeyInput = ({ onSave }: GeminiApiKeyInputProps) => {
-  const [apiKey, setApiKey] = useState(storage.getGeminiApiKey() || "");
+  const { data: status } = useGetGeminiKeyStatus();
+  const saveKey = useSaveGeminiKey();
+  const testKey = useTestGeminiKey();
+  const deleteKey = useDeleteGeminiKey();
+
+  const [apiKey, setApiKey] = useState("");
   const [showKey, setShowKey] = useState(false);
-  const [isSaved, setIsSaved] = useState(false);
+  const [message, setMessage] = useState<string | null>(null);
 
   const handleSave = () => {
-    if (apiKey.trim()) {
-      storage.setGeminiApiKey(apiKey.trim());
-      setIsSaved(true);
-      setTimeout(() => setIsSaved(false), 2000);
-      onSave?.();
-    }
+    if (!apiKey.trim()) return;
+
+    saveKey.mutate(
+      { apiKey: apiKey.trim(), rotate: !!status?.configured },
+      {
+        onSuccess: () => {
+          setApiKey("");
+          setMessage("Saved!");
+          onSave?.();
+        },
+        onError: () => setMessage("Gemini rejected this key"),
+      }
+    );
+  };
+
+  const handleTest = () => {
+    // An empty field tests the stored key
+    testKey.mutate(apiKey.trim() || undefined, {
+      onSuccess: (result) =>
+        setMessage(result.valid ? "Key works" : `Key rejected: ${result.error ?? "unknown error"}`),
+      onError: () => setMessage("No key to test"),
+    });
+  };
+
+  const handleDelete = () => {
+    if (!confirm("Delete your stored Gemini API key?")) return;
+
+    deleteKey.mutate(undefined, {
+      onSuccess: () => setMessage("Key deleted"),
+      onError: () => setMessage("Failed to delete key"),
+    });
   };
 
   return (
@@ -31,7 +66,11 @@ export const GeminiApiKeyInput = ({ onSave }: GeminiApiKeyInputProps) => {
           <Input
             id="gemini-api-key"
             type={showKey ? "text" : "password"}
-            placeholder="Enter your Gemini API key"
+            placeholder={
+              status?.configured
+                ? `Stored key ending in ${status.hint}`
+                : "Enter your Gemini API key"
+            }
             value={apiKey}
             onChange={(e) => setApiKey(e.target.value)}
           />
@@ -47,12 +86,35 @@ export const GeminiApiKeyInput = ({ onSave }: GeminiApiKeyInputProps) => {
             )}
           </button>
         </div>
-        <Button onClick={handleSave} type="button">
-          {isSaved ? "Saved!" : "Save"}
+        <Button onClick={handleSave} type="button" disabled={saveKey.isPending}>
+          {status?.configured ? "Replace" : "Save"}
+        </Button>
+        <Button
+          onClick={handleTest}
+          type="button"
+          variant="outline"
+          disabled={testKey.isPending || (!apiKey.trim() && !status?.configured)}
+        >
+          Test
         </Button>
+        {status?.configured && (
+          <Button
+            onClick={handleDelete}
+            type="button"
+            variant="ghost"
+            disabled={deleteKey.isPending}
+          >
+            Delete
+          </Button>
+        )}
       </div>
+      {message && <p className="text-xs">{message}</p>}
       <p className="text-xs text-muted-foreground">
-        Your API key is stored locally in your browser
+        Your API key is encrypted and stored on the server; it is never sent back to the browser.
+        {status && !status.configured && status.organizationKey.enabled &&
+          ` Until you add one, your organization's key covers ${status.organizationKey.dailyLimit} of its members' emails a day (${status.organizationKey.usedToday} used today).`}
+        {status && !status.configured && !status.organizationKey.enabled && status.deploymentKey.enabled &&
+          ` Until you add one, this server's key covers ${status.deploymentKey.dailyLimit} of your emails a day (${status.deploymentKey.usedToday} used today).`}
       </p>
     </div>
   );
@@ -2,3 +2,9 @@ export { LoginPage } from "./pages/LoginPage";
 export { useAuth } from "./hooks/useAuth";
 export { GoogleAuthButton } from "./components/GoogleAuthButton";
 export { GeminiApiKeyInput } from "./components/GeminiApiKeyInput";
+export {
+  useGetGeminiKeyStatus,
+  useSaveGeminiKey,
+  useTestGeminiKey,
+  useDeleteGeminiKey,
+} from "./api/geminiKey.api";
@@ -6,7 +6,6 @@ import {
   CardTitle,
 } from "@/components/ui/card";
 import { GoogleAuthButton } from "../components/GoogleAuthButton";
-import { GeminiApiKeyInput } from "../components/GeminiApiKeyInput";
 import { useNavigate } from "react-router-dom";
 import { useEffect } from "react";
 import { useAuth } from "../hooks/useAuth";
@@ -42,19 +41,6 @@ export const LoginPage = () => {
         </CardHeader>
         <CardContent className="space-y-4">
           <GoogleAuthButton />
-
-          <div className="relative">
-            <div className="absolute inset-0 flex items-center">
-              <span className="w-full border-t" />
-            </div>
-            <div className="relative flex justify-center text-xs uppercase">
-              <span className="bg-background px-2 text-muted-foreground">
-                Configure API
-              </span>
-            </div>
-          </div>
-
-          <GeminiApiKeyInput />
         </CardContent>
       </Card>
     </div>
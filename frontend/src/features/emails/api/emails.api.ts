@@ -1,30 +1,750 @@
+import { useEffect } from "react";
 import { apiClient } from "@/lib/axios";
-import { useQuery, useMutation } from "@tanstack/react-query";
-import type { EmailsResponse } from "@/types/email.types";
-import { storage } from "@/lib/storage";
+import { authClient } from "@/lib/auth";
+import {
+  useInfiniteQuery,
+  useQuery,
+  useMutation,
+  useQueryClient,
+} from "@tanstack/react-query";
+import type {
+  CalendarEvent,
+  CalendarEventFilters,
+  CalendarEventStatus,
+  CalendarFeed,
+  CategoryInput,
+  ClassificationJob,
+  ClassificationRule,
+  ClassificationRuleInput,
+  CleanupAction,
+  CleanupJob,
+  CorrectEmailCategoryResult,
+  CorrectionStats,
+  CountryTimezone,
+  DigestPreview,
+  EmailCategory,
+  EmailDetail,
+  EmailFilters,
+  EmailSettings,
+  EmailSettingsUpdate,
+  EmailThread,
+  EmailsResponse,
+  EmailAccount,
+  EventScanResult,
+  GmailDraft,
+  ImapAccountInput,
+  InboxAnswer,
+  MailboxImportResult,
+  Receipt,
+  ReceiptFilters,
+  ReceiptScanResult,
+  ReplyDraft,
+  ReplyDraftRequest,
+  SpendSummary,
+  Subscription,
+  SummarizeResult,
+  SummaryKind,
+  UndoGmailLabelsResult,
+  UnsubscribeResult,
+} from "@/types/email.types";
 
-export const useGetEmails = (limit: number = 15) => {
+export const useGetEmails = (filters: EmailFilters = {}, pageSize: number = 25) => {
+  return useInfiniteQuery({
+    queryKey: ["emails", filters, pageSize],
+    queryFn: async ({ pageParam }) => {
+      const response = await apiClient.get<{ data: EmailsResponse }>("/emails", {
+        params: { ...filters, limit: pageSize, pageToken: pageParam },
+      });
+      return response.data.data;
+    },
+    initialPageParam: undefined as string | undefined,
+    getNextPageParam: (lastPage) => lastPage.nextPageToken ?? undefined,
+  });
+};
+
+export const useGetEmail = (id: string | null) => {
+  return useQuery({
+    queryKey: ["email", id],
+    enabled: !!id,
+    queryFn: async () => {
+      const response = await apiClient.get<{ data: EmailDetail }>(`/emails/${id}`);
+      return response.data.data;
+    },
+  });
+};
+
+export const useGetThread = (threadId: string | null) => {
+  return useQuery({
+    queryKey: ["emailThread", threadId],
+    enabled: !!threadId,
+    queryFn: async () => {
+      const response = await apiClient.get<{ data: EmailThread }>(
+        `/emails/threads/${threadId}`
+      );
+      return response.data.data;
+    },
+  });
+};
+
+export const useSummarizeEmail = () => {
+  const queryClient = useQueryClient();
+
+  return useMutation({
+    mutationFn: async ({
+      kind,
+      id,
+      refresh = false,
+    }: {
+      kind: SummaryKind;
+      id: string;
+      refresh?: boolean;
+    }) => {
+      const path = kind === "thread" ? `/emails/threads/${id}/summary` : `/emails/${id}/summary`;
+      const response = await apiClient.post<{ data: SummarizeResult }>(path, { refresh });
+      return response.data.data;
+    },
+    onSuccess: ({ summary }, { kind, id }) => {
+      // The summary is cached with the message, so the reader query is updated in place
+      const queryKey = kind === "thread" ? ["emailThread", id] : ["email", id];
+      queryClient.setQueryData(queryKey, (data: object | undefined) =>
+        data ? { ...data, summary } : data
+      );
+    },
+  });
+};
+
+export const useDraftReply = () => {
+  return useMutation({
+    mutationFn: async ({ id, ...request }: ReplyDraftRequest & { id: string }) => {
+      const response = await apiClient.post<{ data: ReplyDraft }>(
+        `/emails/${id}/reply/generate`,
+        request
+      );
+      return response.data.data;
+    },
+  });
+};
+
+export const useCreateReplyDraft = () => {
+  return useMutation({
+    mutationFn: async ({ id, body, subject }: { id: string; body: string; subject?: string }) => {
+      const response = await apiClient.post<{ data: GmailDraft }>(`/emails/${id}/reply/draft`, {
+        body,
+        subject,
+      });
+      return response.data.data;
+    },
+  });
+};
+
+// Ask a question about the inbox; pass the conversationId of the last answer for a follow-up
+export const useAskInbox = () => {
+  return useMutation({
+    mutationFn: async (request: { question: string; conversationId?: string }) => {
+      const response = await apiClient.post<{ data: InboxAnswer }>("/emails/ask", request);
+      return response.data.data;
+    },
+  });
+};
+
+export const useGetReceipts = (filters: ReceiptFilters = {}) => {
   return useQuery({
-    queryKey: ["emails", limit],
+    queryKey: ["receipts", filters],
     queryFn: async () => {
-      const response = await apiClient.get<{ data: EmailsResponse }>(
-        `/emails?limit=${limit}`
+      const response = await apiClient.get<{ data: { receipts: Receipt[]; total: number } }>(
+        "/emails/receipts",
+        { params: filters }
+      );
+      return response.data.data;
+    },
+  });
+};
+
+// Spend per month between two YYYY-MM months; the last 12 months by default
+export const useGetSpendSummary = (range: { from?: string; to?: string } = {}) => {
+  return useQuery({
+    queryKey: ["receipts", "summary", range],
+    queryFn: async () => {
+      const response = await apiClient.get<{ data: SpendSummary }>("/emails/receipts/summary", {
+        params: range,
+      });
+      return response.data.data;
+    },
+  });
+};
+
+// Scan the given emails, or recent ones that look like receipts, with Gemini
+export const useScanReceipts = () => {
+  const queryClient = useQueryClient();
+
+  return useMutation({
+    mutationFn: async (request: { emailIds?: string[]; days?: number } = {}) => {
+      const response = await apiClient.post<{ data: ReceiptScanResult }>(
+        "/emails/receipts/scan",
+        request
       );
       return response.data.data;
     },
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: ["receipts"] });
+    },
+  });
+};
+
+// Download the receipts matching the filters as a CSV or JSON file
+export const useExportReceipts = () => {
+  return useMutation({
+    mutationFn: async ({
+      format = "csv",
+      ...filters
+    }: ReceiptFilters & { format?: "csv" | "json" }) => {
+      const response = await apiClient.get<Blob>("/emails/receipts/export", {
+        params: { ...filters, format },
+        responseType: "blob",
+      });
+
+      const url = URL.createObjectURL(response.data);
+      const link = document.createElement("a");
+      link.href = url;
+      link.download = `receipts.${format}`;
+      link.click();
+      URL.revokeObjectURL(url);
+    },
+  });
+};
+
+// Events found in emails; upcoming ones unless a range is given
+export const useGetCalendarEvents = (filters: CalendarEventFilters = {}) => {
+  return useQuery({
+    queryKey: ["calendar-events", filters],
+    queryFn: async () => {
+      const response = await apiClient.get<{
+        data: { events: CalendarEvent[]; total: number };
+      }>("/emails/calendar/events", { params: filters });
+      return response.data.data;
+    },
+  });
+};
+
+// Scan the given emails, or recent ones that mention an event
+export const useScanCalendarEvents = () => {
+  const queryClient = useQueryClient();
+
+  return useMutation({
+    mutationFn: async (request: { emailIds?: string[]; days?: number } = {}) => {
+      const response = await apiClient.post<{ data: EventScanResult }>(
+        "/emails/calendar/scan",
+        request
+      );
+      return response.data.data;
+    },
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: ["calendar-events"] });
+    },
+  });
+};
+
+export const useUpdateCalendarEvent = () => {
+  const queryClient = useQueryClient();
+
+  return useMutation({
+    mutationFn: async ({ id, status }: { id: string; status: CalendarEventStatus }) => {
+      const response = await apiClient.patch<{ data: CalendarEvent }>(
+        `/emails/calendar/events/${id}`,
+        { status }
+      );
+      return response.data.data;
+    },
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: ["calendar-events"] });
+    },
+  });
+};
+
+export const useGetCalendarFeed = () => {
+  return useQuery({
+    queryKey: ["calendar-feed"],
+    queryFn: async () => {
+      const response = await apiClient.get<{ data: CalendarFeed }>("/emails/calendar/feed");
+      return response.data.data;
+    },
+  });
+};
+
+// Creates or replaces the secret feed URL; the response is the only time it is shown
+export const useCreateCalendarFeed = () => {
+  const queryClient = useQueryClient();
+
+  return useMutation({
+    mutationFn: async () => {
+      const response = await apiClient.post<{ data: { url: string; createdAt: string } }>(
+        "/emails/calendar/feed"
+      );
+      return response.data.data;
+    },
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: ["calendar-feed"] });
+    },
+  });
+};
+
+export const useRevokeCalendarFeed = () => {
+  const queryClient = useQueryClient();
+
+  return useMutation({
+    mutationFn: async () => {
+      await apiClient.delete("/emails/calendar/feed");
+    },
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: ["calendar-feed"] });
+    },
   });
 };
 
 export const useClassifyEmails = () => {
+  const queryClient = useQueryClient();
+
   return useMutation({
     mutationFn: async (emailIds: string[]) => {
-      const geminiApiKey = storage.getGeminiApiKey();
       const response = await apiClient.post<{ data: EmailsResponse }>("/emails/classify", {
         emailIds,
-        geminiApiKey,
       });
-      console.log("useClassifyEmails", response)
       return response.data.data;
     },
+    onSuccess: () => {
+      // Classifications are stored server-side, so refetching keeps them across reloads
+      queryClient.invalidateQueries({ queryKey: ["emails"] });
+    },
+  });
+};
+
+export const useCreateClassificationJob = () => {
+  return useMutation({
+    mutationFn: async (emailIds: string[]) => {
+      const response = await apiClient.post<{ data: ClassificationJob }>(
+        "/emails/classify/jobs",
+        { emailIds }
+      );
+      return response.data.data;
+    },
+  });
+};
+
+const isJobActive = (job?: ClassificationJob) =>
+  job?.status === "queued" || job?.status === "running";
+
+export const useClassificationJob = (jobId: string | null) => {
+  const queryClient = useQueryClient();
+
+  return useQuery({
+    queryKey: ["classificationJob", jobId],
+    enabled: !!jobId,
+    queryFn: async () => {
+      const response = await apiClient.get<{ data: ClassificationJob }>(
+        `/emails/classify/jobs/${jobId}`
+      );
+      const job = response.data.data;
+      if (!isJobActive(job)) {
+        queryClient.invalidateQueries({ queryKey: ["emails"] });
+      }
+      return job;
+    },
+    // Poll until every batch has completed or failed
+    refetchInterval: (query) => (isJobActive(query.state.data) ? 2000 : false),
+  });
+};
+
+export const useGetCategories = () => {
+  return useQuery({
+    queryKey: ["emailCategories"],
+    queryFn: async () => {
+      const response = await apiClient.get<{ data: { categories: EmailCategory[] } }>(
+        "/emails/categories"
+      );
+      return response.data.data.categories;
+    },
+  });
+};
+
+// Category and rule changes alter stored classifications, so the email list is refetched too
+const useInvalidateClassifierConfig = () => {
+  const queryClient = useQueryClient();
+
+  return () => {
+    queryClient.invalidateQueries({ queryKey: ["emailCategories"] });
+    queryClient.invalidateQueries({ queryKey: ["classificationRules"] });
+    queryClient.invalidateQueries({ queryKey: ["emails"] });
+  };
+};
+
+export const useCreateCategory = () => {
+  const invalidate = useInvalidateClassifierConfig();
+
+  return useMutation({
+    mutationFn: async (category: CategoryInput) => {
+      const response = await apiClient.post<{ data: EmailCategory }>(
+        "/emails/categories",
+        category
+      );
+      return response.data.data;
+    },
+    onSuccess: invalidate,
+  });
+};
+
+export const useUpdateCategory = () => {
+  const invalidate = useInvalidateClassifierConfig();
+
+  return useMutation({
+    mutationFn: async ({ id, ...updates }: Partial<Omit<CategoryInput, "name">> & { id: string }) => {
+      const response = await apiClient.patch<{ data: EmailCategory }>(
+        `/emails/categories/${id}`,
+        updates
+      );
+      return response.data.data;
+    },
+    onSuccess: invalidate,
+  });
+};
+
+export const useDeleteCategory = () => {
+  const invalidate = useInvalidateClassifierConfig();
+
+  return useMutation({
+    mutationFn: async (id: string) => {
+      await apiClient.delete(`/emails/categories/${id}`);
+    },
+    onSuccess: invalidate,
+  });
+};
+
+export const useCorrectEmailCategory = () => {
+  const invalidate = useInvalidateClassifierConfig();
+  const queryClient = useQueryClient();
+
+  return useMutation({
+    mutationFn: async ({ id, category }: { id: string; category: string }) => {
+      const response = await apiClient.patch<{ data: CorrectEmailCategoryResult }>(
+        `/emails/${id}/category`,
+        { category }
+      );
+      return response.data.data;
+    },
+    onSuccess: () => {
+      // Corrections can create rules, so the whole classifier config is refetched
+      invalidate();
+      queryClient.invalidateQueries({ queryKey: ["correctionStats"] });
+    },
+  });
+};
+
+export const useGetCorrectionStats = () => {
+  return useQuery({
+    queryKey: ["correctionStats"],
+    queryFn: async () => {
+      const response = await apiClient.get<{ data: CorrectionStats }>(
+        "/emails/corrections/stats"
+      );
+      return response.data.data;
+    },
+  });
+};
+
+export const useGetClassificationRules = () => {
+  return useQuery({
+    queryKey: ["classificationRules"],
+    queryFn: async () => {
+      const response = await apiClient.get<{ data: { rules: ClassificationRule[] } }>(
+        "/emails/rules"
+      );
+      return response.data.data.rules;
+    },
+  });
+};
+
+export const useCreateClassificationRule = () => {
+  const invalidate = useInvalidateClassifierConfig();
+
+  return useMutation({
+    mutationFn: async (rule: ClassificationRuleInput) => {
+      const response = await apiClient.post<{ data: ClassificationRule }>("/emails/rules", rule);
+      return response.data.data;
+    },
+    onSuccess: invalidate,
+  });
+};
+
+export const useDeleteClassificationRule = () => {
+  const invalidate = useInvalidateClassifierConfig();
+
+  return useMutation({
+    mutationFn: async (id: string) => {
+      await apiClient.delete(`/emails/rules/${id}`);
+    },
+    onSuccess: invalidate,
+  });
+};
+
+export const useGetEmailSettings = () => {
+  return useQuery({
+    queryKey: ["emailSettings"],
+    queryFn: async () => {
+      const response = await apiClient.get<{ data: EmailSettings }>("/emails/settings");
+      return response.data.data;
+    },
+  });
+};
+
+export const useUpdateEmailSettings = () => {
+  const queryClient = useQueryClient();
+
+  return useMutation({
+    mutationFn: async (settings: EmailSettingsUpdate) => {
+      const response = await apiClient.patch<{ data: EmailSettings }>(
+        "/emails/settings",
+        settings
+      );
+      return response.data.data;
+    },
+    onSuccess: (settings) => {
+      queryClient.setQueryData(["emailSettings"], settings);
+    },
+  });
+};
+
+// Fetched on demand: the preview builds the whole digest on the server
+export const useGetDigestPreview = (enabled: boolean) => {
+  return useQuery({
+    queryKey: ["digestPreview"],
+    queryFn: async () => {
+      const response = await apiClient.get<{ data: DigestPreview }>("/emails/digest/preview");
+      return response.data.data;
+    },
+    enabled,
+  });
+};
+
+export const useGetDigestTimezones = (country: string) => {
+  return useQuery({
+    queryKey: ["digestTimezones", country],
+    queryFn: async () => {
+      const response = await apiClient.get<{ data: { timezones: CountryTimezone[] } }>(
+        "/emails/digest/timezones",
+        { params: { country } }
+      );
+      return response.data.data.timezones;
+    },
+    enabled: /^[A-Z]{2}$/.test(country),
+    staleTime: Infinity,
+  });
+};
+
+export const useUndoGmailLabels = () => {
+  const queryClient = useQueryClient();
+
+  return useMutation({
+    mutationFn: async (emailIds?: string[]) => {
+      const response = await apiClient.post<{ data: UndoGmailLabelsResult }>(
+        "/emails/labels/undo",
+        emailIds ? { emailIds } : {}
+      );
+      return response.data.data;
+    },
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: ["emails"] });
+    },
+  });
+};
+
+export const useGetSubscriptions = (enabled: boolean = true) => {
+  return useQuery({
+    queryKey: ["subscriptions"],
+    queryFn: async () => {
+      const response = await apiClient.get<{ data: { subscriptions: Subscription[] } }>(
+        "/emails/subscriptions"
+      );
+      return response.data.data.subscriptions;
+    },
+    enabled,
+  });
+};
+
+export const useUnsubscribe = () => {
+  const queryClient = useQueryClient();
+
+  return useMutation({
+    mutationFn: async (id: string) => {
+      const response = await apiClient.post<{ data: UnsubscribeResult }>(
+        `/emails/subscriptions/${id}/unsubscribe`
+      );
+      return response.data.data;
+    },
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: ["subscriptions"] });
+    },
+  });
+};
+
+export const useCleanupSubscription = () => {
+  return useMutation({
+    mutationFn: async ({ id, action }: { id: string; action: CleanupAction }) => {
+      const response = await apiClient.post<{ data: CleanupJob }>(
+        `/emails/subscriptions/${id}/cleanup`,
+        { action }
+      );
+      return response.data.data;
+    },
+  });
+};
+
+const isCleanupActive = (job?: CleanupJob) =>
+  job?.status === "pending" || job?.status === "running";
+
+export const useCleanupJob = (jobId: string | null) => {
+  const queryClient = useQueryClient();
+
+  return useQuery({
+    queryKey: ["cleanupJob", jobId],
+    enabled: !!jobId,
+    queryFn: async () => {
+      const response = await apiClient.get<{ data: CleanupJob }>(
+        `/emails/subscriptions/jobs/${jobId}`
+      );
+      const job = response.data.data;
+      if (job.status === "completed") {
+        queryClient.invalidateQueries({ queryKey: ["emails"] });
+        queryClient.invalidateQueries({ queryKey: ["subscriptions"] });
+      }
+      return job;
+    },
+    // Poll until the undo window has passed and the job has run
+    refetchInterval: (query) => (isCleanupActive(query.state.data) ? 3000 : false),
+  });
+};
+
+export const useUndoCleanupJob = () => {
+  const queryClient = useQueryClient();
+
+  return useMutation({
+    mutationFn: async (jobId: string) => {
+      const response = await apiClient.post<{ data: CleanupJob }>(
+        `/emails/subscriptions/jobs/${jobId}/undo`
+      );
+      return response.data.data;
+    },
+    onSuccess: (job) => {
+      queryClient.setQueryData(["cleanupJob", job.id], job);
+    },
+  });
+};
+
+export const useGetEmailAccounts = () => {
+  return useQuery({
+    queryKey: ["emailAccounts"],
+    queryFn: async () => {
+      const response = await apiClient.get<{ data: { accounts: EmailAccount[] } }>(
+        "/emails/accounts"
+      );
+      return response.data.data.accounts;
+    },
+  });
+};
+
+// Redirects to Google; the new account shows up once the user comes back
+export const useLinkGoogleAccount = () => {
+  return useMutation({
+    mutationFn: async () => {
+      const { error } = await authClient.linkSocial({
+        provider: "google",
+        callbackURL: "/emails",
+      });
+      if (error) throw new Error(error.message);
+    },
+  });
+};
+
+// Unlinks a Google account, or disconnects an IMAP or imported mailbox
+export const useRemoveEmailAccount = () => {
+  const queryClient = useQueryClient();
+
+  return useMutation({
+    mutationFn: async (accountId: string) => {
+      const response = await apiClient.delete<{
+        data: { accountId: string; deletedEmails: number };
+      }>(`/emails/accounts/${accountId}`);
+      return response.data.data;
+    },
+    onSuccess: () => {
+      // The account's emails, summaries and subscriptions are gone with it
+      queryClient.invalidateQueries({ queryKey: ["emailAccounts"] });
+      queryClient.invalidateQueries({ queryKey: ["emails"] });
+      queryClient.invalidateQueries({ queryKey: ["subscriptions"] });
+    },
   });
 };
+
+// The server checks the sign-in before the mailbox is saved
+export const useConnectImapAccount = () => {
+  const queryClient = useQueryClient();
+
+  return useMutation({
+    mutationFn: async (input: ImapAccountInput) => {
+      const response = await apiClient.post<{ data: EmailAccount }>(
+        "/emails/accounts/imap",
+        input
+      );
+      return response.data.data;
+    },
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: ["emailAccounts"] });
+      queryClient.invalidateQueries({ queryKey: ["emails"] });
+    },
+  });
+};
+
+// Uploads an mbox archive or EML file, into a new mailbox unless accountId is given
+export const useImportMailbox = () => {
+  const queryClient = useQueryClient();
+
+  return useMutation({
+    mutationFn: async ({ file, accountId }: { file: File; accountId?: string }) => {
+      const isEml = file.name.toLowerCase().endsWith(".eml");
+      const response = await apiClient.post<{ data: MailboxImportResult }>(
+        "/emails/accounts/import",
+        file,
+        {
+          params: accountId ? { accountId } : { name: file.name.replace(/\.[^.]+$/, "") },
+          headers: { "Content-Type": isEml ? "message/rfc822" : "application/mbox" },
+        }
+      );
+      return response.data.data;
+    },
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: ["emailAccounts"] });
+      queryClient.invalidateQueries({ queryKey: ["emails"] });
+      queryClient.invalidateQueries({ queryKey: ["subscriptions"] });
+    },
+  });
+};
+
+// Refetches the inbox when Gmail push notifications report mailbox changes.
+// EventSource reconnects on its own after a dropped connection.
+export const useMailboxEvents = () => {
+  const queryClient = useQueryClient();
+
+  useEffect(() => {
+    const source = new EventSource(`${apiClient.defaults.baseURL}/emails/events`, {
+      withCredentials: true,
+    });
+
+    source.addEventListener("mailbox.synced", () => {
+      queryClient.invalidateQueries({ queryKey: ["emails"] });
+      queryClient.invalidateQueries({ queryKey: ["emailAccounts"] });
+    });
+    source.addEventListener("emails.classified", () => {
+      queryClient.invalidateQueries({ queryKey: ["emails"] });
+    });
+
+    return () => source.close();
+  }, [queryClient]);
+};
@@ -0,0 +1,108 @@
+import { useState } from "react";
+import { MessageCircleQuestionMark } from "lucide-react";
+import { Button } from "@/components/ui/button";
+import { Input } from "@/components/ui/input";
+import type { InboxAnswer } from "@/types/email.types";
+import { useAskInbox } from "../api/emails.api";
+
+type Turn = { question: string; answer: InboxAnswer };
+
+export const AskInboxPanel = () => {
+  const ask = useAskInbox();
+  const [question, setQuestion] = useState("");
+  const [turns, setTurns] = useState<Turn[]>([]);
+
+  // Follow-ups continue the conversation of the last answer
+  const conversationId = turns[turns.length - 1]?.answer.conversationId;
+
+  const handleAsk = () => {
+    const asked = question.trim();
+    if (!asked) return;
+
+    ask.mutate(
+      { question: asked, conversationId },
+      {
+        onSuccess: (answer) => {
+          setTurns((previous) => [...previous, { question: asked, answer }]);
+          setQuestion("");
+        },
+      }
+    );
+  };
+
+  const handleNewConversation = () => {
+    ask.reset();
+    setTurns([]);
+    setQuestion("");
+  };
+
+  return (
+    <section className="space-y-3 text-sm">
+      <div className="flex items-center justify-between">
+        <h2 className="font-semibold flex items-center gap-2">
+          <MessageCircleQuestionMark className="h-4 w-4 text-primary" />
+          Ask your inbox
+        </h2>
+        {turns.length > 0 && (
+          <Button size="sm" variant="ghost" onClick={handleNewConversation}>
+            New conversation
+          </Button>
+        )}
+      </div>
+
+      <ul className="space-y-4">
+        {turns.map((turn, index) => (
+          <li key={index} className="space-y-1">
+            <p className="font-medium">{turn.question}</p>
+            <p className={turn.answer.found ? "" : "text-muted-foreground"}>
+              {turn.answer.answer}
+            </p>
+            {turn.answer.flags.includes("possible_injection") && (
+              <p className="text-xs text-destructive">
+                Some of these emails contain instructions aimed at AI tools; check the sources.
+              </p>
+            )}
+            {turn.answer.citations.length > 0 && (
+              <ul className="space-y-1 border-l pl-3">
+                {turn.answer.citations.map((citation) => (
+                  <li key={citation.emailId} className="text-xs text-muted-foreground">
+                    <span className="font-medium text-foreground">{citation.subject}</span>{" "}
+                    from {citation.from}, {citation.date}
+                    {citation.quote && <q className="block italic">{citation.quote}</q>}
+                  </li>
+                ))}
+              </ul>
+            )}
+          </li>
+        ))}
+      </ul>
+
+      <form
+        className="flex gap-2"
+        onSubmit={(e) => {
+          e.preventDefault();
+          handleAsk();
+        }}
+      >
+        <Input
+          className="flex-1"
+          placeholder={
+            turns.length > 0 ? "Ask a follow-up" : 'e.g. "When is my dentist appointment?"'
+          }
+          value={question}
+          maxLength={500}
+          onChange={(e) => setQuestion(e.target.value)}
+        />
+        <Button type="submit" disabled={ask.isPending || !question.trim()}>
+          {ask.isPending ? "Thinking..." : "Ask"}
+        </Button>
+      </form>
+
+      {ask.isError && (
+        <p className="text-xs text-destructive">
+          Could not answer. Check that inbox search is enabled and your Gemini key is set.
+        </p>
+      )}
+    </section>
+  );
+};
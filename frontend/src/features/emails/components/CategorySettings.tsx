@@ -0,0 +1,420 @@
+import { useState } from "react";
+import { Trash2 } from "lucide-react";
+import { Button } from "@/components/ui/button";
+import { Input } from "@/components/ui/input";
+import { Label } from "@/components/ui/label";
+import {
+  Select,
+  SelectContent,
+  SelectItem,
+  SelectTrigger,
+  SelectValue,
+} from "@/components/ui/select";
+import type { ClassificationRuleType, RedactionType, ReplyTone } from "@/types/email.types";
+import {
+  useGetCategories,
+  useCreateCategory,
+  useUpdateCategory,
+  useDeleteCategory,
+  useGetClassificationRules,
+  useGetCorrectionStats,
+  useCreateClassificationRule,
+  useDeleteClassificationRule,
+  useGetEmailSettings,
+  useUpdateEmailSettings,
+  useUndoGmailLabels,
+} from "../api/emails.api";
+import { REPLY_TONE_LABELS } from "../utils/email.utils";
+import { DigestSettings } from "./DigestSettings";
+import { EmailAccountsSettings } from "./EmailAccountsSettings";
+
+// Mirrors DEFAULT_CATEGORY on the backend, which refuses to delete it
+const DEFAULT_CATEGORY = "general";
+
+const RULE_TYPE_LABELS: Record<ClassificationRuleType, string> = {
+  sender: "Sender",
+  sender_domain: "Sender domain",
+  subject_regex: "Subject matches",
+  gmail_label: "Gmail label",
+};
+
+const RULE_PLACEHOLDERS: Record<ClassificationRuleType, string> = {
+  sender: "noreply@github.com",
+  sender_domain: "github.com",
+  subject_regex: "^(invoice|receipt)",
+  gmail_label: "CATEGORY_PROMOTIONS",
+};
+
+const REDACTION_TYPE_LABELS: Record<RedactionType, string> = {
+  email: "Email addresses",
+  phone: "Phone numbers",
+  card: "Card numbers",
+  iban: "IBANs",
+  otp: "One-time codes",
+  address: "Street addresses",
+};
+
+const formatRate = (rate: number) => `${Math.round(rate * 100)}%`;
+
+export const CategorySettings = () => {
+  const { data: categories } = useGetCategories();
+  const { data: rules } = useGetClassificationRules();
+  const { data: settings } = useGetEmailSettings();
+  const { data: correctionStats } = useGetCorrectionStats();
+  const createCategory = useCreateCategory();
+  const updateCategory = useUpdateCategory();
+  const deleteCategory = useDeleteCategory();
+  const createRule = useCreateClassificationRule();
+  const deleteRule = useDeleteClassificationRule();
+  const updateSettings = useUpdateEmailSettings();
+  const undoLabels = useUndoGmailLabels();
+
+  const [name, setName] = useState("");
+  const [description, setDescription] = useState("");
+  const [color, setColor] = useState("#0d9488");
+  const [exampleSenders, setExampleSenders] = useState("");
+
+  const [ruleType, setRuleType] = useState<ClassificationRuleType>("sender_domain");
+  const [rulePattern, setRulePattern] = useState("");
+  const [ruleCategory, setRuleCategory] = useState("");
+
+  const handleAddCategory = () => {
+    if (!name.trim()) return;
+
+    createCategory.mutate(
+      {
+        name: name.trim(),
+        description: description.trim(),
+        color,
+        exampleSenders: exampleSenders
+          .split(",")
+          .map((sender) => sender.trim())
+          .filter(Boolean),
+      },
+      {
+        onSuccess: () => {
+          setName("");
+          setDescription("");
+          setExampleSenders("");
+        },
+        onError: () => alert("Failed to create category"),
+      }
+    );
+  };
+
+  const handleAddRule = () => {
+    if (!rulePattern.trim() || !ruleCategory) return;
+
+    createRule.mutate(
+      { type: ruleType, pattern: rulePattern.trim(), category: ruleCategory },
+      {
+        onSuccess: () => setRulePattern(""),
+        onError: () => alert("Failed to create rule"),
+      }
+    );
+  };
+
+  const toggleRedactionType = (type: RedactionType, checked: boolean) => {
+    const types = settings?.redaction.types ?? [];
+    updateSettings.mutate({
+      redaction: {
+        types: checked ? [...types, type] : types.filter((t) => t !== type),
+      },
+    });
+  };
+
+  const handleUndoLabels = () => {
+    if (!confirm("Remove all AI labels from Gmail and restore archived emails?")) return;
+
+    undoLabels.mutate(undefined, {
+      onSuccess: (result) =>
+        alert(
+          `Removed labels from ${result.restored} emails (${result.unarchived} moved back to inbox)`
+        ),
+      onError: () => alert("Failed to remove Gmail labels"),
+    });
+  };
+
+  return (
+    <div className="space-y-6">
+      <EmailAccountsSettings />
+      <section className="flex flex-wrap items-center gap-3 text-sm">
+        <label className="flex items-center gap-2">
+          <input
+            type="checkbox"
+            checked={settings?.applyGmailLabels ?? false}
+            disabled={!settings?.gmailModifyGranted || updateSettings.isPending}
+            onChange={(e) => updateSettings.mutate({ applyGmailLabels: e.target.checked })}
+          />
+          Apply categories as Gmail labels (AI/&lt;Category&gt;)
+        </label>
+        {settings && !settings.gmailModifyGranted && (
+          <span className="text-xs text-muted-foreground">
+            Sign in with Google again to allow label changes
+          </span>
+        )}
+        <Button
+          variant="outline"
+          size="sm"
+          onClick={handleUndoLabels}
+          disabled={!settings?.gmailModifyGranted || undoLabels.isPending}
+        >
+          Undo Gmail labels
+        </Button>
+      </section>
+      {settings && (
+        <section className="space-y-2 text-sm">
+          <label className="flex items-center gap-2">
+            <input
+              type="checkbox"
+              checked={settings.redaction.enabled}
+              disabled={updateSettings.isPending}
+              onChange={(e) => updateSettings.mutate({ redaction: { enabled: e.target.checked } })}
+            />
+            Mask personal data before emails are sent to Gemini
+          </label>
+          {settings.redaction.enabled && (
+            <div className="flex flex-wrap gap-x-4 gap-y-1 pl-6 text-xs text-muted-foreground">
+              {Object.entries(REDACTION_TYPE_LABELS).map(([type, label]) => (
+                <label key={type} className="flex items-center gap-1">
+                  <input
+                    type="checkbox"
+                    checked={settings.redaction.types.includes(type as RedactionType)}
+                    disabled={updateSettings.isPending}
+                    onChange={(e) => toggleRedactionType(type as RedactionType, e.target.checked)}
+                  />
+                  {label}
+                </label>
+              ))}
+              <label className="flex items-center gap-1">
+                <input
+                  type="checkbox"
+                  checked={settings.redaction.keepSenderDomain}
+                  disabled={updateSettings.isPending}
+                  onChange={(e) =>
+                    updateSettings.mutate({ redaction: { keepSenderDomain: e.target.checked } })
+                  }
+                />
+                Keep sender domains
+              </label>
+            </div>
+          )}
+        </section>
+      )}
+      {settings && (
+        <section className="space-y-2 text-sm">
+          <h2 className="font-semibold">Reply drafts</h2>
+          <div className="flex items-center gap-2">
+            <Label htmlFor="default-reply-tone">Default tone</Label>
+            <Select
+              value={settings.reply.defaultTone}
+              disabled={updateSettings.isPending}
+              onValueChange={(value) =>
+                updateSettings.mutate({ reply: { defaultTone: value as ReplyTone } })
+              }
+            >
+              <SelectTrigger id="default-reply-tone" className="w-32">
+                <SelectValue />
+              </SelectTrigger>
+              <SelectContent>
+                {Object.entries(REPLY_TONE_LABELS).map(([value, label]) => (
+                  <SelectItem key={value} value={value}>
+                    {label}
+                  </SelectItem>
+                ))}
+              </SelectContent>
+            </Select>
+          </div>
+          <Label htmlFor="reply-signature">Signature</Label>
+          <textarea
+            id="reply-signature"
+            // Saved when the field loses focus; remounted when the saved value changes
+            key={settings.reply.signature}
+            className="w-full min-h-20 rounded-md border border-input bg-transparent px-3 py-2 shadow-sm focus-visible:outline-none focus-visible:ring-1 focus-visible:ring-ring"
+            defaultValue={settings.reply.signature}
+            maxLength={1000}
+            disabled={updateSettings.isPending}
+            onBlur={(e) => {
+              if (e.target.value !== settings.reply.signature) {
+                updateSettings.mutate({ reply: { signature: e.target.value } });
+              }
+            }}
+          />
+        </section>
+      )}
+      <DigestSettings />
+      <div className="grid gap-6 md:grid-cols-2">
+        <section className="space-y-3">
+          <h2 className="font-semibold">Categories</h2>
+          <ul className="space-y-2">
+            {categories?.map((category) => (
+              <li key={category._id} className="flex items-center gap-3 text-sm">
+                <span
+                  className="w-3 h-3 rounded-full flex-shrink-0"
+                  style={{ backgroundColor: category.color }}
+                />
+                <span className="font-medium capitalize">{category.name}</span>
+                <span className="text-muted-foreground truncate flex-1">
+                  {category.description}
+                </span>
+                <label className="flex items-center gap-1 text-xs text-muted-foreground">
+                  <input
+                    type="checkbox"
+                    checked={category.archiveOnClassify}
+                    onChange={(e) =>
+                      updateCategory.mutate({
+                        id: category._id,
+                        archiveOnClassify: e.target.checked,
+                      })
+                    }
+                  />
+                  Archive
+                </label>
+                {category.name !== DEFAULT_CATEGORY && (
+                  <Button
+                    variant="ghost"
+                    size="icon"
+                    onClick={() => deleteCategory.mutate(category._id)}
+                    aria-label={`Delete ${category.name}`}
+                  >
+                    <Trash2 className="h-4 w-4" />
+                  </Button>
+                )}
+              </li>
+            ))}
+          </ul>
+          <div className="space-y-2">
+            <Label htmlFor="category-name">New category</Label>
+            <div className="flex gap-2">
+              <Input
+                id="category-name"
+                placeholder="Name"
+                value={name}
+                onChange={(e) => setName(e.target.value)}
+              />
+              <Input
+                type="color"
+                className="w-14 p-1"
+                value={color}
+                onChange={(e) => setColor(e.target.value)}
+                aria-label="Category colour"
+              />
+            </div>
+            <Input
+              placeholder="Description used by the classifier"
+              value={description}
+              onChange={(e) => setDescription(e.target.value)}
+            />
+            <Input
+              placeholder="Example senders, comma separated"
+              value={exampleSenders}
+              onChange={(e) => setExampleSenders(e.target.value)}
+            />
+            <Button onClick={handleAddCategory} disabled={createCategory.isPending}>
+              Add category
+            </Button>
+          </div>
+        </section>
+
+        <section className="space-y-3">
+          <h2 className="font-semibold">Rules</h2>
+          <p className="text-xs text-muted-foreground">
+            Rules run before the AI classifier. The first matching rule wins.
+          </p>
+          <ul className="space-y-2">
+            {rules?.map((rule) => (
+              <li key={rule._id} className="flex items-center gap-2 text-sm">
+                <span className="text-muted-foreground">{RULE_TYPE_LABELS[rule.type]}</span>
+                <code className="truncate">{rule.pattern}</code>
+                <span className="text-muted-foreground">→</span>
+                <span className="font-medium capitalize flex-1">
+                  {rule.category}
+                  {rule.origin === "corrections" && (
+                    <span
+                      className="ml-2 text-xs font-normal normal-case text-muted-foreground"
+                      title="Learned from your category corrections"
+                    >
+                      learned
+                    </span>
+                  )}
+                </span>
+                <Button
+                  variant="ghost"
+                  size="icon"
+                  onClick={() => deleteRule.mutate(rule._id)}
+                  aria-label="Delete rule"
+                >
+                  <Trash2 className="h-4 w-4" />
+                </Button>
+              </li>
+            ))}
+          </ul>
+          <div className="flex flex-wrap gap-2">
+            <Select
+              value={ruleType}
+              onValueChange={(value) => setRuleType(value as ClassificationRuleType)}
+            >
+              <SelectTrigger className="w-[160px] bg-background">
+                <SelectValue />
+              </SelectTrigger>
+              <SelectContent>
+                {Object.entries(RULE_TYPE_LABELS).map(([type, label]) => (
+                  <SelectItem key={type} value={type}>
+                    {label}
+                  </SelectItem>
+                ))}
+              </SelectContent>
+            </Select>
+            <Input
+              className="flex-1 min-w-[140px]"
+              placeholder={RULE_PLACEHOLDERS[ruleType]}
+              value={rulePattern}
+              onChange={(e) => setRulePattern(e.target.value)}
+            />
+            <Select value={ruleCategory} onValueChange={setRuleCategory}>
+              <SelectTrigger className="w-[140px] bg-background">
+                <SelectValue placeholder="Category" />
+              </SelectTrigger>
+              <SelectContent>
+                {categories?.map((category) => (
+                  <SelectItem key={category._id} value={category.name}>
+                    {category.name}
+                  </SelectItem>
+                ))}
+              </SelectContent>
+            </Select>
+            <Button onClick={handleAddRule} disabled={createRule.isPending}>
+              Add rule
+            </Button>
+          </div>
+        </section>
+
+        {correctionStats && correctionStats.classified > 0 && (
+          <section className="space-y-3">
+            <h2 className="font-semibold">Corrections</h2>
+            <p className="text-xs text-muted-foreground">
+              You changed {correctionStats.corrected} of {correctionStats.classified} categories (
+              {formatRate(correctionStats.correctionRate)}). Repeated corrections for a sender
+              become learned rules ({correctionStats.learnedRules} so far).
+            </p>
+            <ul className="space-y-1 text-sm">
+              {correctionStats.categories.map((stats) => (
+                <li key={stats.category} className="flex items-center gap-2">
+                  <span className="capitalize w-28 truncate">{stats.category}</span>
+                  <span className="text-muted-foreground w-32">
+                    {stats.corrected}/{stats.classified} ({formatRate(stats.correctionRate)})
+                  </span>
+                  <span className="text-xs text-muted-foreground truncate">
+                    {stats.correctedTo
+                      .map((flow) => `${flow.count} → ${flow.category}`)
+                      .join(", ")}
+                  </span>
+                </li>
+              ))}
+            </ul>
+          </section>
+        )}
+      </div>
+    </div>
+  );
+};
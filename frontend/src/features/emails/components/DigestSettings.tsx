@@ -0,0 +1,156 @@
+import { useState } from "react";
+import { Button } from "@/components/ui/button";
+import { Input } from "@/components/ui/input";
+import { Label } from "@/components/ui/label";
+import {
+  Select,
+  SelectContent,
+  SelectItem,
+  SelectTrigger,
+  SelectValue,
+} from "@/components/ui/select";
+import type { DigestChannel, DigestSkipReason } from "@/types/email.types";
+import {
+  useGetDigestPreview,
+  useGetDigestTimezones,
+  useGetEmailSettings,
+  useUpdateEmailSettings,
+} from "../api/emails.api";
+
+const CHANNEL_LABELS: Record<DigestChannel, string> = {
+  email: "Email",
+  in_app: "In-app",
+  web_push: "Browser push",
+  mobile_push: "Mobile push",
+  sms: "SMS",
+};
+
+const SKIP_REASON_LABELS: Record<DigestSkipReason, string> = {
+  channel_disabled: "Your notification preferences turn this channel off for the digest.",
+  do_not_disturb: "Do not disturb is on right now, so a digest would not be sent.",
+  empty: "Nothing to report right now, so no digest would be sent.",
+};
+
+export const DigestSettings = () => {
+  const { data: settings } = useGetEmailSettings();
+  const updateSettings = useUpdateEmailSettings();
+
+  const [country, setCountry] = useState("");
+  const { data: timezones } = useGetDigestTimezones(country);
+
+  const [showPreview, setShowPreview] = useState(false);
+  const preview = useGetDigestPreview(showPreview);
+
+  if (!settings) return null;
+
+  const { digest } = settings;
+  const timezoneOptions = timezones?.some((tz) => tz.name === digest.timezone)
+    ? timezones
+    : [{ name: digest.timezone, utcOffset: "" }, ...(timezones ?? [])];
+
+  const handlePreview = () => {
+    if (showPreview) {
+      preview.refetch();
+    } else {
+      setShowPreview(true);
+    }
+  };
+
+  return (
+    <section className="space-y-2 text-sm">
+      <h2 className="font-semibold">Daily digest</h2>
+      <label className="flex items-center gap-2">
+        <input
+          type="checkbox"
+          checked={digest.enabled}
+          disabled={updateSettings.isPending}
+          onChange={(e) => updateSettings.mutate({ digest: { enabled: e.target.checked } })}
+        />
+        Send me a daily summary of new emails, important messages and open action items
+      </label>
+      <div className="flex flex-wrap items-center gap-2">
+        <Label htmlFor="digest-time">At</Label>
+        <Input
+          id="digest-time"
+          type="time"
+          className="w-28"
+          // Saved when the field loses focus; remounted when the saved value changes
+          key={digest.time}
+          defaultValue={digest.time}
+          disabled={updateSettings.isPending}
+          onBlur={(e) => {
+            if (e.target.value && e.target.value !== digest.time) {
+              updateSettings.mutate({ digest: { time: e.target.value } });
+            }
+          }}
+        />
+        <Input
+          className="w-20"
+          placeholder="Country"
+          aria-label="Country code"
+          maxLength={2}
+          value={country}
+          onChange={(e) => setCountry(e.target.value.toUpperCase())}
+        />
+        <Select
+          value={digest.timezone}
+          disabled={updateSettings.isPending}
+          onValueChange={(value) => updateSettings.mutate({ digest: { timezone: value } })}
+        >
+          <SelectTrigger className="w-56" aria-label="Timezone">
+            <SelectValue />
+          </SelectTrigger>
+          <SelectContent>
+            {timezoneOptions.map((tz) => (
+              <SelectItem key={tz.name} value={tz.name}>
+                {tz.utcOffset ? `${tz.name} (UTC${tz.utcOffset})` : tz.name}
+              </SelectItem>
+            ))}
+          </SelectContent>
+        </Select>
+        <Label htmlFor="digest-channel">via</Label>
+        <Select
+          value={digest.channel}
+          disabled={updateSettings.isPending}
+          onValueChange={(value) =>
+            updateSettings.mutate({ digest: { channel: value as DigestChannel } })
+          }
+        >
+          <SelectTrigger id="digest-channel" className="w-36">
+            <SelectValue />
+          </SelectTrigger>
+          <SelectContent>
+            {Object.entries(CHANNEL_LABELS).map(([value, label]) => (
+              <SelectItem key={value} value={value}>
+                {label}
+              </SelectItem>
+            ))}
+          </SelectContent>
+        </Select>
+      </div>
+      {digest.enabled && digest.nextRunAt && (
+        <p className="text-xs text-muted-foreground">
+          Next digest {new Date(digest.nextRunAt).toLocaleString()}
+        </p>
+      )}
+      <Button variant="outline" size="sm" onClick={handlePreview} disabled={preview.isFetching}>
+        {preview.isFetching ? "Building..." : "Preview"}
+      </Button>
+      {preview.isError && (
+        <p className="text-xs text-destructive">Could not build the digest preview</p>
+      )}
+      {showPreview && preview.data && (
+        <div className="space-y-1">
+          {preview.data.skipReason && (
+            <p className="text-xs text-muted-foreground">
+              {SKIP_REASON_LABELS[preview.data.skipReason]}
+            </p>
+          )}
+          <pre className="whitespace-pre-wrap rounded-md border bg-muted/40 p-3 text-xs">
+            {preview.data.text}
+          </pre>
+        </div>
+      )}
+    </section>
+  );
+};
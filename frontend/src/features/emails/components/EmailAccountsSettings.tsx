@@ -0,0 +1,289 @@
+import { useState } from "react";
+import { Button } from "@/components/ui/button";
+import { Input } from "@/components/ui/input";
+import { Label } from "@/components/ui/label";
+import type { EmailAccount, ImapAccountInput } from "@/types/email.types";
+import { getAccountLabel, PROVIDER_LABELS } from "../utils/email.utils";
+import {
+  useConnectImapAccount,
+  useCreateClassificationJob,
+  useGetEmailAccounts,
+  useImportMailbox,
+  useLinkGoogleAccount,
+  useRemoveEmailAccount,
+} from "../api/emails.api";
+
+// Mirrors the per-job limit of the classification job endpoint
+const MAX_JOB_EMAILS = 1000;
+
+const EMPTY_IMAP_FORM = {
+  name: "",
+  host: "",
+  port: "993",
+  secure: true,
+  username: "",
+  password: "",
+  mailbox: "INBOX",
+};
+
+const ImapAccountForm = ({ onDone }: { onDone: () => void }) => {
+  const connectAccount = useConnectImapAccount();
+  const [form, setForm] = useState(EMPTY_IMAP_FORM);
+
+  const update = (changes: Partial<typeof EMPTY_IMAP_FORM>) =>
+    setForm((current) => ({ ...current, ...changes }));
+
+  const handleSubmit = (e: React.FormEvent) => {
+    e.preventDefault();
+
+    const input: ImapAccountInput = {
+      name: form.name.trim() || undefined,
+      host: form.host.trim(),
+      port: Number(form.port) || undefined,
+      secure: form.secure,
+      username: form.username.trim(),
+      password: form.password,
+      mailbox: form.mailbox.trim() || undefined,
+    };
+    connectAccount.mutate(input, {
+      onSuccess: () => {
+        setForm(EMPTY_IMAP_FORM);
+        onDone();
+      },
+    });
+  };
+
+  return (
+    <form onSubmit={handleSubmit} className="grid gap-2 sm:grid-cols-2 max-w-xl">
+      <div className="space-y-1">
+        <Label htmlFor="imap-host">Server</Label>
+        <Input
+          id="imap-host"
+          placeholder="imap.example.com"
+          value={form.host}
+          onChange={(e) => update({ host: e.target.value })}
+          required
+        />
+      </div>
+      <div className="space-y-1">
+        <Label htmlFor="imap-port">Port</Label>
+        <Input
+          id="imap-port"
+          type="number"
+          min={1}
+          max={65535}
+          value={form.port}
+          onChange={(e) => update({ port: e.target.value })}
+        />
+      </div>
+      <div className="space-y-1">
+        <Label htmlFor="imap-username">Username</Label>
+        <Input
+          id="imap-username"
+          autoComplete="off"
+          value={form.username}
+          onChange={(e) => update({ username: e.target.value })}
+          required
+        />
+      </div>
+      <div className="space-y-1">
+        <Label htmlFor="imap-password">Password</Label>
+        <Input
+          id="imap-password"
+          type="password"
+          autoComplete="new-password"
+          value={form.password}
+          onChange={(e) => update({ password: e.target.value })}
+          required
+        />
+      </div>
+      <div className="space-y-1">
+        <Label htmlFor="imap-mailbox">Folder</Label>
+        <Input
+          id="imap-mailbox"
+          value={form.mailbox}
+          onChange={(e) => update({ mailbox: e.target.value })}
+        />
+      </div>
+      <div className="space-y-1">
+        <Label htmlFor="imap-name">Name</Label>
+        <Input
+          id="imap-name"
+          placeholder="Work mail"
+          value={form.name}
+          maxLength={100}
+          onChange={(e) => update({ name: e.target.value })}
+        />
+      </div>
+      <label className="flex items-center gap-2 sm:col-span-2">
+        <input
+          type="checkbox"
+          checked={form.secure}
+          onChange={(e) => update({ secure: e.target.checked })}
+        />
+        Use TLS (port 993); otherwise STARTTLS is used when the server offers it
+      </label>
+      <div className="flex items-center gap-3 sm:col-span-2">
+        <Button type="submit" size="sm" disabled={connectAccount.isPending}>
+          {connectAccount.isPending ? "Connecting..." : "Connect"}
+        </Button>
+        <Button type="button" size="sm" variant="ghost" onClick={onDone}>
+          Cancel
+        </Button>
+        {connectAccount.isError && (
+          <span className="text-xs text-destructive">
+            Could not sign in. Check the server and credentials.
+          </span>
+        )}
+      </div>
+    </form>
+  );
+};
+
+const MailboxImport = ({ accounts }: { accounts: EmailAccount[] }) => {
+  const importMailbox = useImportMailbox();
+  const createJob = useCreateClassificationJob();
+  const [targetId, setTargetId] = useState("");
+  const importedMailboxes = accounts.filter((account) => account.provider === "import");
+
+  const handleFile = async (e: React.ChangeEvent<HTMLInputElement>) => {
+    const file = e.target.files?.[0];
+    e.target.value = "";
+    if (!file) return;
+
+    const result = await importMailbox.mutateAsync({ file, accountId: targetId || undefined });
+
+    // Imported emails go through the same classification as synced ones
+    for (let i = 0; i < result.emailIds.length; i += MAX_JOB_EMAILS) {
+      await createJob.mutateAsync(result.emailIds.slice(i, i + MAX_JOB_EMAILS));
+    }
+  };
+
+  return (
+    <div className="flex flex-wrap items-center gap-3">
+      <Label htmlFor="mailbox-import" className="font-normal">
+        Import an mbox archive or .eml file
+      </Label>
+      {importedMailboxes.length > 0 && (
+        <select
+          className="h-8 rounded-md border border-input bg-transparent px-2"
+          value={targetId}
+          onChange={(e) => setTargetId(e.target.value)}
+          aria-label="Import into"
+        >
+          <option value="">Into a new mailbox</option>
+          {importedMailboxes.map((account) => (
+            <option key={account.accountId} value={account.accountId}>
+              Into {getAccountLabel(account)}
+            </option>
+          ))}
+        </select>
+      )}
+      <input
+        id="mailbox-import"
+        type="file"
+        accept=".mbox,.eml,application/mbox,message/rfc822"
+        onChange={(e) => void handleFile(e).catch(() => undefined)}
+        disabled={importMailbox.isPending || createJob.isPending}
+      />
+      {importMailbox.isPending && <span className="text-xs">Importing...</span>}
+      {importMailbox.isSuccess && (
+        <span className="text-xs text-muted-foreground">
+          Imported {importMailbox.data.imported} emails
+          {importMailbox.data.duplicates > 0 &&
+            `, ${importMailbox.data.duplicates} already imported`}
+          {importMailbox.data.skipped > 0 && `, ${importMailbox.data.skipped} too large`}
+          {importMailbox.data.imported > 0 && " (classifying in the background)"}
+        </span>
+      )}
+      {(importMailbox.isError || createJob.isError) && (
+        <span className="text-xs text-destructive">
+          {importMailbox.isError ? "Could not import the file" : "Could not queue classification"}
+        </span>
+      )}
+    </div>
+  );
+};
+
+export const EmailAccountsSettings = () => {
+  const { data: accounts } = useGetEmailAccounts();
+  const linkAccount = useLinkGoogleAccount();
+  const removeAccount = useRemoveEmailAccount();
+  const [showImapForm, setShowImapForm] = useState(false);
+
+  const googleAccounts = accounts?.filter((account) => account.provider === "google") ?? [];
+
+  const handleRemove = (account: EmailAccount) => {
+    const action = account.provider === "google" ? "Unlink" : "Remove";
+    const confirmed = confirm(
+      `${action} ${getAccountLabel(account)}? Its stored emails, classifications and summaries are deleted.`
+    );
+    if (!confirmed) return;
+
+    removeAccount.mutate(account.accountId, {
+      onError: () =>
+        alert(
+          account.provider === "google"
+            ? "Could not unlink the account. Sign in again and retry."
+            : "Could not remove the mailbox."
+        ),
+    });
+  };
+
+  return (
+    <section className="space-y-2 text-sm">
+      <h2 className="font-semibold">Mail accounts</h2>
+      <ul className="divide-y">
+        {accounts?.map((account) => (
+          <li key={account.accountId} className="flex flex-wrap items-center gap-3 py-2">
+            <span className="flex-1 min-w-48">
+              {getAccountLabel(account)}
+              <span className="ml-2 text-xs text-muted-foreground">
+                {account.primary ? "Primary" : PROVIDER_LABELS[account.provider]}
+              </span>
+            </span>
+            {account.provider !== "import" && (
+              <span className="text-xs text-muted-foreground">
+                {account.lastSyncedAt
+                  ? `Synced ${new Date(account.lastSyncedAt).toLocaleString()}`
+                  : "Not synced yet"}
+              </span>
+            )}
+            <Button
+              size="sm"
+              variant="ghost"
+              className="text-destructive"
+              onClick={() => handleRemove(account)}
+              disabled={
+                (account.provider === "google" && googleAccounts.length === 1) ||
+                removeAccount.isPending
+              }
+            >
+              {account.provider === "google" ? "Unlink" : "Remove"}
+            </Button>
+          </li>
+        ))}
+      </ul>
+      <div className="flex flex-wrap gap-2">
+        <Button
+          variant="outline"
+          size="sm"
+          onClick={() => linkAccount.mutate()}
+          disabled={linkAccount.isPending}
+        >
+          Link another Google account
+        </Button>
+        {!showImapForm && (
+          <Button variant="outline" size="sm" onClick={() => setShowImapForm(true)}>
+            Connect an IMAP mailbox
+          </Button>
+        )}
+      </div>
+      {linkAccount.isError && (
+        <p className="text-xs text-destructive">Could not start linking the account</p>
+      )}
+      {showImapForm && <ImapAccountForm onDone={() => setShowImapForm(false)} />}
+      <MailboxImport accounts={accounts ?? []} />
+    </section>
+  );
+};
@@ -1,7 +1,16 @@
+import { ShieldAlert } from "lucide-react";
 import { Card, CardContent } from "@/components/ui/card";
+import {
+  Select,
+  SelectContent,
+  SelectItem,
+  SelectTrigger,
+  SelectValue,
+} from "@/components/ui/select";
 import type { Email } from "@/types/email.types";
 import { parseEmailFrom } from "../utils/email.utils";
 import { getCategoryColor } from "../utils/categoryColors";
+import { useCorrectEmailCategory, useGetCategories } from "../api/emails.api";
 
 interface EmailCardProps {
   email: Email;
@@ -11,7 +20,30 @@ interface EmailCardProps {
 
 export const EmailCard = ({ email, isSelected, onClick }: EmailCardProps) => {
   const sender = parseEmailFrom(email.from);
-  
+  const { data: categories } = useGetCategories();
+  const correctCategory = useCorrectEmailCategory();
+
+  const handleCategoryChange = (category: string) => {
+    correctCategory.mutate(
+      { id: email.id, category },
+      {
+        onSuccess: ({ learnedRules }) => {
+          if (learnedRules.length > 0) {
+            const rule = learnedRules[0];
+            alert(`Future emails from ${rule.pattern} will go to ${rule.category}`);
+          }
+        },
+        onError: () => alert("Failed to change category"),
+      }
+    );
+  };
+
+  const categoryTitle = email.classification?.error
+    ? "Could not classify"
+    : email.classification?.correctedFrom
+      ? `You moved this from ${email.classification.correctedFrom}`
+      : email.classification?.reason;
+
   return (
     <Card
       className={`hover:shadow-md transition-shadow cursor-pointer ${
@@ -34,12 +66,44 @@ export const EmailCard = ({ email, isSelected, onClick }: EmailCardProps) => {
                 {email.subject}
               </h3>
               {email.category && (
-                <span className={`text-xs font-bold ml-2 flex-shrink-0 capitalize ${getCategoryColor(email.category)}`}>
-                  {email.category}
-                </span>
+                // Keep clicks on the picker from opening the email
+                <div className="ml-2 flex-shrink-0" onClick={(e) => e.stopPropagation()}>
+                  <Select
+                    value={email.category}
+                    onValueChange={handleCategoryChange}
+                    disabled={correctCategory.isPending}
+                  >
+                    <SelectTrigger
+                      className="h-auto w-auto gap-1 border-0 p-0 shadow-none text-xs font-bold capitalize"
+                      style={{ color: getCategoryColor(email.category, categories) }}
+                      title={categoryTitle}
+                      aria-label="Change category"
+                    >
+                      <SelectValue>
+                        {email.category}
+                        {email.classification?.error && " ?"}
+                      </SelectValue>
+                    </SelectTrigger>
+                    <SelectContent>
+                      {categories?.map((category) => (
+                        <SelectItem key={category._id} value={category.name}>
+                          <span className="capitalize">{category.name}</span>
+                        </SelectItem>
+                      ))}
+                    </SelectContent>
+                  </Select>
+                </div>
               )}
             </div>
-            <p className="text-xs text-muted-foreground mb-2">{sender.name}</p>
+            <p className="text-xs text-muted-foreground mb-2 flex items-center gap-1">
+              {sender.name}
+              {email.classification?.flags?.includes("possible_injection") && (
+                <ShieldAlert
+                  className="h-3 w-3 text-destructive"
+                  aria-label="Possible prompt injection"
+                />
+              )}
+            </p>
             <p className="text-sm text-foreground line-clamp-2">{email.snippet}</p>
           </div>
         </div>
@@ -0,0 +1,127 @@
+import { useState } from "react";
+import { Search } from "lucide-react";
+import { Input } from "@/components/ui/input";
+import {
+  Select,
+  SelectContent,
+  SelectItem,
+  SelectTrigger,
+  SelectValue,
+} from "@/components/ui/select";
+import type { EmailFilters } from "@/types/email.types";
+import { useGetCategories, useGetEmailAccounts } from "../api/emails.api";
+import { getAccountLabel } from "../utils/email.utils";
+
+interface EmailFiltersBarProps {
+  filters: EmailFilters;
+  onChange: (filters: EmailFilters) => void;
+}
+
+// Radix Select does not accept empty values, so "all" stands for no filter
+const ALL = "all";
+
+const LABEL_OPTIONS = [
+  { value: "INBOX", label: "Inbox" },
+  { value: "STARRED", label: "Starred" },
+  { value: "IMPORTANT", label: "Important" },
+  { value: "SENT", label: "Sent" },
+];
+
+const READ_OPTIONS = [
+  { value: "false", label: "Unread" },
+  { value: "true", label: "Read" },
+];
+
+export const EmailFiltersBar = ({ filters, onChange }: EmailFiltersBarProps) => {
+  const [query, setQuery] = useState(filters.q ?? "");
+  const { data: categories } = useGetCategories();
+  const { data: accounts } = useGetEmailAccounts();
+
+  const update = (changes: Partial<EmailFilters>) => onChange({ ...filters, ...changes });
+
+  return (
+    <div className="flex flex-wrap items-center gap-2">
+      <form
+        className="relative"
+        onSubmit={(e) => {
+          e.preventDefault();
+          update({ q: query.trim() || undefined });
+        }}
+      >
+        <Search className="absolute left-3 top-1/2 -translate-y-1/2 h-4 w-4 text-muted-foreground" />
+        <Input
+          className="w-[280px] pl-9"
+          placeholder="Search, e.g. from:github.com has:attachment"
+          value={query}
+          onChange={(e) => setQuery(e.target.value)}
+        />
+      </form>
+      {accounts && accounts.length > 1 && (
+        <Select
+          value={filters.accountId ?? ALL}
+          onValueChange={(value) => update({ accountId: value === ALL ? undefined : value })}
+        >
+          <SelectTrigger className="w-[200px] bg-background" aria-label="Account">
+            <SelectValue />
+          </SelectTrigger>
+          <SelectContent>
+            <SelectItem value={ALL}>All accounts</SelectItem>
+            {accounts.map((account) => (
+              <SelectItem key={account.accountId} value={account.accountId}>
+                {getAccountLabel(account)}
+              </SelectItem>
+            ))}
+          </SelectContent>
+        </Select>
+      )}
+      <Select
+        value={filters.label ?? ALL}
+        onValueChange={(value) => update({ label: value === ALL ? undefined : value })}
+      >
+        <SelectTrigger className="w-[130px] bg-background">
+          <SelectValue />
+        </SelectTrigger>
+        <SelectContent>
+          <SelectItem value={ALL}>All mail</SelectItem>
+          {LABEL_OPTIONS.map((option) => (
+            <SelectItem key={option.value} value={option.value}>
+              {option.label}
+            </SelectItem>
+          ))}
+        </SelectContent>
+      </Select>
+      <Select
+        value={filters.category ?? ALL}
+        onValueChange={(value) => update({ category: value === ALL ? undefined : value })}
+      >
+        <SelectTrigger className="w-[150px] bg-background">
+          <SelectValue />
+        </SelectTrigger>
+        <SelectContent>
+          <SelectItem value={ALL}>All categories</SelectItem>
+          {categories?.map((category) => (
+            <SelectItem key={category._id} value={category.name}>
+              <span className="capitalize">{category.name}</span>
+            </SelectItem>
+          ))}
+        </SelectContent>
+      </Select>
+      <Select
+        value={filters.read === undefined ? ALL : String(filters.read)}
+        onValueChange={(value) => update({ read: value === ALL ? undefined : value === "true" })}
+      >
+        <SelectTrigger className="w-[120px] bg-background">
+          <SelectValue />
+        </SelectTrigger>
+        <SelectContent>
+          <SelectItem value={ALL}>Any status</SelectItem>
+          {READ_OPTIONS.map((option) => (
+            <SelectItem key={option.value} value={option.value}>
+              {option.label}
+            </SelectItem>
+          ))}
+        </SelectContent>
+      </Select>
+    </div>
+  );
+};
@@ -0,0 +1,148 @@
+import { Paperclip } from "lucide-react";
+import type { Email, EmailDetail } from "@/types/email.types";
+import { useGetCategories, useGetEmail, useGetThread } from "../api/emails.api";
+import { getCategoryColor } from "../utils/categoryColors";
+import { EmailSummaryPanel } from "./EmailSummaryPanel";
+import { ReplyComposer } from "./ReplyComposer";
+import { formatFileSize, parseEmailFrom } from "../utils/email.utils";
+
+interface EmailReaderProps {
+  email: Email;
+}
+
+const MessageView = ({ message }: { message: EmailDetail }) => {
+  const sender = parseEmailFrom(message.from);
+  const attachments = message.attachments.filter((attachment) => !attachment.inline);
+
+  return (
+    <article className="border-t pt-4 first:border-t-0 first:pt-0">
+      <div className="flex items-center gap-3 mb-4">
+        <div className="w-10 h-10 rounded-full bg-primary/10 flex items-center justify-center flex-shrink-0">
+          <span className="text-sm font-semibold text-primary">
+            {sender.name.charAt(0).toUpperCase()}
+          </span>
+        </div>
+        <div className="min-w-0 flex-1">
+          <p className="font-medium">
+            {sender.name}{" "}
+            <span className="text-sm font-normal text-muted-foreground">
+              &lt;{sender.email}&gt;
+            </span>
+          </p>
+          <p className="text-xs text-muted-foreground truncate">
+            To: {message.to}
+            {message.cc && ` · Cc: ${message.cc}`}
+          </p>
+        </div>
+        <span className="text-xs text-muted-foreground flex-shrink-0">{message.date}</span>
+      </div>
+
+      {message.body.html ? (
+        // Sanitised server-side before it reaches the browser
+        <div
+          className="max-w-none break-words [&_a]:text-primary [&_a]:underline [&_img]:max-w-full"
+          dangerouslySetInnerHTML={{ __html: message.body.html }}
+        />
+      ) : (
+        <p className="whitespace-pre-wrap text-sm">{message.body.text ?? message.snippet}</p>
+      )}
+
+      {attachments.length > 0 && (
+        <ul className="mt-4 flex flex-wrap gap-2">
+          {attachments.map((attachment) => (
+            <li
+              key={attachment.partId ?? attachment.filename}
+              className="flex items-center gap-2 border rounded-md px-3 py-2 text-xs"
+            >
+              <Paperclip className="h-3 w-3" />
+              <span className="font-medium">{attachment.filename}</span>
+              <span className="text-muted-foreground">
+                {attachment.mimeType} · {formatFileSize(attachment.size)}
+              </span>
+            </li>
+          ))}
+        </ul>
+      )}
+    </article>
+  );
+};
+
+export const EmailReader = ({ email }: EmailReaderProps) => {
+  const { data: categories } = useGetCategories();
+  const threadQuery = useGetThread(email.threadId ?? null);
+  // Messages without a thread id are loaded on their own
+  const messageQuery = useGetEmail(email.threadId ? null : email.id);
+
+  const messages = email.threadId
+    ? threadQuery.data?.messages
+    : messageQuery.data && [messageQuery.data];
+  const summary = email.threadId ? threadQuery.data?.summary : messageQuery.data?.summary;
+  const isLoading = threadQuery.isLoading || messageQuery.isLoading;
+  const error = threadQuery.error || messageQuery.error;
+
+  return (
+    <div>
+      <div className="flex items-start justify-between mb-2">
+        <h2 className="text-xl font-semibold">{email.subject}</h2>
+        {email.category && (
+          <span
+            className="text-sm font-bold capitalize"
+            style={{ color: getCategoryColor(email.category, categories) }}
+          >
+            {email.category}
+          </span>
+        )}
+      </div>
+      {email.classification && (
+        <p className="text-xs text-muted-foreground mb-4">
+          {email.classification.error
+            ? "The classifier gave no valid answer; the default category was used."
+            : `${Math.round((email.classification.confidence ?? 0) * 100)}% confident${
+                email.classification.reason ? ` · ${email.classification.reason}` : ""
+              }`}
+          {!!email.classification.redactions?.length &&
+            ` · Masked before classification: ${[
+              ...new Set(email.classification.redactions.map((r) => r.type)),
+            ].join(", ")}`}
+        </p>
+      )}
+
+      {email.classification?.flags?.includes("possible_injection") && (
+        <p className="text-xs text-destructive mb-4">
+          This email looks like it tries to instruct the classifier. Its category may be
+          unreliable and it is never archived automatically.
+        </p>
+      )}
+
+      {isLoading && <p className="text-sm text-muted-foreground">Loading message...</p>}
+      {error && <p className="text-sm text-destructive">Failed to load message</p>}
+
+      {messages && (
+        <EmailSummaryPanel
+          kind={email.threadId ? "thread" : "message"}
+          targetId={email.threadId ?? email.id}
+          summary={summary}
+        />
+      )}
+
+      {messages && (
+        <div className="space-y-6">
+          {messages.length > 1 && (
+            <p className="text-xs text-muted-foreground">{messages.length} messages</p>
+          )}
+          {messages.map((message) => (
+            <MessageView key={message.id} message={message} />
+          ))}
+        </div>
+      )}
+
+      {messages && messages.length > 0 && (
+        // Keyed so switching emails starts a fresh reply
+        <ReplyComposer
+          key={messages[messages.length - 1].id}
+          message={messages[messages.length - 1]}
+        />
+      )}
+    </div>
+  );
+};
@@ -0,0 +1,111 @@
+import { RefreshCw, Sparkles } from "lucide-react";
+import { Button } from "@/components/ui/button";
+import type { EmailSummary, SummaryKind } from "@/types/email.types";
+import { useSummarizeEmail } from "../api/emails.api";
+
+interface EmailSummaryPanelProps {
+  kind: SummaryKind;
+  targetId: string;
+  summary: EmailSummary | null | undefined;
+}
+
+const formatAmount = (amount: number, currency: string | null) => {
+  if (!currency) return amount.toLocaleString();
+  try {
+    return amount.toLocaleString(undefined, { style: "currency", currency });
+  } catch {
+    return `${amount.toLocaleString()} ${currency}`;
+  }
+};
+
+export const EmailSummaryPanel = ({ kind, targetId, summary }: EmailSummaryPanelProps) => {
+  const summarize = useSummarizeEmail();
+
+  const handleSummarize = () => {
+    summarize.mutate({ kind, id: targetId, refresh: !!summary });
+  };
+
+  return (
+    <section className="border rounded-md p-4 mb-6 space-y-3 text-sm">
+      <div className="flex items-center justify-between gap-2">
+        <h3 className="font-semibold flex items-center gap-2">
+          <Sparkles className="h-4 w-4 text-primary" />
+          Summary
+        </h3>
+        <Button
+          variant="outline"
+          size="sm"
+          onClick={handleSummarize}
+          disabled={summarize.isPending}
+        >
+          {summary ? <RefreshCw /> : <Sparkles />}
+          {summarize.isPending ? "Summarising..." : summary ? "Refresh" : "Summarise"}
+        </Button>
+      </div>
+
+      {summarize.isError && (
+        <p className="text-xs text-destructive">Could not summarise this email. Try again.</p>
+      )}
+
+      {summary && (
+        <>
+          <p>{summary.summary}</p>
+
+          {summary.actionItems.length > 0 && (
+            <div>
+              <p className="font-medium mb-1">Action items</p>
+              <ul className="list-disc pl-5 space-y-1">
+                {summary.actionItems.map((item, index) => (
+                  <li key={index}>
+                    {item.description}
+                    {item.dueDate && (
+                      <span className="text-muted-foreground"> · due {item.dueDate}</span>
+                    )}
+                  </li>
+                ))}
+              </ul>
+            </div>
+          )}
+
+          {summary.deadlines.length > 0 && (
+            <div>
+              <p className="font-medium mb-1">Deadlines</p>
+              <ul className="list-disc pl-5 space-y-1">
+                {summary.deadlines.map((deadline, index) => (
+                  <li key={index}>
+                    {deadline.date} · {deadline.description}
+                  </li>
+                ))}
+              </ul>
+            </div>
+          )}
+
+          {summary.amounts.length > 0 && (
+            <div>
+              <p className="font-medium mb-1">Amounts</p>
+              <ul className="list-disc pl-5 space-y-1">
+                {summary.amounts.map((amount, index) => (
+                  <li key={index}>
+                    {amount.description}: {formatAmount(amount.amount, amount.currency)}
+                  </li>
+                ))}
+              </ul>
+            </div>
+          )}
+
+          <p className="text-xs text-muted-foreground">
+            Generated {new Date(summary.generatedAt).toLocaleString()}
+            {summary.omittedMessages > 0 &&
+              ` · ${summary.omittedMessages} older messages were left out`}
+          </p>
+          {summary.flags.includes("possible_injection") && (
+            <p className="text-xs text-destructive">
+              This email looks like it tries to instruct the assistant. Check the summary against
+              the message.
+            </p>
+          )}
+        </>
+      )}
+    </section>
+  );
+};
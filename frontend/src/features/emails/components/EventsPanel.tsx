@@ -0,0 +1,171 @@
+import { useState } from "react";
+import { CalendarDays } from "lucide-react";
+import { Button } from "@/components/ui/button";
+import type { CalendarEvent } from "@/types/email.types";
+import {
+  useCreateCalendarFeed,
+  useGetCalendarEvents,
+  useGetCalendarFeed,
+  useRevokeCalendarFeed,
+  useScanCalendarEvents,
+  useUpdateCalendarEvent,
+} from "../api/emails.api";
+
+// All-day events are stored at midnight UTC, so their dates are shown in UTC
+const formatWhen = (event: CalendarEvent) =>
+  event.allDay
+    ? new Date(event.start).toLocaleDateString(undefined, {
+        dateStyle: "medium",
+        timeZone: "UTC",
+      })
+    : new Date(event.start).toLocaleString(undefined, {
+        dateStyle: "medium",
+        timeStyle: "short",
+      });
+
+export const EventsPanel = () => {
+  const { data, isLoading } = useGetCalendarEvents();
+  const { data: feed } = useGetCalendarFeed();
+  const scan = useScanCalendarEvents();
+  const updateEvent = useUpdateCalendarEvent();
+  const createFeed = useCreateCalendarFeed();
+  const revokeFeed = useRevokeCalendarFeed();
+  const [notice, setNotice] = useState("");
+  const [feedUrl, setFeedUrl] = useState<string | null>(null);
+
+  const handleScan = () => {
+    setNotice("");
+    scan.mutate(
+      {},
+      {
+        onSuccess: (result) => {
+          const found = `${result.events.length} events found in ${result.scanned} emails.`;
+          setNotice(result.remaining > 0 ? `${found} Scan again for the rest.` : found);
+        },
+        onError: () => setNotice("Could not scan. Check that your Gemini key is set."),
+      }
+    );
+  };
+
+  const handleCreateFeed = () => {
+    createFeed.mutate(undefined, { onSuccess: (result) => setFeedUrl(result.url) });
+  };
+
+  const handleRevokeFeed = () => {
+    revokeFeed.mutate(undefined, { onSuccess: () => setFeedUrl(null) });
+  };
+
+  return (
+    <section className="space-y-4 text-sm">
+      <div className="flex items-center justify-between">
+        <h2 className="font-semibold flex items-center gap-2">
+          <CalendarDays className="h-4 w-4 text-primary" />
+          Events
+        </h2>
+        <Button size="sm" onClick={handleScan} disabled={scan.isPending}>
+          {scan.isPending ? "Scanning..." : "Scan recent emails"}
+        </Button>
+      </div>
+
+      {notice && <p className="text-xs text-muted-foreground">{notice}</p>}
+
+      <div className="rounded border p-3 space-y-2">
+        <p className="font-medium">Calendar feed</p>
+        {feedUrl ? (
+          <div className="space-y-1">
+            <p className="text-xs text-muted-foreground">
+              Subscribe to this URL in your calendar app. It is only shown once; anyone with it
+              can see your events.
+            </p>
+            <div className="flex gap-2">
+              <input readOnly value={feedUrl} className="flex-1 rounded border px-2 py-1 text-xs" />
+              <Button
+                size="sm"
+                variant="outline"
+                onClick={() => navigator.clipboard.writeText(feedUrl)}
+              >
+                Copy
+              </Button>
+            </div>
+          </div>
+        ) : (
+          <p className="text-xs text-muted-foreground">
+            {feed?.enabled
+              ? `Feed created ${new Date(feed.createdAt ?? "").toLocaleDateString()}. ` +
+                "Create a new URL if you lost it."
+              : "Publish your events as a feed your calendar app can subscribe to."}
+          </p>
+        )}
+        <div className="flex gap-2">
+          <Button
+            size="sm"
+            variant="outline"
+            onClick={handleCreateFeed}
+            disabled={createFeed.isPending}
+          >
+            {feed?.enabled ? "Create new URL" : "Create feed URL"}
+          </Button>
+          {feed?.enabled && (
+            <Button
+              size="sm"
+              variant="outline"
+              onClick={handleRevokeFeed}
+              disabled={revokeFeed.isPending}
+            >
+              Revoke
+            </Button>
+          )}
+        </div>
+      </div>
+
+      {isLoading && <p className="text-muted-foreground">Loading events...</p>}
+
+      {data && data.events.length === 0 && (
+        <p className="text-muted-foreground">
+          No upcoming events. Scan your recent emails to find them.
+        </p>
+      )}
+
+      <ul className="divide-y">
+        {data?.events.map((event) => (
+          <li key={event.id} className="flex items-center justify-between gap-4 py-2">
+            <div className={event.status === "dismissed" || event.cancelled ? "opacity-60" : ""}>
+              <p className="font-medium">
+                {event.title}
+                {event.cancelled && " (cancelled)"}
+              </p>
+              <p className="text-xs text-muted-foreground">
+                {formatWhen(event)}
+                {event.location && ` · ${event.location}`}
+                {event.source === "invite" && " · invitation"}
+                {event.recurrence && " · repeats"}
+              </p>
+            </div>
+            <div className="flex gap-2">
+              {event.status !== "accepted" && (
+                <Button
+                  size="sm"
+                  variant="outline"
+                  disabled={updateEvent.isPending}
+                  onClick={() => updateEvent.mutate({ id: event.id, status: "accepted" })}
+                >
+                  Accept
+                </Button>
+              )}
+              {event.status !== "dismissed" && (
+                <Button
+                  size="sm"
+                  variant="outline"
+                  disabled={updateEvent.isPending}
+                  onClick={() => updateEvent.mutate({ id: event.id, status: "dismissed" })}
+                >
+                  Dismiss
+                </Button>
+              )}
+            </div>
+          </li>
+        ))}
+      </ul>
+    </section>
+  );
+};
@@ -0,0 +1,149 @@
+import { useState } from "react";
+import { Receipt as ReceiptIcon } from "lucide-react";
+import { Button } from "@/components/ui/button";
+import type { SpendCategory } from "@/types/email.types";
+import {
+  useExportReceipts,
+  useGetReceipts,
+  useGetSpendSummary,
+  useScanReceipts,
+} from "../api/emails.api";
+
+const CATEGORY_LABELS: Record<SpendCategory, string> = {
+  shopping: "Shopping",
+  food: "Food",
+  travel: "Travel",
+  transport: "Transport",
+  utilities: "Utilities",
+  subscriptions: "Subscriptions",
+  services: "Services",
+  other: "Other",
+};
+
+const formatAmount = (amount: number, currency: string | null) =>
+  currency
+    ? new Intl.NumberFormat(undefined, { style: "currency", currency }).format(amount)
+    : amount.toFixed(2);
+
+export const ReceiptsPanel = () => {
+  const [merchant, setMerchant] = useState<string | undefined>();
+  const { data, isLoading } = useGetReceipts({ merchant });
+  const { data: summary } = useGetSpendSummary();
+  const scan = useScanReceipts();
+  const exportReceipts = useExportReceipts();
+  const [notice, setNotice] = useState("");
+
+  const handleScan = () => {
+    setNotice("");
+    scan.mutate(
+      {},
+      {
+        onSuccess: (result) => {
+          const found = `${result.receipts.length} new receipts found in ${result.scanned} emails.`;
+          setNotice(result.remaining > 0 ? `${found} Scan again for the rest.` : found);
+        },
+        onError: () => setNotice("Could not scan. Check that your Gemini key is set."),
+      }
+    );
+  };
+
+  const month = summary?.months[0];
+
+  return (
+    <section className="space-y-4 text-sm">
+      <div className="flex items-center justify-between">
+        <h2 className="font-semibold flex items-center gap-2">
+          <ReceiptIcon className="h-4 w-4 text-primary" />
+          Receipts
+        </h2>
+        <div className="flex gap-2">
+          <Button
+            size="sm"
+            variant="outline"
+            disabled={exportReceipts.isPending || !data?.total}
+            onClick={() => exportReceipts.mutate({ merchant, format: "csv" })}
+          >
+            Export CSV
+          </Button>
+          <Button size="sm" onClick={handleScan} disabled={scan.isPending}>
+            {scan.isPending ? "Scanning..." : "Scan recent emails"}
+          </Button>
+        </div>
+      </div>
+
+      {notice && <p className="text-xs text-muted-foreground">{notice}</p>}
+
+      {month && (
+        <div className="rounded border p-3 space-y-2">
+          <p className="font-medium">
+            Spent in {month.month}:{" "}
+            {month.totals.map((total) => formatAmount(total.amount, total.currency)).join(" + ")}
+          </p>
+          <div className="flex flex-wrap gap-2">
+            {month.categories.map((category) => (
+              <span
+                key={`${category.category}-${category.currency}`}
+                className="rounded bg-muted px-2 py-0.5 text-xs"
+              >
+                {CATEGORY_LABELS[category.category]}{" "}
+                {formatAmount(category.amount, category.currency)}
+              </span>
+            ))}
+          </div>
+          <ul className="text-xs text-muted-foreground">
+            {month.merchants.slice(0, 5).map((spend) => (
+              <li key={`${spend.merchant}-${spend.currency}`}>
+                <button
+                  className="hover:underline"
+                  onClick={() => setMerchant(merchant === spend.merchant ? undefined : spend.merchant)}
+                >
+                  {spend.merchant}
+                </button>{" "}
+                {formatAmount(spend.amount, spend.currency)} ({spend.count})
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+
+      {merchant && (
+        <p className="text-xs">
+          Showing receipts from {merchant}.{" "}
+          <button className="underline" onClick={() => setMerchant(undefined)}>
+            Show all
+          </button>
+        </p>
+      )}
+
+      {isLoading && <p className="text-muted-foreground">Loading receipts...</p>}
+
+      {data && data.receipts.length === 0 && (
+        <p className="text-muted-foreground">No receipts yet. Scan your recent emails to find them.</p>
+      )}
+
+      <ul className="divide-y">
+        {data?.receipts.map((receipt) => (
+          <li key={receipt.id} className="flex items-center justify-between py-2">
+            <div>
+              <p className="font-medium">{receipt.merchant}</p>
+              <p className="text-xs text-muted-foreground">
+                {receipt.date} · {CATEGORY_LABELS[receipt.category]}
+                {receipt.orderNumber && ` · #${receipt.orderNumber}`}
+                {receipt.documentType === "invoice" && " · invoice"}
+                {receipt.attachmentName && ` · from ${receipt.attachmentName}`}
+              </p>
+            </div>
+            <div className="text-right">
+              <p className="font-medium">{formatAmount(receipt.amount, receipt.currency)}</p>
+              {receipt.tax !== null && (
+                <p className="text-xs text-muted-foreground">
+                  incl. {formatAmount(receipt.tax, receipt.currency)} tax
+                </p>
+              )}
+            </div>
+          </li>
+        ))}
+      </ul>
+    </section>
+  );
+};
@@ -0,0 +1,136 @@
+import { useState } from "react";
+import { PenLine } from "lucide-react";
+import { Button } from "@/components/ui/button";
+import { Input } from "@/components/ui/input";
+import {
+  Select,
+  SelectContent,
+  SelectItem,
+  SelectTrigger,
+  SelectValue,
+} from "@/components/ui/select";
+import type { EmailDetail, ReplyTone } from "@/types/email.types";
+import {
+  useCreateReplyDraft,
+  useDraftReply,
+  useGetEmailAccounts,
+  useGetEmailSettings,
+} from "../api/emails.api";
+import { REPLY_TONE_LABELS } from "../utils/email.utils";
+
+interface ReplyComposerProps {
+  // The message being answered, usually the last one in the thread
+  message: EmailDetail;
+}
+
+export const ReplyComposer = ({ message }: ReplyComposerProps) => {
+  const { data: settings } = useGetEmailSettings();
+  const { data: accounts } = useGetEmailAccounts();
+  const draftReply = useDraftReply();
+  const createDraft = useCreateReplyDraft();
+
+  const [instruction, setInstruction] = useState("");
+  const [tone, setTone] = useState<ReplyTone | null>(null);
+  const [body, setBody] = useState("");
+  const [subject, setSubject] = useState("");
+
+  const selectedTone = tone ?? settings?.reply.defaultTone ?? "neutral";
+  // Drafts can only be saved to Gmail; replies to other mailboxes are copied by hand
+  const account = accounts?.find((a) => a.accountId === message.accountId);
+  const canSaveDraft = !account || account.provider === "google";
+
+  const handleGenerate = () => {
+    createDraft.reset();
+    draftReply.mutate(
+      { id: message.id, instruction: instruction.trim() || undefined, tone: selectedTone },
+      {
+        onSuccess: (draft) => {
+          setBody(draft.body);
+          setSubject(draft.subject);
+        },
+      }
+    );
+  };
+
+  const handleSaveDraft = () => {
+    createDraft.mutate({ id: message.id, body, subject: subject.trim() || undefined });
+  };
+
+  return (
+    <section className="border-t pt-4 mt-6 space-y-3 text-sm">
+      <h3 className="font-semibold flex items-center gap-2">
+        <PenLine className="h-4 w-4 text-primary" />
+        Reply with AI
+      </h3>
+
+      <div className="flex flex-wrap gap-2">
+        <Input
+          className="flex-1 min-w-48"
+          placeholder='Instruction, e.g. "decline politely" or "ask for the invoice"'
+          value={instruction}
+          maxLength={500}
+          onChange={(e) => setInstruction(e.target.value)}
+        />
+        <Select value={selectedTone} onValueChange={(value) => setTone(value as ReplyTone)}>
+          <SelectTrigger className="w-32" aria-label="Tone">
+            <SelectValue />
+          </SelectTrigger>
+          <SelectContent>
+            {Object.entries(REPLY_TONE_LABELS).map(([value, label]) => (
+              <SelectItem key={value} value={value}>
+                {label}
+              </SelectItem>
+            ))}
+          </SelectContent>
+        </Select>
+        <Button variant="outline" onClick={handleGenerate} disabled={draftReply.isPending}>
+          {draftReply.isPending ? "Writing..." : body ? "Rewrite" : "Write reply"}
+        </Button>
+      </div>
+
+      {draftReply.isError && (
+        <p className="text-xs text-destructive">Could not draft a reply. Try again.</p>
+      )}
+
+      {body && (
+        <div className="space-y-2">
+          <Input
+            value={subject}
+            maxLength={300}
+            onChange={(e) => setSubject(e.target.value)}
+            aria-label="Subject"
+          />
+          <textarea
+            className="w-full min-h-48 rounded-md border border-input bg-transparent px-3 py-2 shadow-sm focus-visible:outline-none focus-visible:ring-1 focus-visible:ring-ring"
+            value={body}
+            onChange={(e) => setBody(e.target.value)}
+            aria-label="Reply"
+          />
+          <div className="flex items-center gap-3">
+            {canSaveDraft && (
+              <Button
+                onClick={handleSaveDraft}
+                disabled={!body.trim() || createDraft.isPending || !settings?.gmailComposeGranted}
+              >
+                {createDraft.isPending ? "Saving..." : "Save as Gmail draft"}
+              </Button>
+            )}
+            {canSaveDraft && settings && !settings.gmailComposeGranted && (
+              <span className="text-xs text-muted-foreground">
+                Sign in with Google again to allow creating drafts
+              </span>
+            )}
+            {createDraft.isSuccess && (
+              <span className="text-xs text-muted-foreground">
+                Draft to {createDraft.data.to} saved in Gmail
+              </span>
+            )}
+            {createDraft.isError && (
+              <span className="text-xs text-destructive">Could not save the draft</span>
+            )}
+          </div>
+        </div>
+      )}
+    </section>
+  );
+};
@@ -0,0 +1,204 @@
+import { useEffect, useState } from "react";
+import { Button } from "@/components/ui/button";
+import type { CleanupAction, Subscription, UnsubscribeMethod } from "@/types/email.types";
+import {
+  useCleanupJob,
+  useCleanupSubscription,
+  useGetEmailSettings,
+  useGetSubscriptions,
+  useUndoCleanupJob,
+  useUnsubscribe,
+} from "../api/emails.api";
+
+const UNSUBSCRIBE_LABELS: Record<UnsubscribeMethod, string> = {
+  one_click: "Unsubscribe",
+  mailto: "Draft unsubscribe email",
+  link: "Open unsubscribe page",
+};
+
+const CLEANUP_LABELS: Record<CleanupAction, string> = {
+  archive: "Archiving",
+  trash: "Moving to trash",
+};
+
+const formatDate = (date: string | null) =>
+  date ? new Date(date).toLocaleDateString() : "Never";
+
+// Seconds left until `until`, updated every second while positive
+const useSecondsLeft = (until: string | undefined) => {
+  const [now, setNow] = useState(() => Date.now());
+  const end = until ? new Date(until).getTime() : 0;
+
+  useEffect(() => {
+    if (end <= Date.now()) return;
+    const timer = setInterval(() => setNow(Date.now()), 1000);
+    return () => clearInterval(timer);
+  }, [end]);
+
+  return Math.max(0, Math.ceil((end - now) / 1000));
+};
+
+export const SubscriptionsPanel = () => {
+  const { data: subscriptions, isLoading } = useGetSubscriptions();
+  const { data: settings } = useGetEmailSettings();
+  const unsubscribe = useUnsubscribe();
+  const cleanup = useCleanupSubscription();
+  const undo = useUndoCleanupJob();
+
+  const [jobId, setJobId] = useState<string | null>(null);
+  const [jobSender, setJobSender] = useState("");
+  const { data: job } = useCleanupJob(jobId);
+  const secondsLeft = useSecondsLeft(job?.status === "pending" ? job.undoUntil : undefined);
+  const [notice, setNotice] = useState("");
+
+  const handleUnsubscribe = (subscription: Subscription) => {
+    setNotice("");
+    unsubscribe.mutate(subscription.id, {
+      onSuccess: (result) => {
+        if (result.method === "link" && result.url) {
+          window.open(result.url, "_blank", "noopener,noreferrer");
+        } else if (result.method === "mailto") {
+          setNotice(`Unsubscribe email to ${result.to} saved in your Gmail drafts. Send it to finish.`);
+        } else {
+          setNotice(`Unsubscribed from ${subscription.name}`);
+        }
+      },
+      onError: () => setNotice(`Could not unsubscribe from ${subscription.name}`),
+    });
+  };
+
+  const handleCleanup = (subscription: Subscription, action: CleanupAction) => {
+    setNotice("");
+    cleanup.mutate(
+      { id: subscription.id, action },
+      {
+        onSuccess: (created) => {
+          setJobId(created.id);
+          setJobSender(subscription.name);
+        },
+        onError: () => setNotice(`Nothing to clean up for ${subscription.name}`),
+      }
+    );
+  };
+
+  const canModify = settings?.gmailModifyGranted ?? false;
+
+  return (
+    <section className="space-y-3 text-sm">
+      <h2 className="font-semibold">Subscriptions</h2>
+      <p className="text-xs text-muted-foreground">
+        Newsletters and bulk senders, grouped by mailing list. Last opened is the newest message you
+        have read.
+      </p>
+
+      {job && (
+        <div className="flex items-center gap-3 rounded-md border px-3 py-2">
+          {job.status === "pending" && (
+            <>
+              <span>
+                {CLEANUP_LABELS[job.action]} {job.total} emails from {jobSender} in {secondsLeft}s
+              </span>
+              <Button
+                size="sm"
+                variant="outline"
+                onClick={() => undo.mutate(job.id)}
+                disabled={undo.isPending}
+              >
+                Undo
+              </Button>
+            </>
+          )}
+          {job.status === "running" && (
+            <span>
+              {CLEANUP_LABELS[job.action]} {job.total} emails from {jobSender}...
+            </span>
+          )}
+          {job.status === "completed" && (
+            <span>
+              Done: {job.processed} emails from {jobSender}{" "}
+              {job.action === "archive" ? "archived" : "moved to trash"}
+            </span>
+          )}
+          {job.status === "cancelled" && <span>Cancelled, nothing was changed</span>}
+          {job.status === "failed" && (
+            <span className="text-destructive">Cleanup failed: {job.error}</span>
+          )}
+        </div>
+      )}
+      {undo.isError && (
+        <p className="text-xs text-destructive">Too late to undo, the cleanup already started</p>
+      )}
+      {notice && <p className="text-xs text-muted-foreground">{notice}</p>}
+      {!canModify && settings && (
+        <p className="text-xs text-muted-foreground">
+          Sign in with Google again to allow archiving and deleting
+        </p>
+      )}
+
+      {isLoading && <p className="text-muted-foreground">Loading subscriptions...</p>}
+      {subscriptions && subscriptions.length === 0 && (
+        <p className="text-muted-foreground">No newsletters or bulk senders found</p>
+      )}
+
+      <ul className="divide-y">
+        {subscriptions?.map((subscription) => (
+          <li key={subscription.id} className="flex flex-wrap items-center gap-3 py-2">
+            <div className="flex-1 min-w-48">
+              <p className="font-medium">{subscription.name}</p>
+              <p className="text-xs text-muted-foreground truncate">
+                {subscription.listId ?? subscription.senderAddress}
+              </p>
+            </div>
+            <div className="text-xs text-muted-foreground w-56">
+              <p>
+                {subscription.count} emails, {subscription.unreadCount} unread
+              </p>
+              <p>
+                Last received {formatDate(subscription.lastReceivedAt)}, opened{" "}
+                {formatDate(subscription.lastOpenedAt)}
+              </p>
+            </div>
+            {subscription.unsubscribedAt ? (
+              <span className="text-xs text-muted-foreground w-40">
+                {subscription.unsubscribedWith === "mailto" ? "Unsubscribe drafted" : "Unsubscribed"}{" "}
+                {formatDate(subscription.unsubscribedAt)}
+              </span>
+            ) : subscription.unsubscribeMethod ? (
+              <Button
+                size="sm"
+                variant="outline"
+                className="w-40"
+                onClick={() => handleUnsubscribe(subscription)}
+                disabled={
+                  unsubscribe.isPending ||
+                  (subscription.unsubscribeMethod === "mailto" && !settings?.gmailComposeGranted)
+                }
+              >
+                {UNSUBSCRIBE_LABELS[subscription.unsubscribeMethod]}
+              </Button>
+            ) : (
+              <span className="text-xs text-muted-foreground w-40">No unsubscribe option</span>
+            )}
+            <Button
+              size="sm"
+              variant="ghost"
+              onClick={() => handleCleanup(subscription, "archive")}
+              disabled={!canModify || cleanup.isPending || subscription.inboxCount === 0}
+            >
+              Archive all
+            </Button>
+            <Button
+              size="sm"
+              variant="ghost"
+              className="text-destructive"
+              onClick={() => handleCleanup(subscription, "trash")}
+              disabled={!canModify || cleanup.isPending}
+            >
+              Delete all
+            </Button>
+          </li>
+        ))}
+      </ul>
+    </section>
+  );
+};
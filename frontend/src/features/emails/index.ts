@@ -1,3 +1,58 @@
 export { EmailsPage } from "./pages/EmailsPage";
 export { EmailCard } from "./components/EmailCard";
-export { useGetEmails, useClassifyEmails } from "./api/emails.api";
+export { CategorySettings } from "./components/CategorySettings";
+export { EmailReader } from "./components/EmailReader";
+export { ReplyComposer } from "./components/ReplyComposer";
+export { DigestSettings } from "./components/DigestSettings";
+export { SubscriptionsPanel } from "./components/SubscriptionsPanel";
+export { EmailAccountsSettings } from "./components/EmailAccountsSettings";
+export { AskInboxPanel } from "./components/AskInboxPanel";
+export { ReceiptsPanel } from "./components/ReceiptsPanel";
+export { EventsPanel } from "./components/EventsPanel";
+export {
+  useGetEmails,
+  useGetEmail,
+  useGetThread,
+  useSummarizeEmail,
+  useDraftReply,
+  useCreateReplyDraft,
+  useAskInbox,
+  useGetReceipts,
+  useGetSpendSummary,
+  useScanReceipts,
+  useExportReceipts,
+  useGetCalendarEvents,
+  useScanCalendarEvents,
+  useUpdateCalendarEvent,
+  useGetCalendarFeed,
+  useCreateCalendarFeed,
+  useRevokeCalendarFeed,
+  useClassifyEmails,
+  useCreateClassificationJob,
+  useClassificationJob,
+  useGetCategories,
+  useCreateCategory,
+  useUpdateCategory,
+  useDeleteCategory,
+  useGetClassificationRules,
+  useCorrectEmailCategory,
+  useGetCorrectionStats,
+  useCreateClassificationRule,
+  useDeleteClassificationRule,
+  useGetEmailSettings,
+  useUpdateEmailSettings,
+  useGetDigestPreview,
+  useGetDigestTimezones,
+  useGetSubscriptions,
+  useUnsubscribe,
+  useCleanupSubscription,
+  useCleanupJob,
+  useUndoCleanupJob,
+  useUndoGmailLabels,
+  useGetEmailAccounts,
+  useLinkGoogleAccount,
+  useRemoveEmailAccount,
+  useConnectImapAccount,
+  useImportMailbox,
+  useMailboxEvents,
+} from "./api/emails.api";
@@ -1,60 +1,95 @@
-import { useState } from "react";
+import { useEffect, useRef, useState } from "react";
 import { useNavigate } from "react-router-dom";
 import { Button } from "@/components/ui/button";
-import {
-  Select,
-  SelectContent,
-  SelectItem,
-  SelectTrigger,
-  SelectValue,
-} from "@/components/ui/select";
+import type { EmailFilters } from "@/types/email.types";
 import { EmailCard } from "../components/EmailCard";
-import { useGetEmails, useClassifyEmails } from "../api/emails.api";
-import { useAuth } from "@/features/auth";
-import { storage } from "@/lib/storage";
-import { parseEmailFrom } from "../utils/email.utils";
-import { getCategoryColor } from "../utils/categoryColors";
+import { EmailFiltersBar } from "../components/EmailFiltersBar";
+import { CategorySettings } from "../components/CategorySettings";
+import { EmailReader } from "../components/EmailReader";
+import { SubscriptionsPanel } from "../components/SubscriptionsPanel";
+import { AskInboxPanel } from "../components/AskInboxPanel";
+import { ReceiptsPanel } from "../components/ReceiptsPanel";
+import { EventsPanel } from "../components/EventsPanel";
+import {
+  useGetEmails,
+  useCreateClassificationJob,
+  useClassificationJob,
+  useMailboxEvents,
+} from "../api/emails.api";
+import { GeminiApiKeyInput, useAuth, useGetGeminiKeyStatus } from "@/features/auth";
 
 export const EmailsPage = () => {
-  const [limit, setLimit] = useState("15");
+  const [filters, setFilters] = useState<EmailFilters>({});
   const [selectedEmail, setSelectedEmail] = useState<string | null>(null);
+  const [showSettings, setShowSettings] = useState(false);
+  const [showSubscriptions, setShowSubscriptions] = useState(false);
+  const [showAsk, setShowAsk] = useState(false);
+  const [showReceipts, setShowReceipts] = useState(false);
+  const [showEvents, setShowEvents] = useState(false);
   const navigate = useNavigate();
   const { logout, user } = useAuth();
+  const { data: geminiKey } = useGetGeminiKeyStatus();
 
-  const { data, isLoading, error } = useGetEmails(parseInt(limit));
-  const classifyMutation = useClassifyEmails();
-  const [emails, setEmails] = useState(null);
+  const { data, isLoading, error, fetchNextPage, hasNextPage, isFetchingNextPage } =
+    useGetEmails(filters);
+  const loadMoreRef = useRef<HTMLDivElement>(null);
+  const classifyMutation = useCreateClassificationJob();
+  const [jobId, setJobId] = useState<string | null>(null);
+  const { data: job } = useClassificationJob(jobId);
+  useMailboxEvents();
+  const isClassifying =
+    classifyMutation.isPending ||
+    job?.status === "queued" ||
+    job?.status === "running";
 
   const handleLogout = () => {
     logout();
     navigate("/login");
   };
 
+  const displayEmails = data?.pages.flatMap((page) => page.emails);
+
+  // Load the next page when the sentinel below the list scrolls into view
+  useEffect(() => {
+    const sentinel = loadMoreRef.current;
+    if (!sentinel || !hasNextPage) return;
+
+    const observer = new IntersectionObserver((entries) => {
+      if (entries[0].isIntersecting && !isFetchingNextPage) {
+        fetchNextPage();
+      }
+    });
+    observer.observe(sentinel);
+    return () => observer.disconnect();
+  }, [fetchNextPage, hasNextPage, isFetchingNextPage, displayEmails?.length]);
+
   const handleClassify = () => {
-    const geminiApiKey = storage.getGeminiApiKey();
+    if (!displayEmails) return;
 
-    if (!geminiApiKey) {
+    // Already classified emails are reused server-side, so the key is only needed for new ones
+    const hasUnclassified = displayEmails.some((email) => !email.category);
+    const needsOwnKey =
+      geminiKey &&
+      !geminiKey.configured &&
+      !geminiKey.organizationKey.enabled &&
+      !geminiKey.deploymentKey.enabled;
+    if (hasUnclassified && needsOwnKey) {
       alert("Please set your Gemini API key first");
-      navigate("/login");
+      setShowSettings(true);
       return;
     }
 
-    if (data?.emails) {
-      const emailIds = data.emails.map((email) => email.id);
-      classifyMutation.mutate(emailIds, {
-        onSuccess: (classifiedData) => {
-          setEmails(classifiedData.emails);
-        },
-        onError: (error) => {
-          console.error("Classification error:", error);
-          alert("Failed to classify emails");
-        },
-      });
-    }
+    // The jobs endpoint accepts up to 1000 emails at a time
+    const emailIds = displayEmails.slice(0, 1000).map((email) => email.id);
+    classifyMutation.mutate(emailIds, {
+      onSuccess: (createdJob) => setJobId(createdJob.id),
+      onError: (error) => {
+        console.error("Classification error:", error);
+        alert("Failed to classify emails");
+      },
+    });
   };
 
-  const displayEmails = emails || data?.emails;
-
   return (
     <div className="min-h-screen bg-background">
       {/* Header */}
@@ -93,31 +128,91 @@ export const EmailsPage = () => {
       <div className="border-b">
         <div className="container mx-auto px-4 py-4">
           <div className="flex items-center justify-between">
-            <div className="flex items-center gap-2">
-              <Select value={limit} onValueChange={setLimit}>
-                <SelectTrigger className="w-[180px]  bg-background">
-                  <SelectValue placeholder="Select limit" />
-                </SelectTrigger>
-                <SelectContent>
-                  <SelectItem value="5">5 emails</SelectItem>
-                  <SelectItem value="10">10 emails</SelectItem>
-                  <SelectItem value="15">15 emails</SelectItem>
-                  <SelectItem value="25">25 emails</SelectItem>
-                  <SelectItem value="50">50 emails</SelectItem>
-                  <SelectItem value="100">100 emails</SelectItem>
-                </SelectContent>
-              </Select>
+            <EmailFiltersBar filters={filters} onChange={setFilters} />
+            <div className="flex items-center gap-3">
+              <Button variant="outline" onClick={() => setShowAsk(!showAsk)}>
+                {showAsk ? "Hide questions" : "Ask"}
+              </Button>
+              <Button variant="outline" onClick={() => setShowReceipts(!showReceipts)}>
+                {showReceipts ? "Hide receipts" : "Receipts"}
+              </Button>
+              <Button variant="outline" onClick={() => setShowEvents(!showEvents)}>
+                {showEvents ? "Hide events" : "Events"}
+              </Button>
+              <Button
+                variant="outline"
+                onClick={() => setShowSubscriptions(!showSubscriptions)}
+              >
+                {showSubscriptions ? "Hide subscriptions" : "Subscriptions"}
+              </Button>
+              <Button
+                variant="outline"
+                onClick={() => setShowSettings(!showSettings)}
+              >
+                {showSettings ? "Hide settings" : "Settings"}
+              </Button>
+              {(job?.status === "completed_with_errors" ||
+                job?.status === "failed") && (
+                <span className="text-xs text-destructive">
+                  {job.failures?.length ?? 0} emails could not be classified
+                </span>
+              )}
+              <Button
+                onClick={handleClassify}
+                disabled={isClassifying || isLoading}
+              >
+                {isClassifying
+                  ? `Classifying... ${job?.progress.percent ?? 0}%`
+                  : "Classify"}
+              </Button>
             </div>
-            <Button
-              onClick={handleClassify}
-              disabled={classifyMutation.isPending || isLoading}
-            >
-              {classifyMutation.isPending ? "Classifying..." : "Classify"}
-            </Button>
           </div>
         </div>
       </div>
 
+      {showSettings && (
+        <div className="border-b">
+          <div className="container mx-auto px-4 py-4">
+            <div className="max-w-xl mb-6">
+              <GeminiApiKeyInput />
+            </div>
+            <CategorySettings />
+          </div>
+        </div>
+      )}
+
+      {showAsk && (
+        <div className="border-b">
+          <div className="container mx-auto px-4 py-4 max-w-3xl">
+            <AskInboxPanel />
+          </div>
+        </div>
+      )}
+
+      {showReceipts && (
+        <div className="border-b">
+          <div className="container mx-auto px-4 py-4 max-w-3xl">
+            <ReceiptsPanel />
+          </div>
+        </div>
+      )}
+
+      {showEvents && (
+        <div className="border-b">
+          <div className="container mx-auto px-4 py-4 max-w-3xl">
+            <EventsPanel />
+          </div>
+        </div>
+      )}
+
+      {showSubscriptions && (
+        <div className="border-b">
+          <div className="container mx-auto px-4 py-4">
+            <SubscriptionsPanel />
+          </div>
+        </div>
+      )}
+
       {/* Email List */}
       <main className="container mx-auto px-4 py-6">
         {isLoading && (
@@ -149,43 +244,17 @@ export const EmailsPage = () => {
                   onClick={() => setSelectedEmail(email.id)}
                 />
               ))}
+              <div ref={loadMoreRef} className="py-2 text-center">
+                {isFetchingNextPage && (
+                  <p className="text-xs text-muted-foreground">Loading more...</p>
+                )}
+              </div>
             </div>
             {selectedEmail && (
               <div className="flex-1 border rounded-lg p-6 bg-card overflow-y-auto">
                 {(() => {
                   const email = displayEmails.find((e) => e.id === selectedEmail);
-                  if (!email) return null;
-                  const sender = parseEmailFrom(email.from);
-                  return (
-                    <>
-                      <div className="flex items-start justify-between mb-4">
-                        <h2 className="text-xl font-semibold">
-                          {email.subject}
-                        </h2>
-                        {email.category && (
-                          <span className={`text-sm font-bold capitalize ${getCategoryColor(email.category)}`}>
-                            {email.category}
-                          </span>
-                        )}
-                      </div>
-                      <div className="flex items-center gap-3 mb-6">
-                        <div className="w-12 h-12 rounded-full bg-primary/10 flex items-center justify-center">
-                          <span className="text-lg font-semibold text-primary">
-                            {sender.name.charAt(0).toUpperCase()}
-                          </span>
-                        </div>
-                        <div>
-                          <p className="font-medium">{sender.name}</p>
-                          <p className="text-sm text-muted-foreground">
-                            {sender.email}
-                          </p>
-                        </div>
-                      </div>
-                      <div className="prose max-w-none">
-                        <p className="whitespace-pre-wrap">{email.snippet}</p>
-                      </div>
-                    </>
-                  );
+                  return email ? <EmailReader key={email.id} email={email} /> : null;
                 })()}
               </div>
             )}
@@ -1,11 +1,10 @@
-export const getCategoryColor = (category: string) => {
-  const colors = {
-    important: 'text-green-600',
-    promotions: 'text-purple-600',
-    social: 'text-blue-600',
-    marketing: 'text-orange-600',
-    spam: 'text-red-600',
-    general: 'text-gray-600',
-  };
-  return colors[category.toLowerCase() as keyof typeof colors] || 'text-gray-600';
+import type { EmailCategory } from "@/types/email.types";
+
+const FALLBACK_COLOR = "#4b5563";
+
+// Colours come from the user's category configuration
+export const getCategoryColor = (category: string, categories: EmailCategory[] = []) => {
+  return (
+    categories.find((c) => c.name === category.toLowerCase())?.color || FALLBACK_COLOR
+  );
 };
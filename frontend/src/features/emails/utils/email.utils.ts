@@ -1,3 +1,5 @@
+import type { EmailAccount, MailboxProvider, ReplyTone } from "@/types/email.types";
+
 export const parseEmailFrom = (from: string) => {
   const match = from.match(/^(.+?)\s*<(.+?)>$/);
   if (match) {
@@ -11,3 +13,28 @@ export const parseEmailFrom = (from: string) => {
     email: from,
   };
 };
+
+export const formatFileSize = (bytes: number) => {
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+};
+
+export const REPLY_TONE_LABELS: Record<ReplyTone, string> = {
+  neutral: "Neutral",
+  friendly: "Friendly",
+  formal: "Formal",
+  concise: "Concise",
+};
+
+export const PROVIDER_LABELS: Record<MailboxProvider, string> = {
+  google: "Google account",
+  imap: "IMAP mailbox",
+  import: "Imported mail",
+};
+
+// A Google account's address is only known once it has been synced
+export const getAccountLabel = (account: EmailAccount) =>
+  account.name ??
+  account.emailAddress ??
+  `${PROVIDER_LABELS[account.provider]} ${account.accountId.slice(-6)}`;
@@ -1,12 +1,5 @@
 export const storage = {
-  getGeminiApiKey: (): string | null => {
-    return localStorage.getItem("gemini_api_key");
-  },
-
-  setGeminiApiKey: (key: string): void => {
-    localStorage.setItem("gemini_api_key", key);
-  },
-
+  // The Gemini key now lives server-side; this clears copies left by older versions
   removeGeminiApiKey: (): void => {
     localStorage.removeItem("gemini_api_key");
   },
@@ -15,3 +15,27 @@ export interface AuthState {
   token: string | null;
   isAuthenticated: boolean;
 }
+
+export interface GeminiKeyStatus {
+  configured: boolean;
+  hint: string | null;
+  createdAt: string | null;
+  rotatedAt: string | null;
+  lastUsedAt: string | null;
+  organizationKey: {
+    enabled: boolean;
+    organizationId: string | null;
+    dailyLimit: number;
+    usedToday: number;
+  };
+  deploymentKey: {
+    enabled: boolean;
+    dailyLimit: number;
+    usedToday: number;
+  };
+}
+
+export interface GeminiKeyTestResult {
+  valid: boolean;
+  error?: string;
+}
@@ -1,14 +1,534 @@
 export type Email = {
   id: string;
+  threadId?: string;
+  // Mailbox (Google account, IMAP server or imported archive) the message belongs to
+  accountId?: string | null;
   from: string;
   subject: string;
   snippet: string;
   date: string;
   isRead?: boolean;
+  labelIds?: string[];
   category?: string;
+  classification?: EmailClassification;
 }
 
+export type EmailClassification = {
+  // "user" once the category was corrected by hand
+  source?: "rule" | "model" | "user";
+  confidence?: number;
+  reason?: string;
+  // Set when the classifier gave no valid answer and the default category was used
+  error?: string | null;
+  model: string;
+  promptVersion: string;
+  classifiedAt: string;
+  // PII masked out of the prompt for this classification
+  redactions?: Redaction[];
+  // "possible_injection" when the email tried to instruct the classifier
+  flags?: ClassificationFlag[];
+  // Category first assigned by the model or a rule, set after a correction
+  correctedFrom?: string | null;
+}
+
+export type ClassificationFlag = "possible_injection";
+
 export type EmailsResponse = {
   emails: Email[];
   total: number;
+  // Pass back as pageToken for the next page; null on the last page
+  nextPageToken: string | null;
+}
+
+export type EmailFilters = {
+  // Gmail search syntax, e.g. "from:github.com has:attachment"
+  q?: string;
+  label?: string;
+  category?: string;
+  read?: boolean;
+  // One mailbox; all of them (the unified inbox) when unset
+  accountId?: string;
+}
+
+export type ClassificationJobStatus =
+  | "queued"
+  | "running"
+  | "completed"
+  | "completed_with_errors"
+  | "failed";
+
+export type ClassificationJob = {
+  id: string;
+  status: ClassificationJobStatus;
+  totalEmails: number;
+  progress: {
+    totalBatches: number;
+    completedBatches: number;
+    failedBatches: number;
+    percent: number;
+  };
+  results?: { gmailId: string; category: string; confidence?: number; error?: boolean }[];
+  failures?: { gmailId: string; error: string }[];
+}
+
+export type EmailCategory = {
+  _id: string;
+  name: string;
+  description: string;
+  color: string;
+  exampleSenders: string[];
+  archiveOnClassify: boolean;
+}
+
+export type CategoryInput = {
+  name: string;
+  description?: string;
+  color: string;
+  exampleSenders?: string[];
+  archiveOnClassify?: boolean;
+}
+
+export type ClassificationRuleType = "sender" | "sender_domain" | "subject_regex" | "gmail_label";
+
+export type ClassificationRule = {
+  _id: string;
+  type: ClassificationRuleType;
+  pattern: string;
+  category: string;
+  priority: number;
+  enabled: boolean;
+  // "corrections" for rules learned from category corrections
+  origin: "user" | "corrections";
+}
+
+export type ClassificationRuleInput = {
+  type: ClassificationRuleType;
+  pattern: string;
+  category: string;
+  priority?: number;
+}
+
+export type CorrectEmailCategoryResult = {
+  email: Email;
+  // Rules created or re-pointed because of this correction
+  learnedRules: ClassificationRule[];
+}
+
+export type CategoryCorrectionStats = {
+  category: string;
+  classified: number;
+  corrected: number;
+  correctionRate: number;
+  correctedTo: { category: string; count: number }[];
+}
+
+export type CorrectionStats = {
+  classified: number;
+  corrected: number;
+  correctionRate: number;
+  learnedRules: number;
+  categories: CategoryCorrectionStats[];
+}
+
+export type RedactionType = "email" | "phone" | "card" | "iban" | "otp" | "address";
+
+export type Redaction = {
+  field: "from" | "subject" | "snippet";
+  type: RedactionType;
+  count: number;
+}
+
+export type RedactionPolicy = {
+  enabled: boolean;
+  types: RedactionType[];
+  // Keep the sender's domain visible, e.g. "[EMAIL]@github.com"
+  keepSenderDomain: boolean;
+}
+
+export type ReplyTone = "neutral" | "friendly" | "formal" | "concise";
+
+export type ReplySettings = {
+  // Appended to every drafted reply
+  signature: string;
+  defaultTone: ReplyTone;
+}
+
+export type DigestChannel = "email" | "sms" | "web_push" | "mobile_push" | "in_app";
+
+export type DigestSettings = {
+  enabled: boolean;
+  // Local time of day, HH:MM
+  time: string;
+  // IANA timezone, e.g. "Europe/Berlin"
+  timezone: string;
+  channel: DigestChannel;
+  nextRunAt: string | null;
+  lastSentAt: string | null;
+}
+
+export type DigestSkipReason = "channel_disabled" | "do_not_disturb" | "empty";
+
+export type Digest = {
+  date: string;
+  total: number;
+  categories: { category: string; count: number }[];
+  importantEmails: { id: string; subject: string; from: string; summary: string }[];
+  actionItems: { description: string; dueDate: string | null; kind: SummaryKind; targetId: string }[];
+}
+
+export type DigestPreview = {
+  digest: Digest;
+  text: string;
+  channel: DigestChannel;
+  // Why a run right now would not be sent, null when it would
+  skipReason: DigestSkipReason | null;
+  nextRunAt: string | null;
+}
+
+export type CountryTimezone = {
+  name: string;
+  utcOffset: string;
+}
+
+export type EmailSettings = {
+  applyGmailLabels: boolean;
+  // False for accounts linked before label write-back needed gmail.modify
+  gmailModifyGranted: boolean;
+  // False for accounts linked before reply drafts needed gmail.compose
+  gmailComposeGranted: boolean;
+  redaction: RedactionPolicy;
+  reply: ReplySettings;
+  digest: DigestSettings;
+}
+
+export type EmailSettingsUpdate = {
+  applyGmailLabels?: boolean;
+  redaction?: Partial<RedactionPolicy>;
+  reply?: Partial<ReplySettings>;
+  digest?: Partial<Pick<DigestSettings, "enabled" | "time" | "timezone" | "channel">>;
+}
+
+export type ReplyDraftRequest = {
+  instruction?: string;
+  tone?: ReplyTone;
+}
+
+export type ReplyDraft = {
+  emailId: string;
+  threadId: string;
+  subject: string;
+  tone: ReplyTone;
+  body: string;
+}
+
+export type GmailDraft = {
+  draftId: string;
+  messageId: string | null;
+  threadId: string;
+  to: string;
+  subject: string;
+}
+
+export type UndoGmailLabelsResult = {
+  restored: number;
+  unarchived: number;
+}
+
+export type EmailAttachment = {
+  attachmentId?: string;
+  partId?: string;
+  filename: string;
+  mimeType: string;
+  size: number;
+  inline: boolean;
+}
+
+export type SummaryKind = "message" | "thread";
+
+export type EmailSummaryActionItem = {
+  description: string;
+  // YYYY-MM-DD
+  dueDate: string | null;
+}
+
+export type EmailSummaryAmount = {
+  description: string;
+  amount: number;
+  currency: string | null;
+}
+
+export type EmailSummaryDeadline = {
+  description: string;
+  date: string;
+}
+
+export type EmailSummary = {
+  kind: SummaryKind;
+  targetId: string;
+  summary: string;
+  actionItems: EmailSummaryActionItem[];
+  amounts: EmailSummaryAmount[];
+  deadlines: EmailSummaryDeadline[];
+  flags: ClassificationFlag[];
+  // Thread messages left out because the conversation was too long
+  omittedMessages: number;
+  model: string;
+  promptVersion: string;
+  generatedAt: string;
+}
+
+export type SummarizeResult = {
+  summary: EmailSummary;
+  cached: boolean;
+}
+
+export type EmailDetail = Email & {
+  to: string;
+  cc: string;
+  internalDate: string | null;
+  body: {
+    text: string | null;
+    // Sanitised server-side
+    html: string | null;
+    // Raw iCalendar text of an inline invitation
+    calendar: string | null;
+  };
+  attachments: EmailAttachment[];
+  // Cached summary of this message, if one was generated
+  summary?: EmailSummary | null;
+}
+
+export type EmailThread = {
+  id: string;
+  historyId: string;
+  messages: EmailDetail[];
+  summary: EmailSummary | null;
+}
+
+// How a subscription can be ended, best first
+export type UnsubscribeMethod = "one_click" | "mailto" | "link";
+
+export type Subscription = {
+  // Opaque id for the subscription routes
+  id: string;
+  name: string;
+  senderAddress: string;
+  listId: string | null;
+  count: number;
+  unreadCount: number;
+  inboxCount: number;
+  lastReceivedAt: string | null;
+  // Newest message that has been read; Gmail does not report open times
+  lastOpenedAt: string | null;
+  unsubscribeMethod: UnsubscribeMethod | null;
+  unsubscribedAt: string | null;
+  unsubscribedWith: UnsubscribeMethod | null;
+}
+
+export type UnsubscribeResult = {
+  method: UnsubscribeMethod;
+  unsubscribed: boolean;
+  // Set for mailto: the Gmail draft to send
+  draftId?: string;
+  to?: string;
+  // Set for link: the page to open
+  url?: string | null;
+}
+
+export type CleanupAction = "archive" | "trash";
+
+export type CleanupJobStatus = "pending" | "running" | "completed" | "failed" | "cancelled";
+
+export type CleanupJob = {
+  id: string;
+  action: CleanupAction;
+  status: CleanupJobStatus;
+  total: number;
+  processed: number;
+  // Nothing changes in Gmail before this; the job can be undone until then
+  undoUntil: string;
+  error: string | null;
+  completedAt: string | null;
+}
+
+export type MailboxProvider = "google" | "imap" | "import";
+
+export type EmailAccount = {
+  accountId: string;
+  provider: MailboxProvider;
+  // Set for IMAP and imported mailboxes
+  name: string | null;
+  // Known once a Google account has been synced
+  emailAddress: string | null;
+  // The first linked Google account
+  primary: boolean;
+  linkedAt: string | null;
+  gmailModifyGranted: boolean;
+  gmailComposeGranted: boolean;
+  syncStatus: "idle" | "syncing" | "failed" | null;
+  lastSyncedAt: string | null;
+}
+
+export type ImapAccountInput = {
+  name?: string;
+  emailAddress?: string;
+  host: string;
+  port?: number;
+  // Implicit TLS; STARTTLS is used on plain connections when the server offers it
+  secure?: boolean;
+  username: string;
+  password: string;
+  mailbox?: string;
+}
+
+export type MailboxImportResult = {
+  accountId: string;
+  name: string;
+  imported: number;
+  // Messages already in the mailbox from an earlier import
+  duplicates: number;
+  // Messages over the size limit
+  skipped: number;
+  emailIds: string[];
+}
+
+export type AnswerCitation = {
+  emailId: string;
+  threadId: string | null;
+  subject: string;
+  from: string;
+  date: string;
+  // Passage of the email that supports the answer
+  quote: string;
+}
+
+export type InboxAnswer = {
+  conversationId: string;
+  answer: string;
+  // False when the emails did not answer the question
+  found: boolean;
+  flags: string[];
+  citations: AnswerCitation[];
+}
+
+export type SpendCategory =
+  | "shopping"
+  | "food"
+  | "travel"
+  | "transport"
+  | "utilities"
+  | "subscriptions"
+  | "services"
+  | "other";
+
+export type Receipt = {
+  id: string;
+  emailId: string;
+  threadId: string | null;
+  accountId: string | null;
+  subject: string | null;
+  from: string | null;
+  documentType: "receipt" | "invoice";
+  // Where the figures were found: the email body or a PDF attachment
+  source: "body" | "attachment";
+  attachmentName: string | null;
+  merchant: string;
+  // Total charged, tax included
+  amount: number;
+  currency: string | null;
+  // YYYY-MM-DD
+  date: string | null;
+  tax: number | null;
+  orderNumber: string | null;
+  category: SpendCategory;
+  flags: string[];
+  extractedAt: string;
+}
+
+export type ReceiptFilters = {
+  from?: string;
+  to?: string;
+  merchant?: string;
+  category?: SpendCategory;
+}
+
+export type ReceiptScanResult = {
+  scanned: number;
+  failed: number;
+  // Emails already scanned
+  skipped: number;
+  // Emails left for another scan
+  remaining: number;
+  receipts: Receipt[];
+}
+
+export type SpendTotal = {
+  currency: string | null;
+  amount: number;
+  tax: number;
+  count: number;
+}
+
+export type SpendMonth = {
+  // YYYY-MM
+  month: string;
+  totals: SpendTotal[];
+  merchants: (SpendTotal & { merchant: string })[];
+  categories: (SpendTotal & { category: SpendCategory })[];
+}
+
+export type SpendSummary = {
+  from: string;
+  to: string;
+  months: SpendMonth[];
+}
+
+export type CalendarEventStatus = "proposed" | "accepted" | "dismissed";
+
+export type CalendarEvent = {
+  id: string;
+  uid: string;
+  emailId: string | null;
+  threadId: string | null;
+  accountId: string | null;
+  subject: string | null;
+  from: string | null;
+  // Parsed from an invitation or found in the email text
+  source: "invite" | "text";
+  kind: "meeting" | "booking" | "deadline" | "other";
+  status: CalendarEventStatus;
+  title: string;
+  description: string | null;
+  location: string | null;
+  organizer: string | null;
+  start: string;
+  // Excluded; all-day events end at midnight UTC after their last day
+  end: string;
+  allDay: boolean;
+  recurrence: string | null;
+  // The organizer cancelled the invitation
+  cancelled: boolean;
+  flags: string[];
+  updatedAt: string | null;
+}
+
+export type CalendarEventFilters = {
+  from?: string;
+  to?: string;
+  status?: CalendarEventStatus;
+}
+
+export type EventScanResult = {
+  scanned: number;
+  failed: number;
+  // Emails already scanned
+  skipped: number;
+  // Emails left for another scan
+  remaining: number;
+  events: CalendarEvent[];
+}
+
+export type CalendarFeed = {
+  enabled: boolean;
+  createdAt: string | null;
 }